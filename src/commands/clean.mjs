@@ -3,6 +3,7 @@ import ora from "ora";
 import inquirer from "inquirer";
 
 import { deletePosts } from "../utils/db.mjs";
+import { printJson, printJsonError } from "../utils/output.mjs";
 
 /**
  * Clean up posts
@@ -11,6 +12,7 @@ import { deletePosts } from "../utils/db.mjs";
  * await cleanPosts({ force: true }); // Clean only published posts with force flag
  * await cleanPosts({ unpublished: true }); // Clean published and unpublished posts
  * await cleanPosts({ unpublished: true, published:false }); // Clean only unpublished posts
+ * await cleanPosts({ force: true, json: true }); // Print the delete counts as JSON
  */
 export const cleanPosts = async (argv) => {
   try {
@@ -31,6 +33,21 @@ export const cleanPosts = async (argv) => {
         "Are you sure you want to remove all unpublished posts? This action cannot be undone.";
     }
 
+    // JSON output is meant for scripts, which cannot answer the confirmation prompt
+    if (argv.json) {
+      if (!argv.force) {
+        printJsonError("Refusing to delete posts without --force in --json mode");
+        return;
+      }
+
+      const result = deletePosts({
+        published: deletePublished,
+        unpublished: deleteUnpublished,
+      });
+      printJson({ deleted: result });
+      return;
+    }
+
     // Skip confirmation if --force flag is used
     if (!argv.force) {
       const { confirm } = await inquirer.prompt([
@@ -82,6 +99,10 @@ export const cleanPosts = async (argv) => {
       console.log(chalk.blue("\nℹ No posts found to clean up."));
     }
   } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
     console.error(chalk.red("Error cleaning posts:"), error.message);
     process.exit(1);
   }
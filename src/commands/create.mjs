@@ -10,21 +10,219 @@ import {
   createPost as dbCreatePost,
   logAction,
   initializeDb,
+  setPostVariants,
 } from "../utils/db.mjs";
+import { detectMimeType, storeMedia } from "../utils/media.mjs";
+import { validatePost } from "../utils/validation.mjs";
+import { buildRecurrence, describeRecurrence } from "../utils/recurrence.mjs";
+import { formatInTimeZone, resolveTimeZone } from "../utils/timezone.mjs";
+import { getNextQueueSlot } from "../utils/queue.mjs";
+import { resolveMissedPolicy } from "../utils/missed.mjs";
+import {
+  getLocalUser,
+  isReviewRequired,
+  reviewPost,
+} from "../utils/review.mjs";
 import {
   generateTitle,
   suggestPublishDate,
-  enhanceContent,
+  enhanceVariants,
 } from "../utils/ai.mjs";
+import {
+  PLATFORM_NAMES,
+  getTargets,
+  parseTarget,
+  resolveTarget,
+} from "../utils/accounts.mjs";
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Piped input
+ */
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+/**
+ * Check whether a time string is in one of the accepted formats
+ * @param {string} input - Time input
+ * @returns {boolean} True if valid
+ */
+const isValidTime = (input) =>
+  // 24-hour format: 13:45, 9:30
+  /^\d{1,2}:\d{2}$/.test(input) ||
+  // 12-hour with am/pm: 1:45pm, 9:30am
+  /^\d{1,2}:\d{2}(am|pm)$/i.test(input) ||
+  // Simple hour with am/pm: 3pm, 11am
+  /^\d{1,2}(am|pm)$/i.test(input) ||
+  // Just hour: 13, 9 (assumes on the hour)
+  /^\d{1,2}$/.test(input);
+
+/**
+ * Convert a time input to standardized 24-hour "HH:MM" format
+ * @param {string} timeInput - Time in any format accepted by isValidTime
+ * @returns {string} Standardized time
+ */
+const standardizeTime = (timeInput) => {
+  // Format like "3pm"
+  if (/^\d{1,2}(am|pm)$/i.test(timeInput)) {
+    const isPM = timeInput.toLowerCase().includes("pm");
+    let hour = parseInt(timeInput.replace(/[^0-9]/g, ""));
+
+    if (isPM && hour < 12) hour += 12;
+    if (!isPM && hour === 12) hour = 0;
+
+    return `${hour.toString().padStart(2, "0")}:00`;
+  }
+
+  // Format like "3:30pm"
+  if (/^\d{1,2}:\d{2}(am|pm)$/i.test(timeInput)) {
+    const isPM = timeInput.toLowerCase().includes("pm");
+    const timeParts = timeInput.replace(/[^0-9:]/g, "").split(":");
+    let hour = parseInt(timeParts[0]);
+    const minute = timeParts[1];
+
+    if (isPM && hour < 12) hour += 12;
+    if (!isPM && hour === 12) hour = 0;
+
+    return `${hour.toString().padStart(2, "0")}:${minute}`;
+  }
+
+  // Format like "15" (just hour)
+  if (/^\d{1,2}$/.test(timeInput)) {
+    const hour = parseInt(timeInput);
+    return `${hour.toString().padStart(2, "0")}:00`;
+  }
+
+  // Format like "9:30"
+  const [hour, minute] = timeInput.split(":");
+  return `${hour.padStart(2, "0")}:${minute}`;
+};
+
+/**
+ * Resolve a --date value to "YYYY-MM-DD", plus the current time for "now"
+ * @param {string} input - "now", "today", "tomorrow" or YYYY-MM-DD
+ * @param {string} timeZone - Time zone that "now", "today" and "tomorrow" refer to
+ * @returns {Object} Resolved date and, for "now", time
+ */
+const resolveDateFlag = (input, timeZone) => {
+  const value = String(input).trim().toLowerCase();
+  const [today, currentTime] = formatInTimeZone(new Date(), timeZone).split(" ");
+
+  if (value === "now") {
+    return { date: today, time: currentTime };
+  }
+
+  if (value === "today") {
+    return { date: today };
+  }
+
+  if (value === "tomorrow") {
+    const [year, month, day] = today.split("-").map(Number);
+    return {
+      date: new Date(Date.UTC(year, month - 1, day + 1))
+        .toISOString()
+        .split("T")[0],
+    };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(
+      `Invalid --date "${input}". Use YYYY-MM-DD, "today", "tomorrow" or "now".`
+    );
+  }
+
+  return { date: value };
+};
+
+/**
+ * Normalize --platform values to the targets stored on posts
+ * @param {Array<string>} values - Platform names in any case, optionally with
+ * an account (bluesky:acme), possibly comma-separated
+ * @returns {Array<string>} Targets, e.g. ['Bluesky', 'bluesky:acme']
+ */
+const resolvePlatformFlags = (values) =>
+  values
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map(resolveTarget);
+
+/**
+ * Check whether a target is one of the default platforms in config
+ * @param {Object} config - Config object
+ * @param {string} target - Target as stored on posts
+ * @returns {boolean} True if config.defaultPlatforms includes it
+ */
+const isDefaultTarget = (config, target) =>
+  config.defaultPlatforms.some(
+    (platform) => platform.toLowerCase() === target.toLowerCase()
+  );
+
+/**
+ * Resolve --image files and their --alt texts
+ * @param {Array<string>} images - File paths
+ * @param {Array<string>} alts - Alt texts, matched to the files by position
+ * @returns {Array<Object>} Media descriptions to validate and store
+ */
+const resolveMediaFlags = (images, alts = []) =>
+  images.map((image, index) => {
+    const filePath = path.resolve(String(image));
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Image not found: ${image}`);
+    }
+
+    const mimeType = detectMimeType(filePath);
+    if (!mimeType) {
+      throw new Error(`Unsupported media type: ${image}`);
+    }
+
+    return {
+      path: filePath,
+      original_name: path.basename(filePath),
+      mime_type: mimeType,
+      size: fs.statSync(filePath).size,
+      alt: alts[index] ? String(alts[index]) : "",
+    };
+  });
+
+/**
+ * Resolve --repeat, --on, --interval, --until and --count into a recurrence rule
+ * @param {Object} argv - Command arguments
+ * @returns {string|null} RRULE, or null for --repeat none
+ */
+const resolveRecurrenceFlags = (argv) =>
+  buildRecurrence({
+    freq: argv.repeat,
+    byDay: argv.on || [],
+    interval: argv.interval,
+    until: argv.until,
+    count: argv.count,
+  });
 
 /**
  * Create a new social media post
+ * Prompts for anything not given as a flag, unless --yes is set or stdin is
+ * not a terminal, in which case defaults and AI suggestions are used as-is.
  * @param {Object} argv - Command arguments
  * @example
  * await createPost({ file: 'my-post.txt' });
+ * await createPost({ content: 'Hello', platform: ['bluesky'], date: 'now', yes: true });
+ * await createPost({ content: 'Chart', image: ['chart.png'], alt: ['Monthly sales'], yes: true });
+ * await createPost({ content: 'Weekly tips', repeat: 'weekly', on: ['fri'], count: 10, yes: true });
+ * await createPost({ content: 'Queued', platform: ['bluesky'], queue: true, yes: true });
+ * await createPost({ content: 'Sale ends tonight', date: 'today', time: '6pm', ifMissed: 'skip', yes: true });
+ * await createPost({ content: 'Rough idea', draft: true, yes: true });
  */
 export const createPost = async (argv) => {
   const config = getConfig();
+  const interactive = !argv.yes && Boolean(process.stdin.isTTY);
+  const useAI = config.aiEnabled && argv.ai !== false;
   let content = "";
 
   try {
@@ -43,8 +241,12 @@ export const createPost = async (argv) => {
         throw new Error("Failed to initialize database");
       }
     }
+    // Content given on the command line
+    if (argv.content) {
+      content = argv.content;
+    }
     // File-based creation
-    if (argv.file) {
+    else if (argv.file) {
       const spinner = ora(`Reading file ${argv.file}...`).start();
 
       try {
@@ -55,8 +257,12 @@ export const createPost = async (argv) => {
         process.exit(1);
       }
     }
+    // Piped content
+    else if (!process.stdin.isTTY) {
+      content = (await readStdin()).trim();
+    }
     // Interactive creation
-    else {
+    else if (interactive) {
       // Function to handle input with 3 empty lines to end
       const getContentInput = async (prompt) => {
         console.log(`${prompt} (Press Enter 3 times in a row when done)`);
@@ -105,43 +311,87 @@ export const createPost = async (argv) => {
       content = await getContentInput("Enter your post content:");
     }
 
-    // Generate title with AI or prompt for manual entry
-    let spinner = ora("Generating title suggestion...").start();
-    let title = "";
+    if (!content || !content.trim()) {
+      throw new Error(
+        "Post content is required (use --content, --file or pipe it to stdin)"
+      );
+    }
 
-    if (config.aiEnabled) {
-      title = await generateTitle(content);
-      spinner.succeed("Title suggestion generated");
-    } else {
-      spinner.info("AI is disabled, skipping title generation");
+    // Validate flags before doing any AI work
+    if (argv.queue) {
+      const conflicts = ["date", "time", "timezone", "repeat"].filter(
+        (flag) => argv[flag]
+      );
+      if (conflicts.length > 0) {
+        throw new Error(
+          `--queue picks the date itself and cannot be combined with --${conflicts.join(", --")}`
+        );
+      }
     }
 
-    // Allow manual title override
-    const { titleInput } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "titleInput",
-        message: "Enter post title (or press Enter to use suggestion):",
-        default: title,
-      },
-    ]);
+    const timeZone = resolveTimeZone(argv.timezone);
+    const dateFlag = argv.date ? resolveDateFlag(argv.date, timeZone) : null;
+    const platformFlags =
+      argv.platform && argv.platform.length > 0
+        ? resolvePlatformFlags(argv.platform)
+        : null;
+
+    if (argv.time && !isValidTime(argv.time)) {
+      throw new Error(`Invalid --time "${argv.time}"`);
+    }
+
+    const media =
+      argv.image && argv.image.length > 0
+        ? resolveMediaFlags(argv.image, argv.alt)
+        : [];
+
+    let recurrence = argv.repeat ? resolveRecurrenceFlags(argv) : null;
+    const missedPolicy = resolveMissedPolicy(argv.ifMissed);
+
+    let spinner;
+    let title = argv.title || "";
+
+    if (!argv.title) {
+      // Generate title with AI or prompt for manual entry
+      spinner = ora("Generating title suggestion...").start();
 
-    title = titleInput;
+      if (useAI) {
+        title = await generateTitle(content);
+        spinner.succeed("Title suggestion generated");
+      } else {
+        spinner.info("AI is disabled, skipping title generation");
+      }
+
+      // Allow manual title override
+      if (interactive) {
+        const { titleInput } = await inquirer.prompt([
+          {
+            type: "input",
+            name: "titleInput",
+            message: "Enter post title (or press Enter to use suggestion):",
+            default: title,
+          },
+        ]);
+
+        title = titleInput;
+      }
+    }
 
     // Generate publish date with AI or prompt for manual entry
-    spinner = ora("Suggesting publish date and time...").start();
     let publishDateTime = "";
 
-    if (config.aiEnabled) {
+    if (dateFlag) {
+      publishDateTime = `${dateFlag.date} ${dateFlag.time || "12:00"}`;
+    } else if (argv.queue) {
+      // The slot is picked once the platforms are known
+    } else if (useAI) {
+      spinner = ora("Suggesting publish date and time...").start();
       publishDateTime = await suggestPublishDate();
       spinner.succeed(`Suggested publish date and time: ${publishDateTime}`);
     } else {
-      spinner.info("AI is disabled, skipping date/time suggestion");
+      ora().info("AI is disabled, skipping date/time suggestion");
       // Provide default as tomorrow at noon
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(12, 0, 0, 0);
-      publishDateTime = `${tomorrow.toISOString().split('T')[0]} 12:00`;
+      publishDateTime = `${resolveDateFlag("tomorrow", timeZone).date} 12:00`;
     }
 
     // Parse suggested date/time
@@ -155,142 +405,167 @@ export const createPost = async (argv) => {
       suggestedTime = "12:00";
     }
 
+    let dateInput = suggestedDate;
+    let timeInput = argv.time || suggestedTime;
+
     // Allow manual date override
-    const { dateInput } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "dateInput",
-        message:
-          "Enter publish date (YYYY-MM-DD) or press Enter to use suggestion:",
-        default: suggestedDate,
-        validate: (input) => {
-          if (!input) return true;
-          return /^\d{4}-\d{2}-\d{2}$/.test(input)
-            ? true
-            : "Please use YYYY-MM-DD format";
+    if (interactive && !dateFlag && !argv.queue) {
+      ({ dateInput } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "dateInput",
+          message:
+            "Enter publish date (YYYY-MM-DD) or press Enter to use suggestion:",
+          default: suggestedDate,
+          validate: (input) => {
+            if (!input) return true;
+            return /^\d{4}-\d{2}-\d{2}$/.test(input)
+              ? true
+              : "Please use YYYY-MM-DD format";
+          },
         },
-      },
-    ]);
-    
+      ]));
+    }
+
     // Allow manual time override with flexible input
-    const { timeInput } = await inquirer.prompt([
-      {
-        type: "input",
-        name: "timeInput",
-        message:
-          "Enter publish time (HH:MM, H:MM, HH:MMam/pm or just 'Xpm') or press Enter to use suggestion:",
-        default: suggestedTime,
-        validate: (input) => {
-          if (!input) return true;
-          
-          // Support various formats
-          // 24-hour format: 13:45, 9:30
-          if (/^\d{1,2}:\d{2}$/.test(input)) return true;
-          
-          // 12-hour with am/pm: 1:45pm, 9:30am
-          if (/^\d{1,2}:\d{2}(am|pm)$/i.test(input)) return true;
-          
-          // Simple hour with am/pm: 3pm, 11am
-          if (/^\d{1,2}(am|pm)$/i.test(input)) return true;
-          
-          // Just hour: 13, 9 (assumes on the hour)
-          if (/^\d{1,2}$/.test(input)) return true;
-          
-          return "Please enter a valid time format";
+    if (interactive && !argv.time && !dateFlag?.time && !argv.queue) {
+      ({ timeInput } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "timeInput",
+          message:
+            "Enter publish time (HH:MM, H:MM, HH:MMam/pm or just 'Xpm') or press Enter to use suggestion:",
+          default: suggestedTime,
+          validate: (input) => {
+            if (!input) return true;
+            return isValidTime(input) ? true : "Please enter a valid time format";
+          },
         },
-      },
-    ]);
-    
-    // Convert time input to standardized 24-hour format
-    let standardizedTime = timeInput;
-    
-    // Process different time formats
-    if (/^\d{1,2}(am|pm)$/i.test(timeInput)) {
-      // Format like "3pm"
-      const isPM = timeInput.toLowerCase().includes("pm");
-      let hour = parseInt(timeInput.replace(/[^0-9]/g, ""));
-      
-      if (isPM && hour < 12) hour += 12;
-      if (!isPM && hour === 12) hour = 0;
-      
-      standardizedTime = `${hour.toString().padStart(2, "0")}:00`;
-    } else if (/^\d{1,2}:\d{2}(am|pm)$/i.test(timeInput)) {
-      // Format like "3:30pm"
-      const isPM = timeInput.toLowerCase().includes("pm");
-      const timeParts = timeInput.replace(/[^0-9:]/g, "").split(":");
-      let hour = parseInt(timeParts[0]);
-      const minute = timeParts[1];
-      
-      if (isPM && hour < 12) hour += 12;
-      if (!isPM && hour === 12) hour = 0;
-      
-      standardizedTime = `${hour.toString().padStart(2, "0")}:${minute}`;
-    } else if (/^\d{1,2}$/.test(timeInput)) {
-      // Format like "15" (just hour)
-      const hour = parseInt(timeInput);
-      standardizedTime = `${hour.toString().padStart(2, "0")}:00`;
+      ]));
     }
-    
+
     // Combine date and time
-    publishDateTime = `${dateInput} ${standardizedTime}`;
+    if (!argv.queue) {
+      publishDateTime = `${dateInput} ${standardizeTime(timeInput)}`;
+    }
 
-    // Select platforms
-    const { selectedPlatforms } = await inquirer.prompt([
-      {
-        type: "checkbox",
-        name: "selectedPlatforms",
-        message: "Select platforms to publish to:",
-        choices: [
-          {
-            name: "Bluesky",
-            value: "Bluesky",
-            checked: config.defaultPlatforms.includes("Bluesky"),
+    // Optionally repeat the post
+    if (interactive && !argv.repeat && !argv.queue) {
+      const { repeat } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "repeat",
+          message:
+            "Repeat this post? (daily, weekly, monthly, an RRULE, or press Enter for no):",
+          validate: (input) => {
+            try {
+              buildRecurrence({ freq: input });
+              return true;
+            } catch (error) {
+              return error.message;
+            }
           },
-        ],
-      },
-    ]);
+        },
+      ]);
+      recurrence = buildRecurrence({ freq: repeat });
+    }
 
-    const platforms = selectedPlatforms.join(",");
+    if (recurrence && !dateInput) {
+      throw new Error("A recurring post needs a publish date");
+    }
 
-    // Option to enhance content for the primary platform
-    if (config.aiEnabled && selectedPlatforms.length > 0) {
-      const primaryPlatform = selectedPlatforms[0];
+    // Select platforms
+    let selectedPlatforms;
 
-      const { enhance } = await inquirer.prompt([
+    if (platformFlags) {
+      selectedPlatforms = platformFlags;
+    } else if (interactive) {
+      ({ selectedPlatforms } = await inquirer.prompt([
         {
-          type: "confirm",
-          name: "enhance",
-          message: `Would you like AI to enhance your content for ${primaryPlatform}?`,
-          default: false,
+          type: "checkbox",
+          name: "selectedPlatforms",
+          message: "Select platforms and accounts to publish to:",
+          choices: getTargets().map(({ target, label }) => ({
+            name: label,
+            value: target,
+            checked: isDefaultTarget(config, target),
+          })),
         },
-      ]);
+      ]));
+    } else {
+      selectedPlatforms = getTargets()
+        .map(({ target }) => target)
+        .filter((target) => isDefaultTarget(config, target));
+    }
 
-      if (enhance) {
-        spinner = ora(`Enhancing content for ${primaryPlatform}...`).start();
-        const enhancedContent = await enhanceContent(content, primaryPlatform);
+    const platforms = selectedPlatforms.join(",");
 
-        if (enhancedContent !== content) {
-          spinner.succeed("Content enhanced");
+    // Take the next free slot of the selected platforms
+    if (argv.queue) {
+      publishDateTime = getNextQueueSlot(selectedPlatforms).date;
+    }
+
+    // Option to enhance content, as a variant for each selected platform
+    const variants = [];
+    if (useAI && selectedPlatforms.length > 0) {
+      const platformNames = [
+        ...new Set(
+          selectedPlatforms.map((target) => parseTarget(target).platform)
+        ),
+      ].map((platform) => PLATFORM_NAMES[platform]);
+
+      let enhance = Boolean(argv.enhance);
+
+      if (!enhance && interactive) {
+        ({ enhance } = await inquirer.prompt([
+          {
+            type: "confirm",
+            name: "enhance",
+            message: `Would you like AI to enhance your content for ${platformNames.join(
+              " and "
+            )}?`,
+            default: false,
+          },
+        ]));
+      }
 
-          // Show the original and enhanced versions
+      if (enhance) {
+        spinner = ora(
+          `Enhancing content for ${platformNames.join(", ")}...`
+        ).start();
+        const enhanced = await enhanceVariants(content, selectedPlatforms);
+        const changed = Object.entries(enhanced).filter(
+          ([, text]) => text !== content
+        );
+
+        if (changed.length > 0) {
+          spinner.succeed("Content enhanced");
           console.log("\n", chalk.cyan("Original:"), chalk.gray(content));
-          console.log(
-            "\n",
-            chalk.cyan("Enhanced:"),
-            chalk.white(enhancedContent)
-          );
 
-          const { useEnhanced } = await inquirer.prompt([
-            {
-              type: "confirm",
-              name: "useEnhanced",
-              message: "Use the enhanced version?",
-              default: true,
-            },
-          ]);
+          for (const [platform, text] of changed) {
+            // Show each platform's version next to the original
+            console.log(
+              "\n",
+              chalk.cyan(`${PLATFORM_NAMES[platform]}:`),
+              chalk.white(text)
+            );
+
+            let useEnhanced = true;
+
+            if (interactive) {
+              ({ useEnhanced } = await inquirer.prompt([
+                {
+                  type: "confirm",
+                  name: "useEnhanced",
+                  message: `Use the enhanced version for ${PLATFORM_NAMES[platform]}?`,
+                  default: true,
+                },
+              ]));
+            }
 
-          if (useEnhanced) {
-            content = enhancedContent;
+            if (useEnhanced) {
+              variants.push({ platform, content: text });
+            }
           }
         } else {
           spinner.info("No significant enhancements suggested");
@@ -298,24 +573,71 @@ export const createPost = async (argv) => {
       }
     }
 
+    // The post, and each platform's variant, has to fit its platforms
+    const { errors, warnings } = validatePost(
+      { content, media, variants },
+      selectedPlatforms
+    );
+    if (errors.length > 0) {
+      throw new Error(`Post cannot be published:\n  - ${errors.join("\n  - ")}`);
+    }
+    warnings.forEach((warning) =>
+      console.log(chalk.yellow("Warning:"), warning)
+    );
+
     // Create post in database
     spinner = ora("Saving post...").start();
 
-    const postId = dbCreatePost({
-      title,
-      content,
-      platforms,
-      publish_date: publishDateTime,
+    // With review.required, posts go to review unless kept as drafts
+    const review = isReviewRequired() && !argv.draft;
+    const status = argv.draft || review ? "draft" : "scheduled";
+    const by = getLocalUser();
+
+    const postId = dbCreatePost(
+      {
+        title,
+        content,
+        platforms,
+        publish_date: publishDateTime,
+        timezone: timeZone,
+        recurrence,
+        queued: Boolean(argv.queue),
+        missed_policy: missedPolicy,
+        status,
+      },
+      { by }
+    );
+
+    // Copy attachments into the media directory
+    media.forEach((item, position) => {
+      storeMedia({
+        sourcePath: item.path,
+        alt: item.alt,
+        postId,
+        position,
+      });
     });
 
+    if (variants.length > 0) {
+      setPostVariants(postId, variants);
+    }
+
     // Log the action
     logAction("post_created", {
       postId,
       title,
       platforms: selectedPlatforms,
       publishDate: publishDateTime,
+      timezone: timeZone,
+      media: media.length,
+      recurrence,
+      status: review ? "needs_review" : status,
     });
 
+    if (review) {
+      reviewPost(postId, "submit", { by });
+    }
+
     spinner.succeed(`Post created successfully with ID: ${postId}`);
 
     // Summary
@@ -326,9 +648,51 @@ export const createPost = async (argv) => {
     );
     console.log(
       ` ${chalk.gray("•")} ${chalk.bold("Publish Date & Time:")} ${
-        publishDateTime || "Not scheduled"
-      }`
+        publishDateTime ? `${publishDateTime} (${timeZone})` : "Not scheduled"
+      }${argv.queue ? chalk.gray(" (queued)") : ""}`
     );
+    if (argv.draft) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("Status:")} draft ${chalk.gray(
+          isReviewRequired()
+            ? `(run "social-light review submit ${postId}" when it is ready)`
+            : `(run "social-light status ${postId} scheduled" when it is ready)`
+        )}`
+      );
+    }
+    if (review) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("Status:")} needs review ${chalk.gray(
+          "(it is published once an approver approves it)"
+        )}`
+      );
+    }
+    if (recurrence) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("Repeats:")} ${describeRecurrence(
+          recurrence
+        )}`
+      );
+    }
+    if (missedPolicy) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("If missed:")} ${missedPolicy}`
+      );
+    }
+    if (variants.length > 0) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("Variants:")} ${variants
+          .map((variant) => PLATFORM_NAMES[variant.platform])
+          .join(", ")}`
+      );
+    }
+    if (media.length > 0) {
+      console.log(
+        ` ${chalk.gray("•")} ${chalk.bold("Media:")} ${media
+          .map((item) => item.original_name)
+          .join(", ")}`
+      );
+    }
     console.log(
       ` ${chalk.gray("•")} ${chalk.bold("Content:")} ${content.substring(
         0,
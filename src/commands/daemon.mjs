@@ -0,0 +1,214 @@
+import chalk from "chalk";
+import fs from "fs-extra";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+import {
+  getPublisherLockPath,
+  getPublisherLogPath,
+  isProcessRunning,
+  readPublisherLock,
+} from "../utils/lock.mjs";
+import { printJson, printJsonError } from "../utils/output.mjs";
+
+// CLI entry point the daemon runs
+const CLI_PATH = fileURLToPath(new URL("../index.mjs", import.meta.url));
+
+// How long start and stop wait for the publisher
+const WAIT_MS = 10000;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<boolean>} True if the condition held before WAIT_MS passed
+ */
+const waitFor = async (condition) => {
+  const deadline = Date.now() + WAIT_MS;
+
+  while (Date.now() < deadline) {
+    if (condition()) return true;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+
+  return condition();
+};
+
+/**
+ * Get the last lines of the daemon log
+ * @param {number} count - Number of lines
+ * @returns {Array<string>} Log lines, oldest first
+ */
+const tailLog = (count) => {
+  const logPath = getPublisherLogPath();
+  if (!fs.existsSync(logPath)) return [];
+
+  return fs
+    .readFileSync(logPath, "utf8")
+    .trimEnd()
+    .split("\n")
+    .filter(Boolean)
+    .slice(-count);
+};
+
+/**
+ * Get the state of the publisher
+ * @returns {Object} running, pid, startedAt, lockPath and logPath
+ */
+const getStatus = () => {
+  const lock = readPublisherLock();
+
+  return {
+    running: Boolean(lock?.running),
+    pid: lock?.running ? lock.pid : null,
+    startedAt: lock?.running ? lock.startedAt : null,
+    lockPath: getPublisherLockPath(),
+    logPath: getPublisherLogPath(),
+  };
+};
+
+/**
+ * Start the publisher in the background, logging to publisher.log
+ * @param {Object} argv - Command arguments
+ */
+const startDaemon = async (argv) => {
+  const status = getStatus();
+
+  if (status.running) {
+    throw new Error(`The publisher is already running (PID ${status.pid})`);
+  }
+
+  const logPath = getPublisherLogPath();
+  fs.ensureDirSync(path.dirname(logPath));
+  fs.appendFileSync(
+    logPath,
+    `--- Publisher daemon started ${new Date().toISOString()} ---\n`
+  );
+
+  const log = fs.openSync(logPath, "a");
+  const child = spawn(
+    process.execPath,
+    ["--no-warnings", CLI_PATH, "publish", "--continuous"],
+    { detached: true, stdio: ["ignore", log, log], env: process.env }
+  );
+  fs.closeSync(log);
+
+  let exited = false;
+  child.on("exit", () => {
+    exited = true;
+  });
+  child.unref();
+
+  // The publisher takes the lock once it is up; it exits if it cannot
+  const started = await waitFor(
+    () => exited || readPublisherLock()?.pid === child.pid
+  );
+
+  if (exited || !started) {
+    throw new Error(
+      `The publisher did not start. Last log lines:\n${tailLog(5).join("\n")}`
+    );
+  }
+
+  if (argv.json) {
+    printJson(getStatus());
+    return;
+  }
+
+  console.log(chalk.green(`✓ Publisher started (PID ${child.pid})`));
+  console.log(chalk.gray(`Logging to ${logPath}`));
+};
+
+/**
+ * Stop the background publisher
+ * @param {Object} argv - Command arguments
+ */
+const stopDaemon = async (argv) => {
+  const status = getStatus();
+
+  if (!status.running) {
+    if (argv.json) {
+      printJson({ ...status, stopped: false });
+      return;
+    }
+    console.log(chalk.yellow("The publisher is not running."));
+    return;
+  }
+
+  process.kill(status.pid, "SIGTERM");
+
+  if (!(await waitFor(() => !isProcessRunning(status.pid)))) {
+    throw new Error(
+      `The publisher (PID ${status.pid}) did not stop within ${WAIT_MS / 1000} seconds`
+    );
+  }
+
+  if (argv.json) {
+    printJson({ ...getStatus(), stopped: true });
+    return;
+  }
+
+  console.log(chalk.green(`✓ Publisher stopped (PID ${status.pid})`));
+};
+
+/**
+ * Print whether the publisher is running, and its latest log lines
+ * @param {Object} argv - Command arguments
+ */
+const showStatus = (argv) => {
+  const status = getStatus();
+
+  if (argv.json) {
+    printJson(status);
+    return;
+  }
+
+  if (status.running) {
+    console.log(
+      chalk.green(
+        `● Publisher running (PID ${status.pid}, since ${new Date(
+          status.startedAt
+        ).toLocaleString()})`
+      )
+    );
+  } else {
+    console.log(chalk.gray("○ Publisher not running"));
+  }
+  console.log(chalk.gray(`Log file: ${status.logPath}`));
+
+  const lines = tailLog(10);
+  if (lines.length > 0) {
+    console.log(chalk.gray("─".repeat(80)));
+    lines.forEach((line) => console.log(line));
+  }
+};
+
+/**
+ * Start, stop or check the background publisher
+ * The daemon runs `publish --continuous` detached from the terminal. It shares
+ * the publisher lock with a foreground `publish --continuous`, so only one of
+ * them runs at a time.
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.action - start, stop or status
+ * @example
+ * await manageDaemon({ action: 'start' });
+ * await manageDaemon({ action: 'status', json: true });
+ */
+export const manageDaemon = async (argv) => {
+  try {
+    if (argv.action === "start") {
+      await startDaemon(argv);
+    } else if (argv.action === "stop") {
+      await stopDaemon(argv);
+    } else {
+      showStatus(argv);
+    }
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
+    console.error(chalk.red(`Error running daemon ${argv.action}:`), error.message);
+    process.exitCode = 1;
+  }
+};
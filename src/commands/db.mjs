@@ -0,0 +1,83 @@
+import chalk from "chalk";
+import ora from "ora";
+
+import { connectDb, getDbPath } from "../utils/db.mjs";
+import {
+  getMigrationStatus,
+  getSchemaVersion,
+  runMigrations,
+} from "../utils/migrations/index.mjs";
+
+/**
+ * Print the status of every known migration
+ * @param {Object} db - Database connection
+ */
+const printStatus = (db) => {
+  const status = getMigrationStatus(db);
+  const pending = status.filter((m) => !m.applied);
+
+  console.log(chalk.cyan(`\nDatabase: ${getDbPath()}`));
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Schema version:")} ${getSchemaVersion(db)}`
+  );
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Pending migrations:")} ${pending.length}`
+  );
+  console.log(chalk.gray("─".repeat(80)));
+
+  status.forEach((migration) => {
+    const version = String(migration.version).padStart(3, "0");
+    const state = migration.applied
+      ? chalk.green(`applied ${migration.appliedAt}`)
+      : chalk.yellow("pending");
+
+    console.log(`${chalk.bold(version)} ${migration.name.padEnd(40)} ${state}`);
+  });
+
+  console.log("");
+};
+
+/**
+ * Apply pending database migrations, or show their status
+ * @param {Object} argv - Command arguments
+ * @example
+ * await migrateDb({ status: true });
+ */
+export const migrateDb = async (argv) => {
+  const db = connectDb();
+
+  try {
+    if (argv.status) {
+      printStatus(db);
+      return;
+    }
+
+    const spinner = ora("Applying database migrations...").start();
+    const { applied, fromVersion, toVersion, backupPath } = runMigrations(
+      db,
+      getDbPath()
+    );
+
+    if (applied.length === 0) {
+      spinner.info(`Database is up to date (schema version ${toVersion}).`);
+      return;
+    }
+
+    spinner.succeed(
+      `Migrated database from schema version ${fromVersion} to ${toVersion}.`
+    );
+
+    applied.forEach((migration) => {
+      console.log(` ${chalk.gray("•")} ${migration.version} ${migration.name}`);
+    });
+
+    if (backupPath) {
+      console.log(chalk.gray(`\nBackup saved to ${backupPath}`));
+    }
+  } catch (error) {
+    console.error(chalk.red("Error migrating database:"), error.message);
+    process.exit(1);
+  } finally {
+    db.close();
+  }
+};
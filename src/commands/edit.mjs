@@ -1,10 +1,145 @@
 import chalk from "chalk";
 import inquirer from "inquirer";
-import { getPosts, getPostById, updatePost, logAction } from "../utils/db.mjs";
+import {
+  getPosts,
+  getPostById,
+  updatePost,
+  logAction,
+  getMediaForPost,
+  getVariants,
+  setPostVariants,
+} from "../utils/db.mjs";
 import { getConfig } from "../utils/config.mjs";
+import { buildRecurrence, describeRecurrence } from "../utils/recurrence.mjs";
+import {
+  getDefaultTimeZone,
+  isValidTimeZone,
+  resolveTimeZone,
+} from "../utils/timezone.mjs";
+import { resolveMissedPolicy } from "../utils/missed.mjs";
+import { getLocalUser, resubmitIfApproved } from "../utils/review.mjs";
+import {
+  checkTargets,
+  describeTarget,
+  getTargets,
+  parseTarget,
+} from "../utils/accounts.mjs";
+import { normalizeVariants } from "../utils/variants.mjs";
+import { validatePost } from "../utils/validation.mjs";
+
+/**
+ * Prompt for the per-platform variants of a post
+ * Targets not selected keep their variants, so they come back if the target
+ * is selected again.
+ * @param {Object} post - Post being edited
+ * @param {Array<string>} targets - Selected targets
+ * @returns {Promise<Array<Object>>} Normalized variants of the post
+ */
+const editVariants = async (post, targets) => {
+  const media = getMediaForPost(post.id);
+  const variants = getVariants(post.id);
+  const edited = [];
+
+  // Variants are stored as 'bluesky' or 'bluesky:acme'
+  const toKey = (target) => {
+    const { platform, account } = parseTarget(target);
+    return account ? `${platform}:${account}` : platform;
+  };
+
+  for (const target of targets) {
+    const key = toKey(target);
+    const variant = variants.find((v) => v.platform === key) || {};
+    const label = describeTarget(target);
+    // Fields keep their value when left as is; "-" clears them
+    const value = (input) => (input.trim() === "-" ? null : input);
+
+    const { customize } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "customize",
+        message: `Customize the post for ${label}?`,
+        default: Boolean(variant.platform),
+      },
+    ]);
+
+    if (!customize) continue;
+
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "content",
+        message: `${label} text (empty to use the post's, - to clear):`,
+        default: variant.content || "",
+      },
+      {
+        type: "input",
+        name: "hashtags",
+        message: `${label} hashtags (- to clear):`,
+        default: variant.hashtags || "",
+      },
+      {
+        type: "input",
+        name: "link_url",
+        message: `${label} link card URL (- to clear):`,
+        default: variant.link_url || "",
+      },
+      {
+        type: "input",
+        name: "link_title",
+        message: `${label} link card title:`,
+        default: variant.link_title || "",
+        when: (answers) => Boolean(value(answers.link_url)),
+      },
+      {
+        type: "input",
+        name: "link_description",
+        message: `${label} link card description:`,
+        default: variant.link_description || "",
+        when: (answers) => Boolean(value(answers.link_url)),
+      },
+      {
+        type: "checkbox",
+        name: "media_ids",
+        message: `Media to attach on ${label}:`,
+        choices: media.map((item) => ({
+          name: item.original_name,
+          value: item.id,
+          checked: !variant.media_ids || variant.media_ids.includes(item.id),
+        })),
+        when: media.length > 0,
+      },
+    ]);
+
+    edited.push({
+      platform: key,
+      content: value(answers.content),
+      hashtags: value(answers.hashtags),
+      link_url: value(answers.link_url),
+      link_title: answers.link_title,
+      link_description: answers.link_description,
+      // Every attachment selected means the post's media
+      media_ids:
+        answers.media_ids && answers.media_ids.length < media.length
+          ? answers.media_ids
+          : null,
+    });
+  }
+
+  const keys = targets.map(toKey);
+  const kept = variants.filter((variant) => !keys.includes(variant.platform));
+
+  return normalizeVariants(
+    [...kept, ...edited],
+    media.map((item) => item.id)
+  );
+};
 
 /**
  * Edit a draft post by index
+ * The recurrence can be given with --repeat (plus --on, --interval, --until
+ * and --count), or --repeat none to stop repeating, and the time zone with
+ * --timezone; otherwise they are prompted for. --if-missed sets what happens
+ * when the post's time passes unpublished (default to use config).
  * @param {Object} argv - Command arguments
  */
 export const editPost = async (argv) => {
@@ -60,6 +195,27 @@ export const editPost = async (argv) => {
       process.exit(1);
     }
 
+    // Validate flags before prompting
+    if (argv.timezone) {
+      resolveTimeZone(argv.timezone);
+    }
+
+    const missedPolicy =
+      argv.ifMissed !== undefined
+        ? resolveMissedPolicy(argv.ifMissed)
+        : post.missed_policy;
+
+    let recurrence = post.recurrence;
+    if (argv.repeat) {
+      recurrence = buildRecurrence({
+        freq: argv.repeat,
+        byDay: argv.on || [],
+        interval: argv.interval,
+        until: argv.until,
+        count: argv.count,
+      });
+    }
+
     // Function to handle multiline input
     const getMultilineInput = async (prompt, defaultText) => {
       console.log(`${prompt} (Type 'EOF' on a new line when done)`);
@@ -140,8 +296,29 @@ export const editPost = async (argv) => {
       }
     }
     
-    // Get publish date and time
-    const { publishDate, publishTime, platforms } = await inquirer.prompt([
+    // Accounts to pick from, including ones the post targets that are no
+    // longer in config, so they are not dropped without notice
+    const postTargets = (post.platforms || "")
+      .split(",")
+      .map((target) => target.trim())
+      .filter(Boolean);
+    const targetChoices = getTargets().map(({ target, label }) => ({
+      name: label,
+      value: target,
+      checked: postTargets.some((t) => t.toLowerCase() === target.toLowerCase()),
+    }));
+    postTargets
+      .filter((target) => checkTargets([target]).length > 0)
+      .forEach((target) =>
+        targetChoices.push({
+          name: `${describeTarget(target)} ${chalk.red("(not in config)")}`,
+          value: target,
+          checked: true,
+        })
+      );
+
+    // Get publish date, time and time zone
+    const { publishDate, publishTime, timezone, platforms } = await inquirer.prompt([
       {
         type: "input",
         name: "publishDate",
@@ -178,24 +355,62 @@ export const editPost = async (argv) => {
           return "Please enter a valid time format";
         },
       },
+      {
+        type: "input",
+        name: "timezone",
+        message: "Edit time zone (IANA name, e.g. Europe/London):",
+        default: post.timezone || getDefaultTimeZone(),
+        when: !argv.timezone,
+        validate: (input) =>
+          isValidTimeZone(input) ? true : "Please enter a valid IANA time zone",
+      },
       {
         type: "checkbox",
         name: "platforms",
-        message: "Select platforms to publish to:",
-        choices: [
-          // { name: 'Twitter', value: 'Twitter', checked: post.platforms && post.platforms.includes('Twitter') },
-          {
-            name: "Bluesky",
-            value: "Bluesky",
-            checked: post.platforms && post.platforms.includes("Bluesky"),
-          },
-          // { name: 'TikTok', value: 'TikTok', checked: post.platforms && post.platforms.includes('TikTok') },
-          // { name: 'Instagram', value: 'Instagram', checked: post.platforms && post.platforms.includes('Instagram') },
-          // { name: 'LinkedIn', value: 'LinkedIn', checked: post.platforms && post.platforms.includes('LinkedIn') }
-        ],
+        message: "Select platforms and accounts to publish to:",
+        choices: targetChoices,
+        validate: (input) => {
+          const errors = checkTargets(input);
+          return errors.length > 0 ? errors.join("; ") : true;
+        },
       },
     ]);
 
+    // Optionally write a different version of the post for some platforms
+    const { customizeVariants } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "customizeVariants",
+        message: "Edit per-platform variants (text, hashtags, link card, media)?",
+        default: getVariants(post.id).length > 0,
+      },
+    ]);
+    const variants = customizeVariants
+      ? await editVariants(post, platforms)
+      : null;
+
+    // Edit the recurrence unless it was given as flags
+    if (!argv.repeat) {
+      const { repeat } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "repeat",
+          message:
+            "Edit recurrence (daily, weekly, monthly, an RRULE, or none):",
+          default: post.recurrence || "none",
+          validate: (input) => {
+            try {
+              buildRecurrence({ freq: input });
+              return true;
+            } catch (error) {
+              return error.message;
+            }
+          },
+        },
+      ]);
+      recurrence = buildRecurrence({ freq: repeat });
+    }
+
     const config = getConfig();
     
     // Format the time
@@ -237,10 +452,45 @@ export const editPost = async (argv) => {
       content,
       platforms: platforms.join(","),
       publish_date: fullPublishDate,
+      timezone: argv.timezone || timezone,
+      recurrence,
+      missed_policy: missedPolicy,
     };
 
+    // A hand-picked date takes the post out of the queue
+    if (post.queued && fullPublishDate !== post.publish_date) {
+      updatedPost.queued = 0;
+    }
+
+    if (recurrence && !fullPublishDate) {
+      console.error(chalk.red("A recurring post needs a publish date."));
+      process.exit(1);
+    }
+
+    // The post, and each platform's variant, has to fit its platforms
+    const { errors, warnings } = validatePost(
+      {
+        content,
+        media: getMediaForPost(post.id),
+        variants: variants ?? getVariants(post.id),
+      },
+      platforms
+    );
+    if (errors.length > 0) {
+      console.error(chalk.red("Post cannot be published:"));
+      errors.forEach((error) => console.error(chalk.red(`  - ${error}`)));
+      process.exit(1);
+    }
+    warnings.forEach((warning) =>
+      console.log(chalk.yellow("Warning:"), warning)
+    );
+
     const success = updatePost(post.id, updatedPost);
 
+    if (success && variants) {
+      setPostVariants(post.id, variants);
+    }
+
     if (success) {
       // Log the action
       logAction("post_edited", {
@@ -249,6 +499,14 @@ export const editPost = async (argv) => {
       });
 
       console.log(chalk.green("\n✓ Post updated successfully!"));
+      if (resubmitIfApproved(post, getLocalUser())) {
+        console.log(
+          chalk.yellow("It was approved before, so it needs review again.")
+        );
+      }
+      if (recurrence) {
+        console.log(chalk.gray(`Repeats ${describeRecurrence(recurrence)}`));
+      }
       console.log(
         chalk.gray("Run"),
         chalk.cyan("social-light list"),
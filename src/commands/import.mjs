@@ -0,0 +1,134 @@
+import chalk from "chalk";
+import ora from "ora";
+
+import {
+  getDeliveryByRemoteUri,
+  importPost,
+  logAction,
+} from "../utils/db.mjs";
+import { describeTarget, resolveTarget } from "../utils/accounts.mjs";
+import { getSocialAPI } from "../utils/social/index.mjs";
+import { getLocalUser } from "../utils/review.mjs";
+import { printJson, printJsonError } from "../utils/output.mjs";
+
+/**
+ * Import an account's Bluesky posts as published posts
+ * Pages through the account's feed, newest first. Posts already in the
+ * database, whether imported before or published by social-light, are skipped.
+ * @param {string} target - 'Bluesky' or 'bluesky:account'
+ * @param {Object} options - Options
+ * @param {number} options.limit - Stop after this many posts (default: all)
+ * @param {Function} options.onPage - Called with the number of posts seen so far
+ * @returns {Promise<Object>} imported (post IDs) and skipped (count)
+ */
+const importBluesky = async (target, { limit = Infinity, onPage = () => {} } = {}) => {
+  const platform = await getSocialAPI().ensurePlatform(target);
+  const by = getLocalUser();
+  const imported = [];
+  let skipped = 0;
+  let cursor = null;
+
+  do {
+    const page = await platform.getAuthorFeed({
+      cursor,
+      limit: Math.min(limit - imported.length - skipped, 100),
+    });
+
+    for (const post of page.posts.slice(0, limit - imported.length - skipped)) {
+      if (getDeliveryByRemoteUri(post.uri)) {
+        skipped++;
+        continue;
+      }
+
+      imported.push(
+        importPost(
+          {
+            content: post.text,
+            platforms: target,
+            published_at: post.createdAt,
+            remote_uri: post.uri,
+            remote_cid: post.cid,
+          },
+          { by }
+        )
+      );
+    }
+
+    cursor = page.cursor;
+    onPage(imported.length + skipped);
+  } while (cursor && imported.length + skipped < limit);
+
+  return { imported, skipped };
+};
+
+/**
+ * Import posts published outside social-light
+ * Imported posts are stored as published, so they show up with the rest of
+ * the history and AI scheduling suggestions can learn from them.
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.platform - Platform to import from; only bluesky is supported
+ * @param {string} argv.account - Named account to import (default: the platform's default account)
+ * @param {number} argv.limit - Stop after this many posts (default: all)
+ * @example
+ * await importPosts({ platform: 'bluesky' });
+ * await importPosts({ platform: 'bluesky', account: 'acme', limit: 200, json: true });
+ */
+export const importPosts = async (argv) => {
+  const spinner = argv.json ? null : ora("Importing posts...").start();
+
+  try {
+    const target = resolveTarget(
+      argv.account ? `${argv.platform}:${argv.account}` : argv.platform
+    );
+
+    if (argv.limit !== undefined && !(argv.limit > 0)) {
+      throw new Error("--limit must be a positive number");
+    }
+
+    const { imported, skipped } = await importBluesky(target, {
+      limit: argv.limit ?? Infinity,
+      onPage: (seen) => {
+        if (spinner) spinner.text = `Importing posts... (${seen} checked)`;
+      },
+    });
+
+    logAction("posts_imported", {
+      platform: target,
+      imported: imported.length,
+      skipped,
+    });
+
+    if (argv.json) {
+      printJson({ platform: target, imported, skipped });
+      return;
+    }
+
+    spinner.succeed(
+      `Imported ${imported.length} post${
+        imported.length !== 1 ? "s" : ""
+      } from ${describeTarget(target)}.`
+    );
+    if (skipped > 0) {
+      console.log(
+        chalk.gray(
+          `  ${skipped} post${skipped !== 1 ? "s were" : " was"} already in the database.`
+        )
+      );
+    }
+    if (imported.length > 0) {
+      console.log(
+        chalk.gray("\nRun"),
+        chalk.cyan("social-light list --published"),
+        chalk.gray("to see them.")
+      );
+    }
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
+    spinner.fail("Import failed");
+    console.error(chalk.red("Error:"), error.message);
+    process.exitCode = 1;
+  }
+};
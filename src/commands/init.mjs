@@ -12,6 +12,7 @@ import {
   updateCredentials,
 } from "../utils/config.mjs";
 import { initializeDb } from "../utils/db.mjs";
+import { getSystemTimeZone } from "../utils/timezone.mjs";
 
 // Load environment variables
 dotenv.config();
@@ -50,8 +51,9 @@ export const initialize = async (argv) => {
       spinner.start("Reinitializing Social Light...");
     }
 
-    // Create default config
-    const config = createDefaultConfig();
+    // Create default config, scheduling in this machine's time zone
+    createDefaultConfig();
+    const config = updateConfig({ timezone: getSystemTimeZone() });
 
     // Initialize database first
     spinner.text = "Setting up database...";
@@ -64,7 +66,7 @@ export const initialize = async (argv) => {
     // Configure platforms
     spinner.text = "Setting up platforms...";
 
-    // Bluesky is the only platform we support
+    // Bluesky is always enabled, Mastodon is added once configured
     const platforms = ["Bluesky"];
 
     // Check if we need to collect Bluesky credentials
@@ -189,6 +191,62 @@ export const initialize = async (argv) => {
       );
     }
 
+    // Get existing Mastodon credentials from .env, if available
+    const mastodonInstance = process.env.MASTODON_INSTANCE || "";
+    const mastodonToken = process.env.MASTODON_ACCESS_TOKEN || "";
+
+    console.log(chalk.cyan("\nMastodon Account Setup"));
+    console.log(
+      chalk.gray(
+        "Create an application under Preferences > Development on your instance"
+      )
+    );
+
+    const { collectMastodon } = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "collectMastodon",
+        message: "Would you like to set up your Mastodon credentials now?",
+        default: Boolean(mastodonInstance),
+      },
+    ]);
+
+    if (collectMastodon) {
+      const mastodonCredentials = await inquirer.prompt([
+        {
+          type: "input",
+          name: "instance",
+          message: "Enter your Mastodon instance URL:",
+          default: mastodonInstance || "https://mastodon.social",
+          validate: (input) =>
+            /^https?:\/\//.test(input)
+              ? true
+              : "Instance URL should start with https://",
+        },
+        {
+          type: "password",
+          name: "accessToken",
+          message: "Enter your Mastodon access token:",
+          mask: "*",
+          default: mastodonToken || undefined,
+          validate: (input) =>
+            input.length > 0 ? true : "Access token cannot be empty",
+        },
+        {
+          type: "list",
+          name: "visibility",
+          message: "Default post visibility:",
+          choices: ["public", "unlisted", "private", "direct"],
+          default: "public",
+        },
+      ]);
+
+      updateCredentials("mastodon", mastodonCredentials);
+      platforms.push("Mastodon");
+
+      console.log(chalk.green("\n✓ Mastodon credentials saved to config.json"));
+    }
+
     spinner.start("Updating configuration...");
 
     // Update config with selected platforms
@@ -210,11 +268,19 @@ export const initialize = async (argv) => {
         platforms.join(", ") || "None"
       }`
     );
+    console.log(
+      ` ${chalk.gray("•")} ${chalk.bold("Time zone:")} ${config.timezone}`
+    );
     console.log(
       ` ${chalk.gray("•")} ${chalk.bold("AI features:")} ${
         config.aiEnabled ? chalk.green("Enabled") : chalk.red("Disabled")
       }`
     );
+    console.log(
+      ` ${chalk.gray("•")} ${chalk.bold("AI provider:")} ${
+        config.ai?.provider || "openai"
+      }${config.ai?.baseUrl ? chalk.gray(` (${config.ai.baseUrl})`) : ""}`
+    );
 
     // Display credentials info
     const hasOpenAI = Boolean(
@@ -225,6 +291,10 @@ export const initialize = async (argv) => {
         (config.credentials?.bluesky?.handle &&
           config.credentials?.bluesky?.password)
     );
+    const hasMastodon = Boolean(
+      (process.env.MASTODON_INSTANCE && process.env.MASTODON_ACCESS_TOKEN) ||
+        platforms.includes("Mastodon")
+    );
 
     console.log("\n", chalk.cyan("Credentials:"));
     console.log(
@@ -237,6 +307,11 @@ export const initialize = async (argv) => {
         hasBluesky ? chalk.green("Configured") : chalk.yellow("Not configured")
       }`
     );
+    console.log(
+      ` ${chalk.gray("•")} ${chalk.bold("Mastodon:")} ${
+        hasMastodon ? chalk.green("Configured") : chalk.yellow("Not configured")
+      }`
+    );
 
     console.log(
       "\n",
@@ -1,9 +1,52 @@
+import chalk from "chalk";
+
+import { getPosts, getDeliveries, getMediaForPost } from "../utils/db.mjs";
+import { printJson, printJsonError, serializePost } from "../utils/output.mjs";
+import { parseStatusFilter } from "../utils/status.mjs";
 import { listPublished } from "./published.mjs";
-import { listUnpublished } from "./unpublished.mjs";
+import { listPostsByStatus, listUnpublished } from "./unpublished.mjs";
+
+/**
+ * Get posts in their JSON representation, numbered like the table output
+ * @param {Object} filters - getPosts filters, e.g. { published: false } or { status: ['failed'] }
+ * @returns {Array} Serialized posts with their list index
+ */
+const serializePosts = (filters) =>
+  getPosts(filters).map((post, index) => ({
+    index: index + 1,
+    ...serializePost(post, getDeliveries(post.id), getMediaForPost(post.id)),
+  }));
 
+/**
+ * List posts command handler
+ * --status replaces the published/unpublished split with a status filter.
+ * @param {Object} argv - Command arguments
+ * @example
+ * await list({ unpublished: true });
+ * await list({ status: ['failed', 'partially_published'], json: true });
+ */
 export const list = async (argv) => {
   try {
     const { published, unpublished } = argv;
+    const statuses = parseStatusFilter(argv.status);
+
+    if (statuses) {
+      if (argv.json) {
+        printJson({ posts: serializePosts({ status: statuses }) });
+        return;
+      }
+
+      await listPostsByStatus(statuses);
+      return;
+    }
+
+    if (argv.json) {
+      const result = {};
+      if (published) result.published = serializePosts({ published: true });
+      if (unpublished) result.unpublished = serializePosts({ published: false });
+      printJson(result);
+      return;
+    }
 
     if (!published && !unpublished) {
       console.log(chalk.yellow("No filter specified. Listing all posts."));
@@ -26,6 +69,11 @@ export const list = async (argv) => {
       console.log(chalk.yellow("No posts found."));
     }
   } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
     console.error(chalk.red("Error listing posts:"), error.message);
+    process.exitCode = 1;
   }
 };
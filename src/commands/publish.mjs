@@ -1,8 +1,46 @@
 import chalk from "chalk";
 import ora from "ora";
 import cron from "node-cron";
-import { getPosts, markAsPublished, logAction } from "../utils/db.mjs";
+import {
+  getPosts,
+  getPostById,
+  recordDeliveries,
+  getDeliveries,
+  getPendingPlatforms,
+  getRetryablePostIds,
+  getMediaForPost,
+  getVariants,
+  getLastPublishedAt,
+  updatePost,
+  claimPost,
+  releasePost,
+  logAction,
+} from "../utils/db.mjs";
+import {
+  acquirePublisherLock,
+  releasePublisherLock,
+} from "../utils/lock.mjs";
 import { getSocialAPI } from "../utils/social/index.mjs";
+import { spawnNextOccurrence } from "../utils/recurrence.mjs";
+import { getPostVariants } from "../utils/variants.mjs";
+import { validatePost } from "../utils/validation.mjs";
+import { getPublishTime } from "../utils/timezone.mjs";
+import {
+  PUBLISHED_STATUSES,
+  RETRY_STATUSES,
+  getDeliveredStatus,
+} from "../utils/status.mjs";
+import {
+  confirmLate,
+  getMissedPolicy,
+  getMissedSettings,
+  getOverdueMinutes,
+  isHeld,
+  isMissed,
+  markMissed,
+} from "../utils/missed.mjs";
+import { getReadyStatuses } from "../utils/review.mjs";
+import { EXIT_CODES, printJson, printJsonError } from "../utils/output.mjs";
 
 /**
  * Check if a post is eligible for publishing
@@ -11,37 +49,222 @@ import { getSocialAPI } from "../utils/social/index.mjs";
  */
 const isEligibleForPublishing = (post) => {
   // If no publish date specified, it's eligible immediately
-  if (!post.publish_date) {
+  const publishTime = getPublishTime(post);
+  if (!publishTime) {
     return true;
   }
 
-  // Check if publish date and time is now or in the past
-  let publishDateTime;
-  
-  // If the date includes time component (contains 'T' or ' ')
-  if (post.publish_date.includes('T') || post.publish_date.includes(' ')) {
-    publishDateTime = new Date(post.publish_date);
-  } else {
-    // If only date is provided, assume start of day
-    publishDateTime = new Date(post.publish_date);
-    publishDateTime.setHours(0, 0, 0, 0);
+  // Compare instants, so the publisher's own time zone does not matter
+  return publishTime <= new Date();
+};
+
+/**
+ * Build the outcome of a post the publisher held back
+ * @param {Object} post - Post object
+ * @param {string} reason - missed, awaiting_confirmation or spacing
+ * @param {Object} details - Extra fields, e.g. nextAttemptAt
+ * @returns {Object} Outcome with skipped set to the reason
+ */
+const skippedOutcome = (post, reason, details = {}) => ({
+  postId: post.id,
+  title: post.title,
+  retry: false,
+  published: false,
+  status: post.status,
+  skipped: reason,
+  platforms: {},
+  nextPostId: null,
+  ...details,
+});
+
+/**
+ * Apply the missed-window policy to a post whose time has long passed
+ * @param {Object} post - Post object
+ * @param {Function} log - Progress logger
+ * @returns {Object|null} Outcome if the post is held back, null to publish it now
+ */
+const applyMissedPolicy = (post, log) => {
+  const overdue = getOverdueMinutes(post);
+  const policy = getMissedPolicy(post);
+
+  if (policy === "skip") {
+    const nextPostId = markMissed(post, "policy");
+    log(
+      chalk.yellow(
+        `Skipped post ID ${post.id}: ${overdue} minutes overdue, marked as missed`
+      )
+    );
+    return skippedOutcome(post, "missed", { nextPostId });
+  }
+
+  if (policy === "confirm" && post.missed_status !== "confirmed") {
+    updatePost(post.id, { missed_status: "awaiting_confirmation" });
+    logAction("post_awaiting_confirmation", {
+      postId: post.id,
+      title: post.title,
+      overdueMinutes: overdue,
+    });
+    log(
+      chalk.yellow(
+        `Holding post ID ${post.id}: ${overdue} minutes overdue. Run "social-light publish --confirm ${post.id}" to publish it late`
+      )
+    );
+    return skippedOutcome(post, "awaiting_confirmation");
+  }
+
+  // Publish late, but space catch-up posts out instead of sending them in a burst
+  const { spacingMinutes } = getMissedSettings();
+  const lastPublishedAt = getLastPublishedAt();
+  const nextSlot =
+    lastPublishedAt && new Date(lastPublishedAt.getTime() + spacingMinutes * 60000);
+
+  if (spacingMinutes > 0 && nextSlot && nextSlot > new Date()) {
+    log(
+      chalk.gray(
+        `Post ID ${post.id} is ${overdue} minutes late; publishing it after ${nextSlot.toLocaleTimeString()} to space out catch-up posts`
+      )
+    );
+    return skippedOutcome(post, "spacing", {
+      nextAttemptAt: nextSlot.toISOString(),
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Confirm or skip posts held back by the missed-window policy
+ * @param {Array<number>} ids - Post IDs
+ * @param {string} action - confirm (publish late) or skip (mark missed)
+ * @returns {number} Number of posts updated
+ * @throws {Error} If a post does not exist or was already published
+ */
+const resolveHeldPosts = (ids, action) => {
+  ids.forEach((id) => {
+    const post = getPostById(Number(id));
+
+    if (!post) {
+      throw new Error(`Post ID ${id} not found`);
+    }
+    if (PUBLISHED_STATUSES.includes(post.status)) {
+      throw new Error(`Post ID ${id} is already published`);
+    }
+
+    if (action === "confirm") {
+      confirmLate(post, "cli");
+    } else {
+      markMissed(post, "cli");
+    }
+  });
+
+  return ids.length;
+};
+
+/**
+ * Describe what happens next for a failed delivery
+ * @param {Object} delivery - Delivery record
+ * @returns {string} Retry information
+ */
+const describeRetry = (delivery) => {
+  if (!delivery) return "";
+  if (delivery.status === "permanently_failed") {
+    return ` (gave up after ${delivery.attempts} attempts)`;
+  }
+  if (delivery.next_attempt_at) {
+    return ` (attempt ${delivery.attempts}, retrying after ${new Date(
+      delivery.next_attempt_at
+    ).toLocaleString()})`;
   }
-  
-  const now = new Date();
-  
-  return publishDateTime <= now;
+  return "";
+};
+
+/**
+ * Summarize a post's platform results together with their delivery records
+ * @param {Object} results - Per-platform results from SocialAPI.post
+ * @param {Map} deliveries - Delivery records keyed by platform
+ * @returns {Object} Per-platform outcome
+ */
+const summarizeResults = (results, deliveries) =>
+  Object.fromEntries(
+    Object.entries(results).map(([platform, result]) => {
+      const delivery = deliveries.get(platform);
+      return [
+        platform,
+        {
+          success: Boolean(result.success),
+          partial: Boolean(result.partial),
+          id: result.id || delivery?.remote_id || null,
+          uri: result.uri || delivery?.remote_uri || null,
+          error: result.error || null,
+          status: delivery?.status || null,
+          attempts: delivery?.attempts || 0,
+          nextAttemptAt: delivery?.next_attempt_at || null,
+        },
+      ];
+    })
+  );
+
+/**
+ * Get the process exit code for a set of publish outcomes
+ * @param {Array} outcomes - Outcomes from publishEligiblePosts
+ * @returns {number} EXIT_CODES.SUCCESS, EXIT_CODES.PARTIAL or EXIT_CODES.ERROR
+ */
+const getExitCode = (outcomes) => {
+  const platformResults = outcomes.flatMap((o) => Object.values(o.platforms));
+  const failed =
+    outcomes.some((o) => o.error) ||
+    platformResults.some((r) => !r.success || r.partial);
+
+  if (!failed) return EXIT_CODES.SUCCESS;
+  return platformResults.some((r) => r.success || r.partial)
+    ? EXIT_CODES.PARTIAL
+    : EXIT_CODES.ERROR;
 };
 
 /**
  * Publish eligible posts once
- * @returns {Promise<Array>} Array of published post IDs
+ * Scheduled and approved posts (only approved ones with review.required) are
+ * sent to all of their platforms; failed and partially published posts are
+ * retried only on the platforms that failed. Each post ends up published,
+ * partially_published or failed.
+ * @param {Object} options - Publish options
+ * @param {boolean} options.quiet - Don't print progress (default: false)
+ * @returns {Promise<Array>} Outcome per attempted post with postId, title, published, status, platforms and error
+ * @example
+ * const outcomes = await publishEligiblePosts({ quiet: true });
  */
-const publishEligiblePosts = async () => {
-  // Get unpublished posts
-  const posts = getPosts({ published: false });
+export const publishEligiblePosts = async ({ quiet = false } = {}) => {
+  const log = quiet ? () => {} : console.log;
+
+  // Get scheduled and approved posts (only approved ones when review is required)
+  const posts = getPosts({ status: getReadyStatuses() });
 
-  // Filter eligible posts
-  const eligiblePosts = posts.filter(isEligibleForPublishing);
+  // Filter eligible posts, leaving out missed ones and those waiting for confirmation
+  const eligiblePosts = posts.filter(
+    (post) => !isHeld(post) && isEligibleForPublishing(post)
+  );
+
+  // Add failed and partially published posts with platforms due for a retry
+  const eligibleIds = new Set(eligiblePosts.map((post) => post.id));
+  for (const postId of getRetryablePostIds()) {
+    const post = getPostById(postId);
+    if (
+      post &&
+      !eligibleIds.has(postId) &&
+      RETRY_STATUSES.includes(post.status) &&
+      !isHeld(post) &&
+      isEligibleForPublishing(post)
+    ) {
+      eligiblePosts.push(post);
+      eligibleIds.add(postId);
+    }
+  }
+
+  // Add posts left in publishing by a publisher that died; claimPost only
+  // hands them out once their claim has expired
+  getPosts({ status: "publishing" })
+    .filter((post) => !eligibleIds.has(post.id))
+    .forEach((post) => eligiblePosts.push(post));
 
   if (eligiblePosts.length === 0) {
     return [];
@@ -50,46 +273,124 @@ const publishEligiblePosts = async () => {
   // Initialize social API
   const socialAPI = getSocialAPI();
 
-  // Track published post IDs
-  const publishedPostIds = [];
+  // Track what happened to each post
+  const outcomes = [];
 
   // Publish each eligible post
-  for (const post of eligiblePosts) {
+  for (const eligiblePost of eligiblePosts) {
+    // Another publisher (e.g. the web server) may be sending this post right now
+    const previousStatus = claimPost(eligiblePost.id);
+    if (!previousStatus) {
+      log(
+        chalk.yellow(
+          `Skipping post ID ${eligiblePost.id}: Being published by another process`
+        )
+      );
+      continue;
+    }
+
+    // Re-read the post, which may have been published or deleted since it was listed
+    const claimedPost = getPostById(eligiblePost.id);
+    if (!claimedPost) {
+      continue;
+    }
+
+    // Work with the status the post had before the claim moved it to publishing
+    const post = { ...claimedPost, status: previousStatus };
+
+    const wasPublished = PUBLISHED_STATUSES.includes(previousStatus);
+
+    // Status to leave the post in; null puts it back to previousStatus
+    let finalStatus = null;
+
     try {
       // Skip posts with no platforms
       if (!post.platforms || post.platforms.trim() === "") {
-        console.log(
+        log(
           chalk.yellow(`Skipping post ID ${post.id}: No platforms specified`)
         );
         continue;
       }
 
-      // Prepare platforms array
-      const platforms = post.platforms.split(",").map((p) => p.trim());
+      // Only platforms not yet delivered, and not waiting out a retry backoff
+      const platforms = getPendingPlatforms(post);
+
+      if (platforms.length === 0) {
+        continue;
+      }
+
+      // Posts whose time has long passed follow the missed-window policy;
+      // a retry of a failed attempt did not miss its window
+      if (!wasPublished && !RETRY_STATUSES.includes(previousStatus) && isMissed(post)) {
+        const held = applyMissedPolicy(post, log);
+        if (held) {
+          outcomes.push(held);
+          continue;
+        }
+      }
+
+      // Check the post just before it is sent. Platforms it cannot go to
+      // fail permanently in socialAPI.post, so only warnings are shown here.
+      const { warnings } = validatePost(
+        {
+          content: post.content,
+          media: getMediaForPost(post.id),
+          variants: getVariants(post.id),
+        },
+        platforms
+      );
+      warnings.forEach((warning) =>
+        log(chalk.yellow(`  ! Post ID ${post.id}: ${warning}`))
+      );
 
       // Publish post to specified platforms
       const result = await socialAPI.post({
         text: post.content,
         title: post.title,
+        media: getMediaForPost(post.id),
         platforms,
-        // Add more options as needed
+        variants: getPostVariants(post, platforms),
       });
 
-      // If post was successfully published to at least one platform, mark as published
-      const anySuccess = Object.values(result.results).some((r) => r.success);
+      // Keep each platform's remote IDs and outcome, scheduling retries for failures
+      recordDeliveries(post.id, result.results);
+      const deliveries = new Map(
+        getDeliveries(post.id).map((d) => [d.platform, d])
+      );
+
+      // The post is published once every platform has it, partially published
+      // while some still fail and failed while none has it. A partially posted
+      // thread already exists remotely, so reposting it would duplicate parts.
+      finalStatus = getDeliveredStatus(post, [...deliveries.values()]);
+      const anySuccess = Object.values(result.results).some(
+        (r) => r.success || r.partial
+      );
+
+      outcomes.push({
+        postId: post.id,
+        title: post.title,
+        retry: wasPublished,
+        published: anySuccess,
+        status: finalStatus,
+        platforms: summarizeResults(result.results, deliveries),
+        nextPostId: null,
+      });
 
       if (anySuccess) {
-        markAsPublished(post.id);
-        publishedPostIds.push(post.id);
+        if (!wasPublished) {
+          // Recurring posts continue with their next occurrence
+          outcomes[outcomes.length - 1].nextPostId = spawnNextOccurrence(post);
+        }
 
         // Log the action with platform results
         logAction("post_published", {
           postId: post.id,
           platforms: result.results,
           title: post.title,
+          retry: wasPublished,
         });
 
-        console.log(
+        log(
           chalk.green(
             `✓ Published post ID ${post.id} to platforms: ${Object.keys(
               result.results
@@ -98,60 +399,164 @@ const publishEligiblePosts = async () => {
               .join(", ")}`
           )
         );
+
+        const { nextPostId } = outcomes[outcomes.length - 1];
+        if (nextPostId) {
+          log(chalk.gray(`  Next occurrence scheduled as post ID ${nextPostId}`));
+        }
       } else {
-        console.log(
-          chalk.red(`✗ Failed to publish post ID ${post.id} to any platform`)
+        log(
+          chalk.red(
+            `✗ Failed to publish post ID ${post.id} to ${
+              wasPublished ? "remaining platforms" : "any platform"
+            }`
+          )
         );
+      }
 
-        // Log failures
-        for (const [platform, platformResult] of Object.entries(
-          result.results
-        )) {
-          if (!platformResult.success) {
-            console.log(chalk.red(`  - ${platform}: ${platformResult.error}`));
-          }
+      // Report threads that stopped part way through, and failures with their retry state
+      for (const [platform, platformResult] of Object.entries(
+        result.results
+      )) {
+        if (platformResult.partial) {
+          log(chalk.yellow(`  ! ${platform}: ${platformResult.error}`));
+        } else if (!platformResult.success) {
+          log(
+            chalk.red(
+              `  - ${platform}: ${platformResult.error}${describeRetry(
+                deliveries.get(platform)
+              )}`
+            )
+          );
         }
       }
     } catch (error) {
-      console.error(
-        chalk.red(`Error publishing post ID ${post.id}:`),
-        error.message
-      );
+      outcomes.push({
+        postId: post.id,
+        title: post.title,
+        retry: wasPublished,
+        published: false,
+        status: previousStatus,
+        platforms: {},
+        error: error.message,
+      });
+
+      if (!quiet) {
+        console.error(
+          chalk.red(`Error publishing post ID ${post.id}:`),
+          error.message
+        );
+      }
+    } finally {
+      releasePost(post.id, { status: finalStatus });
     }
   }
 
-  return publishedPostIds;
+  return outcomes;
 };
 
 /**
  * Publish posts command handler
+ * Sets the exit code to 1 when nothing could be published and 2 when some platforms failed.
  * @param {Object} argv - Command arguments
+ * @example
+ * await publishPosts({ json: true }); // Print per-platform results as JSON
+ * await publishPosts({ confirm: [12] }); // Publish an overdue post held for confirmation
  */
 export const publishPosts = async (argv) => {
+  // Settle posts held back by the missed-window policy first
+  try {
+    if (argv.confirm?.length) resolveHeldPosts(argv.confirm, "confirm");
+    if (argv.skip?.length) resolveHeldPosts(argv.skip, "skip");
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+    } else {
+      console.error(chalk.red("Error:"), error.message);
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+    return;
+  }
+
   // Check if continuous mode is enabled
   if (argv.continuous) {
-    console.log(chalk.cyan("Starting continuous publishing mode..."));
-    console.log(chalk.gray("Press Ctrl+C to stop"));
+    // Only one continuous publisher may run at a time
+    try {
+      acquirePublisherLock();
+    } catch (error) {
+      if (argv.json) {
+        printJsonError(error);
+      } else {
+        console.error(chalk.red("Error:"), error.message);
+        process.exitCode = EXIT_CODES.ERROR;
+      }
+      return;
+    }
+
+    process.on("exit", releasePublisherLock);
+    ["SIGINT", "SIGTERM"].forEach((signal) => {
+      process.on(signal, () => process.exit(EXIT_CODES.SUCCESS));
+    });
+
+    if (!argv.json) {
+      console.log(
+        chalk.cyan(
+          `Starting continuous publishing mode (PID ${process.pid})...`
+        )
+      );
+      console.log(chalk.gray("Press Ctrl+C to stop"));
+    }
 
     // Initial publish
-    await runContinuousPublish();
+    await runContinuousPublish(argv);
 
-    // Set up cron job to run every minute
+    // Set up cron job to run every minute, skipping ticks while a cycle is still running
+    let running = false;
     cron.schedule("* * * * *", async () => {
-      await runContinuousPublish();
+      if (running) return;
+
+      running = true;
+      try {
+        await runContinuousPublish(argv);
+      } finally {
+        running = false;
+      }
     });
 
     // Keep process alive
     process.stdin.resume();
+  } else if (argv.json) {
+    try {
+      const outcomes = await publishEligiblePosts({ quiet: true });
+      printJson({
+        published: outcomes.filter((o) => o.published).length,
+        failed: outcomes.filter((o) => !o.published && !o.skipped).length,
+        skipped: outcomes.filter((o) => o.skipped).length,
+        posts: outcomes,
+      });
+      process.exitCode = getExitCode(outcomes);
+    } catch (error) {
+      printJsonError(error);
+    }
   } else {
     // One-time publish
     const spinner = ora("Publishing eligible posts...").start();
 
     try {
-      const publishedPostIds = await publishEligiblePosts();
+      const outcomes = await publishEligiblePosts();
+      const publishedPostIds = outcomes
+        .filter((o) => o.published)
+        .map((o) => o.postId);
+      const heldCount = outcomes.filter((o) => o.skipped).length;
 
-      if (publishedPostIds.length === 0) {
-        spinner.info("No eligible posts found for publishing.");
+      if (outcomes.length === heldCount) {
+        spinner.info(
+          heldCount > 0
+            ? `No posts published; ${heldCount} overdue post(s) held back.`
+            : "No eligible posts found for publishing."
+        );
+      } else if (publishedPostIds.length === 0) {
+        spinner.fail("No posts could be published.");
       } else {
         spinner.succeed(
           `Published ${publishedPostIds.length} post(s) successfully!`
@@ -162,29 +567,43 @@ export const publishPosts = async (argv) => {
           chalk.gray("to see published posts.")
         );
       }
+
+      process.exitCode = getExitCode(outcomes);
     } catch (error) {
       spinner.fail(`Error publishing posts: ${error.message}`);
       console.error(error);
+      process.exitCode = EXIT_CODES.ERROR;
     }
   }
 };
 
 /**
  * Run continuous publish cycle
+ * In JSON mode every cycle prints one line of JSON.
+ * @param {Object} argv - Command arguments
  */
-const runContinuousPublish = async () => {
+const runContinuousPublish = async (argv = {}) => {
   try {
-    // Get current time for logging
-    const now = new Date().toLocaleTimeString();
+    if (argv.json) {
+      const outcomes = await publishEligiblePosts({ quiet: true });
+      console.log(
+        JSON.stringify({ checkedAt: new Date().toISOString(), posts: outcomes })
+      );
+      return;
+    }
+
+    // Get current time for logging (with the date, since daemon logs span days)
+    const now = new Date().toLocaleString();
 
     console.log(chalk.gray(`[${now}] Checking for posts to publish...`));
 
-    const publishedPostIds = await publishEligiblePosts();
+    const outcomes = await publishEligiblePosts();
+    const publishedCount = outcomes.filter((o) => o.published).length;
 
-    if (publishedPostIds.length > 0) {
+    if (publishedCount > 0) {
       console.log(
         chalk.green(
-          `[${now}] Published ${publishedPostIds.length} post(s) successfully!`
+          `[${now}] Published ${publishedCount} post(s) successfully!`
         )
       );
     } else {
@@ -193,6 +612,10 @@ const runContinuousPublish = async () => {
       );
     }
   } catch (error) {
+    if (argv.json) {
+      console.log(JSON.stringify({ error: error.message }));
+      return;
+    }
     console.error(chalk.red("Error in publishing cycle:"), error.message);
   }
 };
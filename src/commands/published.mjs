@@ -1,5 +1,10 @@
 import chalk from "chalk";
-import { getPosts } from "../utils/db.mjs";
+import { getPosts, getDeliveries } from "../utils/db.mjs";
+import {
+  formatInTimeZone,
+  getDefaultTimeZone,
+  getPublishTime,
+} from "../utils/timezone.mjs";
 
 /**
  * Format post content for display
@@ -16,30 +21,66 @@ const formatContent = (content, maxLength = 60) => {
 };
 
 /**
- * Format date for display
- * @param {string} dateStr - Date string
+ * Format a post's publish date for display
+ * Shown in the configured time zone, with the post's own time added when it
+ * was scheduled in a different zone.
+ * @param {Object} post - Post with publish_date, timezone and publish_at
  * @returns {string} Formatted date
  */
-const formatDate = (dateStr) => {
-  if (!dateStr) return "No date";
+const formatDate = (post) => {
+  const publishTime = getPublishTime(post);
+  if (!publishTime) return "No date";
 
-  try {
-    const date = new Date(dateStr);
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
+  const timeZone = getDefaultTimeZone();
+  const [date, time] = formatInTimeZone(publishTime, timeZone).split(" ");
+  const [today] = formatInTimeZone(new Date(), timeZone).split(" ");
+  const [yesterday] = formatInTimeZone(
+    new Date(Date.now() - 24 * 60 * 60 * 1000),
+    timeZone
+  ).split(" ");
 
-    // Check if it's today or yesterday
-    if (date.toDateString() === today.toDateString()) {
-      return chalk.green("Today");
-    } else if (date.toDateString() === yesterday.toDateString()) {
-      return chalk.yellow("Yesterday");
-    }
+  // Check if it's today or yesterday
+  let label = date;
+  if (date === today) {
+    label = chalk.green("Today");
+  } else if (date === yesterday) {
+    label = chalk.yellow("Yesterday");
+  }
 
-    // Format as YYYY-MM-DD
-    return date.toISOString().split("T")[0];
-  } catch (error) {
-    return dateStr; // Fallback to raw date string
+  const postZone =
+    post.timezone && post.timezone !== timeZone
+      ? chalk.gray(` (${post.publish_date} ${post.timezone})`)
+      : "";
+
+  return `${label} ${time}${postZone}`;
+};
+
+/**
+ * Format a delivery record for display
+ * @param {Object} delivery - Delivery record
+ * @returns {string} Formatted delivery line
+ */
+const formatDelivery = (delivery) => {
+  const label = `${delivery.platform} (${delivery.status.replace("_", " ")}):`;
+
+  switch (delivery.status) {
+    case "published":
+    case "deleted":
+      return `${chalk.gray(label)} ${delivery.remote_uri || delivery.remote_id || ""}`;
+    case "partial":
+      return `${chalk.yellow(label)} ${delivery.error || delivery.remote_uri}`;
+    case "failed":
+      return `${chalk.yellow(label)} ${delivery.error} ${chalk.gray(
+        `(attempt ${delivery.attempts}, next try ${new Date(
+          delivery.next_attempt_at
+        ).toLocaleString()})`
+      )}`;
+    case "permanently_failed":
+      return `${chalk.red(label)} ${delivery.error} ${chalk.gray(
+        `(gave up after ${delivery.attempts} attempts)`
+      )}`;
+    default:
+      return chalk.gray(label);
   }
 };
 
@@ -68,7 +109,7 @@ export const listPublished = async (argv) => {
     // Display each post with index and details
     posts.forEach((post, index) => {
       const postNumber = chalk.bold(`[${index + 1}]`);
-      const postDate = formatDate(post.publish_date);
+      const postDate = formatDate(post);
       const postTitle = chalk.white(post.title || "No title");
       const postContent = formatContent(post.content);
       const postPlatforms = post.platforms
@@ -78,6 +119,11 @@ export const listPublished = async (argv) => {
       console.log(`${postNumber} ${postDate} ${postTitle}`);
       console.log(`    ${chalk.gray(postContent)}`);
       console.log(`    ${postPlatforms}`);
+
+      // Show where the post ended up on each platform, and what failed
+      getDeliveries(post.id).forEach((delivery) => {
+        console.log(`    ${formatDelivery(delivery)}`);
+      });
       console.log(chalk.gray("─".repeat(80)));
     });
 
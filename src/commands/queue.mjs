@@ -0,0 +1,123 @@
+import chalk from "chalk";
+
+import { logAction } from "../utils/db.mjs";
+import {
+  getFreeSlots,
+  getQueue,
+  reflowQueue,
+  shuffleQueue,
+} from "../utils/queue.mjs";
+import { printJson, printJsonError, serializePost } from "../utils/output.mjs";
+import { getTargets } from "../utils/accounts.mjs";
+
+/**
+ * Print the queued posts and the next free slots
+ */
+const printQueue = () => {
+  const queue = getQueue();
+
+  if (queue.length === 0) {
+    console.log(chalk.yellow("The queue is empty."));
+    console.log(
+      chalk.gray("Run"),
+      chalk.cyan("social-light create --queue"),
+      chalk.gray("to add a post to the next free slot.")
+    );
+  } else {
+    console.log(chalk.cyan(`\nQueue (${queue.length}):`));
+    console.log(chalk.gray("─".repeat(80)));
+
+    queue.forEach((post, index) => {
+      console.log(
+        `${chalk.bold(`[${index + 1}]`)} ${post.publish_date} ${chalk.white(
+          post.title || "No title"
+        )} ${chalk.blue(post.platforms || "")}`
+      );
+    });
+  }
+
+  // Free slots of every account
+  getTargets().forEach(({ target, label }) => {
+    const slots = getFreeSlots(target, 3);
+    if (slots.length > 0) {
+      console.log(
+        chalk.gray(`\nNext free ${label} slots: ${slots.map((slot) => slot.date).join(", ")}`)
+      );
+    }
+  });
+
+  console.log("");
+};
+
+/**
+ * Print the result of a shuffle or reflow
+ * @param {Array<Object>} moves - Posts with postId, title, from and to
+ */
+const printMoves = (moves) => {
+  const moved = moves.filter((move) => move.from !== move.to);
+
+  console.log(
+    chalk.green(`✓ ${moved.length} of ${moves.length} queued post(s) moved.`)
+  );
+
+  moves.forEach((move) => {
+    const change =
+      move.from === move.to
+        ? chalk.gray(move.to)
+        : `${chalk.gray(move.from || "no date")} → ${chalk.cyan(move.to)}`;
+    console.log(`  ${change} ${move.title || "No title"}`);
+  });
+};
+
+/**
+ * List, shuffle or reflow the posting queue
+ * Queue slots are set per platform under queue.slots in config.json.
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.action - list (default), shuffle or reflow
+ * @example
+ * await manageQueue({ action: 'list' });
+ * await manageQueue({ action: 'reflow', json: true });
+ */
+export const manageQueue = async (argv) => {
+  const action = argv.action || "list";
+
+  try {
+    if (action === "list") {
+      if (argv.json) {
+        printJson({
+          queue: getQueue().map((post) => serializePost(post)),
+          freeSlots: Object.fromEntries(
+            getTargets().map(({ target }) => [
+              target.toLowerCase(),
+              getFreeSlots(target, 3),
+            ])
+          ),
+        });
+        return;
+      }
+
+      printQueue();
+      return;
+    }
+
+    const moves = action === "shuffle" ? shuffleQueue() : reflowQueue();
+
+    logAction(`queue_${action}`, {
+      moved: moves.filter((move) => move.from !== move.to).length,
+    });
+
+    if (argv.json) {
+      printJson({ moves });
+      return;
+    }
+
+    printMoves(moves);
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
+    console.error(chalk.red(`Error running queue ${action}:`), error.message);
+    process.exitCode = 1;
+  }
+};
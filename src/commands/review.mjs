@@ -0,0 +1,182 @@
+import chalk from "chalk";
+
+import { getPostById, getReviews } from "../utils/db.mjs";
+import { printJson, printJsonError, serializePost } from "../utils/output.mjs";
+import { describeStatus } from "../utils/status.mjs";
+import {
+  getLocalUser,
+  getReviewQueue,
+  isReviewRequired,
+  reviewPost,
+} from "../utils/review.mjs";
+
+// Colors of the recorded review actions
+const ACTION_COLORS = {
+  submitted: chalk.blue,
+  commented: chalk.white,
+  approved: chalk.green,
+  rejected: chalk.red,
+};
+
+/**
+ * Print the review history of a post
+ * @param {Array<Object>} reviews - Review records, oldest first
+ */
+const printReviews = (reviews) => {
+  reviews.forEach((review) => {
+    const color = ACTION_COLORS[review.action] || chalk.white;
+    const by = review.reviewer ? chalk.gray(` by ${review.reviewer}`) : "";
+    const comment = review.comment ? `: ${review.comment}` : "";
+
+    console.log(
+      `  ${chalk.gray(review.created_at)} ${color(review.action)}${by}${comment}`
+    );
+  });
+};
+
+/**
+ * Print the posts waiting for review
+ */
+const printQueue = () => {
+  const queue = getReviewQueue();
+
+  if (queue.length === 0) {
+    console.log(chalk.yellow("No posts are waiting for review."));
+    return;
+  }
+
+  console.log(chalk.cyan(`\nWaiting for review (${queue.length}):`));
+  console.log(chalk.gray("─".repeat(80)));
+
+  queue.forEach((post) => {
+    console.log(
+      `${chalk.bold(`[ID ${post.id}]`)} ${chalk.white(
+        post.title || "No title"
+      )} ${chalk.blue(post.platforms || "")} ${chalk.gray(
+        post.publish_date || "no date"
+      )}`
+    );
+    console.log(
+      `  ${post.content.substring(0, 70)}${post.content.length > 70 ? "..." : ""}`
+    );
+    printReviews(post.reviews);
+  });
+
+  console.log(
+    chalk.gray("\nRun"),
+    chalk.cyan("social-light review approve <id>"),
+    chalk.gray("or"),
+    chalk.cyan('social-light review reject <id> -m "reason"')
+  );
+  console.log("");
+};
+
+/**
+ * Print a post with its review history
+ * @param {Object} post - Post object
+ */
+const printPost = (post) => {
+  console.log(chalk.cyan(`\nPost ID ${post.id}: ${post.title || "No title"}`));
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Status:")} ${describeStatus(post.status)}`
+  );
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Platforms:")} ${post.platforms || "None"}`
+  );
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Publish Date & Time:")} ${
+      post.publish_date || "Not scheduled"
+    }`
+  );
+  console.log(`\n${post.content}\n`);
+  console.log(chalk.gray("─".repeat(80)));
+
+  const reviews = getReviews(post.id);
+  if (reviews.length === 0) {
+    console.log(chalk.gray("  No reviews yet."));
+  } else {
+    printReviews(reviews);
+  }
+
+  console.log("");
+};
+
+/**
+ * List posts waiting for review, or submit, comment on, approve or reject a post
+ * The CLI has access to the database, so it acts as an approver; actions are
+ * attributed to the logged in OS user.
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.action - list (default), show, submit, comment, approve or reject
+ * @param {number} argv.id - Post ID
+ * @param {string} argv.comment - Comment; required to comment or reject
+ * @example
+ * await manageReview({ action: 'list' });
+ * await manageReview({ action: 'reject', id: 3, comment: 'Needs the event link' });
+ */
+export const manageReview = async (argv) => {
+  const action = argv.action || "list";
+
+  try {
+    if (action === "list") {
+      if (argv.json) {
+        printJson({
+          required: isReviewRequired(),
+          posts: getReviewQueue().map((post) => ({
+            ...serializePost(post),
+            reviews: post.reviews,
+          })),
+        });
+        return;
+      }
+
+      printQueue();
+      return;
+    }
+
+    if (!argv.id) {
+      throw new Error(`Please specify the ID of the post to ${action}`);
+    }
+
+    const post = getPostById(argv.id);
+    if (!post) {
+      throw new Error(`Post ID ${argv.id} not found`);
+    }
+
+    if (action === "show") {
+      if (argv.json) {
+        printJson({ ...serializePost(post), reviews: getReviews(post.id) });
+        return;
+      }
+
+      printPost(post);
+      return;
+    }
+
+    const review = reviewPost(post.id, action, {
+      by: getLocalUser(),
+      role: "approver",
+      comment: argv.comment,
+    });
+    const updated = getPostById(post.id);
+
+    if (argv.json) {
+      printJson({ postId: post.id, status: updated.status, review });
+      return;
+    }
+
+    console.log(
+      chalk.green(
+        `✓ Post ID ${post.id} ${review.action}; it is now ${describeStatus(
+          updated.status
+        )}.`
+      )
+    );
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
+    console.error(chalk.red("Error:"), error.message);
+    process.exitCode = 1;
+  }
+};
@@ -0,0 +1,305 @@
+import chalk from "chalk";
+import inquirer from "inquirer";
+
+import { getConfig, updateConfig } from "../utils/config.mjs";
+import {
+  createApiToken,
+  createUser,
+  deleteUser,
+  getApiTokens,
+  getUserByName,
+  getUsers,
+  revokeApiToken,
+  updateUser,
+} from "../utils/db.mjs";
+import { USER_ROLES } from "../utils/review.mjs";
+import { generateToken, hashPassword, hashToken } from "../server/auth.mjs";
+
+// Password prompts shared by server password and server user
+const PASSWORD_QUESTIONS = [
+  {
+    type: "password",
+    name: "password",
+    message: "Password:",
+    mask: "*",
+    validate: (input) =>
+      input.length >= 8 ? true : "Password must be at least 8 characters",
+  },
+  {
+    type: "password",
+    name: "confirm",
+    message: "Confirm password:",
+    mask: "*",
+    validate: (input, answers) =>
+      input === answers.password ? true : "Passwords do not match",
+  },
+];
+
+/**
+ * Print the stored API tokens
+ */
+const listTokens = () => {
+  const tokens = getApiTokens();
+
+  if (tokens.length === 0) {
+    console.log(chalk.yellow("No API tokens found."));
+    console.log(
+      chalk.gray("Run"),
+      chalk.cyan("social-light server token create <name>"),
+      chalk.gray("to create one.")
+    );
+    return;
+  }
+
+  console.log(chalk.cyan(`\nAPI Tokens (${tokens.length}):`));
+  console.log(chalk.gray("─".repeat(80)));
+
+  tokens.forEach((token) => {
+    const user = token.user_name ? chalk.blue(` (${token.user_name})`) : "";
+    console.log(
+      `${chalk.bold(`[${token.id}]`)} ${token.name.padEnd(30)}${user} ${chalk.gray(
+        `created ${token.created_at}, last used ${token.last_used_at || "never"}`
+      )}`
+    );
+  });
+
+  console.log("");
+};
+
+/**
+ * Manage API tokens for the web server
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.action - create, list or revoke
+ * @param {string} argv.name - Token name (create) or token ID/name (revoke)
+ * @param {string} argv.user - User the token acts as (create); without one it acts as an approver
+ * @example
+ * await manageTokens({ action: 'create', name: 'deploy-script' });
+ * await manageTokens({ action: 'create', name: 'sam-laptop', user: 'sam' });
+ */
+export const manageTokens = async (argv) => {
+  try {
+    switch (argv.action) {
+      case "list":
+        listTokens();
+        break;
+
+      case "create": {
+        if (!argv.name) {
+          console.error(chalk.red("Please specify a name for the token."));
+          process.exit(1);
+        }
+
+        if (getApiTokens().some((token) => token.name === argv.name)) {
+          console.error(chalk.red(`A token named "${argv.name}" already exists.`));
+          process.exit(1);
+        }
+
+        const user = argv.user ? getUserByName(argv.user) : null;
+        if (argv.user && !user) {
+          console.error(chalk.red(`No user "${argv.user}" found.`));
+          process.exit(1);
+        }
+
+        const token = generateToken();
+        createApiToken(argv.name, hashToken(token), user?.id ?? null);
+
+        console.log(
+          chalk.green(
+            `✓ Created API token "${argv.name}"${user ? ` for ${user.name}` : ""}.`
+          )
+        );
+        console.log(chalk.yellow("Copy it now, it will not be shown again:"));
+        console.log(chalk.bold(`  ${token}`));
+        console.log(
+          chalk.gray("\nUse it with"),
+          chalk.cyan(`Authorization: Bearer ${token.slice(0, 6)}...`),
+          chalk.gray("or to log in to the web interface.")
+        );
+        break;
+      }
+
+      case "revoke":
+        if (!argv.name) {
+          console.error(chalk.red("Please specify the ID or name of the token."));
+          process.exit(1);
+        }
+
+        if (revokeApiToken(argv.name)) {
+          console.log(chalk.green(`✓ Revoked API token "${argv.name}".`));
+        } else {
+          console.error(chalk.red(`No API token "${argv.name}" found.`));
+          process.exit(1);
+        }
+        break;
+
+      default:
+        console.error(chalk.red(`Unknown token action: ${argv.action}`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red("Error managing API tokens:"), error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Set the username and password for the web interface
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.username - Username to log in with
+ * @example
+ * await setServerPassword({ username: 'admin' });
+ */
+export const setServerPassword = async (argv) => {
+  try {
+    const config = getConfig();
+    const answers = await inquirer.prompt([
+      {
+        type: "input",
+        name: "username",
+        message: "Username for the web interface:",
+        default: config.server?.auth?.username || "admin",
+        when: !argv.username,
+      },
+      ...PASSWORD_QUESTIONS,
+    ]);
+
+    const username = argv.username || answers.username;
+
+    updateConfig({
+      server: {
+        ...config.server,
+        auth: {
+          ...config.server?.auth,
+          username,
+          passwordHash: hashPassword(answers.password),
+        },
+      },
+    });
+
+    console.log(
+      chalk.green(`✓ Password login enabled for user "${username}".`)
+    );
+  } catch (error) {
+    console.error(chalk.red("Error setting password:"), error.message);
+    process.exit(1);
+  }
+};
+
+/**
+ * Print the users of the web server
+ */
+const listUsers = () => {
+  const users = getUsers();
+
+  if (users.length === 0) {
+    console.log(chalk.yellow("No users found."));
+    console.log(
+      chalk.gray("Run"),
+      chalk.cyan("social-light server user add <name>"),
+      chalk.gray("to add one.")
+    );
+    return;
+  }
+
+  console.log(chalk.cyan(`\nUsers (${users.length}):`));
+  console.log(chalk.gray("─".repeat(80)));
+
+  users.forEach((user) => {
+    console.log(
+      `${chalk.bold(`[${user.id}]`)} ${user.name.padEnd(30)} ${chalk.blue(
+        user.role.padEnd(10)
+      )} ${chalk.gray(`added ${user.created_at}`)}`
+    );
+  });
+
+  console.log("");
+};
+
+/**
+ * Manage the users who log in to the web interface
+ * Authors draft posts and submit them for review; approvers also approve,
+ * reject and publish them.
+ * @param {Object} argv - Command arguments
+ * @param {string} argv.action - add, list, role, password or remove
+ * @param {string} argv.name - User name
+ * @param {string} argv.role - Role for add and role: author or approver
+ * @example
+ * await manageUsers({ action: 'add', name: 'sam', role: 'author' });
+ * await manageUsers({ action: 'role', name: 'sam', role: 'approver' });
+ */
+export const manageUsers = async (argv) => {
+  try {
+    if (argv.action === "list") {
+      listUsers();
+      return;
+    }
+
+    if (!argv.name) {
+      console.error(chalk.red("Please specify the name of the user."));
+      process.exit(1);
+    }
+
+    if (argv.role && !USER_ROLES.includes(argv.role)) {
+      console.error(
+        chalk.red(`Unknown role "${argv.role}". Use ${USER_ROLES.join(" or ")}.`)
+      );
+      process.exit(1);
+    }
+
+    const existing = getUserByName(argv.name);
+    if (argv.action !== "add" && !existing) {
+      console.error(chalk.red(`No user "${argv.name}" found.`));
+      process.exit(1);
+    }
+
+    switch (argv.action) {
+      case "add": {
+        if (existing) {
+          console.error(chalk.red(`A user named "${argv.name}" already exists.`));
+          process.exit(1);
+        }
+
+        const answers = await inquirer.prompt(PASSWORD_QUESTIONS);
+        const user = createUser({
+          name: argv.name,
+          password_hash: hashPassword(answers.password),
+          role: argv.role || "author",
+        });
+
+        console.log(chalk.green(`✓ Added ${user.role} "${user.name}".`));
+        break;
+      }
+
+      case "role":
+        if (!argv.role) {
+          console.error(chalk.red("Please specify the role with --role."));
+          process.exit(1);
+        }
+
+        updateUser(argv.name, { role: argv.role });
+        console.log(chalk.green(`✓ "${argv.name}" is now an ${argv.role}.`));
+        break;
+
+      case "password": {
+        const answers = await inquirer.prompt(PASSWORD_QUESTIONS);
+        updateUser(argv.name, { password_hash: hashPassword(answers.password) });
+        console.log(chalk.green(`✓ Changed the password of "${argv.name}".`));
+        break;
+      }
+
+      case "remove":
+        deleteUser(argv.name);
+        console.log(
+          chalk.green(`✓ Removed "${argv.name}" and their API tokens.`)
+        );
+        break;
+
+      default:
+        console.error(chalk.red(`Unknown user action: ${argv.action}`));
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red("Error managing users:"), error.message);
+    process.exit(1);
+  }
+};
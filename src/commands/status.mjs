@@ -0,0 +1,136 @@
+import chalk from "chalk";
+
+import {
+  getPostById,
+  getStatusHistory,
+  logAction,
+  setPostStatus,
+} from "../utils/db.mjs";
+import { printJson, printJsonError } from "../utils/output.mjs";
+import {
+  STATUS_TRANSITIONS,
+  describeStatus,
+  resolveStatus,
+} from "../utils/status.mjs";
+import {
+  checkStatusChange,
+  getLocalUser,
+  getManualStatuses,
+} from "../utils/review.mjs";
+
+/**
+ * Print a post's current status and its history
+ * @param {Object} post - Post object
+ * @param {Array<Object>} history - Status history rows, oldest first
+ */
+const printHistory = (post, history) => {
+  console.log(
+    chalk.cyan(`\nPost ID ${post.id}: ${post.title || "No title"}`)
+  );
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Status:")} ${describeStatus(post.status)}`
+  );
+
+  const next = (STATUS_TRANSITIONS[post.status] || []).filter((status) =>
+    getManualStatuses().includes(status)
+  );
+  console.log(
+    ` ${chalk.gray("•")} ${chalk.bold("Can move to:")} ${
+      next.length > 0 ? next.map(describeStatus).join(", ") : "nothing"
+    }`
+  );
+  console.log(chalk.gray("─".repeat(80)));
+
+  history.forEach((entry) => {
+    const change = entry.from_status
+      ? `${describeStatus(entry.from_status)} → ${describeStatus(entry.to_status)}`
+      : describeStatus(entry.to_status);
+    const by = entry.changed_by ? chalk.gray(` by ${entry.changed_by}`) : "";
+    const note = entry.note ? chalk.gray(` (${entry.note})`) : "";
+
+    console.log(`${chalk.gray(entry.created_at)} ${change}${by}${note}`);
+  });
+
+  console.log("");
+};
+
+/**
+ * Show a post's status history, or move the post to another status
+ * Only the transitions allowed by the status lifecycle are accepted; posts
+ * are submitted and approved with the review command instead.
+ * @param {Object} argv - Command arguments
+ * @param {number} argv.id - Post ID
+ * @param {string} argv.status - New status (omit to show the history)
+ * @param {string} argv.note - Reason for the change
+ * @example
+ * await managePostStatus({ id: 3 });
+ * await managePostStatus({ id: 3, status: 'cancelled', note: 'Event moved' });
+ */
+export const managePostStatus = async (argv) => {
+  try {
+    const post = getPostById(argv.id);
+    if (!post) {
+      throw new Error(`Post ID ${argv.id} not found`);
+    }
+
+    let changed = false;
+    if (argv.status) {
+      const status = resolveStatus(argv.status);
+      checkStatusChange(status);
+
+      changed = setPostStatus(post.id, status, {
+        by: getLocalUser(),
+        note: argv.note || null,
+      });
+
+      if (changed) {
+        logAction("post_status_changed", {
+          postId: post.id,
+          status,
+          source: "cli",
+        });
+      }
+    }
+
+    const updated = getPostById(post.id);
+    const history = getStatusHistory(post.id);
+
+    if (argv.json) {
+      printJson({
+        postId: updated.id,
+        status: updated.status,
+        changed,
+        history: history.map((entry) => ({
+          from: entry.from_status,
+          to: entry.to_status,
+          by: entry.changed_by,
+          note: entry.note,
+          at: entry.created_at,
+        })),
+      });
+      return;
+    }
+
+    if (argv.status) {
+      console.log(
+        changed
+          ? chalk.green(
+              `✓ Post ID ${post.id} is now ${describeStatus(updated.status)}.`
+            )
+          : chalk.yellow(
+              `Post ID ${post.id} is already ${describeStatus(updated.status)}.`
+            )
+      );
+      return;
+    }
+
+    printHistory(updated, history);
+  } catch (error) {
+    if (argv.json) {
+      printJsonError(error);
+      return;
+    }
+    console.error(chalk.red("Error:"), error.message);
+    process.exitCode = 1;
+  }
+};
@@ -1,5 +1,12 @@
 import chalk from "chalk";
-import { getPosts } from "../utils/db.mjs";
+import { getPosts, getDeliveries } from "../utils/db.mjs";
+import {
+  formatInTimeZone,
+  getDefaultTimeZone,
+  getPublishTime,
+} from "../utils/timezone.mjs";
+import { describeRecurrence } from "../utils/recurrence.mjs";
+import { describeStatus } from "../utils/status.mjs";
 
 /**
  * Format post content for display
@@ -16,31 +23,120 @@ const formatContent = (content, maxLength = 60) => {
 };
 
 /**
- * Format date for display
- * @param {string} dateStr - Date string
+ * Format a post's publish date for display
+ * Shown in the configured time zone, with the post's own time added when it
+ * was scheduled in a different zone.
+ * @param {Object} post - Post with publish_date, timezone and publish_at
  * @returns {string} Formatted date
  */
-const formatDate = (dateStr) => {
-  if (!dateStr) return "No date";
+const formatDate = (post) => {
+  const publishTime = getPublishTime(post);
+  if (!publishTime) return "No date";
 
-  try {
-    const date = new Date(dateStr);
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    // Check if it's today or tomorrow
-    if (date.toDateString() === today.toDateString()) {
-      return chalk.green("Today");
-    } else if (date.toDateString() === tomorrow.toDateString()) {
-      return chalk.yellow("Tomorrow");
-    }
+  const timeZone = getDefaultTimeZone();
+  const [date, time] = formatInTimeZone(publishTime, timeZone).split(" ");
+  const [today] = formatInTimeZone(new Date(), timeZone).split(" ");
+  const [tomorrow] = formatInTimeZone(
+    new Date(Date.now() + 24 * 60 * 60 * 1000),
+    timeZone
+  ).split(" ");
 
-    // Format as YYYY-MM-DD
-    return date.toISOString().split("T")[0];
-  } catch (error) {
-    return dateStr; // Fallback to raw date string
+  // Check if it's today or tomorrow
+  let label = date;
+  if (date === today) {
+    label = chalk.green("Today");
+  } else if (date === tomorrow) {
+    label = chalk.yellow("Tomorrow");
+  }
+
+  const postZone =
+    post.timezone && post.timezone !== timeZone
+      ? chalk.gray(` (${post.publish_date} ${post.timezone})`)
+      : "";
+
+  return `${label} ${time}${postZone}`;
+};
+
+/**
+ * Format a delivery record for display
+ * @param {Object} delivery - Delivery record
+ * @returns {string} Formatted delivery line
+ */
+const formatDelivery = (delivery) => {
+  const label = `${delivery.platform} (${delivery.status.replace("_", " ")}):`;
+
+  switch (delivery.status) {
+    case "published":
+    case "deleted":
+      return `${chalk.gray(label)} ${delivery.remote_uri || delivery.remote_id || ""}`;
+    case "partial":
+      return `${chalk.yellow(label)} ${delivery.error || delivery.remote_uri}`;
+    case "failed":
+      return `${chalk.yellow(label)} ${delivery.error} ${chalk.gray(
+        `(attempt ${delivery.attempts}, next try ${new Date(
+          delivery.next_attempt_at
+        ).toLocaleString()})`
+      )}`;
+    case "permanently_failed":
+      return `${chalk.red(label)} ${delivery.error} ${chalk.gray(
+        `(gave up after ${delivery.attempts} attempts)`
+      )}`;
+    default:
+      return chalk.gray(label);
+  }
+};
+
+// Status badges; scheduled posts, the usual case, get none
+const STATUS_BADGES = {
+  draft: chalk.gray,
+  needs_review: chalk.magenta,
+  approved: chalk.green,
+  publishing: chalk.yellow,
+  partially_published: chalk.yellow,
+  published: chalk.green,
+  failed: chalk.red,
+  cancelled: chalk.gray,
+};
+
+/**
+ * Print one post with its schedule, status and delivery records
+ * @param {Object} post - Post object
+ * @param {string} label - Number or ID shown in front of the post
+ */
+const printPost = (post, label) => {
+  const postDate = formatDate(post);
+  const postTitle = chalk.white(post.title || "No title");
+  const postContent = formatContent(post.content);
+  const postPlatforms = post.platforms
+    ? chalk.blue(post.platforms)
+    : chalk.gray("No platforms");
+
+  const badge = STATUS_BADGES[post.status];
+  const status = badge ? badge(` [${describeStatus(post.status)}]`) : "";
+  const queued = post.queued ? chalk.gray(" [queued]") : "";
+  const missed = {
+    missed: chalk.red(" [missed]"),
+    awaiting_confirmation: chalk.yellow(
+      ` [overdue: publish --confirm ${post.id} or --skip ${post.id}]`
+    ),
+  }[post.missed_status] || "";
+
+  console.log(`${chalk.bold(label)} ${postDate} ${postTitle}${status}${queued}${missed}`);
+  console.log(`    ${chalk.gray(postContent)}`);
+  console.log(`    ${postPlatforms}`);
+  if (post.recurrence) {
+    console.log(
+      `    ${chalk.magenta(`Repeats ${describeRecurrence(post.recurrence)}`)}${chalk.gray(
+        ` (occurrence ${post.occurrence || 1})`
+      )}`
+    );
   }
+
+  // Show failed attempts so far
+  getDeliveries(post.id).forEach((delivery) => {
+    console.log(`    ${formatDelivery(delivery)}`);
+  });
+  console.log(chalk.gray("─".repeat(80)));
 };
 
 /**
@@ -66,20 +162,7 @@ export const listUnpublished = async (argv) => {
     console.log(chalk.gray("─".repeat(80)));
 
     // Display each post with index and details
-    posts.forEach((post, index) => {
-      const postNumber = chalk.bold(`[${index + 1}]`);
-      const postDate = formatDate(post.publish_date);
-      const postTitle = chalk.white(post.title || "No title");
-      const postContent = formatContent(post.content);
-      const postPlatforms = post.platforms
-        ? chalk.blue(post.platforms)
-        : chalk.gray("No platforms");
-
-      console.log(`${postNumber} ${postDate} ${postTitle}`);
-      console.log(`    ${chalk.gray(postContent)}`);
-      console.log(`    ${postPlatforms}`);
-      console.log(chalk.gray("─".repeat(80)));
-    });
+    posts.forEach((post, index) => printPost(post, `[${index + 1}]`));
 
     // Display helpful commands
     console.log("");
@@ -100,3 +183,33 @@ export const listUnpublished = async (argv) => {
     process.exit(1);
   }
 };
+
+/**
+ * List the posts with some statuses
+ * Posts are shown by ID, since edit indexes only count unpublished posts.
+ * @param {Array<string>} statuses - Post statuses
+ * @example
+ * await listPostsByStatus(['failed', 'partially_published']);
+ */
+export const listPostsByStatus = async (statuses) => {
+  const posts = getPosts({ status: statuses });
+  const names = statuses.map(describeStatus).join(", ");
+
+  if (posts.length === 0) {
+    console.log(chalk.yellow(`No posts found with status ${names}.`));
+    return;
+  }
+
+  console.log(chalk.cyan(`\nPosts with status ${names} (${posts.length}):`));
+  console.log(chalk.gray("─".repeat(80)));
+
+  posts.forEach((post) => printPost(post, `[ID ${post.id}]`));
+
+  console.log("");
+  console.log(
+    `${chalk.green("✓")} Use ${chalk.cyan(
+      "social-light status <id> <status>"
+    )} to move a post to another status.`
+  );
+  console.log("");
+};
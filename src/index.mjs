@@ -17,6 +17,17 @@ import { list } from "./commands/list.mjs";
 import { editPost } from "./commands/edit.mjs";
 import { publishPosts } from "./commands/publish.mjs";
 import { cleanPosts } from "./commands/clean.mjs";
+import { manageQueue } from "./commands/queue.mjs";
+import { managePostStatus } from "./commands/status.mjs";
+import { manageReview } from "./commands/review.mjs";
+import { manageDaemon } from "./commands/daemon.mjs";
+import { migrateDb } from "./commands/db.mjs";
+import { importPosts } from "./commands/import.mjs";
+import {
+  manageTokens,
+  manageUsers,
+  setServerPassword,
+} from "./commands/server.mjs";
 import { startServer } from "./server/index.mjs";
 
 // Application title banner
@@ -38,6 +49,12 @@ const main = async () => {
     .parserConfiguration({
       'boolean-negation': true
     })
+    .option("json", {
+      describe: "Print machine-readable JSON (list, publish, clean, queue, daemon and import)",
+      type: "boolean",
+      default: false,
+      global: true,
+    })
     .command("version", "Social Light version", {}, () => {
       console.log(NPMPackage.version);
     })
@@ -52,6 +69,98 @@ const main = async () => {
           describe: "Create post from file",
           type: "string",
         },
+        content: {
+          describe: "Post content (read from stdin when piped)",
+          type: "string",
+        },
+        title: {
+          alias: "t",
+          describe: "Post title",
+          type: "string",
+        },
+        date: {
+          alias: "d",
+          describe: "Publish date (YYYY-MM-DD, today, tomorrow or now)",
+          type: "string",
+        },
+        time: {
+          describe: "Publish time (HH:MM, 3pm, 3:30pm)",
+          type: "string",
+        },
+        platform: {
+          alias: "P",
+          describe: "Platform to publish to, or platform:account for a named account (repeatable)",
+          type: "string",
+          array: true,
+        },
+        ai: {
+          describe: "Use AI suggestions (--no-ai to disable)",
+          type: "boolean",
+          default: true,
+        },
+        image: {
+          alias: "media",
+          describe: "Attach an image or video file (repeatable)",
+          type: "string",
+          array: true,
+        },
+        alt: {
+          describe: "Alt text for the attached files, in the same order (repeatable)",
+          type: "string",
+          array: true,
+        },
+        timezone: {
+          alias: "tz",
+          describe: "IANA time zone of the publish date, e.g. Europe/London (default: config timezone)",
+          type: "string",
+        },
+        repeat: {
+          describe: "Repeat the post: daily, weekly, monthly or an RRULE",
+          type: "string",
+        },
+        on: {
+          describe: "Weekdays to repeat on, e.g. mon fri (repeatable)",
+          type: "string",
+          array: true,
+        },
+        interval: {
+          describe: "Repeat every N days, weeks or months",
+          type: "number",
+        },
+        until: {
+          describe: "Last date to repeat on (YYYY-MM-DD)",
+          type: "string",
+        },
+        count: {
+          describe: "Total number of occurrences",
+          type: "number",
+        },
+        queue: {
+          describe: "Schedule the post in the next free queue slot",
+          type: "boolean",
+          default: false,
+        },
+        "if-missed": {
+          describe: "What to do if the post's time passes unpublished (default: config missed.policy)",
+          choices: ["publish", "skip", "confirm", "default"],
+          type: "string",
+        },
+        enhance: {
+          describe: "Enhance content with AI, as a variant for each platform",
+          type: "boolean",
+          default: false,
+        },
+        draft: {
+          describe: "Save the post as a draft the publisher leaves alone",
+          type: "boolean",
+          default: false,
+        },
+        yes: {
+          alias: "y",
+          describe: "Accept defaults and suggestions without prompting",
+          type: "boolean",
+          default: false,
+        },
       },
       createPost
     )
@@ -71,9 +180,55 @@ const main = async () => {
           type: "boolean",
           default: true,
         },
+        status: {
+          alias: "s",
+          describe: "List posts with these statuses instead, e.g. failed draft (repeatable)",
+          type: "string",
+          array: true,
+        },
       },
       list
     )
+    .command(
+      "status <id> [status]",
+      "Show a post's status history, or move it to another status",
+      (yargs) =>
+        yargs
+          .positional("id", {
+            describe: "Post ID",
+            type: "number",
+          })
+          .positional("status", {
+            describe: "New status: draft, scheduled or cancelled",
+            type: "string",
+          })
+          .option("note", {
+            describe: "Reason for the change, kept in the history",
+            type: "string",
+          }),
+      managePostStatus
+    )
+    .command(
+      "review [action] [id]",
+      "List posts waiting for review, or submit, comment on, approve or reject a post",
+      (yargs) =>
+        yargs
+          .positional("action", {
+            describe: "Review action",
+            choices: ["list", "show", "submit", "comment", "approve", "reject"],
+            default: "list",
+          })
+          .positional("id", {
+            describe: "Post ID",
+            type: "number",
+          })
+          .option("comment", {
+            alias: "m",
+            describe: "Comment; required to comment or reject",
+            type: "string",
+          }),
+      manageReview
+    )
     .command(
       "edit [index]",
       "Edit an unpublished post by index",
@@ -82,9 +237,51 @@ const main = async () => {
           describe: "Index of the post to edit",
           type: "number",
         },
+        timezone: {
+          alias: "tz",
+          describe: "IANA time zone of the publish date, e.g. Europe/London (default: config timezone)",
+          type: "string",
+        },
+        repeat: {
+          describe: "Repeat the post: daily, weekly, monthly or an RRULE (none to stop)",
+          type: "string",
+        },
+        on: {
+          describe: "Weekdays to repeat on, e.g. mon fri (repeatable)",
+          type: "string",
+          array: true,
+        },
+        interval: {
+          describe: "Repeat every N days, weeks or months",
+          type: "number",
+        },
+        until: {
+          describe: "Last date to repeat on (YYYY-MM-DD)",
+          type: "string",
+        },
+        count: {
+          describe: "Total number of occurrences",
+          type: "number",
+        },
+        "if-missed": {
+          describe: "What to do if the post's time passes unpublished (default: config missed.policy)",
+          choices: ["publish", "skip", "confirm", "default"],
+          type: "string",
+        },
       },
       editPost
     )
+    .command(
+      "queue [action]",
+      "Show the posting queue, or shuffle or reflow it",
+      (yargs) =>
+        yargs.positional("action", {
+          describe: "Queue action",
+          choices: ["list", "shuffle", "reflow"],
+          default: "list",
+        }),
+      manageQueue
+    )
     .command(
       "publish",
       "Publish unpublished posts",
@@ -95,25 +292,101 @@ const main = async () => {
           type: "boolean",
           default: false,
         },
+        confirm: {
+          describe: "Publish an overdue post held for confirmation (post ID), repeatable",
+          type: "array",
+        },
+        skip: {
+          describe: "Mark an overdue post as missed instead of publishing it (post ID), repeatable",
+          type: "array",
+        },
       },
       publishPosts
     )
+    .command(
+      "daemon <action>",
+      "Run the publisher in the background (start, stop, status)",
+      (yargs) =>
+        yargs.positional("action", {
+          describe: "Daemon action",
+          choices: ["start", "stop", "status"],
+        }),
+      manageDaemon
+    )
     .command(
       "server",
       "Start the web interface",
-      {
-        port: {
-          alias: "p",
-          describe: "Port to run the server on",
-          type: "number",
-          default: 3000,
-        },
-        "no-open": {
-          describe: "Disable automatically opening the browser",
-          type: "boolean",
-          default: false,
-        },
-      },
+      (yargs) =>
+        yargs
+          .options({
+            port: {
+              alias: "p",
+              describe: "Port to run the server on",
+              type: "number",
+              default: 3000,
+            },
+            host: {
+              alias: "H",
+              describe: "Address to bind to (e.g. 127.0.0.1 for local access only)",
+              type: "string",
+            },
+            "no-open": {
+              describe: "Disable automatically opening the browser",
+              type: "boolean",
+              default: false,
+            },
+            scheduler: {
+              describe: "Publish scheduled posts from the server process",
+              type: "boolean",
+              default: false,
+            },
+          })
+          .command(
+            "token <action> [name]",
+            "Manage API tokens (create <name>, list, revoke <id|name>)",
+            (yargs) =>
+              yargs
+                .positional("action", {
+                  describe: "Token action",
+                  choices: ["create", "list", "revoke"],
+                })
+                .positional("name", {
+                  describe: "Token name, or ID/name to revoke",
+                  type: "string",
+                })
+                .option("user", {
+                  alias: "u",
+                  describe: "User the token acts as (create)",
+                  type: "string",
+                }),
+            manageTokens
+          )
+          .command(
+            "user <action> [name]",
+            "Manage web users (add <name>, list, role <name>, password <name>, remove <name>)",
+            (yargs) =>
+              yargs
+                .positional("action", {
+                  describe: "User action",
+                  choices: ["add", "list", "role", "password", "remove"],
+                })
+                .positional("name", {
+                  describe: "User name",
+                  type: "string",
+                })
+                .option("role", {
+                  alias: "r",
+                  describe: "Role: author drafts and submits, approver also approves and publishes",
+                  choices: ["author", "approver"],
+                }),
+            manageUsers
+          )
+          .command(
+            "password [username]",
+            "Set the username and password for the web interface",
+            {},
+            setServerPassword
+          ),
       startServer
     )
     .command(
@@ -132,9 +405,54 @@ const main = async () => {
           type: "boolean",
           default: false,
         },
+        force: {
+          describe: "Skip the confirmation prompt (required with --json)",
+          type: "boolean",
+          default: false,
+        },
       },
       cleanPosts
     )
+    .command(
+      "import <platform>",
+      "Import posts published outside Social Light",
+      (yargs) =>
+        yargs
+          .positional("platform", {
+            describe: "Platform to import from",
+            choices: ["bluesky"],
+          })
+          .options({
+            account: {
+              alias: "a",
+              describe: "Named account to import (default: the platform's default account)",
+              type: "string",
+            },
+            limit: {
+              alias: "l",
+              describe: "Stop after this many posts (default: all)",
+              type: "number",
+            },
+          }),
+      importPosts
+    )
+    .command("db", "Manage the Social Light database", (yargs) =>
+      yargs
+        .command(
+          "migrate",
+          "Apply pending database migrations",
+          {
+            status: {
+              alias: "s",
+              describe: "Show migration status without applying anything",
+              type: "boolean",
+              default: false,
+            },
+          },
+          migrateDb
+        )
+        .demandCommand(1, "Please specify a db command")
+    )
     .demandCommand(1, "Please specify a command")
     .fail((msg, err, yargs) => {
       displayBanner();
@@ -0,0 +1,324 @@
+import crypto from "crypto";
+import { getConfig } from "../utils/config.mjs";
+import {
+  createApiToken,
+  getApiTokenById,
+  getApiTokens,
+  getUserByName,
+  getUsers,
+  useApiToken,
+} from "../utils/db.mjs";
+
+// Name of the cookie holding the browser session ID
+const SESSION_COOKIE = "sl_session";
+
+// Sessions last a week unless server.auth.sessionHours says otherwise
+const DEFAULT_SESSION_HOURS = 168;
+
+// Name of the token generated on first start when no other login is set up
+export const ADMIN_TOKEN_NAME = "admin";
+
+// Active browser sessions, keyed by session ID. Restarting the server logs everyone out.
+const sessions = new Map();
+
+/**
+ * Generate a new random API token
+ * @returns {string} Token
+ * @example
+ * const token = generateToken(); // 'sl_...'
+ */
+export const generateToken = () =>
+  `sl_${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * Hash an API token for storage and lookup
+ * @param {string} token - Token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Hash a password for storage in config.json
+ * @param {string} password - Password
+ * @returns {string} Hash in the form scrypt$salt$key
+ * @example
+ * updateConfig({ server: { auth: { username: 'admin', passwordHash: hashPassword('secret') } } });
+ */
+export const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${key}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password to check
+ * @param {string} stored - Hash created by hashPassword
+ * @returns {boolean} True if the password matches
+ */
+export const verifyPassword = (password, stored) => {
+  const [scheme, salt, key] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !key) return false;
+
+  const expected = Buffer.from(key, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Get the auth settings from config
+ * @returns {Object} Settings with username, passwordHash and sessionHours
+ */
+const getAuthSettings = () => getConfig().server?.auth || {};
+
+/**
+ * Check whether username/password login is configured
+ * @returns {boolean} True if the owner login in config is set, or users exist
+ */
+const hasPasswordLogin = () => {
+  const { username, passwordHash } = getAuthSettings();
+  return Boolean(username && passwordHash) || getUsers().length > 0;
+};
+
+/**
+ * Get the identity an API token acts as
+ * Tokens created for a user act as that user; other tokens, like the owner
+ * login in config, act as an approver under the token's name.
+ * @param {Object} apiToken - Token record from useApiToken
+ * @param {string} via - 'session' or 'token'
+ * @returns {Object} User with name, role and via
+ */
+const getTokenUser = (apiToken, via) =>
+  apiToken.user_name
+    ? { name: apiToken.user_name, role: apiToken.user_role, via, token: apiToken.name }
+    : { name: apiToken.name, role: "approver", via };
+
+/**
+ * Check a username and password against the users table and the owner login
+ * @param {string} username - User name
+ * @param {string} password - Password
+ * @returns {Object|null} User with name, role and via, or null if they do not match
+ */
+const checkPasswordLogin = (username, password) => {
+  const user = username && getUserByName(username);
+  if (user) {
+    return verifyPassword(password, user.password_hash)
+      ? { name: user.name, role: user.role, via: "session", userId: user.id }
+      : null;
+  }
+
+  const settings = getAuthSettings();
+  if (
+    settings.username &&
+    settings.passwordHash &&
+    username === settings.username &&
+    verifyPassword(password, settings.passwordHash)
+  ) {
+    return { name: username, role: "approver", via: "session" };
+  }
+
+  return null;
+};
+
+/**
+ * Make sure there is some way to log in
+ * Generates an admin token on first start when no password and no tokens exist.
+ * @returns {string|null} The new admin token (shown once), or null if none was needed
+ * @example
+ * const token = ensureAdminToken();
+ * if (token) console.log(`Admin token: ${token}`);
+ */
+export const ensureAdminToken = () => {
+  if (hasPasswordLogin() || getApiTokens().length > 0) {
+    return null;
+  }
+
+  const token = generateToken();
+  createApiToken(ADMIN_TOKEN_NAME, hashToken(token));
+  return token;
+};
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const getCookie = (req, name) => {
+  const cookies = (req.headers.cookie || "").split(";");
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+/**
+ * Get the session of a request, dropping it if it has expired
+ * Sessions of users from the users table follow role changes, and end when
+ * the user is removed. Sessions started with an API token end when the token
+ * is revoked.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Session with user and expiresAt
+ */
+const getSession = (req) => {
+  const id = getCookie(req, SESSION_COOKIE);
+  const session = id && sessions.get(id);
+
+  if (!session) return null;
+
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+
+  if (session.user.userId) {
+    const user = getUserByName(session.user.name);
+    if (!user || user.id !== session.user.userId) {
+      sessions.delete(id);
+      return null;
+    }
+    session.user.role = user.role;
+  }
+
+  if (session.tokenId) {
+    const apiToken = getApiTokenById(session.tokenId);
+    if (!apiToken) {
+      sessions.delete(id);
+      return null;
+    }
+    session.user = getTokenUser(apiToken, "session");
+  }
+
+  return session;
+};
+
+/**
+ * Start a browser session and set its cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User with name, role and via
+ * @param {number|null} tokenId - API token the session was started with
+ */
+const startSession = (req, res, user, tokenId = null) => {
+  const hours = getAuthSettings().sessionHours || DEFAULT_SESSION_HOURS;
+  const id = crypto.randomBytes(32).toString("base64url");
+
+  sessions.set(id, { user, tokenId, expiresAt: Date.now() + hours * 60 * 60 * 1000 });
+
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    maxAge: hours * 60 * 60 * 1000,
+  });
+};
+
+/**
+ * Identify the user of a request from its session cookie or bearer token
+ * @param {Object} req - Express request
+ * @returns {Object|null} User with name, role ('author' or 'approver') and via ('session' or 'token')
+ */
+const authenticateRequest = (req) => {
+  const session = getSession(req);
+  if (session) return session.user;
+
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) {
+    const apiToken = useApiToken(hashToken(token));
+    if (apiToken) return getTokenUser(apiToken, "token");
+  }
+
+  return null;
+};
+
+/**
+ * Middleware rejecting API requests that are not authenticated
+ * Sets req.user for authenticated requests.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export const requireAuth = (req, res, next) => {
+  const user = authenticateRequest(req);
+
+  if (!user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Middleware rejecting requests from users who are not approvers
+ * Mount after requireAuth.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @example
+ * app.post("/api/publish/:id", requireApprover, publishHandler);
+ */
+export const requireApprover = (req, res, next) => {
+  if (req.user?.role !== "approver") {
+    return res.status(403).json({ error: "Only approvers can do this" });
+  }
+
+  next();
+};
+
+/**
+ * Set up login, logout and session routes
+ * These are mounted before requireAuth so they stay reachable without a session.
+ * @param {Express} app - Express app
+ */
+export const setupAuthRoutes = (app) => {
+  // Report whether the browser is logged in, and which login methods exist
+  app.get("/api/auth/session", (req, res) => {
+    const user = authenticateRequest(req);
+    res.json({
+      authenticated: Boolean(user),
+      user,
+      methods: {
+        password: hasPasswordLogin(),
+        token: true,
+      },
+    });
+  });
+
+  // Log in with username/password or with an API token
+  app.post("/api/auth/login", async (req, res) => {
+    const { username, password, token } = req.body || {};
+    let user = null;
+    let tokenId = null;
+
+    if (token) {
+      const apiToken = useApiToken(hashToken(token));
+      if (apiToken) {
+        user = getTokenUser(apiToken, "session");
+        tokenId = apiToken.id;
+      }
+    } else {
+      user = checkPasswordLogin(username, password || "");
+    }
+
+    if (!user) {
+      // Slow down password guessing
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+
+    startSession(req, res, user, tokenId);
+    res.json({ authenticated: true, user });
+  });
+
+  // End the browser session
+  app.post("/api/auth/logout", (req, res) => {
+    const id = getCookie(req, SESSION_COOKIE);
+    if (id) sessions.delete(id);
+
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ authenticated: false });
+  });
+};
@@ -3,11 +3,14 @@
 // State management
 const state = {
   posts: [],
-  unpublishedPosts: [],
-  publishedPosts: [],
-  currentView: "unpublished", // 'unpublished', 'published', 'editor', 'calendar'
+  currentView: "unpublished", // A view from STATUS_TABS, 'editor' or 'calendar'
   currentPost: null,
+  calendarView: "month", // A view from CALENDAR_VIEWS
+  calendarDate: null, // Day shown in the calendar, with its month or week
   config: null,
+  scheduler: null, // Status of the server's built-in scheduler
+  user: null, // Logged in user, null until authenticated
+  auth: null, // Available login methods
   loading: true,
   error: null,
 };
@@ -25,8 +28,20 @@ const init = async () => {
     state.loading = true;
     renderApp();
 
+    // Check whether this browser is logged in
+    const sessionResponse = await fetch("/api/auth/session");
+    if (!sessionResponse.ok) throw new Error("Failed to check session");
+    state.auth = await sessionResponse.json();
+    state.user = state.auth.user;
+
+    if (!state.auth.authenticated) {
+      state.loading = false;
+      renderLogin();
+      return;
+    }
+
     // Fetch configuration
-    const configResponse = await fetch("/api/config");
+    const configResponse = await apiFetch("/api/config");
     if (!configResponse.ok) throw new Error("Failed to load configuration");
     state.config = await configResponse.json();
 
@@ -35,6 +50,10 @@ const init = async () => {
 
     state.loading = false;
     renderApp();
+
+    // Keep the scheduler status current
+    await fetchSchedulerStatus();
+    setInterval(fetchSchedulerStatus, SCHEDULER_POLL_MS);
   } catch (error) {
     console.error("Initialization error:", error);
     state.error = error.message;
@@ -43,29 +62,212 @@ const init = async () => {
   }
 };
 
+// Fetch from the API, returning to the login screen when the session has expired
+const apiFetch = async (url, options) => {
+  const response = await fetch(url, options);
+
+  if (response.status === 401) {
+    state.user = null;
+    renderLogin();
+    throw new Error("Please log in again");
+  }
+
+  return response;
+};
+
+// Render the login screen
+const renderLogin = (error = "") => {
+  const passwordLogin = state.auth?.methods?.password;
+
+  app.innerHTML = `
+    <div class="card login-card">
+      <h2 class="text-center">Social Light</h2>
+      <form id="login-form">
+        ${
+          passwordLogin
+            ? `
+          <div class="form-group">
+            <label class="form-label" for="login-username">Username</label>
+            <input type="text" id="login-username" class="form-control" autocomplete="username">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="login-password">Password</label>
+            <input type="password" id="login-password" class="form-control" autocomplete="current-password">
+          </div>
+          <p class="footnote">Or log in with an API token instead:</p>
+        `
+            : ""
+        }
+        <div class="form-group">
+          <label class="form-label" for="login-token">API Token</label>
+          <input type="password" id="login-token" class="form-control" placeholder="sl_...">
+          <p class="footnote mt-sm">Printed when the server first started, or created with social-light server token create</p>
+        </div>
+        ${error ? `<p class="login-error">${error}</p>` : ""}
+        <button type="submit" class="btn btn-primary w-100">Log In</button>
+      </form>
+    </div>
+  `;
+
+  document.getElementById("login-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const token = document.getElementById("login-token").value.trim();
+    const credentials = token
+      ? { token }
+      : {
+          username: document.getElementById("login-username")?.value,
+          password: document.getElementById("login-password")?.value,
+        };
+
+    try {
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(credentials),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || "Login failed");
+      }
+
+      init();
+    } catch (error) {
+      renderLogin(error.message);
+    }
+  });
+};
+
+// Log out and return to the login screen
+const logout = async () => {
+  await fetch("/api/auth/logout", { method: "POST" });
+  state.user = null;
+  renderLogin();
+};
+
+// Post list tabs and the statuses each one shows
+const STATUS_TABS = [
+  { view: "unpublished", label: "Scheduled", statuses: ["scheduled", "approved", "publishing"] },
+  { view: "drafts", label: "Drafts", statuses: ["draft"] },
+  { view: "review", label: "Review", statuses: ["needs_review"] },
+  { view: "failed", label: "Failed", statuses: ["failed", "partially_published"] },
+  { view: "published", label: "Published", statuses: ["published"] },
+  { view: "cancelled", label: "Cancelled", statuses: ["cancelled"] },
+];
+
+// Get the posts shown on a tab
+const getTabPosts = (view) => {
+  const tab = STATUS_TABS.find((t) => t.view === view);
+  return tab ? state.posts.filter((post) => tab.statuses.includes(post.status)) : [];
+};
+
 // Fetch posts from API
 const fetchPosts = async () => {
   try {
-    // Fetch unpublished posts
-    const unpublishedResponse = await fetch("/api/posts?published=false");
-    if (!unpublishedResponse.ok)
-      throw new Error("Failed to fetch unpublished posts");
-    state.unpublishedPosts = await unpublishedResponse.json();
-
-    // Fetch published posts
-    const publishedResponse = await fetch("/api/posts?published=true");
-    if (!publishedResponse.ok)
-      throw new Error("Failed to fetch published posts");
-    state.publishedPosts = await publishedResponse.json();
-
-    // Set combined posts
-    state.posts = [...state.unpublishedPosts, ...state.publishedPosts];
+    const statuses = STATUS_TABS.flatMap((tab) => tab.statuses).join(",");
+    const response = await apiFetch(`/api/posts?status=${statuses}`);
+    if (!response.ok) throw new Error("Failed to fetch posts");
+    state.posts = await response.json();
   } catch (error) {
     console.error("Error fetching posts:", error);
     state.error = error.message;
   }
 };
 
+// How often the scheduler status is refreshed
+const SCHEDULER_POLL_MS = 30000;
+
+// Fetch the scheduler status, reloading posts when the scheduler has published some
+const fetchSchedulerStatus = async () => {
+  try {
+    const response = await apiFetch("/api/scheduler");
+    if (!response.ok) throw new Error("Failed to fetch scheduler status");
+
+    const previousTick = state.scheduler?.lastTick?.at;
+    state.scheduler = await response.json();
+
+    const { lastTick } = state.scheduler;
+    if (previousTick && lastTick?.at !== previousTick && lastTick.published > 0) {
+      await fetchPosts();
+
+      // Don't re-render the editor, which would lose unsaved changes
+      if (state.currentView !== "editor") {
+        renderMainContent();
+      }
+    }
+  } catch (error) {
+    console.error("Error fetching scheduler status:", error);
+  }
+
+  renderSchedulerStatus();
+};
+
+// Render the scheduler status bar below the header
+const renderSchedulerStatus = () => {
+  const container = document.getElementById("scheduler-status");
+  if (!container || !state.scheduler) return;
+
+  const { enabled, lastTick, nextDue, recentErrors, otherPublisher } =
+    state.scheduler;
+
+  let summary;
+  if (enabled && lastTick?.skipped && otherPublisher) {
+    summary = `<span class="scheduler-indicator waiting">●</span> Scheduler waiting for the publisher running as PID ${otherPublisher.pid}`;
+  } else if (enabled) {
+    const tick = lastTick
+      ? `last checked ${formatDate(lastTick.at)}${
+          lastTick.published > 0 ? `, published ${lastTick.published}` : ""
+        }`
+      : "starting";
+    summary = `<span class="scheduler-indicator on">●</span> Scheduler on, ${tick}`;
+  } else if (otherPublisher) {
+    summary = `<span class="scheduler-indicator on">●</span> Publisher running as PID ${otherPublisher.pid}`;
+  } else {
+    summary = `<span class="scheduler-indicator">○</span> Scheduler off: posts are only published with the Publish button. Start the server with <code>--scheduler</code> or run <code>social-light daemon start</code>.`;
+  }
+
+  const next = nextDue
+    ? `Next: ${escapeHtml(nextDue.title || "Untitled")} ${
+        !nextDue.publishAt || new Date(nextDue.publishAt) <= new Date()
+          ? "(due now)"
+          : formatDate(nextDue.publishAt)
+      }`
+    : "Nothing scheduled";
+
+  container.innerHTML = `
+    <div class="scheduler-summary">
+      <span>${summary}</span>
+      <span>${next}</span>
+    </div>
+    ${
+      recentErrors.length > 0
+        ? `
+      <details class="scheduler-errors">
+        <summary>${recentErrors.length} recent error(s)</summary>
+        <ul>
+          ${recentErrors
+            .map(
+              (error) => `
+            <li>
+              ${formatDate(error.at)}:
+              ${error.postId ? `post ${error.postId}` : ""}
+              ${error.platform ? `on ${escapeHtml(error.platform)}` : ""}
+              ${escapeHtml(error.message)}
+            </li>
+          `
+            )
+            .join("")}
+        </ul>
+      </details>
+    `
+        : ""
+    }
+  `;
+};
+
 // Render the application
 const renderApp = () => {
   if (state.loading) {
@@ -97,21 +299,25 @@ const renderApp = () => {
 
       <div class="header-logo">Social Light</div>
       <nav class="header-nav">
+        ${STATUS_TABS.map(
+          (tab) => `
         <button class="btn ${
-          state.currentView === "unpublished" ? "btn-primary" : ""
-        }" 
-          data-view="unpublished">Unpublished</button>
-        <button class="btn ${
-          state.currentView === "published" ? "btn-primary" : ""
+          state.currentView === tab.view ? "btn-primary" : ""
         }"
-          data-view="published">Published</button>
+          data-view="${tab.view}">${tab.label}</button>`
+        ).join("")}
         <button class="btn ${
           state.currentView === "calendar" ? "btn-primary" : ""
         }"
           data-view="calendar">Calendar</button>
         <button class="btn btn-action" data-action="create-post">Create Post</button>
+        <button class="btn" data-action="logout" title="Logged in as ${
+          state.user?.name || ""
+        }">Log Out</button>
       </nav>
     </header>
+
+    <div id="scheduler-status" class="scheduler-status"></div>
     
     <main id="main-content"></main>
 
@@ -137,17 +343,20 @@ const renderApp = () => {
       renderApp();
     });
 
+  // Set up event listener for logout button
+  document
+    .querySelector('[data-action="logout"]')
+    .addEventListener("click", logout);
+
   // Render main content based on current view
   mainContent = document.getElementById("main-content");
   renderMainContent();
+  renderSchedulerStatus();
 };
 
 // Render main content based on current view
 const renderMainContent = () => {
   switch (state.currentView) {
-    case "unpublished":
-      renderUnpublishedPosts();
-      break;
     case "published":
       renderPublishedPosts();
       break;
@@ -157,18 +366,24 @@ const renderMainContent = () => {
     case "calendar":
       renderCalendar();
       break;
+    case "review":
+      renderReviewQueue();
+      break;
     default:
-      renderUnpublishedPosts();
+      renderPostList(state.currentView);
   }
 };
 
-// Render list of unpublished posts
-const renderUnpublishedPosts = () => {
-  if (state.unpublishedPosts.length === 0) {
+// Render the posts of a tab that have not been published yet
+const renderPostList = (view) => {
+  const tab = STATUS_TABS.find((t) => t.view === view) || STATUS_TABS[0];
+  const posts = getTabPosts(tab.view);
+
+  if (posts.length === 0) {
     mainContent.innerHTML = `
       <div class="card text-center">
-        <h2>No Unpublished Posts</h2>
-        <p>You don't have any unpublished posts yet.</p>
+        <h2>No ${tab.label} Posts</h2>
+        <p>You don't have any ${tab.label.toLowerCase()} posts.</p>
         <button class="btn btn-action mt-md" data-action="create-post">Create New Post</button>
       </div>
     `;
@@ -188,36 +403,75 @@ const renderUnpublishedPosts = () => {
   mainContent.innerHTML = `
     <div class="section">
       <div class="d-flex justify-between align-center mb-md">
-        <h2>Unpublished Posts</h2>
+        <h2>${tab.label} Posts</h2>
         <button class="btn btn-action" data-action="create-post">Create New Post</button>
       </div>
       
       <div class="post-list">
-        ${state.unpublishedPosts
+        ${posts
           .map(
             (post) => `
           <div class="card post-card" data-post-id="${post.id}">
             <div class="post-card-header">
               <h3 class="post-card-title">${post.title || "Untitled"}</h3>
-              <div class="post-card-date">${formatDate(post.publish_date)}</div>
+              ${formatStatus(post)}
+              <div class="post-card-date">${formatPostDate(post)}${
+                post.recurrence
+                  ? `<div class="post-card-recurrence">Repeats ${describeRecurrenceRule(
+                      post.recurrence
+                    )}</div>`
+                  : ""
+              }</div>
             </div>
             <div class="post-card-content">
               ${post.content}
             </div>
+            ${formatMissedStatus(post)}
+            ${formatDeliveries(post.deliveries)}
             <div class="post-card-footer">
               <div class="post-card-platforms">
                 ${formatPlatforms(post.platforms)}
               </div>
-              <div class="d-flex gap-sm">
-                <button class="btn btn-sm" data-action="edit-post" data-post-id="${
-                  post.id
-                }">Edit</button>
-                <button class="btn btn-sm btn-action" data-action="publish-post" data-post-id="${
-                  post.id
-                }">Publish</button>
-                <button class="btn btn-sm btn-danger" data-action="delete-post" data-post-id="${
-                  post.id
-                }">Delete</button>
+              <div class="d-flex gap-sm flex-wrap">
+                ${
+                  post.status !== "publishing"
+                    ? `<button class="btn btn-sm" data-action="edit-post" data-post-id="${post.id}">Edit</button>`
+                    : ""
+                }
+                ${
+                  post.missed_status === "awaiting_confirmation"
+                    ? `<button class="btn btn-sm" data-action="skip-post" data-post-id="${post.id}">Skip</button>`
+                    : ""
+                }
+                ${getStatusActions(post)
+                  .map(
+                    ([status, label]) => `
+                <button class="btn btn-sm" data-action="set-status" data-status="${status}" data-post-id="${post.id}">${label}</button>`
+                  )
+                  .join("")}
+                ${
+                  post.status === "draft"
+                    ? `<button class="btn btn-sm" data-action="submit-review" data-post-id="${post.id}">Submit for Review</button>`
+                    : ""
+                }
+                ${
+                  canPublish(post)
+                    ? `<button class="btn btn-sm btn-action" data-action="publish-post" data-post-id="${
+                        post.id
+                      }">${
+                        post.missed_status === "awaiting_confirmation"
+                          ? "Publish Late"
+                          : ["failed", "partially_published"].includes(post.status)
+                          ? "Retry"
+                          : "Publish"
+                      }</button>`
+                    : ""
+                }
+                ${
+                  isApprover()
+                    ? `<button class="btn btn-sm btn-danger" data-action="delete-post" data-post-id="${post.id}">Delete</button>`
+                    : ""
+                }
               </div>
             </div>
           </div>
@@ -254,6 +508,36 @@ const renderUnpublishedPosts = () => {
       });
     });
     
+  // Skip buttons of overdue posts held for confirmation
+  mainContent
+    .querySelectorAll('[data-action="skip-post"]')
+    .forEach((button) => {
+      button.addEventListener("click", async () => {
+        const postId = parseInt(button.dataset.postId, 10);
+        await skipPost(postId);
+      });
+    });
+
+  // Submit for review buttons of drafts
+  mainContent
+    .querySelectorAll('[data-action="submit-review"]')
+    .forEach((button) => {
+      button.addEventListener("click", async () => {
+        const postId = parseInt(button.dataset.postId, 10);
+        await reviewPost(postId, "submit");
+      });
+    });
+
+  // Status buttons (schedule, move to drafts, cancel)
+  mainContent
+    .querySelectorAll('[data-action="set-status"]')
+    .forEach((button) => {
+      button.addEventListener("click", async () => {
+        const postId = parseInt(button.dataset.postId, 10);
+        await setPostStatus(postId, button.dataset.status);
+      });
+    });
+    
   // Delete post buttons
   mainContent
     .querySelectorAll('[data-action="delete-post"]')
@@ -276,15 +560,120 @@ const renderUnpublishedPosts = () => {
     });
 };
 
+// Render the posts waiting for review, with their comments and the review actions
+const renderReviewQueue = async () => {
+  let posts = [];
+  try {
+    const response = await apiFetch("/api/reviews");
+    if (!response.ok) throw new Error("Failed to load the review queue");
+    posts = await response.json();
+  } catch (error) {
+    console.error("Error loading the review queue:", error);
+    alert(`Error: ${error.message}`);
+  }
+
+  // The user may have moved on while the queue was loading
+  if (state.currentView !== "review") return;
+
+  if (posts.length === 0) {
+    mainContent.innerHTML = `
+      <div class="card text-center">
+        <h2>Nothing to Review</h2>
+        <p>No posts are waiting for review.</p>
+      </div>
+    `;
+    return;
+  }
+
+  mainContent.innerHTML = `
+    <div class="section">
+      <div class="d-flex justify-between align-center mb-md">
+        <h2>Waiting for Review</h2>
+      </div>
+
+      <div class="post-list">
+        ${posts
+          .map(
+            (post) => `
+          <div class="card post-card" data-post-id="${post.id}">
+            <div class="post-card-header">
+              <h3 class="post-card-title">${escapeHtml(
+                post.title || "Untitled"
+              )}</h3>
+              ${formatStatus(post)}
+              <div class="post-card-date">${formatPostDate(post)}</div>
+            </div>
+            <div class="post-card-content">
+              ${escapeHtml(post.content)}
+            </div>
+            ${formatReviews(post.reviews)}
+            <textarea class="form-control review-comment-input" data-post-id="${
+              post.id
+            }" rows="2" placeholder="${
+              isApprover() ? "Comment, or reason for rejecting" : "Comment"
+            }"></textarea>
+            <div class="post-card-footer">
+              <div class="post-card-platforms">
+                ${formatPlatforms(post.platforms)}
+              </div>
+              <div class="d-flex gap-sm flex-wrap">
+                <button class="btn btn-sm" data-action="edit-post" data-post-id="${post.id}">Edit</button>
+                <button class="btn btn-sm" data-review="comment" data-post-id="${post.id}">Comment</button>
+                ${
+                  isApprover()
+                    ? `
+                <button class="btn btn-sm btn-danger" data-review="reject" data-post-id="${post.id}">Reject</button>
+                <button class="btn btn-sm btn-action" data-review="approve" data-post-id="${post.id}">Approve</button>`
+                    : ""
+                }
+              </div>
+            </div>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    </div>
+  `;
+
+  // Edit post buttons
+  mainContent
+    .querySelectorAll('[data-action="edit-post"]')
+    .forEach((button) => {
+      button.addEventListener("click", () => {
+        const postId = parseInt(button.dataset.postId, 10);
+        const post = posts.find((p) => p.id === postId);
+        if (post) {
+          state.currentView = "editor";
+          state.currentPost = post;
+          renderApp();
+        }
+      });
+    });
+
+  // Comment, approve and reject buttons
+  mainContent.querySelectorAll("[data-review]").forEach((button) => {
+    button.addEventListener("click", async () => {
+      const postId = parseInt(button.dataset.postId, 10);
+      const comment = mainContent.querySelector(
+        `.review-comment-input[data-post-id="${postId}"]`
+      ).value;
+      await reviewPost(postId, button.dataset.review, comment);
+    });
+  });
+};
+
 // Render list of published posts
 const renderPublishedPosts = () => {
-  if (state.publishedPosts.length === 0) {
+  const publishedPosts = getTabPosts("published");
+
+  if (publishedPosts.length === 0) {
     mainContent.innerHTML = `
       <div class="card text-center">
         <h2>No Published Posts</h2>
         <p>You haven't published any posts yet.</p>
         <div class="mt-md">
-          <button class="btn btn-primary" data-view="unpublished">View Unpublished Posts</button>
+          <button class="btn btn-primary" data-view="unpublished">View Scheduled Posts</button>
         </div>
       </div>
     `;
@@ -305,23 +694,28 @@ const renderPublishedPosts = () => {
       <h2 class="mb-md">Published Posts</h2>
       
       <div class="post-list">
-        ${state.publishedPosts
+        ${publishedPosts
           .map(
             (post) => `
           <div class="card post-card">
             <div class="post-card-header">
               <h3 class="post-card-title">${post.title || "Untitled"}</h3>
-              <div class="post-card-date">${formatDate(post.publish_date)}</div>
+              <div class="post-card-date">${formatPostDate(post)}</div>
             </div>
             <div class="post-card-content">
               ${post.content}
             </div>
+            ${formatDeliveries(post.deliveries)}
             <div class="post-card-footer">
               <div class="post-card-platforms">
                 ${formatPlatforms(post.platforms)}
               </div>
-              <div>
-                <span class="text-secondary">Published</span>
+              <div class="d-flex gap-sm align-center">
+                ${
+                  hasFailedDeliveries(post)
+                    ? `<button class="btn btn-sm btn-action" data-action="publish-post" data-post-id="${post.id}">Retry Failed</button>`
+                    : `<span class="text-secondary">Published</span>`
+                }
               </div>
             </div>
           </div>
@@ -331,16 +725,28 @@ const renderPublishedPosts = () => {
       </div>
     </div>
   `;
+
+  // Retry failed platforms buttons
+  mainContent
+    .querySelectorAll('[data-action="publish-post"]')
+    .forEach((button) => {
+      button.addEventListener("click", async () => {
+        const postId = parseInt(button.dataset.postId, 10);
+        await publishPost(postId);
+      });
+    });
 };
 
 // Render post editor
 const renderPostEditor = () => {
-  const isEditing = Boolean(state.currentPost);
-  const post = state.currentPost || {
+  // New posts may come prefilled, e.g. with the day clicked in the calendar
+  const isEditing = Boolean(state.currentPost?.id);
+  const post = {
     title: "",
     content: "",
     platforms: "",
     publish_date: "",
+    ...state.currentPost,
   };
 
   // Get available platforms from config
@@ -355,6 +761,37 @@ const renderPostEditor = () => {
     ? post.platforms.split(",").map((p) => p.trim().toLowerCase())
     : [];
 
+  // Each platform's default account, then its named accounts
+  const targetOptions = platformOptions.flatMap((platform) => [
+    { value: platform.id, label: platform.name },
+    ...(platform.accounts || []).map((account) => ({
+      value: `${platform.id}:${account}`,
+      label: `${platform.name} (${account})`,
+    })),
+  ]);
+
+  // Accounts the post targets that are no longer in config stay visible,
+  // so they are not dropped without notice
+  selectedPlatforms
+    .filter((target) => !targetOptions.some((option) => option.value === target))
+    .forEach((target) =>
+      targetOptions.push({ value: target, label: `${target} (not in config)` })
+    );
+
+  // Date and time are edited as wall-clock time in the post's zone
+  const postTimeZone = post.timezone || state.config.timezone || VIEWER_TIME_ZONE;
+
+  // Recurrence rule split into form fields
+  const recurrence = parseRecurrenceRule(post.recurrence);
+
+  // Attachments being edited; saved with the post
+  let editorMedia = (post.media || []).map((media) => ({ ...media }));
+
+  // Per-platform variants being edited, keyed by platform or platform:account
+  const editorVariants = Object.fromEntries(
+    (post.variants || []).map((variant) => [variant.platform, { ...variant }])
+  );
+
   mainContent.innerHTML = `
     <div class="card post-editor">
       <div class="post-editor-header">
@@ -443,20 +880,112 @@ const renderPostEditor = () => {
           </div>
         </div>
         
+        <div class="form-group">
+          <label class="form-label" for="post-timezone">Time Zone</label>
+          <select id="post-timezone" class="form-control">
+            ${getTimeZones(postTimeZone)
+              .map(
+                (zone) => `
+              <option value="${zone}" ${
+                  zone === postTimeZone ? "selected" : ""
+                }>${zone}</option>
+            `
+              )
+              .join("")}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label" for="post-repeat">Repeat</label>
+          <div class="d-flex gap-sm flex-wrap align-center">
+            <select id="post-repeat" class="form-control recurrence-freq">
+              ${["", "DAILY", "WEEKLY", "MONTHLY"]
+                .map(
+                  (freq) => `
+                <option value="${freq}" ${
+                    recurrence.freq === freq ? "selected" : ""
+                  }>${freq ? freq.toLowerCase() : "does not repeat"}</option>
+              `
+                )
+                .join("")}
+            </select>
+            <label class="d-flex align-center gap-sm">
+              every
+              <input type="number" id="post-repeat-interval" class="form-control recurrence-number" min="1" value="${
+                recurrence.interval
+              }">
+            </label>
+          </div>
+          <div class="d-flex gap-md flex-wrap mt-sm" id="post-repeat-days">
+            ${WEEKDAYS.map(
+              (day) => `
+              <label class="d-flex align-center gap-sm">
+                <input type="checkbox" name="repeat-days" value="${day}" ${
+                recurrence.byDay.includes(day) ? "checked" : ""
+              }>
+                ${day}
+              </label>
+            `
+            ).join("")}
+          </div>
+          <div class="d-flex gap-sm flex-wrap align-center mt-sm">
+            <label class="d-flex align-center gap-sm">
+              until
+              <input type="date" id="post-repeat-until" class="form-control" value="${
+                recurrence.until
+              }">
+            </label>
+            <label class="d-flex align-center gap-sm">
+              or
+              <input type="number" id="post-repeat-count" class="form-control recurrence-number" min="1" value="${
+                recurrence.count
+              }">
+              times
+            </label>
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label" for="post-missed-policy">If this time passes unpublished</label>
+          <select id="post-missed-policy" class="form-control">
+            ${[
+              ["", `Default (${MISSED_POLICY_LABELS[state.config.missed?.policy || "publish"]})`],
+              ...Object.entries(MISSED_POLICY_LABELS),
+            ]
+              .map(
+                ([value, label]) => `
+              <option value="${value}" ${
+                  (post.missed_policy || "") === value ? "selected" : ""
+                }>${label}</option>
+            `
+              )
+              .join("")}
+          </select>
+        </div>
+        
+        <div class="form-group">
+          <label class="form-label">Media</label>
+          <div class="media-dropzone" id="media-dropzone">
+            <p>Drop images or a video here, or <button type="button" class="btn btn-sm" id="media-browse-btn">Browse</button></p>
+            <input type="file" id="media-input" accept="image/*,video/*" multiple hidden>
+          </div>
+          <div class="media-list" id="media-list"></div>
+        </div>
+        
         <div class="form-group">
           <label class="form-label">Platforms</label>
           <div class="d-flex gap-md flex-wrap">
-            ${platformOptions && platformOptions.length > 0 ? 
-              platformOptions.map(
-                (platform) => `
+            ${targetOptions.length > 0 ? 
+              targetOptions.map(
+                (target) => `
               <label class="d-flex align-center gap-sm">
                 <input 
                   type="checkbox" 
                   name="platforms" 
-                  value="${platform.id}"
-                  ${selectedPlatforms.includes(platform.id) ? "checked" : ""}
+                  value="${target.value}"
+                  ${selectedPlatforms.includes(target.value) ? "checked" : ""}
                 >
-                ${platform.name}
+                ${target.label}
               </label>
             `
               ).join("") : 
@@ -472,18 +1001,371 @@ const renderPostEditor = () => {
             }
           </div>
         </div>
+
+        <div class="form-group">
+          <label class="form-label">Platform Variants</label>
+          <p class="text-secondary mb-sm">Override the content for a platform or account; empty fields use the post's.</p>
+          <div class="variant-list" id="variant-list"></div>
+        </div>
+
+        <div class="form-group">
+          <label class="form-label">Preview</label>
+          <div class="preview-list" id="preview-list"></div>
+        </div>
         
         <div class="post-editor-actions">
           <button type="button" class="btn" id="cancel-btn">Cancel</button>
-          <button type="submit" class="btn btn-primary">${
-            isEditing ? "Update" : "Create"
-          }</button>
+          ${
+            isEditing
+              ? ""
+              : `<button type="submit" class="btn" data-status="draft">Save as Draft</button>`
+          }
+          ${
+            isEditing
+              ? `<button type="submit" class="btn btn-primary">Update</button>`
+              : isReviewRequired()
+              ? `<button type="submit" class="btn btn-primary" data-status="needs_review">Submit for Review</button>`
+              : `<button type="submit" class="btn btn-primary">Create</button>`
+          }
         </div>
       </form>
     </div>
   `;
 
-  // Set up event listeners
+  // Set up event listeners
+
+  // Live preview on each selected platform, checked by the server as on save
+  const previewList = document.getElementById("preview-list");
+  let previewTimer = null;
+  let previewRequest = 0;
+
+  const renderPreview = (preview) => {
+    previewList.innerHTML = preview.targets
+      .map((target) => {
+        const media = target.media
+          .map((id) => editorMedia.find((item) => item.id === id))
+          .filter(Boolean);
+
+        return `
+      <div class="preview-card${target.errors.length > 0 ? " invalid" : ""}">
+        <div class="preview-header">
+          <h4 class="variant-title">${target.label}</h4>
+          ${
+            target.maxGraphemes
+              ? `<span class="preview-count${
+                  target.graphemes > target.maxGraphemes ? " over" : ""
+                }">${target.graphemes} / ${target.maxGraphemes}</span>`
+              : ""
+          }
+        </div>
+        ${target.parts
+          .map(
+            (part, index) => `
+          ${
+            index > 0
+              ? `<div class="preview-split">Thread post ${index + 1} of ${
+                  target.parts.length
+                }</div>`
+              : ""
+          }
+          <div class="preview-text">${formatSegments(part)}</div>
+        `
+          )
+          .join("")}
+        ${
+          media.length > 0
+            ? `<div class="preview-media">
+          ${media
+            .map((item) =>
+              item.mime_type.startsWith("video/")
+                ? `<video src="${item.url}" class="media-thumb" muted></video>`
+                : `<img src="${item.url}" class="media-thumb" alt="${escapeHtml(
+                    item.alt || ""
+                  )}">`
+            )
+            .join("")}
+        </div>`
+            : ""
+        }
+        ${
+          target.link
+            ? `<div class="preview-link">
+          <strong>${escapeHtml(target.link.title || target.link.uri)}</strong>
+          ${
+            target.link.description
+              ? `<span>${escapeHtml(target.link.description)}</span>`
+              : ""
+          }
+          <span class="text-secondary">${escapeHtml(target.link.uri)}</span>
+        </div>`
+            : ""
+        }
+        ${target.errors
+          .map((error) => `<p class="preview-error">${escapeHtml(error)}</p>`)
+          .join("")}
+        ${target.warnings
+          .map(
+            (warning) =>
+              `<p class="preview-warning">${escapeHtml(warning)}</p>`
+          )
+          .join("")}
+      </div>
+    `;
+      })
+      .join("");
+  };
+
+  const updatePreview = async () => {
+    const platforms = Array.from(
+      document.querySelectorAll('input[name="platforms"]:checked')
+    ).map((el) => el.value);
+
+    if (platforms.length === 0) {
+      previewList.innerHTML = `<p class="text-secondary">Select a platform to preview the post on it.</p>`;
+      return;
+    }
+
+    // Only the latest request is shown when responses arrive out of order
+    const request = ++previewRequest;
+
+    try {
+      const response = await apiFetch("/api/preview", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          content: document.getElementById("post-content").value,
+          platforms,
+          media: editorMedia.map(({ id, alt }) => ({ id, alt })),
+          variants: Object.values(editorVariants),
+        }),
+      });
+      const preview = await response.json();
+
+      if (request !== previewRequest) return;
+
+      if (!response.ok) {
+        previewList.innerHTML = `<p class="preview-error">${escapeHtml(
+          preview.error || "Failed to preview post"
+        )}</p>`;
+        return;
+      }
+
+      renderPreview(preview);
+    } catch (error) {
+      console.error("Error previewing post:", error);
+    }
+  };
+
+  const schedulePreview = () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, PREVIEW_DELAY_MS);
+  };
+
+  document
+    .getElementById("post-content")
+    .addEventListener("input", schedulePreview);
+
+  // Platform variants, one column per selected platform or account
+  const variantList = document.getElementById("variant-list");
+
+  const getVariant = (target) => {
+    const key = target.toLowerCase();
+    editorVariants[key] = editorVariants[key] || { platform: key };
+    return editorVariants[key];
+  };
+
+  const renderVariantList = () => {
+    const targets = Array.from(
+      document.querySelectorAll('input[name="platforms"]:checked')
+    ).map((el) => el.value);
+
+    if (targets.length === 0) {
+      variantList.innerHTML = `<p class="text-secondary">Select a platform to customize the post for it.</p>`;
+      schedulePreview();
+      return;
+    }
+
+    variantList.innerHTML = targets
+      .map((target) => {
+        const variant = getVariant(target);
+        const label =
+          targetOptions.find((option) => option.value === target)?.label ||
+          target;
+
+        return `
+      <div class="variant-column" data-variant="${variant.platform}">
+        <h4 class="variant-title">${escapeHtml(label)}</h4>
+        <textarea class="form-control" data-field="content" rows="4" placeholder="${escapeHtml(
+          document.getElementById("post-content").value || "Same as the post"
+        )}">${escapeHtml(variant.content || "")}</textarea>
+        <input type="text" class="form-control" data-field="hashtags" value="${escapeHtml(
+          variant.hashtags || ""
+        )}" placeholder="Hashtags, e.g. #launch #news">
+        <input type="url" class="form-control" data-field="link_url" value="${escapeHtml(
+          variant.link_url || ""
+        )}" placeholder="Link card URL">
+        <input type="text" class="form-control" data-field="link_title" value="${escapeHtml(
+          variant.link_title || ""
+        )}" placeholder="Link card title">
+        <input type="text" class="form-control" data-field="link_description" value="${escapeHtml(
+          variant.link_description || ""
+        )}" placeholder="Link card description">
+        ${
+          editorMedia.length > 0
+            ? `<div class="variant-media">
+          ${editorMedia
+            .map(
+              (media) => `
+            <label class="d-flex align-center gap-sm">
+              <input type="checkbox" data-variant-media="${media.id}" ${
+                !variant.media_ids || variant.media_ids.includes(media.id)
+                  ? "checked"
+                  : ""
+              }>
+              ${escapeHtml(media.original_name)}
+            </label>
+          `
+            )
+            .join("")}
+        </div>`
+            : ""
+        }
+      </div>
+    `;
+      })
+      .join("");
+
+    variantList.querySelectorAll("[data-variant]").forEach((column) => {
+      const variant = editorVariants[column.dataset.variant];
+
+      column.querySelectorAll("[data-field]").forEach((input) => {
+        input.addEventListener("input", () => {
+          variant[input.dataset.field] = input.value;
+          schedulePreview();
+        });
+      });
+
+      // Every attachment checked means the post's media
+      column.querySelectorAll("[data-variant-media]").forEach((checkbox) => {
+        checkbox.addEventListener("change", () => {
+          const checked = Array.from(
+            column.querySelectorAll("[data-variant-media]:checked")
+          ).map((el) => Number(el.dataset.variantMedia));
+          variant.media_ids =
+            checked.length < editorMedia.length ? checked : null;
+          schedulePreview();
+        });
+      });
+    });
+
+    schedulePreview();
+  };
+
+  document.querySelectorAll('input[name="platforms"]').forEach((checkbox) => {
+    checkbox.addEventListener("change", renderVariantList);
+  });
+
+  // Media attachments
+  const mediaList = document.getElementById("media-list");
+  const mediaInput = document.getElementById("media-input");
+  const dropzone = document.getElementById("media-dropzone");
+
+  const renderMediaList = () => {
+    mediaList.innerHTML = editorMedia
+      .map(
+        (media, index) => `
+      <div class="media-item">
+        ${
+          media.mime_type.startsWith("video/")
+            ? `<video src="${media.url}" class="media-thumb" muted></video>`
+            : `<img src="${media.url}" class="media-thumb" alt="">`
+        }
+        <input type="text" class="form-control" data-media-alt="${index}" value="${
+          media.alt || ""
+        }" placeholder="Alt text">
+        <button type="button" class="btn btn-sm btn-danger" data-media-remove="${index}">Remove</button>
+      </div>
+    `
+      )
+      .join("");
+
+    mediaList.querySelectorAll("[data-media-alt]").forEach((input) => {
+      input.addEventListener("input", () => {
+        editorMedia[Number(input.dataset.mediaAlt)].alt = input.value;
+        schedulePreview();
+      });
+    });
+
+    mediaList.querySelectorAll("[data-media-remove]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const [removed] = editorMedia.splice(Number(button.dataset.mediaRemove), 1);
+
+        // Variants can only pick media the post still has
+        Object.values(editorVariants)
+          .filter((variant) => variant.media_ids)
+          .forEach((variant) => {
+            variant.media_ids = variant.media_ids.filter((id) => id !== removed.id);
+          });
+
+        // Uploads not yet saved with a post are deleted right away; the rest on save
+        if (!removed.post_id) {
+          await apiFetch(`/api/media/${removed.id}/delete`, { method: "POST" });
+        }
+        renderMediaList();
+      });
+    });
+
+    renderVariantList();
+  };
+
+  const uploadMediaFiles = async (files) => {
+    for (const file of files) {
+      try {
+        const response = await apiFetch("/api/media", {
+          method: "POST",
+          headers: {
+            "Content-Type": file.type || "application/octet-stream",
+            "X-Filename": encodeURIComponent(file.name),
+          },
+          body: file,
+        });
+
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.error || "Failed to upload media");
+        }
+
+        editorMedia.push(await response.json());
+        renderMediaList();
+      } catch (error) {
+        alert(`Error uploading ${file.name}: ${error.message}`);
+      }
+    }
+  };
+
+  document
+    .getElementById("media-browse-btn")
+    .addEventListener("click", () => mediaInput.click());
+  mediaInput.addEventListener("change", () => {
+    uploadMediaFiles(Array.from(mediaInput.files));
+    mediaInput.value = "";
+  });
+  dropzone.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    dropzone.classList.add("dragover");
+  });
+  dropzone.addEventListener("dragleave", () => {
+    dropzone.classList.remove("dragover");
+  });
+  dropzone.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dropzone.classList.remove("dragover");
+    uploadMediaFiles(Array.from(event.dataTransfer.files));
+  });
+
+  renderMediaList();
 
   // Cancel button
   document.getElementById("cancel-btn").addEventListener("click", () => {
@@ -504,6 +1386,11 @@ const renderPostEditor = () => {
       const date = document.getElementById("post-date").value;
       const time = document.getElementById("post-time").value || "12:00";
       const publishDate = date ? `${date} ${time}` : ""; // Combine date and time
+      const timezone = document.getElementById("post-timezone").value;
+      const missedPolicy = document.getElementById("post-missed-policy").value;
+      // New posts are scheduled, or submitted for review, unless saved with
+      // the draft button
+      const status = event.submitter?.dataset.status || "scheduled";
       const platformElements = document.querySelectorAll(
         'input[name="platforms"]:checked'
       );
@@ -517,16 +1404,31 @@ const renderPostEditor = () => {
         platforms = "bluesky";
       }
 
+      const recurrenceRule = buildRecurrenceRule({
+        freq: document.getElementById("post-repeat").value,
+        interval: document.getElementById("post-repeat-interval").value,
+        byDay: Array.from(
+          document.querySelectorAll('input[name="repeat-days"]:checked')
+        ).map((el) => el.value),
+        until: document.getElementById("post-repeat-until").value,
+        count: document.getElementById("post-repeat-count").value,
+      });
+
       // Validate form
       if (!content) {
         alert("Please enter post content");
         return;
       }
 
+      if (recurrenceRule && !date) {
+        alert("Please choose a publish date for the first occurrence");
+        return;
+      }
+
       try {
         if (isEditing) {
           // Update existing post
-          const response = await fetch(`/api/posts/${post.id}`, {
+          const response = await apiFetch(`/api/posts/${post.id}`, {
             method: "PUT",
             headers: {
               "Content-Type": "application/json",
@@ -536,6 +1438,11 @@ const renderPostEditor = () => {
               content,
               platforms,
               publish_date: publishDate,
+              timezone,
+              recurrence: recurrenceRule,
+              missed_policy: missedPolicy,
+              media: editorMedia.map(({ id, alt }) => ({ id, alt })),
+              variants: Object.values(editorVariants),
             }),
           });
 
@@ -544,27 +1451,13 @@ const renderPostEditor = () => {
             throw new Error(error.error || "Failed to update post");
           }
 
-          // Update local state
-          const updatedPost = {
-            ...post,
-            title,
-            content,
-            platforms,
-            publish_date: publishDate,
-          };
-
-          // Update in posts arrays
-          const postIndex = state.posts.findIndex((p) => p.id === post.id);
-          if (postIndex !== -1) state.posts[postIndex] = updatedPost;
-
-          const unpubIndex = state.unpublishedPosts.findIndex(
-            (p) => p.id === post.id
-          );
-          if (unpubIndex !== -1)
-            state.unpublishedPosts[unpubIndex] = updatedPost;
+          showWarnings((await response.json()).warnings);
+
+          // Refresh posts, which picks up the publish time the server worked out
+          await fetchPosts();
         } else {
           // Create new post
-          const response = await fetch("/api/posts", {
+          const response = await apiFetch("/api/posts", {
             method: "POST",
             headers: {
               "Content-Type": "application/json",
@@ -574,6 +1467,12 @@ const renderPostEditor = () => {
               content,
               platforms,
               publish_date: publishDate,
+              timezone,
+              recurrence: recurrenceRule,
+              missed_policy: missedPolicy,
+              status,
+              media: editorMedia.map(({ id, alt }) => ({ id, alt })),
+              variants: Object.values(editorVariants),
             }),
           });
 
@@ -582,12 +1481,17 @@ const renderPostEditor = () => {
             throw new Error(error.error || "Failed to create post");
           }
 
+          showWarnings((await response.json()).warnings);
+
           // Refresh posts
           await fetchPosts();
         }
 
-        // Return to posts view
-        state.currentView = "unpublished";
+        // Return to the tab the post is on
+        state.currentView =
+          STATUS_TABS.find((tab) =>
+            tab.statuses.includes(state.posts.find((p) => p.id === post.id)?.status || status)
+          )?.view || "unpublished";
         state.currentPost = null;
         renderApp();
       } catch (error) {
@@ -615,19 +1519,19 @@ const renderPostEditor = () => {
         return;
       }
 
-      // Get the first selected platform
-      const platform = platformCheckboxes[0].value;
+      // Each selected account's platform gets its own version
+      const platforms = Array.from(platformCheckboxes).map((el) => el.value);
 
       try {
         enhanceContentBtn.disabled = true;
         enhanceContentBtn.textContent = "Enhancing...";
 
-        const response = await fetch("/api/ai/enhance", {
+        const response = await apiFetch("/api/ai/enhance", {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
           },
-          body: JSON.stringify({ content, platform }),
+          body: JSON.stringify({ content, platforms }),
         });
 
         if (!response.ok) {
@@ -636,12 +1540,14 @@ const renderPostEditor = () => {
         }
 
         const result = await response.json();
-        const enhancedContent = result.enhanced;
+        const enhanced = Object.entries(result.variants).filter(
+          ([, text]) => text !== content
+        );
 
-        if (enhancedContent === content) {
+        if (enhanced.length === 0) {
           alert("No significant enhancements suggested");
         } else {
-          // Create a modal to show both versions for comparison
+          // Create a modal to show the original next to each platform's version
           const modalHtml = `
             <div class="modal-overlay" id="content-comparison-modal">
               <div class="modal-content">
@@ -655,15 +1561,24 @@ const renderPostEditor = () => {
                       <h4>Original</h4>
                       <div class="comparison-content original-content">${content}</div>
                     </div>
+                    ${enhanced
+                      .map(
+                        ([platform, text]) => `
                     <div class="comparison-column">
-                      <h4>Enhanced for ${platform}</h4>
-                      <div class="comparison-content enhanced-content">${enhancedContent}</div>
+                      <h4>Enhanced for ${
+                        platformOptions.find((option) => option.id === platform)
+                          ?.name || platform
+                      }</h4>
+                      <div class="comparison-content enhanced-content">${text}</div>
                     </div>
+                    `
+                      )
+                      .join("")}
                   </div>
                 </div>
                 <div class="modal-footer">
                   <button type="button" class="btn" id="keep-original-btn">Keep Original</button>
-                  <button type="button" class="btn btn-primary" id="use-enhanced-btn">Use Enhanced</button>
+                  <button type="button" class="btn btn-primary" id="use-enhanced-btn">Use as Platform Variants</button>
                 </div>
               </div>
             </div>
@@ -690,7 +1605,11 @@ const renderPostEditor = () => {
           document
             .getElementById("use-enhanced-btn")
             .addEventListener("click", () => {
-              document.getElementById("post-content").value = enhancedContent;
+              // The enhanced text becomes the platform's variant; the post keeps the original
+              enhanced.forEach(([platform, text]) => {
+                getVariant(platform).content = text;
+              });
+              renderVariantList();
               document.getElementById("content-comparison-modal").remove();
             });
         }
@@ -719,7 +1638,7 @@ const renderPostEditor = () => {
         generateTitleBtn.disabled = true;
         generateTitleBtn.textContent = "Generating...";
 
-        const response = await fetch("/api/ai/title", {
+        const response = await apiFetch("/api/ai/title", {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
@@ -752,7 +1671,13 @@ const renderPostEditor = () => {
         suggestDateBtn.disabled = true;
         suggestDateBtn.textContent = "Generating...";
 
-        const response = await fetch("/api/ai/date");
+        // Platforms with queue slots get their next free slot
+        const platforms = Array.from(
+          document.querySelectorAll('input[name="platforms"]:checked')
+        ).map((el) => el.value);
+        const response = await apiFetch(
+          `/api/ai/date?platforms=${encodeURIComponent(platforms.join(","))}`
+        );
 
         if (!response.ok) {
           const error = await response.json();
@@ -783,7 +1708,7 @@ const renderPostEditor = () => {
         suggestTimeBtn.disabled = true;
         suggestTimeBtn.textContent = "Generating...";
 
-        const response = await fetch("/api/ai/date");
+        const response = await apiFetch("/api/ai/date");
 
         if (!response.ok) {
           const error = await response.json();
@@ -806,54 +1731,63 @@ const renderPostEditor = () => {
 };
 
 // Render calendar view
-const renderCalendar = () => {
-  // Get current month/year
+const renderCalendar = async () => {
+  // Day being shown; the month or week around it in those views
   const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth();
-
-  // Get days in month
-  const daysInMonth = new Date(currentYear, currentMonth + 1, 0).getDate();
-
-  // Get first day of month
-  const firstDayOfMonth = new Date(currentYear, currentMonth, 1).getDay();
-
-  // Create calendar grid
-  const days = [];
-
-  // Add empty cells for days before first day of month
-  for (let i = 0; i < firstDayOfMonth; i++) {
-    days.push(null);
+  if (!state.calendarDate) {
+    state.calendarDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
   }
+  const view = state.calendarView;
+  const { start, end } = getCalendarRange(view, state.calendarDate);
+  const currentYear = state.calendarDate.getFullYear();
+  const currentMonth = state.calendarDate.getMonth();
+
+  // Get posts in the range shown
+  const postsInRange = state.posts.filter((post) => {
+    if (!post.publish_date || post.status === "cancelled") return false;
+    const postDate = getPostDate(post);
+    return postDate >= start && postDate < end;
+  });
 
-  // Add days of month
-  for (let i = 1; i <= daysInMonth; i++) {
-    days.push(i);
+  // Future occurrences of recurring posts, which do not exist as posts yet
+  let occurrences = [];
+  try {
+    const response = await apiFetch(
+      `/api/occurrences?from=${encodeURIComponent(
+        start.toISOString()
+      )}&to=${encodeURIComponent(end.toISOString())}`
+    );
+    if (response.ok) occurrences = await response.json();
+  } catch (error) {
+    console.error("Error loading occurrences:", error);
   }
 
-  // Get posts for this month
-  const postsThisMonth = state.posts.filter((post) => {
-    if (!post.publish_date) return false;
-    const postDate = new Date(post.publish_date);
-    return (
-      postDate.getFullYear() === currentYear &&
-      postDate.getMonth() === currentMonth
-    );
-  });
+  // The user may have moved on while occurrences were loading
+  if (state.currentView !== "calendar") return;
 
-  // Group posts by day
+  // Group posts by day, and by day and hour for the week and day views
   const postsByDay = {};
-
-  postsThisMonth.forEach((post) => {
-    const postDate = new Date(post.publish_date);
-    const day = postDate.getDate();
-
-    if (!postsByDay[day]) {
-      postsByDay[day] = [];
-    }
-
-    postsByDay[day].push(post);
-  });
+  const postsBySlot = {};
+
+  [
+    ...postsInRange,
+    ...occurrences.map((occurrence) => ({
+      id: occurrence.postId,
+      title: occurrence.title,
+      publish_date: occurrence.date,
+      publish_at: occurrence.publishAt,
+      projected: true,
+    })),
+  ]
+    .sort((a, b) => getPostDate(a) - getPostDate(b))
+    .forEach((post) => {
+      const postDate = getPostDate(post);
+      const day = toDateKey(postDate);
+      const slot = `${day} ${postDate.getHours()}`;
+
+      postsByDay[day] = [...(postsByDay[day] || []), post];
+      postsBySlot[slot] = [...(postsBySlot[slot] || []), post];
+    });
 
   // Month names for header
   const monthNames = [
@@ -870,55 +1804,91 @@ const renderCalendar = () => {
     "November",
     "December",
   ];
+  const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  const lastDay = new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+  const title =
+    view === "month"
+      ? `${monthNames[currentMonth]} ${currentYear}`
+      : view === "week"
+      ? `${start.toLocaleDateString(undefined, {
+          month: "short",
+          day: "numeric",
+        })} – ${lastDay.toLocaleDateString(undefined, {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })}`
+      : start.toLocaleDateString(undefined, {
+          weekday: "long",
+          month: "long",
+          day: "numeric",
+          year: "numeric",
+        });
 
-  // Render calendar
-  mainContent.innerHTML = `
-    <div class="card calendar">
-      <div class="calendar-header">
-        <h2 class="calendar-title">${
-          monthNames[currentMonth]
-        } ${currentYear}</h2>
-        <div class="calendar-navigation">
-          <button class="btn" id="prev-month-btn">Previous</button>
-          <button class="btn" id="next-month-btn">Next</button>
-        </div>
+  const todayKey = toDateKey(now);
+
+  // A post in a day or time slot; posts that can be moved are draggable
+  const renderCalendarPost = (post, showTime) => {
+    const movable = canReschedule(post);
+
+    return `
+      <div class="calendar-day-post ${post.projected ? "projected" : ""} ${
+      movable ? "" : "locked"
+    }" title="${escapeHtml(post.title || "Untitled")}${
+      post.projected
+        ? " (upcoming repeat)"
+        : post.status === "published"
+        ? " (published)"
+        : ""
+    }" data-post-id="${post.id}" ${movable ? 'draggable="true"' : ""}>
+        ${
+          showTime
+            ? `<span class="calendar-post-time">${formatTime(
+                getPostDate(post)
+              )}</span>`
+            : ""
+        }
+        ${escapeHtml(post.title || "Untitled")}
       </div>
-      
+    `;
+  };
+
+  // Month grid, with empty cells before the first day of the month
+  const renderMonth = () => {
+    const daysInMonth = new Date(currentYear, currentMonth + 1, 0).getDate();
+    const firstDayOfMonth = start.getDay();
+    const days = [];
+
+    for (let i = 0; i < firstDayOfMonth; i++) {
+      days.push(null);
+    }
+    for (let i = 1; i <= daysInMonth; i++) {
+      days.push(new Date(currentYear, currentMonth, i));
+    }
+
+    return `
       <div class="calendar-grid">
-        <div class="calendar-day-header">Sun</div>
-        <div class="calendar-day-header">Mon</div>
-        <div class="calendar-day-header">Tue</div>
-        <div class="calendar-day-header">Wed</div>
-        <div class="calendar-day-header">Thu</div>
-        <div class="calendar-day-header">Fri</div>
-        <div class="calendar-day-header">Sat</div>
-        
+        ${dayNames
+          .map((name) => `<div class="calendar-day-header">${name}</div>`)
+          .join("")}
+
         ${days
-          .map((day) => {
-            if (day === null) {
+          .map((date) => {
+            if (date === null) {
               return `<div class="calendar-day" style="opacity: 0.2;"></div>`;
             }
 
-            const isToday = day === now.getDate();
-            const dayPosts = postsByDay[day] || [];
+            const key = toDateKey(date);
+            const dayPosts = postsByDay[key] || [];
 
             return `
             <div class="calendar-day ${
-              isToday ? "calendar-day-today" : ""
-            }" data-day="${day}">
-              <div class="calendar-day-number">${day}</div>
+              key === todayKey ? "calendar-day-today" : ""
+            }" data-date="${key}">
+              <div class="calendar-day-number">${date.getDate()}</div>
               <div class="calendar-day-content">
-                ${dayPosts
-                  .map(
-                    (post) => `
-                  <div class="calendar-day-post" title="${
-                    post.title || "Untitled"
-                  }" data-post-id="${post.id}">
-                    ${post.title || "Untitled"}
-                  </div>
-                `
-                  )
-                  .join("")}
+                ${dayPosts.map((post) => renderCalendarPost(post, false)).join("")}
                 ${
                   dayPosts.length === 0
                     ? ""
@@ -934,8 +1904,218 @@ const renderCalendar = () => {
           })
           .join("")}
       </div>
+    `;
+  };
+
+  // Hourly time slots for each day of the week or the single day
+  const renderTimeGrid = () => {
+    const dates = [];
+    for (
+      let date = new Date(start);
+      date < end;
+      date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+    ) {
+      dates.push(date);
+    }
+
+    return `
+      <div class="calendar-time-grid" style="grid-template-columns: 60px repeat(${
+        dates.length
+      }, minmax(0, 1fr));">
+        <div></div>
+        ${dates
+          .map(
+            (date) => `
+          <div class="calendar-day-header ${
+            toDateKey(date) === todayKey ? "calendar-day-today" : ""
+          }" data-day-view="${toDateKey(date)}">
+            ${dayNames[date.getDay()]} ${date.getDate()}
+          </div>
+        `
+          )
+          .join("")}
+
+        ${Array.from({ length: 24 }, (_, hour) => hour)
+          .map(
+            (hour) => `
+          <div class="calendar-hour-label">${formatTime(
+            new Date(2000, 0, 1, hour)
+          )}</div>
+          ${dates
+            .map((date) => {
+              const key = toDateKey(date);
+
+              return `
+            <div class="calendar-slot" data-date="${key}" data-hour="${hour}">
+              ${(postsBySlot[`${key} ${hour}`] || [])
+                .map((post) => renderCalendarPost(post, true))
+                .join("")}
+            </div>
+          `;
+            })
+            .join("")}
+        `
+          )
+          .join("")}
+      </div>
+    `;
+  };
+
+  // Render calendar
+  mainContent.innerHTML = `
+    <div class="card calendar">
+      <div class="calendar-header">
+        <h2 class="calendar-title">${title}</h2>
+        <div class="calendar-navigation">
+          ${CALENDAR_VIEWS.map(
+            ({ id, label }) => `
+            <button class="btn ${
+              view === id ? "btn-primary" : ""
+            }" data-calendar-view="${id}">${label}</button>
+          `
+          ).join("")}
+          <button class="btn" id="prev-period-btn">Previous</button>
+          <button class="btn" id="today-btn">Today</button>
+          <button class="btn" id="next-period-btn">Next</button>
+        </div>
+      </div>
+      <p class="text-secondary mb-sm">Drag a post to reschedule it, or click an empty spot to create one.</p>
+
+      ${view === "month" ? renderMonth() : renderTimeGrid()}
     </div>
   `;
+
+  // View switching and navigation
+  mainContent.querySelectorAll("[data-calendar-view]").forEach((button) => {
+    button.addEventListener("click", () => {
+      state.calendarView = button.dataset.calendarView;
+      renderCalendar();
+    });
+  });
+  mainContent.querySelectorAll("[data-day-view]").forEach((header) => {
+    header.addEventListener("click", () => {
+      state.calendarView = "day";
+      state.calendarDate = parseDateKey(header.dataset.dayView);
+      renderCalendar();
+    });
+  });
+  document.getElementById("prev-period-btn").addEventListener("click", () => {
+    state.calendarDate = shiftCalendarDate(view, state.calendarDate, -1);
+    renderCalendar();
+  });
+  document.getElementById("next-period-btn").addEventListener("click", () => {
+    state.calendarDate = shiftCalendarDate(view, state.calendarDate, 1);
+    renderCalendar();
+  });
+  document.getElementById("today-btn").addEventListener("click", () => {
+    state.calendarDate = null;
+    renderCalendar();
+  });
+
+  // Posts open in the editor; upcoming repeats and published posts stay as they are
+  mainContent.querySelectorAll(".calendar-day-post").forEach((item) => {
+    item.addEventListener("click", (event) => {
+      event.stopPropagation();
+
+      const post = state.posts.find(
+        (p) => p.id === parseInt(item.dataset.postId, 10)
+      );
+      if (post && item.draggable) {
+        state.currentView = "editor";
+        state.currentPost = post;
+        renderApp();
+      }
+    });
+  });
+
+  mainContent
+    .querySelectorAll('.calendar-day-post[draggable="true"]')
+    .forEach((item) => {
+      item.addEventListener("dragstart", (event) => {
+        event.dataTransfer.setData("text/plain", item.dataset.postId);
+        event.dataTransfer.effectAllowed = "move";
+      });
+    });
+
+  mainContent.querySelectorAll("[data-date]").forEach((cell) => {
+    const hour = cell.dataset.hour === undefined ? null : Number(cell.dataset.hour);
+
+    // Dropping on a day keeps the post's time; dropping on a time slot sets the hour
+    cell.addEventListener("dragover", (event) => {
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "move";
+      cell.classList.add("drag-over");
+    });
+    cell.addEventListener("dragleave", (event) => {
+      if (!cell.contains(event.relatedTarget)) {
+        cell.classList.remove("drag-over");
+      }
+    });
+    cell.addEventListener("drop", (event) => {
+      event.preventDefault();
+      cell.classList.remove("drag-over");
+
+      const post = state.posts.find(
+        (p) => p.id === parseInt(event.dataTransfer.getData("text/plain"), 10)
+      );
+      if (!post) return;
+
+      const current = getPostDate(post);
+      const date = parseDateKey(cell.dataset.date);
+      date.setHours(hour ?? current.getHours(), current.getMinutes());
+
+      if (date.getTime() === current.getTime()) return;
+      if (
+        date < new Date() &&
+        !confirm("That time has already passed. Move the post anyway?")
+      ) {
+        return;
+      }
+
+      reschedulePost(
+        post.id,
+        toZonedDateTime(date, post.timezone || VIEWER_TIME_ZONE)
+      );
+    });
+
+    // Clicking an empty spot creates a post for that day, or that hour
+    cell.addEventListener("click", () => {
+      state.currentView = "editor";
+      state.currentPost = {
+        publish_date:
+          hour === null
+            ? cell.dataset.date
+            : `${cell.dataset.date} ${String(hour).padStart(2, "0")}:00`,
+        timezone: VIEWER_TIME_ZONE,
+      };
+      renderApp();
+    });
+  });
+};
+
+// Move a post to another time, given as wall-clock time in the post's zone
+const reschedulePost = async (postId, publishDate) => {
+  try {
+    const [date, time] = publishDate.split(" ");
+    const response = await apiFetch(`/api/posts/${postId}`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ publish_date: date, publish_time: time }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || "Failed to reschedule post");
+    }
+
+    await fetchPosts();
+    renderApp();
+  } catch (error) {
+    console.error("Error rescheduling post:", error);
+    alert(`Error: ${error.message}`);
+  }
 };
 
 // Publish a post
@@ -950,7 +2130,7 @@ const publishPost = async (postId) => {
       button.textContent = "Publishing...";
     }
 
-    const response = await fetch(`/api/publish/${postId}`, {
+    const response = await apiFetch(`/api/publish/${postId}`, {
       method: "POST",
     });
 
@@ -992,6 +2172,74 @@ const publishPost = async (postId) => {
   }
 };
 
+// Move a post to another status
+const setPostStatus = async (postId, status) => {
+  try {
+    const response = await apiFetch(`/api/posts/${postId}/status`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ status }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || "Failed to change post status");
+    }
+
+    await fetchPosts();
+    renderApp();
+  } catch (error) {
+    console.error("Error changing post status:", error);
+    alert(`Error: ${error.message}`);
+  }
+};
+
+// Submit, comment on, approve or reject a post
+const reviewPost = async (postId, action, comment = "") => {
+  try {
+    const response = await apiFetch(`/api/posts/${postId}/review`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ action, comment }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || `Failed to ${action} post`);
+    }
+
+    await fetchPosts();
+    renderApp();
+  } catch (error) {
+    console.error("Error reviewing post:", error);
+    alert(`Error: ${error.message}`);
+  }
+};
+
+// Mark an overdue post as missed instead of publishing it late
+const skipPost = async (postId) => {
+  try {
+    const response = await apiFetch(`/api/posts/${postId}/skip`, {
+      method: "POST",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || "Failed to skip post");
+    }
+
+    await fetchPosts();
+    renderApp();
+  } catch (error) {
+    console.error("Error skipping post:", error);
+    alert(`Error: ${error.message}`);
+  }
+};
+
 // Delete a post
 const deletePost = async (postId) => {
   try {
@@ -1005,7 +2253,7 @@ const deletePost = async (postId) => {
     }
 
     // Create a distinct request path to avoid conflicts
-    const response = await fetch(`/api/posts/${postId}/delete`, {
+    const response = await apiFetch(`/api/posts/${postId}/delete`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json"
@@ -1071,6 +2319,98 @@ const extractTimePart = (dateTimeStr) => {
   return "12:00";
 };
 
+// Calendar views
+const CALENDAR_VIEWS = [
+  { id: "month", label: "Month" },
+  { id: "week", label: "Week" },
+  { id: "day", label: "Day" },
+];
+
+// Get the dates a calendar view shows, from the start up to but not including the end
+const getCalendarRange = (view, date) => {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const day = date.getDate();
+
+  if (view === "day") {
+    return { start: new Date(year, month, day), end: new Date(year, month, day + 1) };
+  }
+  if (view === "week") {
+    const sunday = day - date.getDay();
+    return { start: new Date(year, month, sunday), end: new Date(year, month, sunday + 7) };
+  }
+  return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+};
+
+// Move the calendar a month, week or day back or forward
+const shiftCalendarDate = (view, date, step) =>
+  view === "month"
+    ? new Date(date.getFullYear(), date.getMonth() + step, 1)
+    : new Date(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate() + step * (view === "week" ? 7 : 1)
+      );
+
+// Key of a day in the viewer's zone, like 2025-06-02
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+    date.getDate()
+  ).padStart(2, "0")}`;
+
+// Midnight of a day given by its key
+const parseDateKey = (key) => {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Wall-clock time of a moment in a time zone, like 2025-06-02 09:30
+const toZonedDateTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+};
+
+// Check whether a post can be moved in the calendar; what went out stays put
+const canReschedule = (post) =>
+  !post.projected && !["published", "partially_published", "publishing"].includes(post.status);
+
+// Time zone of this browser; dates are shown in it
+const VIEWER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Time zones to offer in the editor, making sure the current one is listed
+const getTimeZones = (current) => {
+  const zones = Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : [];
+  return zones.includes(current) ? zones : [current, ...zones];
+};
+
+// Get the moment a post is due, from the UTC time the server stores
+const getPostDate = (post) => new Date(post.publish_at || post.publish_date);
+
+// Format a post's publish date in the viewer's zone, noting its own zone if different
+const formatPostDate = (post) => {
+  if (!post.publish_date) return formatDate(null);
+
+  const zone =
+    post.timezone && post.timezone !== VIEWER_TIME_ZONE
+      ? ` (${post.publish_date} ${post.timezone})`
+      : "";
+
+  return `${formatDate(getPostDate(post))}${zone}`;
+};
+
 // Format date for display
 const formatDate = (dateTimeStr) => {
   if (!dateTimeStr) return "No date set";
@@ -1114,6 +2454,188 @@ const formatTime = (dateTimeStr) => {
   return `${formattedHour}:${minutes} ${ampm}`;
 };
 
+// What the publisher does with a post whose time passed unpublished
+const MISSED_POLICY_LABELS = {
+  publish: "Publish late",
+  skip: "Skip it",
+  confirm: "Ask me first",
+};
+
+// Names of post statuses
+const STATUS_LABELS = {
+  draft: "Draft",
+  needs_review: "Needs review",
+  approved: "Approved",
+  scheduled: "Scheduled",
+  publishing: "Publishing",
+  partially_published: "Partially published",
+  published: "Published",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+// Status changes offered as buttons on post cards, with their labels
+const STATUS_ACTIONS = {
+  scheduled: "Schedule",
+  draft: "Move to Drafts",
+  cancelled: "Cancel",
+};
+
+// Check whether the status lifecycle lets a post move to a status
+const canChangeStatus = (post, status) =>
+  (state.config.statusTransitions?.[post.status] || []).includes(status);
+
+// Check whether posts need approval before they are published
+const isReviewRequired = () => Boolean(state.config.review?.required);
+
+// Check whether the logged in user may approve, reject and publish posts
+const isApprover = () => state.user?.role === "approver";
+
+// Check whether the logged in user may publish a post now
+const canPublish = (post) =>
+  isApprover() &&
+  canChangeStatus(post, "publishing") &&
+  (!isReviewRequired() || post.status !== "scheduled");
+
+// Get the status buttons of a post as [status, label] pairs
+// With review.required, posts are scheduled by approving them instead
+const getStatusActions = (post) =>
+  Object.entries(STATUS_ACTIONS).filter(
+    ([status]) =>
+      canChangeStatus(post, status) &&
+      (status !== "scheduled" || !isReviewRequired())
+  );
+
+// Tell the user about things worth a look in a post that was saved anyway
+const showWarnings = (warnings = []) => {
+  if (warnings.length > 0) {
+    alert(`Saved, but check:\n- ${warnings.join("\n- ")}`);
+  }
+};
+
+// How long the editor waits after typing before refreshing the preview
+const PREVIEW_DELAY_MS = 300;
+
+// Escape text for use in HTML
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Show a preview part's text with its links, mentions and hashtags highlighted
+const formatSegments = ({ text, segments }) => {
+  let html = "";
+  let position = 0;
+
+  segments.forEach((segment) => {
+    html += escapeHtml(text.slice(position, segment.start));
+    html += `<span class="facet facet-${segment.type}">${escapeHtml(
+      text.slice(segment.start, segment.end)
+    )}</span>`;
+    position = segment.end;
+  });
+
+  return html + escapeHtml(text.slice(position));
+};
+
+// Names of review actions as shown in the review history
+const REVIEW_LABELS = {
+  submitted: "Submitted",
+  commented: "Commented",
+  approved: "Approved",
+  rejected: "Rejected",
+};
+
+// Show the review history of a post
+const formatReviews = (reviews) =>
+  reviews.length === 0
+    ? ""
+    : `<ul class="review-history">
+      ${reviews
+        .map(
+          (review) => `
+        <li class="review-entry ${review.action}">
+          <strong>${REVIEW_LABELS[review.action] || review.action}</strong>
+          ${review.reviewer ? `by ${escapeHtml(review.reviewer)}` : ""}
+          <span class="review-date">${formatDate(
+            // SQLite timestamps are UTC
+            `${review.created_at.replace(" ", "T")}Z`
+          )}</span>
+          ${
+            review.comment
+              ? `<div class="review-comment">${escapeHtml(review.comment)}</div>`
+              : ""
+          }
+        </li>`
+        )
+        .join("")}
+    </ul>`;
+
+// Show a post's status
+const formatStatus = (post) =>
+  `<span class="post-status ${post.status}">${STATUS_LABELS[post.status] || post.status}</span>`;
+
+// Show whether the publisher skipped an overdue post or is holding it back
+const formatMissedStatus = (post) => {
+  if (post.missed_status === "missed") {
+    return `<div class="missed-status missed">Missed: skipped because its time had passed. Change the date to schedule it again.</div>`;
+  }
+  if (post.missed_status === "awaiting_confirmation") {
+    return `<div class="missed-status awaiting">Overdue: publish it late or skip it.</div>`;
+  }
+  return "";
+};
+
+// Weekdays as written in recurrence rules
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Split a recurrence rule into editor fields
+const parseRecurrenceRule = (rule) => {
+  const fields = { freq: "", interval: 1, byDay: [], until: "", count: "" };
+
+  (rule || "").split(";").forEach((part) => {
+    const [key, value = ""] = part.split("=");
+    if (key === "FREQ") fields.freq = value;
+    if (key === "INTERVAL") fields.interval = value;
+    if (key === "BYDAY") fields.byDay = value.split(",");
+    if (key === "COUNT") fields.count = value;
+    if (key === "UNTIL") {
+      fields.until = value.replace(/^(\d{4})(\d{2})(\d{2}).*$/, "$1-$2-$3");
+    }
+  });
+
+  return fields;
+};
+
+// Build a recurrence rule from editor fields; empty when the post does not repeat
+const buildRecurrenceRule = ({ freq, interval, byDay, until, count }) => {
+  if (!freq) return "";
+
+  const parts = [`FREQ=${freq}`];
+  if (interval && Number(interval) > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(",")}`);
+  if (until) parts.push(`UNTIL=${until.replace(/-/g, "")}`);
+  if (count) parts.push(`COUNT=${count}`);
+
+  return parts.join(";");
+};
+
+// Describe a recurrence rule, e.g. "weekly on MO, FR, 10 times"
+const describeRecurrenceRule = (rule) => {
+  const { freq, interval, byDay, until, count } = parseRecurrenceRule(rule);
+  const unit = { DAILY: "days", WEEKLY: "weeks", MONTHLY: "months" }[freq];
+
+  let text =
+    Number(interval) > 1 ? `every ${interval} ${unit}` : freq.toLowerCase();
+  if (byDay.length > 0) text += ` on ${byDay.join(", ")}`;
+  if (until) text += ` until ${until}`;
+  if (count) text += `, ${count} times`;
+
+  return text;
+};
+
 // Format platforms for display
 const formatPlatforms = (platforms) => {
   if (!platforms) return "";
@@ -1126,7 +2648,9 @@ const formatPlatforms = (platforms) => {
   const platformsList = platformsStr.split(",").map((p) => p.trim()).filter(p => p);
 
   return platformsList
-    .map((platform) => {
+    .map((target) => {
+      // Named accounts are stored as platform:account
+      const [platform, account] = target.split(":");
       let icon = "";
 
       switch (platform.toLowerCase()) {
@@ -1143,10 +2667,52 @@ const formatPlatforms = (platforms) => {
           icon = platform.charAt(0).toUpperCase();
       }
 
-      return `<div class="platform-icon" title="${platform}">${icon}</div>`;
+      return `<div class="platform-icon" title="${target}">${icon}</div>${
+        account ? `<span class="platform-account">${account}</span>` : ""
+      }`;
     })
     .join("");
 };
 
+// Check whether any platform of a post failed
+const hasFailedDeliveries = (post) =>
+  (post.deliveries || []).some((delivery) =>
+    ["failed", "permanently_failed"].includes(delivery.status)
+  );
+
+// Format failed or partial deliveries for display
+const formatDeliveries = (deliveries) => {
+  const problems = (deliveries || []).filter((delivery) =>
+    ["failed", "permanently_failed", "partial"].includes(delivery.status)
+  );
+
+  if (problems.length === 0) return "";
+
+  return `
+    <div class="post-card-deliveries">
+      ${problems
+        .map((delivery) => {
+          let label;
+          if (delivery.status === "permanently_failed") {
+            label = `failed permanently after ${delivery.attempts} attempts`;
+          } else if (delivery.status === "partial") {
+            label = "thread partially published";
+          } else {
+            label = `failed, retrying ${formatDate(delivery.next_attempt_at)}`;
+          }
+
+          return `
+            <div class="delivery-status delivery-${delivery.status}" title="${escapeHtml(
+              delivery.error || ""
+            )}">
+              <strong>${delivery.platform}</strong> ${label}
+            </div>
+          `;
+        })
+        .join("")}
+    </div>
+  `;
+};
+
 // Initialize the application
 document.addEventListener("DOMContentLoaded", init);
@@ -9,17 +9,81 @@ import {
   getPostById,
   createPost,
   updatePost,
-  markAsPublished,
+  setPostStatus,
+  getStatusHistory,
+  getReviews,
+  claimPost,
+  releasePost,
+  recordDeliveries,
+  getDeliveries,
+  getDeliveriesForPosts,
+  getPendingPlatforms,
+  getDeliveryById,
+  updateDeliveryStatus,
   logAction,
   deletePost,
+  getMediaById,
+  getMediaForPost,
+  setPostMedia,
+  deleteMedia,
+  getVariants,
+  setPostVariants,
 } from "../utils/db.mjs";
+import { storeMedia } from "../utils/media.mjs";
+import {
+  getCapabilities,
+  previewPost,
+  validatePost,
+} from "../utils/validation.mjs";
 import { getSocialAPI } from "../utils/social/index.mjs";
+import { checkTargets, getAccountNames } from "../utils/accounts.mjs";
+import { getPostVariants, normalizeVariants } from "../utils/variants.mjs";
+import {
+  parseRecurrence,
+  projectOccurrences,
+  spawnNextOccurrence,
+} from "../utils/recurrence.mjs";
 import {
   generateTitle,
   suggestPublishDate,
   enhanceContent,
+  enhanceVariants,
 } from "../utils/ai.mjs";
 import { getConfig } from "../utils/config.mjs";
+import {
+  getDefaultTimeZone,
+  getPublishTime,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatInTimeZone,
+} from "../utils/timezone.mjs";
+import { confirmLate, markMissed, MISSED_POLICIES } from "../utils/missed.mjs";
+import {
+  PUBLISHED_STATUSES,
+  RETRY_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  describeStatus,
+  getDeliveredStatus,
+  parseStatusFilter,
+  resolveStatus,
+} from "../utils/status.mjs";
+import {
+  checkStatusChange,
+  getDefaultStatus,
+  getReviewQueue,
+  isReviewRequired,
+  resubmitIfApproved,
+  reviewPost,
+  APPROVER_ACTIONS,
+} from "../utils/review.mjs";
+import {
+  ensureAdminToken,
+  requireApprover,
+  requireAuth,
+  setupAuthRoutes,
+} from "./auth.mjs";
+import { getSchedulerStatus, startScheduler } from "./scheduler.mjs";
 
 // Get directory name in ESM
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -30,16 +94,23 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  */
 export const startServer = async (argv) => {
   const app = express();
+  const config = getConfig();
   const port = argv.port || 3000;
+  const host = argv.host || config.server?.host || undefined;
   const shouldOpen = !argv.noOpen; // Open by default, disabled with --no-open
 
   // Middleware
-  app.use(cors());
+  // The UI is served from this origin, so cross-origin requests are only allowed when configured
+  app.use(cors({ origin: config.server?.corsOrigins || false, credentials: true }));
   app.use(express.json());
 
   // Serve static files from 'client' directory
   app.use(express.static(path.join(__dirname, "client")));
 
+  // Login routes are public, everything else under /api needs a session or a bearer token
+  setupAuthRoutes(app);
+  app.use("/api", requireAuth);
+
   // API routes
   setupApiRoutes(app);
 
@@ -48,15 +119,39 @@ export const startServer = async (argv) => {
     res.sendFile(path.join(__dirname, "client", "index.html"));
   });
 
+  // First start without a password or any tokens: generate an admin token to log in with
+  const adminToken = ensureAdminToken();
+
+  // Publish due posts from this process instead of a separate publisher
+  if (argv.scheduler) {
+    startScheduler();
+  }
+
   // Start server
-  app.listen(port, () => {
-    const url = `http://localhost:${port}`;
-    console.log(chalk.green(`✓ Server started on port ${port}`));
+  app.listen(port, host, () => {
+    const url = `http://${
+      !host || host === "0.0.0.0" || host === "::" ? "localhost" : host
+    }:${port}`;
+    console.log(
+      chalk.green(`✓ Server started on ${host ? `${host}:${port}` : `port ${port}`}`)
+    );
+    if (adminToken) {
+      console.log(chalk.yellow("\nGenerated an admin token to log in with (shown only once):"));
+      console.log(chalk.bold(`  ${adminToken}`));
+      console.log(
+        chalk.gray("Manage tokens with"),
+        chalk.cyan("social-light server token"),
+        chalk.gray("\n")
+      );
+    }
     console.log(
       chalk.cyan(
         `Opening ${url} in your browser...`
       )
     );
+    if (argv.scheduler) {
+      console.log(chalk.cyan("Publishing scheduled posts every minute"));
+    }
     console.log(chalk.gray("Press Ctrl+C to stop the server"));
     
     // Open URL in default browser if not disabled
@@ -87,21 +182,96 @@ export const startServer = async (argv) => {
   });
 };
 
+/**
+ * Convert a media record for API responses, hiding its location on disk
+ * @param {Object} media - Media record
+ * @returns {Object} Media with a URL to fetch the file
+ */
+const toMediaJson = ({ path: filePath, ...media }) => ({
+  ...media,
+  url: `/api/media/${media.id}/file`,
+});
+
+/**
+ * Look up the media records of media references sent by the client
+ * @param {Array<Object>} media - Media references with id and alt
+ * @returns {Array<Object>|null} Media records, or null if one is unknown
+ */
+const findMedia = (media) => {
+  const mediaList = media.map((item) => {
+    const record = getMediaById(Number(item.id));
+    // Alt text edited in the form is saved with the post
+    return record && { ...record, alt: item.alt ?? record.alt };
+  });
+
+  return mediaList.some((item) => !item) ? null : mediaList;
+};
+
+/**
+ * Check a post sent by the client against the platforms it goes to
+ * @param {Object} post - The post as it would be saved
+ * @param {string} post.content - Canonical text
+ * @param {Array<Object>} post.media - Media references with id and alt
+ * @param {Array<Object>} post.variants - Normalized variants of the post
+ * @param {string|Array<string>} platforms - Selected platforms
+ * @returns {Object} errors and warnings, as arrays of messages
+ */
+const checkPost = ({ content, media, variants }, platforms) => {
+  const mediaList = findMedia(media);
+
+  if (!mediaList) {
+    return { errors: ["Unknown media attachment"], warnings: [] };
+  }
+
+  return validatePost({ content, media: mediaList, variants }, platforms);
+};
+
+/**
+ * Check a recurrence rule sent by the client
+ * @param {string} recurrence - RRULE, or empty for none
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+const checkRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  try {
+    parseRecurrence(recurrence);
+    return null;
+  } catch (error) {
+    return `Invalid recurrence: ${error.message}`;
+  }
+};
+
 /**
  * Set up API routes
+ * Mount after requireAuth; the routes expect req.user.
  * @param {Express} app - Express app
  */
-const setupApiRoutes = (app) => {
+export const setupApiRoutes = (app) => {
   // Get API info
   app.get("/api", (req, res) => {
     res.json({
       name: "Social Light API",
       version: "1.0.0",
       endpoints: [
+        "/api/auth/session",
+        "/api/auth/login",
+        "/api/auth/logout",
         "/api/posts",
         "/api/posts/:id",
         "/api/publish/:id",
+        "/api/occurrences",
         "/api/posts/:id/delete",
+        "/api/posts/:id/status",
+        "/api/posts/:id/history",
+        "/api/posts/:id/review",
+        "/api/posts/:id/reviews",
+        "/api/reviews",
+        "/api/posts/:id/deliveries",
+        "/api/deliveries/:id/delete",
+        "/api/media",
+        "/api/media/:id/file",
+        "/api/media/:id/delete",
         "/api/ai/title",
         "/api/ai/date",
         "/api/ai/enhance",
@@ -115,26 +285,112 @@ const setupApiRoutes = (app) => {
     const config = getConfig();
 
     // Remove sensitive information
+    const { credentials, server, ai, ...publicConfig } = config;
     const safeConfig = {
-      ...config,
-      // Always ensure platforms are available
+      ...publicConfig,
+      ai: ai && { ...ai, apiKey: undefined },
+      // Zone new posts are scheduled in unless the editor picks another
+      timezone: getDefaultTimeZone(),
+      // Status changes the lifecycle allows, for the post actions
+      statusTransitions: STATUS_TRANSITIONS,
+      // Always ensure platforms are available, with the names of their
+      // named accounts (posts target them as "bluesky:acme") and what they accept
       platforms: [
         { id: "bluesky", name: "Bluesky", icon: "cloud" },
+        { id: "mastodon", name: "Mastodon", icon: "elephant" },
         // Add more platforms here when they become available
         // { id: 'twitter', name: 'Twitter', icon: 'twitter' },
         // { id: 'tiktok', name: 'TikTok', icon: 'music' }
-      ],
+      ].map((platform) => ({
+        ...platform,
+        accounts: getAccountNames(platform.id),
+        capabilities: getCapabilities(platform.id),
+      })),
     };
 
     res.json(safeConfig);
   });
 
-  // Get all posts
+  // Get the state of the built-in scheduler (server --scheduler)
+  app.get("/api/scheduler", (req, res) => {
+    try {
+      res.json(getSchedulerStatus());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get posts, filtered by ?status=draft,failed or else by ?published=true|false
   app.get("/api/posts", (req, res) => {
+    let filters;
+    try {
+      const status = parseStatusFilter(req.query.status);
+      filters = status
+        ? { status }
+        : { published: req.query.published === "true" };
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const posts = getPosts(filters);
+      const deliveries = getDeliveriesForPosts(posts.map((post) => post.id));
+      res.json(
+        posts.map((post) => ({
+          ...post,
+          deliveries: deliveries[post.id] || [],
+          media: getMediaForPost(post.id).map(toMediaJson),
+          variants: getVariants(post.id),
+        }))
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Project upcoming occurrences of recurring posts, for the calendar
+  // from and to are instants (ISO strings, or dates meaning UTC midnight)
+  app.get("/api/occurrences", (req, res) => {
     try {
-      const published = req.query.published === "true";
-      const posts = getPosts({ published });
-      res.json(posts);
+      const from = new Date(req.query.from);
+      const to = new Date(req.query.to);
+
+      if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return res.status(400).json({ error: "from and to are required" });
+      }
+
+      const occurrences = getPosts({ published: false })
+        .filter(
+          (post) =>
+            post.recurrence && post.publish_date && post.status !== "cancelled"
+        )
+        .flatMap((post) => {
+          const timeZone = post.timezone || getDefaultTimeZone();
+
+          return projectOccurrences(post.recurrence, post.publish_date, {
+            after: post.publish_date,
+            // A day of slack, since the window is in UTC and the rule in the post's zone
+            before: formatInTimeZone(
+              new Date(to.getTime() + 86400000),
+              timeZone
+            ),
+            occurrence: post.occurrence || 1,
+            limit: 400,
+          })
+            .map((occurrence) => ({
+              postId: post.id,
+              title: post.title,
+              ...occurrence,
+              timezone: timeZone,
+              publishAt: zonedTimeToUtc(occurrence.date, timeZone).toISOString(),
+            }))
+            .filter((occurrence) => {
+              const publishAt = new Date(occurrence.publishAt);
+              return publishAt >= from && publishAt <= to;
+            });
+        });
+
+      res.json(occurrences);
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -149,7 +405,12 @@ const setupApiRoutes = (app) => {
         return res.status(404).json({ error: "Post not found" });
       }
 
-      res.json(post);
+      res.json({
+        ...post,
+        deliveries: getDeliveries(post.id),
+        media: getMediaForPost(post.id).map(toMediaJson),
+        variants: getVariants(post.id),
+      });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -158,28 +419,113 @@ const setupApiRoutes = (app) => {
   // Create new post
   app.post("/api/posts", async (req, res) => {
     try {
-      const { title, content, platforms, publish_date, publish_time } = req.body;
+      const {
+        title,
+        content,
+        platforms,
+        publish_date,
+        publish_time,
+        media,
+        recurrence,
+        timezone,
+        missed_policy,
+        status,
+        variants,
+      } = req.body;
 
       if (!content) {
         return res.status(400).json({ error: "Content is required" });
       }
 
+      let initialStatus = getDefaultStatus();
+      try {
+        initialStatus = status ? resolveStatus(status) : initialStatus;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // New posts are drafts, go straight to review, or, without
+      // review.required, are scheduled
+      const allowed = ["draft", "needs_review"];
+      if (!isReviewRequired()) allowed.push("scheduled");
+      if (!allowed.includes(initialStatus)) {
+        return res.status(400).json({
+          error: `New posts cannot be ${describeStatus(initialStatus)}`,
+        });
+      }
+
+      const recurrenceError = checkRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError });
+      }
+
+      if (timezone && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: `Unknown time zone "${timezone}"` });
+      }
+
+      if (missed_policy && !MISSED_POLICIES.includes(missed_policy)) {
+        return res.status(400).json({ error: `Unknown missed-window policy "${missed_policy}"` });
+      }
+
+      const targetErrors = checkTargets(platforms);
+      if (targetErrors.length > 0) {
+        return res.status(400).json({ error: targetErrors.join("; "), errors: targetErrors });
+      }
+
+      let postVariants;
+      try {
+        postVariants = normalizeVariants(
+          variants || [],
+          (media || []).map((item) => Number(item.id))
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const { errors, warnings } = checkPost(
+        { content, media: media || [], variants: postVariants },
+        platforms
+      );
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join("; "), errors, warnings });
+      }
+
       // Combine date and time if both are provided
       let dateTimeValue = publish_date;
       if (publish_date && publish_time) {
         dateTimeValue = `${publish_date} ${publish_time}`;
       }
 
-      const postId = createPost({
-        title,
-        content,
-        platforms: Array.isArray(platforms) ? platforms.join(",") : platforms,
-        publish_date: dateTimeValue,
-      });
+      const postId = createPost(
+        {
+          title,
+          content,
+          platforms: Array.isArray(platforms) ? platforms.join(",") : platforms,
+          publish_date: dateTimeValue,
+          timezone: timezone || getDefaultTimeZone(),
+          recurrence: recurrence || null,
+          missed_policy: missed_policy || null,
+          // Submitting is recorded as a review below
+          status: initialStatus === "needs_review" ? "draft" : initialStatus,
+        },
+        { by: req.user?.name }
+      );
+
+      if (media) {
+        setPostMedia(postId, media);
+      }
+
+      if (postVariants.length > 0) {
+        setPostVariants(postId, postVariants);
+      }
 
       logAction("post_created", { postId, source: "web" });
 
-      res.status(201).json({ id: postId });
+      if (initialStatus === "needs_review") {
+        reviewPost(postId, "submit", { by: req.user?.name });
+      }
+
+      res.status(201).json({ id: postId, warnings });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
@@ -189,7 +535,18 @@ const setupApiRoutes = (app) => {
   app.put("/api/posts/:id", async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
-      const { title, content, platforms, publish_date, publish_time } = req.body;
+      const {
+        title,
+        content,
+        platforms,
+        publish_date,
+        publish_time,
+        media,
+        recurrence,
+        timezone,
+        missed_policy,
+        variants,
+      } = req.body;
 
       const post = getPostById(id);
 
@@ -197,6 +554,61 @@ const setupApiRoutes = (app) => {
         return res.status(404).json({ error: "Post not found" });
       }
 
+      // What went out stays as it was
+      if (PUBLISHED_STATUSES.includes(post.status) || post.status === "publishing") {
+        return res.status(400).json({ error: "Published posts cannot be changed" });
+      }
+
+      const recurrenceError = checkRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ error: recurrenceError });
+      }
+
+      if (timezone && !isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: `Unknown time zone "${timezone}"` });
+      }
+
+      if (missed_policy && !MISSED_POLICIES.includes(missed_policy)) {
+        return res.status(400).json({ error: `Unknown missed-window policy "${missed_policy}"` });
+      }
+
+      const targetErrors = checkTargets(platforms ?? []);
+      if (targetErrors.length > 0) {
+        return res.status(400).json({ error: targetErrors.join("; "), errors: targetErrors });
+      }
+
+      // Leaving variants out keeps them; an empty list removes them
+      const mediaItems = media ?? getMediaForPost(id);
+      let postVariants;
+      try {
+        postVariants =
+          variants &&
+          normalizeVariants(
+            variants,
+            mediaItems.map((item) => Number(item.id))
+          );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      // Only changes to what is posted are checked, so a post can always be rescheduled
+      const changedContent = [title, content, platforms, media, variants].some(
+        (value) => value !== undefined
+      );
+      const { errors, warnings } = changedContent
+        ? checkPost(
+            {
+              content: content ?? post.content,
+              media: mediaItems,
+              variants: postVariants ?? getVariants(id),
+            },
+            platforms ?? post.platforms
+          )
+        : { errors: [], warnings: [] };
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join("; "), errors, warnings });
+      }
+
       // Combine date and time if both are provided
       let dateTimeValue = publish_date;
       if (publish_date && publish_time) {
@@ -208,22 +620,44 @@ const setupApiRoutes = (app) => {
         content,
         platforms: Array.isArray(platforms) ? platforms.join(",") : platforms,
         publish_date: dateTimeValue,
+        ...(timezone && { timezone }),
+        // A hand-picked date takes the post out of the queue
+        ...(post.queued &&
+          dateTimeValue !== post.publish_date && { queued: 0 }),
+        // An empty string turns recurrence off; leaving it out keeps it
+        ...(recurrence !== undefined && { recurrence: recurrence || null }),
+        // An empty string goes back to the global policy
+        ...(missed_policy !== undefined && {
+          missed_policy: missed_policy || null,
+        }),
       });
 
       if (!success) {
         return res.status(500).json({ error: "Failed to update post" });
       }
 
+      if (media) {
+        setPostMedia(id, media);
+      }
+
+      if (postVariants) {
+        setPostVariants(id, postVariants);
+      }
+
       logAction("post_updated", { postId: id, source: "web" });
 
-      res.json({ success: true });
+      // Approvers see changes made after they approved a post
+      const resubmitted =
+        changedContent && resubmitIfApproved(post, req.user?.name);
+
+      res.json({ success: true, resubmitted, warnings });
     } catch (error) {
       res.status(500).json({ error: error.message });
     }
   });
 
   // Delete post - using a different route pattern to avoid conflicts
-  app.post("/api/posts/:id/delete", async (req, res) => {
+  app.post("/api/posts/:id/delete", requireApprover, async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       const post = getPostById(id);
@@ -244,8 +678,138 @@ const setupApiRoutes = (app) => {
     }
   });
 
-  // Publish post
-  app.post("/api/publish/:id", async (req, res) => {
+  // Publish an overdue post late, or skip it, when the missed-window policy held it back
+  app.post("/api/posts/:id/:action(confirm|skip)", requireApprover, (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const post = getPostById(id);
+
+      if (!post) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      if (PUBLISHED_STATUSES.includes(post.status)) {
+        return res.status(400).json({ error: "Post is already published" });
+      }
+
+      if (req.params.action === "confirm") {
+        confirmLate(post, "web");
+        return res.json({ success: true });
+      }
+
+      const nextPostId = markMissed(post, "web");
+      res.json({ success: true, nextPostId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Move a post to another status, e.g. { status: "cancelled", note: "..." }
+  app.post("/api/posts/:id/status", (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    if (!getPostById(id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    let changed;
+    try {
+      const status = resolveStatus(req.body.status);
+      checkStatusChange(status);
+      changed = setPostStatus(id, status, {
+        by: req.user?.name,
+        note: req.body.note || null,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (changed) {
+      logAction("post_status_changed", {
+        postId: id,
+        status: getPostById(id).status,
+        source: "web",
+      });
+    }
+
+    res.json({ success: true, changed, status: getPostById(id).status });
+  });
+
+  // Get the posts waiting for review, with their comments
+  app.get("/api/reviews", (req, res) => {
+    try {
+      res.json(
+        getReviewQueue().map((post) => ({
+          ...post,
+          media: getMediaForPost(post.id).map(toMediaJson),
+        }))
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get the review comments and decisions on a post
+  app.get("/api/posts/:id/reviews", (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+
+      if (!getPostById(id)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      res.json(getReviews(id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Submit, comment on, approve or reject a post, e.g. { action: "reject", comment: "..." }
+  app.post("/api/posts/:id/review", (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { action, comment } = req.body || {};
+
+    if (!getPostById(id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (APPROVER_ACTIONS.includes(action) && req.user?.role !== "approver") {
+      return res
+        .status(403)
+        .json({ error: "Only approvers can approve or reject posts" });
+    }
+
+    let review;
+    try {
+      review = reviewPost(id, action, {
+        by: req.user?.name,
+        role: req.user?.role,
+        comment,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, review, status: getPostById(id).status });
+  });
+
+  // Get the status changes of a post
+  app.get("/api/posts/:id/history", (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+
+      if (!getPostById(id)) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      res.json(getStatusHistory(id));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Get per-platform delivery records, optionally refreshed from the platforms
+  app.get("/api/posts/:id/deliveries", async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       const post = getPostById(id);
@@ -254,76 +818,280 @@ const setupApiRoutes = (app) => {
         return res.status(404).json({ error: "Post not found" });
       }
 
-      if (post.published) {
+      const deliveries = getDeliveries(id);
+
+      if (req.query.refresh === "true") {
+        const socialAPI = getSocialAPI();
+
+        for (const delivery of deliveries) {
+          if (!["published", "partial"].includes(delivery.status)) {
+            continue;
+          }
+
+          const status = await socialAPI.getDeliveryStatus(delivery);
+          delivery.remote = status.results[delivery.platform];
+        }
+      }
+
+      res.json(deliveries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Delete the remote post behind a delivery
+  app.post("/api/deliveries/:id/delete", requireApprover, async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const delivery = getDeliveryById(id);
+
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+
+      if (!["published", "partial"].includes(delivery.status)) {
+        return res
+          .status(400)
+          .json({ error: `Delivery is ${delivery.status}, nothing to delete` });
+      }
+
+      const socialAPI = getSocialAPI();
+      const result = await socialAPI.deleteDelivery(delivery);
+
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          error: result.errors.map((e) => e.message).join("; "),
+        });
+      }
+
+      updateDeliveryStatus(id, "deleted");
+      logAction("delivery_deleted", {
+        postId: delivery.post_id,
+        platform: delivery.platform,
+        source: "web",
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Publish post
+  app.post("/api/publish/:id", requireApprover, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    let previousStatus = null;
+    let finalStatus = null;
+
+    try {
+      const existing = getPostById(id);
+
+      if (!existing) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      if (existing.status === "published") {
         return res.status(400).json({ error: "Post is already published" });
       }
 
+      if (
+        existing.status !== "publishing" &&
+        !canTransition(existing.status, "publishing")
+      ) {
+        return res.status(400).json({
+          error: `A ${describeStatus(existing.status)} post cannot be published`,
+        });
+      }
+
+      if (
+        isReviewRequired() &&
+        !["approved", "publishing", ...RETRY_STATUSES].includes(existing.status)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Posts need approval before they are published" });
+      }
+
+      // Keep a running publisher from sending the same post at the same time
+      previousStatus = claimPost(id);
+      if (!previousStatus) {
+        return res
+          .status(409)
+          .json({ error: "Post is being published by another process" });
+      }
+
+      // Read the post after claiming it, in case another publisher just finished it
+      const post = getPostById(id);
+
       if (!post.platforms) {
         return res
           .status(400)
           .json({ error: "No platforms specified for post" });
       }
+
+      // A manual publish retries every platform not yet delivered, ignoring backoff
+      const platforms = getPendingPlatforms(post, { force: true });
+
+      if (platforms.length === 0) {
+        return res.status(400).json({ error: "Post is already published" });
+      }
       
       // Check if post is eligible for publishing based on date/time
-      if (post.publish_date) {
-        let publishDateTime;
-        
-        // If the date includes time component (contains 'T' or ' ')
-        if (post.publish_date.includes('T') || post.publish_date.includes(' ')) {
-          publishDateTime = new Date(post.publish_date);
-        } else {
-          // If only date is provided, assume start of day
-          publishDateTime = new Date(post.publish_date);
-          publishDateTime.setHours(0, 0, 0, 0);
-        }
-        
-        const now = new Date();
-        
-        if (publishDateTime > now) {
-          return res.status(400).json({ 
-            error: "Post is scheduled for future publication",
-            scheduledTime: publishDateTime.toISOString()
-          });
-        }
+      const publishTime = getPublishTime(post);
+      if (publishTime && publishTime > new Date()) {
+        return res.status(400).json({
+          error: "Post is scheduled for future publication",
+          scheduledTime: publishTime.toISOString(),
+        });
       }
 
       // Initialize social API
       const socialAPI = getSocialAPI();
-      const platforms = post.platforms.split(",").map((p) => p.trim());
 
       // Publish post to specified platforms
       const result = await socialAPI.post({
         text: post.content,
         title: post.title,
+        media: getMediaForPost(id),
         platforms,
+        variants: getPostVariants(post, platforms),
       });
 
+      // Keep each platform's remote IDs and outcome
+      recordDeliveries(id, result.results);
+      finalStatus = getDeliveredStatus(post, getDeliveries(id));
+
       // Check if post was successfully published to at least one platform
-      const anySuccess = Object.values(result.results).some((r) => r.success);
+      // (a partially posted thread counts, since its parts already exist remotely)
+      const anySuccess = Object.values(result.results).some(
+        (r) => r.success || r.partial
+      );
+      const wasPublished = PUBLISHED_STATUSES.includes(previousStatus);
+
+      let nextPostId = null;
 
       if (anySuccess) {
-        markAsPublished(id);
+        if (!wasPublished) {
+          nextPostId = spawnNextOccurrence(post);
+        }
 
         // Log the action with platform results
         logAction("post_published", {
           postId: id,
           platforms: result.results,
           source: "web",
+          retry: wasPublished,
         });
 
         res.json({
           success: true,
+          status: finalStatus,
           platforms: result.results,
+          nextPostId,
         });
       } else {
         res.status(500).json({
           success: false,
           error: "Failed to publish to any platform",
+          status: finalStatus,
           platforms: result.results,
         });
       }
     } catch (error) {
       res.status(500).json({ error: error.message });
+    } finally {
+      if (previousStatus) {
+        releasePost(id, { status: finalStatus });
+      }
+    }
+  });
+
+  // Upload a media file; the raw request body is the file, X-Filename its name
+  app.post(
+    "/api/media",
+    express.raw({ type: ["image/*", "video/*"], limit: "100mb" }),
+    (req, res) => {
+      try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(400).json({ error: "No file uploaded" });
+        }
+
+        const media = storeMedia({
+          buffer: req.body,
+          originalName: decodeURIComponent(req.get("X-Filename") || "upload"),
+          mimeType: req.get("Content-Type").split(";")[0],
+          alt: req.query.alt || "",
+        });
+
+        logAction("media_uploaded", { mediaId: media.id, source: "web" });
+
+        res.status(201).json(toMediaJson(media));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    }
+  );
+
+  // Serve a media file
+  app.get("/api/media/:id/file", (req, res) => {
+    const media = getMediaById(parseInt(req.params.id, 10));
+
+    if (!media) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+
+    res.type(media.mime_type).sendFile(media.path);
+  });
+
+  // Delete a media file
+  app.post("/api/media/:id/delete", (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+
+      if (!deleteMedia(id)) {
+        return res.status(404).json({ error: "Media not found" });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Preview a post on each selected platform, checked as it would be on save
+  app.post("/api/preview", (req, res) => {
+    try {
+      const { content, platforms, media, variants } = req.body;
+
+      const targetErrors = checkTargets(platforms);
+      if (targetErrors.length > 0) {
+        return res.status(400).json({ error: targetErrors.join("; "), errors: targetErrors });
+      }
+
+      const mediaList = findMedia(media || []);
+      if (!mediaList) {
+        return res.status(400).json({ error: "Unknown media attachment" });
+      }
+
+      let postVariants;
+      try {
+        postVariants = normalizeVariants(
+          variants || [],
+          mediaList.map((item) => item.id)
+        );
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      res.json(
+        previewPost(
+          { content: content || "", media: mediaList, variants: postVariants },
+          platforms
+        )
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
   });
 
@@ -346,7 +1114,11 @@ const setupApiRoutes = (app) => {
   // Suggest publish date and time with AI
   app.get("/api/ai/date", async (req, res) => {
     try {
-      const dateTime = await suggestPublishDate();
+      const platforms = (req.query.platforms || "")
+        .split(",")
+        .map((platform) => platform.trim())
+        .filter(Boolean);
+      const dateTime = await suggestPublishDate(platforms);
       
       // Parse datetime to separate date and time if needed for client
       let date, time;
@@ -363,15 +1135,20 @@ const setupApiRoutes = (app) => {
     }
   });
 
-  // Enhance content with AI
+  // Enhance content with AI, for one platform or as a variant per platform
   app.post("/api/ai/enhance", async (req, res) => {
     try {
-      const { content, platform } = req.body;
+      const { content, platform, platforms } = req.body;
 
       if (!content) {
         return res.status(400).json({ error: "Content is required" });
       }
 
+      if (Array.isArray(platforms) && platforms.length > 0) {
+        const variants = await enhanceVariants(content, platforms);
+        return res.json({ variants });
+      }
+
       if (!platform) {
         return res.status(400).json({ error: "Platform is required" });
       }
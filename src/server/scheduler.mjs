@@ -0,0 +1,194 @@
+import chalk from "chalk";
+import cron from "node-cron";
+
+import { publishEligiblePosts } from "../commands/publish.mjs";
+import { getPosts } from "../utils/db.mjs";
+import { getReadyStatuses } from "../utils/review.mjs";
+import { isHeld } from "../utils/missed.mjs";
+import {
+  acquirePublisherLock,
+  readPublisherLock,
+  releasePublisherLock,
+} from "../utils/lock.mjs";
+
+// Number of errors kept for /api/scheduler
+const MAX_RECENT_ERRORS = 10;
+
+// Scheduler state, reported by getSchedulerStatus. Restarting the server clears it.
+const scheduler = {
+  enabled: false,
+  startedAt: null,
+  running: false, // A tick is in progress
+  hasLock: false,
+  lastTick: null,
+  recentErrors: [],
+};
+
+/**
+ * Remember an error for the status endpoint
+ * @param {Object} error - Error with message, and postId, title and platform where known
+ */
+const recordError = (error) => {
+  scheduler.recentErrors = [
+    { at: new Date().toISOString(), postId: null, title: null, platform: null, ...error },
+    ...scheduler.recentErrors,
+  ].slice(0, MAX_RECENT_ERRORS);
+};
+
+/**
+ * Take the publisher lock unless this process already holds it
+ * While another publisher (e.g. `social-light daemon`) holds the lock the
+ * scheduler sits out, and takes over once that publisher stops.
+ * @returns {boolean} True if this process holds the lock
+ */
+const ensureLock = () => {
+  if (scheduler.hasLock) return true;
+
+  try {
+    acquirePublisherLock();
+    scheduler.hasLock = true;
+  } catch {
+    scheduler.hasLock = false;
+  }
+
+  return scheduler.hasLock;
+};
+
+/**
+ * Publish the posts that are due, like one cycle of `publish --continuous`
+ */
+const tick = async () => {
+  if (scheduler.running) return;
+
+  const at = new Date().toISOString();
+
+  if (!ensureLock()) {
+    scheduler.lastTick = { at, skipped: true, published: 0, failed: 0 };
+    return;
+  }
+
+  scheduler.running = true;
+
+  try {
+    const outcomes = await publishEligiblePosts({ quiet: true });
+    const published = outcomes.filter((o) => o.published).length;
+    const held = outcomes.filter((o) => o.skipped).length;
+
+    scheduler.lastTick = {
+      at,
+      skipped: false,
+      published,
+      failed: outcomes.length - published - held,
+      held,
+    };
+
+    outcomes.forEach((outcome) => {
+      const { postId, title } = outcome;
+
+      if (outcome.error) {
+        recordError({ postId, title, message: outcome.error });
+      }
+
+      Object.entries(outcome.platforms).forEach(([platform, result]) => {
+        if (result.error) {
+          recordError({ postId, title, platform, message: result.error });
+        }
+      });
+    });
+
+    if (outcomes.length > held) {
+      console.log(
+        chalk.gray(
+          `[${new Date().toLocaleString()}] Scheduler published ${published} of ${
+            outcomes.length - held
+          } due post(s)`
+        )
+      );
+    }
+  } catch (error) {
+    scheduler.lastTick = { at, skipped: false, published: 0, failed: 0, error: error.message };
+    recordError({ message: error.message });
+    console.error(chalk.red("Error in scheduler tick:"), error.message);
+  } finally {
+    scheduler.running = false;
+  }
+};
+
+/**
+ * Run the publisher inside the server process
+ * Checks for due posts every minute, like `publish --continuous`, and shares
+ * its lock so the two never run at the same time.
+ * @example
+ * startScheduler();
+ */
+export const startScheduler = () => {
+  if (scheduler.enabled) return;
+
+  scheduler.enabled = true;
+  scheduler.startedAt = new Date().toISOString();
+
+  process.on("exit", releasePublisherLock);
+  ["SIGINT", "SIGTERM"].forEach((signal) => {
+    process.on(signal, () => process.exit(0));
+  });
+
+  if (!ensureLock()) {
+    const lock = readPublisherLock();
+    console.log(
+      chalk.yellow(
+        `Another publisher is running (PID ${lock?.pid}); the scheduler will take over when it stops`
+      )
+    );
+  }
+
+  tick();
+  cron.schedule("* * * * *", tick);
+};
+
+/**
+ * Find the scheduled post that is due next
+ * Leaves out posts the publisher would not send, like publishEligiblePosts.
+ * Posts without a date come after dated ones.
+ * @returns {Object|null} postId, title and publishAt (null for posts without a date), or null if none
+ */
+const getNextDuePost = () => {
+  const candidates = getPosts({ status: getReadyStatuses() }).filter(
+    (candidate) =>
+      candidate.platforms &&
+      candidate.platforms.trim() !== "" &&
+      !isHeld(candidate)
+  );
+  const post =
+    candidates.find((candidate) => candidate.publish_at) || candidates[0];
+
+  if (!post) return null;
+
+  return {
+    postId: post.id,
+    title: post.title,
+    publishAt: post.publish_at || null,
+  };
+};
+
+/**
+ * Get the state of the scheduler for /api/scheduler
+ * @returns {Object} enabled, startedAt, running, lastTick, nextDue, recentErrors and otherPublisher
+ * @example
+ * res.json(getSchedulerStatus());
+ */
+export const getSchedulerStatus = () => {
+  const lock = scheduler.hasLock ? null : readPublisherLock();
+
+  return {
+    enabled: scheduler.enabled,
+    startedAt: scheduler.startedAt,
+    running: scheduler.running,
+    lastTick: scheduler.lastTick,
+    nextDue: getNextDuePost(),
+    recentErrors: scheduler.recentErrors,
+    // A publisher in another process, e.g. `social-light daemon start`
+    otherPublisher: lock?.running
+      ? { pid: lock.pid, startedAt: lock.startedAt }
+      : null,
+  };
+};
@@ -0,0 +1,114 @@
+import { getConfig } from './config.mjs';
+
+/**
+ * Platform accounts
+ * Each platform has a default account, set under credentials.<platform> in
+ * config, and any number of named accounts under
+ * credentials.<platform>.accounts. Posts target a platform ("bluesky", its
+ * default account) or a named account ("bluesky:acme").
+ */
+
+export const PLATFORM_NAMES = {
+  bluesky: 'Bluesky',
+  mastodon: 'Mastodon'
+};
+
+/**
+ * Split a post target into platform and account
+ * @param {string} target - Platform name, optionally followed by :account
+ * @returns {Object} platform (lowercase) and account (lowercase, or null for the default account)
+ * @example
+ * parseTarget('Bluesky:acme-dev'); // { platform: 'bluesky', account: 'acme-dev' }
+ */
+export const parseTarget = (target) => {
+  const [platform, account] = String(target || '').trim().toLowerCase().split(':');
+  return { platform, account: account?.trim() || null };
+};
+
+/**
+ * Describe a post target for messages
+ * @param {string} target - Platform name, optionally followed by :account
+ * @returns {string} e.g. 'Bluesky' or 'Bluesky (acme)'
+ */
+export const describeTarget = (target) => {
+  const { platform, account } = parseTarget(target);
+  const name = PLATFORM_NAMES[platform] || platform;
+  return account ? `${name} (${account})` : name;
+};
+
+/**
+ * Get the names of a platform's named accounts
+ * @param {string} platform - Platform name
+ * @returns {Array<string>} Account names, lowercase
+ * @example
+ * getAccountNames('bluesky'); // ['acme', 'acme-dev']
+ */
+export const getAccountNames = (platform) =>
+  Object.keys(getConfig().credentials?.[platform.toLowerCase()]?.accounts || {}).map((name) =>
+    name.toLowerCase()
+  );
+
+/**
+ * Get every account posts can target
+ * @returns {Array<Object>} Targets with target, platform, account and label; default accounts first
+ * @example
+ * getTargets().map((t) => t.target); // ['Bluesky', 'bluesky:acme', 'Mastodon']
+ */
+export const getTargets = () =>
+  Object.entries(PLATFORM_NAMES).flatMap(([platform, name]) => [
+    { target: name, platform, account: null, label: name },
+    ...getAccountNames(platform).map((account) => ({
+      target: `${platform}:${account}`,
+      platform,
+      account,
+      label: `${name} (${account})`
+    }))
+  ]);
+
+/**
+ * Validate a post target given by the user
+ * @param {string} target - Platform name, optionally followed by :account
+ * @returns {string} The target as stored on posts: 'Bluesky' or 'bluesky:acme'
+ * @throws {Error} If the platform or the account is unknown
+ * @example
+ * resolveTarget('bluesky:ACME'); // 'bluesky:acme'
+ */
+export const resolveTarget = (target) => {
+  const { platform, account } = parseTarget(target);
+  const name = PLATFORM_NAMES[platform];
+
+  if (!name) {
+    throw new Error(`Unknown platform "${target}". Available: ${Object.values(PLATFORM_NAMES).join(', ')}`);
+  }
+
+  if (account && !getAccountNames(platform).includes(account)) {
+    const accounts = getAccountNames(platform);
+    throw new Error(
+      `Unknown ${name} account "${account}". ${
+        accounts.length > 0 ? `Available: ${accounts.join(', ')}` : `Add it under credentials.${platform}.accounts in config.json`
+      }`
+    );
+  }
+
+  return account ? `${platform}:${account}` : name;
+};
+
+/**
+ * Check the targets of a post
+ * @param {string|Array<string>} targets - Comma-separated string or list of targets
+ * @returns {Array<string>} Error messages, empty if every target is known
+ * @example
+ * const errors = checkTargets('bluesky:acme,mastodon');
+ */
+export const checkTargets = (targets) =>
+  (Array.isArray(targets) ? targets : String(targets || '').split(','))
+    .map((target) => target.trim())
+    .filter(Boolean)
+    .flatMap((target) => {
+      try {
+        resolveTarget(target);
+        return [];
+      } catch (error) {
+        return [error.message];
+      }
+    });
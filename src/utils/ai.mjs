@@ -1,41 +1,65 @@
-import { OpenAI } from 'openai';
 import { getConfig } from './config.mjs';
 import { getPosts, getDb } from './db.mjs';
+import { ProviderFactory } from './ai/base.mjs';
+import { formatInTimeZone, getDefaultTimeZone } from './timezone.mjs';
+import { getNextQueueSlot, hasQueueSlots } from './queue.mjs';
+import { PLATFORM_NAMES, parseTarget } from './accounts.mjs';
 
-// Initialize OpenAI client
-let openaiClient = null;
+// Provider instance, recreated when the AI configuration changes
+let aiProvider = null;
+let aiProviderKey = null;
 
 /**
- * Get OpenAI client instance
- * @returns {OpenAI|null} OpenAI client or null if AI is disabled
+ * Get the AI settings from config, defaulting to OpenAI for configs that predate them
+ * @param {Object} config - Config object
+ * @returns {Object} AI settings with provider, baseUrl, apiKey, model(s) and temperature
+ */
+const getAISettings = (config) => {
+  const settings = { provider: 'openai', ...config.ai };
+
+  // The key entered during init is stored with the other credentials
+  if (!settings.apiKey && settings.provider === 'openai') {
+    settings.apiKey = config.credentials?.openai?.apiKey || '';
+  }
+
+  return settings;
+};
+
+/**
+ * Get the configured AI provider
+ * @returns {Promise<AIProvider|null>} Provider, or null if AI is disabled or not configured
  * @example
- * const openai = getOpenAIClient();
- * if (openai) {
- *   // Use openai client
+ * const provider = await getAIProvider();
+ * if (provider) {
+ *   const text = await provider.complete({ task: 'title', messages, maxTokens: 60 });
  * }
  */
-export const getOpenAIClient = () => {
+export const getAIProvider = async () => {
   const config = getConfig();
   
   if (!config.aiEnabled) {
     return null;
   }
   
-  if (!openaiClient) {
-    // Attempt to get API key from environment variable
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      console.warn('Warning: OPENAI_API_KEY environment variable not set. AI features will be limited.');
+  const settings = getAISettings(config);
+  const key = JSON.stringify(settings);
+  
+  if (!aiProvider || aiProviderKey !== key) {
+    try {
+      aiProvider = await ProviderFactory.create(settings.provider, settings);
+      aiProviderKey = key;
+    } catch (error) {
+      console.warn(`Warning: ${error.message}. AI features will be limited.`);
       return null;
     }
-    
-    openaiClient = new OpenAI({
-      apiKey
-    });
   }
   
-  return openaiClient;
+  if (!aiProvider.isConfigured()) {
+    console.warn(`Warning: AI provider '${aiProvider.name}' is not configured. AI features will be limited.`);
+    return null;
+  }
+  
+  return aiProvider;
 };
 
 /**
@@ -46,16 +70,16 @@ export const getOpenAIClient = () => {
  * const title = await generateTitle('This is my first post about AI technology...');
  */
 export const generateTitle = async (content) => {
-  const openai = getOpenAIClient();
+  const provider = await getAIProvider();
   
-  if (!openai) {
+  if (!provider) {
     // Fallback to simple title generation if AI is disabled
     return content.split(' ').slice(0, 5).join(' ') + '...';
   }
   
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const title = await provider.complete({
+      task: 'title',
       messages: [
         {
           role: 'system',
@@ -66,10 +90,10 @@ export const generateTitle = async (content) => {
           content: `Create a title for this social media post: "${content.substring(0, 500)}${content.length > 500 ? '...' : ''}"`
         }
       ],
-      max_tokens: 60
+      maxTokens: 60
     });
     
-    return response.choices[0].message.content.trim().replace(/^"|"$/g, '');
+    return title.trim().replace(/^"|"$/g, '');
   } catch (error) {
     console.error('Error generating title:', error.message);
     // Fallback
@@ -79,12 +103,19 @@ export const generateTitle = async (content) => {
 
 /**
  * Suggest a publish date and time for a post using AI
+ * When the platforms have queue slots, the next free slot is used instead.
+ * @param {Array<string>} platforms - Platforms the post will go to (optional)
  * @returns {string} Suggested publish date and time in YYYY-MM-DD HH:MM format
  * @example
  * const dateTime = await suggestPublishDate();
+ * const slot = await suggestPublishDate(['Bluesky']);
  */
-export const suggestPublishDate = async () => {
-  const openai = getOpenAIClient();
+export const suggestPublishDate = async (platforms = []) => {
+  if (hasQueueSlots(platforms)) {
+    return getNextQueueSlot(platforms).date;
+  }
+
+  const provider = await getAIProvider();
   
   // Get database connection and check if posts table exists
   const db = getDb();
@@ -105,7 +136,7 @@ export const suggestPublishDate = async () => {
     const posts = getPosts();
     const today = new Date();
     
-    if (!openai || posts.length < 3) {
+    if (!provider || posts.length < 3) {
       // Fallback to simple date suggestion if AI is disabled or not enough data
       const tomorrow = new Date(today);
       tomorrow.setDate(tomorrow.getDate() + 1);
@@ -121,8 +152,8 @@ export const suggestPublishDate = async () => {
         platform: post.platforms
       }));
     
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const suggestion = await provider.complete({
+      task: 'schedule',
       messages: [
         {
           role: 'system',
@@ -130,13 +161,13 @@ export const suggestPublishDate = async () => {
         },
         {
           role: 'user',
-          content: `Here is my posting history: ${JSON.stringify(postHistory)}. Today is ${today.toISOString().split('T')[0]} ${today.getHours()}:${today.getMinutes().toString().padStart(2, '0')}. When should I schedule my next post?`
+          content: `Here is my posting history: ${JSON.stringify(postHistory)}. Today is ${formatInTimeZone(today, getDefaultTimeZone())} (${getDefaultTimeZone()}). When should I schedule my next post?`
         }
       ],
-      max_tokens: 30
+      maxTokens: 30
     });
     
-    const suggestedDateTime = response.choices[0].message.content.trim();
+    const suggestedDateTime = suggestion.trim();
     
     // Validate date and time format
     if (/^\d{4}-\d{2}-\d{2} \d{1,2}:\d{2}$/.test(suggestedDateTime)) {
@@ -181,15 +212,15 @@ export const suggestPublishDate = async () => {
  * const enhanced = await enhanceContent('Check out our new product!', 'Twitter');
  */
 export const enhanceContent = async (content, platform) => {
-  const openai = getOpenAIClient();
+  const provider = await getAIProvider();
   
-  if (!openai) {
+  if (!provider) {
     return content;
   }
   
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const enhanced = await provider.complete({
+      task: 'enhance',
       messages: [
         {
           role: 'system',
@@ -200,12 +231,33 @@ export const enhanceContent = async (content, platform) => {
           content: `Enhance this ${platform} post: "${content}"`
         }
       ],
-      max_tokens: 1000
+      maxTokens: 1000
     });
     
-    return response.choices[0].message.content.trim().replace(/^"|"$/g, '');
+    return enhanced.trim().replace(/^"|"$/g, '');
   } catch (error) {
     console.error('Error enhancing content:', error.message);
     return content;
   }
 };
+
+/**
+ * Enhance content separately for each platform a post goes to
+ * Accounts of the same platform share one suggestion.
+ * @param {string} content - Original content
+ * @param {Array<string>} targets - Selected targets, e.g. ['Bluesky', 'bluesky:acme', 'Mastodon']
+ * @returns {Object} Enhanced content for each platform, keyed by lower-case platform name
+ * @example
+ * const variants = await enhanceVariants('Launch day!', ['Bluesky', 'Mastodon']);
+ * variants.mastodon;
+ */
+export const enhanceVariants = async (content, targets) => {
+  const platforms = [...new Set(targets.map((target) => parseTarget(target).platform))];
+  const variants = {};
+
+  for (const platform of platforms) {
+    variants[platform] = await enhanceContent(content, PLATFORM_NAMES[platform] || platform);
+  }
+
+  return variants;
+};
@@ -0,0 +1,89 @@
+/**
+ * Base AI Provider Interface
+ * All provider implementations should extend this class
+ */
+export class AIProvider {
+  /**
+   * Constructor for the base AI provider
+   * @param {Object} config - Provider configuration (the `ai` section of config.json)
+   * @param {string} config.baseUrl - API base URL
+   * @param {string} config.model - Model used when a task has no model of its own
+   * @param {Object} config.models - Model per task (title, schedule, enhance)
+   * @param {number} config.temperature - Sampling temperature
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'base';
+    this.defaultModel = '';
+  }
+
+  /**
+   * Check if provider is properly configured
+   * @returns {boolean} True if provider is configured
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Get the model to use for a task
+   * @param {string} task - Task name (title, schedule or enhance)
+   * @returns {string} Model name
+   * @example
+   * provider.getModel('enhance'); // 'gpt-4o-mini'
+   */
+  getModel(task) {
+    return this.config.models?.[task] || this.config.model || this.defaultModel;
+  }
+
+  /**
+   * Get the sampling temperature
+   * @returns {number|undefined} Temperature, or undefined to use the model default
+   */
+  getTemperature() {
+    const temperature = this.config.temperature;
+    return typeof temperature === 'number' ? temperature : undefined;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name, used to pick the model
+   * @param {Array<Object>} request.messages - Chat messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @returns {Promise<string>} Generated text
+   */
+  async complete(request) {
+    throw new Error('Method not implemented');
+  }
+}
+
+/**
+ * Factory for creating provider instances
+ */
+export const ProviderFactory = {
+  /**
+   * Create a new provider instance
+   * @param {string} provider - Provider name ('openai', 'openai-compatible' or 'ollama')
+   * @param {Object} config - Provider configuration
+   * @returns {Promise<AIProvider>} Provider instance
+   */
+  create(provider, config = {}) {
+    switch (provider.toLowerCase()) {
+      case 'openai':
+        return import('./openai.mjs').then(
+          (module) => new module.OpenAIProvider(config)
+        );
+      case 'openai-compatible':
+        return import('./openai.mjs').then(
+          (module) => new module.OpenAICompatibleProvider(config)
+        );
+      case 'ollama':
+        return import('./ollama.mjs').then(
+          (module) => new module.OllamaProvider(config)
+        );
+      default:
+        throw new Error(`Unsupported AI provider: ${provider}`);
+    }
+  },
+};
@@ -0,0 +1,63 @@
+import fetch from 'node-fetch';
+import { AIProvider } from './base.mjs';
+
+/**
+ * Ollama Provider Implementation
+ * Uses the native chat API of a local or self-hosted Ollama server
+ */
+export class OllamaProvider extends AIProvider {
+  /**
+   * Constructor for the Ollama provider
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - Ollama URL (falls back to OLLAMA_HOST, then http://localhost:11434)
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'ollama';
+    this.defaultModel = 'llama3.1';
+    this.baseUrl = (config.baseUrl || process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  /**
+   * Check if provider is properly configured
+   * Ollama needs no credentials, so a URL is enough
+   * @returns {boolean} True if provider is configured
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name, used to pick the model
+   * @param {Array<Object>} request.messages - Chat messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @returns {Promise<string>} Generated text
+   */
+  async complete({ task, messages, maxTokens }) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.getModel(task),
+        messages,
+        stream: false,
+        options: {
+          temperature: this.getTemperature(),
+          num_predict: maxTokens
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Ollama request failed (${response.status}): ${error}`);
+    }
+
+    const data = await response.json();
+    return data.message?.content || '';
+  }
+}
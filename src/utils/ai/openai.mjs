@@ -0,0 +1,92 @@
+import { OpenAI } from 'openai';
+import { AIProvider } from './base.mjs';
+
+/**
+ * OpenAI Provider Implementation
+ * Uses the official OpenAI API
+ */
+export class OpenAIProvider extends AIProvider {
+  /**
+   * Constructor for the OpenAI provider
+   * @param {Object} config - Provider configuration
+   * @param {string} config.apiKey - API key (falls back to OPENAI_API_KEY)
+   * @param {string} config.baseUrl - Optional API base URL
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openai';
+    this.defaultModel = 'gpt-3.5-turbo';
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || '';
+    this.baseUrl = config.baseUrl || undefined;
+    this.client = null;
+  }
+
+  /**
+   * Check if provider is properly configured
+   * @returns {boolean} True if an API key is available
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Get the OpenAI SDK client, creating it on first use
+   * @returns {OpenAI} OpenAI client
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseUrl,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.task - Task name, used to pick the model
+   * @param {Array<Object>} request.messages - Chat messages with role and content
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @returns {Promise<string>} Generated text
+   */
+  async complete({ task, messages, maxTokens }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.getModel(task),
+      messages,
+      max_tokens: maxTokens,
+      temperature: this.getTemperature(),
+    });
+
+    return response.choices[0]?.message?.content || '';
+  }
+}
+
+/**
+ * OpenAI-compatible Provider Implementation
+ * Any server exposing the /v1/chat/completions API (vLLM, LM Studio, llama.cpp, LiteLLM, ...)
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * Constructor for an OpenAI-compatible provider
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - API base URL, e.g. http://localhost:8000/v1
+   * @param {string} config.apiKey - API key, if the server requires one
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openai-compatible';
+    this.defaultModel = '';
+    // Self-hosted servers often accept any key, but the SDK refuses to run without one
+    this.apiKey = config.apiKey || 'not-needed';
+  }
+
+  /**
+   * Check if provider is properly configured
+   * @returns {boolean} True if a base URL and a model are set
+   */
+  isConfigured() {
+    return Boolean(this.baseUrl && (this.config.model || this.config.models));
+  }
+}
@@ -6,7 +6,60 @@ import os from "os";
 const defaultConfig = {
   dbPath: "~/.social-light/social-light.db",
   defaultPlatforms: ["Bluesky"],
+  // IANA time zone publish dates are entered in; empty means this machine's zone
+  timezone: "",
   aiEnabled: true,
+  // AI provider: "openai", "openai-compatible" (any /v1/chat/completions server) or "ollama"
+  ai: {
+    provider: "openai",
+    baseUrl: "",
+    temperature: 0.7,
+    models: {
+      title: "gpt-3.5-turbo",
+      schedule: "gpt-3.5-turbo",
+      enhance: "gpt-3.5-turbo",
+    },
+  },
+  // Split posts that exceed a platform's length limit into a reply thread
+  thread: {
+    enabled: true,
+    numbered: true,
+  },
+  // Failed platforms are retried with exponential backoff
+  retry: {
+    maxAttempts: 5,
+    backoffMinutes: 5,
+  },
+  // Posts overdue by more than afterMinutes are published late ("publish"),
+  // skipped ("skip") or held until confirmed ("confirm"); late posts are
+  // published at least spacingMinutes apart
+  missed: {
+    policy: "publish",
+    afterMinutes: 60,
+    spacingMinutes: 5,
+  },
+  // Weekly posting slots per platform for `create --queue`, e.g.
+  // { bluesky: [{ days: ["mon-fri"], times: ["09:00", "13:00", "17:30"] }] }
+  queue: {
+    slots: {},
+  },
+  // With required set, new posts start as drafts and only posts an approver
+  // has approved are published
+  review: {
+    required: false,
+  },
+  // Web server bind address and login; API tokens are stored in the database
+  server: {
+    host: "",
+    auth: {
+      username: "",
+      passwordHash: "",
+      sessionHours: 168,
+    },
+  },
+  // Each platform's default account; named accounts go under accounts, e.g.
+  // bluesky.accounts.acme = { handle, password, service }, and posts target
+  // them as "bluesky:acme"
   credentials: {
     openai: {
       apiKey: "",
@@ -15,6 +68,13 @@ const defaultConfig = {
       handle: "",
       password: "",
       service: "https://bsky.social",
+      accounts: {},
+    },
+    mastodon: {
+      instance: "",
+      accessToken: "",
+      visibility: "public",
+      accounts: {},
     },
   },
 };
@@ -89,13 +149,23 @@ export const updateConfig = (updates) => {
 /**
  * Get credentials from config
  * @param {string} platform - Platform name (e.g., 'bluesky', 'openai')
- * @returns {Object} Credentials object
+ * @param {string} account - Named account (omit for the platform's default account)
+ * @returns {Object} Credentials object, empty if the account is not configured
  * @example
  * const blueskyCredentials = getCredentials('bluesky');
+ * const acmeCredentials = getCredentials('bluesky', 'acme');
  */
-export const getCredentials = (platform) => {
+export const getCredentials = (platform, account = null) => {
   const config = getConfig();
-  return config.credentials?.[platform.toLowerCase()] || {};
+  const { accounts = {}, ...credentials } =
+    config.credentials?.[platform.toLowerCase()] || {};
+
+  if (!account) return credentials;
+
+  const name = Object.keys(accounts).find(
+    (key) => key.toLowerCase() === account.toLowerCase()
+  );
+  return name ? accounts[name] : {};
 };
 
 /**
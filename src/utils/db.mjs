@@ -4,69 +4,66 @@ import path from 'path';
 import os from 'os';
 import Database from 'better-sqlite3';
 import { getConfig } from './config.mjs';
+import { formatInTimeZone, getDefaultTimeZone, zonedTimeToUtc } from './timezone.mjs';
+import { runMigrations } from './migrations/index.mjs';
+import { PUBLISHED_STATUSES, USER_STATUSES, canTransition, describeStatus } from './status.mjs';
+
+// Database paths that have already been migrated in this process
+const migratedPaths = new Set();
 
 /**
- * Check if database tables are initialized
- * @param {Object} db - Database connection
- * @returns {boolean} True if tables are initialized
+ * Get the resolved database file path
+ * @returns {string} Absolute path to the database file
+ * @example
+ * const dbPath = getDbPath();
  */
-const checkTablesInitialized = (db) => {
-  try {
-    const tableExists = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='posts';").get();
-    return Boolean(tableExists);
-  } catch (error) {
-    console.error('Error checking database tables:', error);
-    return false;
-  }
+export const getDbPath = () => {
+  const config = getConfig();
+
+  // Resolve path with home directory if needed
+  return config.dbPath.replace(/^~/, os.homedir());
 };
 
 /**
- * Get database connection
+ * Open a database connection without running migrations
  * @returns {Object} Database connection
  * @example
- * const db = getDb();
- * const posts = db.prepare('SELECT * FROM posts').all();
+ * const db = connectDb();
+ * const version = getSchemaVersion(db);
  */
-export const getDb = () => {
-  const config = getConfig();
-  
-  // Resolve path with home directory if needed
-  const dbPath = config.dbPath.replace(/^~/, os.homedir());
-  
+export const connectDb = () => {
+  const dbPath = getDbPath();
+
   // Ensure directory exists
   fs.ensureDirSync(path.dirname(dbPath));
-  
+
   // Connect to database
-  const db = new Database(dbPath);
-  
-  // Check if tables exist and initialize if needed
-  if (!checkTablesInitialized(db)) {
-    // Create tables directly to avoid circular dependency
-    try {
-      db.exec(`
-        CREATE TABLE IF NOT EXISTS posts (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT,
-          content TEXT NOT NULL,
-          platforms TEXT,
-          publish_date TEXT,
-          published INTEGER DEFAULT 0,
-          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-          updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          action TEXT NOT NULL,
-          details TEXT,
-          timestamp TEXT DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-    } catch (error) {
-      console.error('Error initializing database tables:', error);
+  return new Database(dbPath);
+};
+
+/**
+ * Get database connection, upgrading the schema on first use
+ * @returns {Object} Database connection
+ * @example
+ * const db = getDb();
+ * const posts = db.prepare('SELECT * FROM posts').all();
+ */
+export const getDb = () => {
+  const dbPath = getDbPath();
+  const db = connectDb();
+
+  if (!migratedPaths.has(dbPath)) {
+    const { applied, backupPath } = runMigrations(db, dbPath);
+
+    if (applied.length > 0 && backupPath) {
+      console.error(
+        `Database upgraded to schema version ${applied[applied.length - 1].version} (backup: ${backupPath})`
+      );
     }
+
+    migratedPaths.add(dbPath);
   }
-  
+
   return db;
 };
 
@@ -78,32 +75,13 @@ export const getDb = () => {
  * const success = initializeDb();
  */
 export const initializeDb = (existingDb = null) => {
-  // Use provided database connection or get a new one
-  const db = existingDb || getDb();
-  
   try {
-    // Create posts table if it doesn't exist
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS posts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT,
-        content TEXT NOT NULL,
-        platforms TEXT,
-        publish_date TEXT,
-        publish_time TEXT,
-        published INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-      );
+    if (existingDb) {
+      runMigrations(existingDb, getDbPath());
+    } else {
+      getDb();
+    }
 
-      CREATE TABLE IF NOT EXISTS logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        action TEXT NOT NULL,
-        details TEXT,
-        timestamp TEXT DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-    
     return true;
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -111,28 +89,43 @@ export const initializeDb = (existingDb = null) => {
   }
 };
 
+// SQL condition matching posts that are out on at least one platform
+const PUBLISHED_CONDITION = `status IN (${PUBLISHED_STATUSES.map((status) => `'${status}'`).join(', ')})`;
+
 /**
  * Get all posts with optional filters
  * @param {Object} filters - Query filters
- * @param {boolean} filters.published - Filter by published status
+ * @param {string|Array<string>} filters.status - Only posts with one of these statuses
+ * @param {boolean} filters.published - Only posts that are (true) or are not (false) published or partially published
  * @returns {Array} Array of post objects
  * @example
  * const unpublishedPosts = getPosts({ published: false });
+ * const failedPosts = getPosts({ status: ['failed', 'partially_published'] });
  */
 export const getPosts = (filters = {}) => {
   const db = getDb();
   
   let query = 'SELECT * FROM posts';
+  const conditions = [];
   const params = [];
   
   // Apply filters
+  if (filters.status) {
+    const statuses = [filters.status].flat();
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  
   if (filters.published !== undefined) {
-    query += ' WHERE published = ?';
-    params.push(Number(filters.published));
+    conditions.push(filters.published ? PUBLISHED_CONDITION : `NOT ${PUBLISHED_CONDITION}`);
+  }
+  
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
   }
   
   // Add ordering
-  query += ' ORDER BY publish_date ASC';
+  query += ' ORDER BY publish_at ASC';
   
   return db.prepare(query).all(...params);
 };
@@ -151,33 +144,93 @@ export const getPostById = (id) => {
 
 /**
  * Create a new post
- * @param {Object} post - Post object
+ * @param {Object} post - Post object; status is draft, needs_review, approved or scheduled (default)
+ * @param {Object} options - Options
+ * @param {string} options.by - Who created the post, for created_by and the status history
  * @returns {number} ID of the created post
  * @example
  * const postId = createPost({
  *   title: 'My first post',
  *   content: 'Hello world!',
  *   platforms: 'Twitter,Bluesky',
- *   publish_date: '2023-01-01'
+ *   publish_date: '2023-01-01 09:00',
+ *   timezone: 'Europe/Berlin'
  * });
  */
-export const createPost = (post) => {
-  const db = getDb();
+export const createPost = (post, { by = null } = {}) => insertPost(getDb(), post, by);
+
+/**
+ * Insert a post on a given connection
+ * @param {Object} db - Database connection
+ * @param {Object} post - Post object, as for createPost
+ * @param {string|null} by - Who created the post
+ * @returns {number} ID of the created post
+ */
+const insertPost = (db, post, by) => {
+  const {
+    title,
+    content,
+    platforms,
+    publish_date,
+    timezone = getDefaultTimeZone(),
+    recurrence = null,
+    recurrence_parent_id = null,
+    occurrence = 1,
+    queued = 0,
+    missed_policy = null,
+    status = 'scheduled',
+    created_by = by
+  } = post;
   
-  const { title, content, platforms, publish_date } = post;
+  // New posts start out as a draft or anything a draft may become
+  if (status !== 'draft' && !canTransition('draft', status)) {
+    throw new Error(`New posts cannot be ${describeStatus(status)}`);
+  }
   
-  const result = db.prepare(`
-    INSERT INTO posts (title, content, platforms, publish_date)
-    VALUES (?, ?, ?, ?)
-  `).run(title, content, platforms, publish_date);
+  // The UTC instant is what the publisher compares against
+  const publishAt = zonedTimeToUtc(publish_date, timezone)?.toISOString() || null;
   
-  return result.lastInsertRowid;
+  const insert = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO posts (title, content, platforms, publish_date, timezone, publish_at, recurrence, recurrence_parent_id, occurrence, queued, missed_policy, status, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(title, content, platforms, publish_date, timezone, publishAt, recurrence, recurrence_parent_id, occurrence, Number(queued), missed_policy, status, created_by);
+    
+    addStatusHistory(db, result.lastInsertRowid, null, status, by);
+    return result.lastInsertRowid;
+  });
+  
+  return insert();
+};
+
+/**
+ * Create the next occurrence of a recurring series, unless it already exists
+ * The check and the insert happen in one immediate transaction, so of several
+ * publishers finishing the same occurrence only one creates the next.
+ * @param {Object} post - Post object, as for createPost, with recurrence_parent_id set
+ * @param {number} previousOccurrence - Occurrence number of the post that was published
+ * @returns {number|null} ID of the created post, or null if a later occurrence exists
+ * @example
+ * const nextId = createOccurrence({ ...fields, recurrence_parent_id: rootId, occurrence: 3 }, 2);
+ */
+export const createOccurrence = (post, previousOccurrence) => {
+  const db = getDb();
+
+  const create = db.transaction(() => {
+    const existing = db.prepare(
+      'SELECT id FROM posts WHERE recurrence_parent_id = ? AND occurrence > ?'
+    ).get(post.recurrence_parent_id, previousOccurrence);
+
+    return existing ? null : insertPost(db, post, null);
+  });
+
+  return create.immediate();
 };
 
 /**
  * Update an existing post
  * @param {number} id - Post ID
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update; undefined fields are left as they are
  * @returns {boolean} True if successful
  * @example
  * const success = updatePost(1, {
@@ -188,9 +241,28 @@ export const createPost = (post) => {
 export const updatePost = (id, updates) => {
   const db = getDb();
   
-  // Build update query dynamically
+  // Keep the UTC instant in step with the publish date and its time zone
+  if (updates.publish_date !== undefined || updates.timezone !== undefined) {
+    const current = getPostById(id);
+    const publishDate = updates.publish_date !== undefined ? updates.publish_date : current?.publish_date;
+    const timeZone = updates.timezone || current?.timezone || getDefaultTimeZone();
+    const publishAt = zonedTimeToUtc(publishDate, timeZone)?.toISOString() || null;
+    updates = {
+      ...updates,
+      timezone: timeZone,
+      publish_at: publishAt
+    };
+
+    // A missed post that gets a new time is scheduled again
+    if (publishAt !== current?.publish_at && !('missed_status' in updates)) {
+      updates.missed_status = null;
+    }
+  }
+  
+  // Build update query dynamically; fields left undefined keep their value
   const fields = Object.keys(updates).filter(field => 
-    ['title', 'content', 'platforms', 'publish_date', 'published'].includes(field)
+    ['title', 'content', 'platforms', 'publish_date', 'timezone', 'publish_at', 'recurrence', 'queued', 'missed_policy', 'missed_status'].includes(field) &&
+    updates[field] !== undefined
   );
   
   if (fields.length === 0) return false;
@@ -212,37 +284,811 @@ export const updatePost = (id, updates) => {
 };
 
 /**
- * Mark posts as published
- * @param {Array|number} ids - Post ID or array of post IDs
- * @returns {number} Number of posts updated
+ * Record a status change in post_status_history
+ * @param {Object} db - Database connection
+ * @param {number} postId - Post ID
+ * @param {string|null} from - Previous status (null for a new post)
+ * @param {string} to - New status
+ * @param {string|null} by - Who made the change
+ * @param {string|null} note - Reason for the change
+ */
+const addStatusHistory = (db, postId, from, to, by = null, note = null) => {
+  db.prepare(`
+    INSERT INTO post_status_history (post_id, from_status, to_status, changed_by, note)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(postId, from, to, by, note);
+};
+
+/**
+ * Get the status a post had before a publisher claimed it
+ * Claims do not write history, so this is the last status recorded there.
+ * @param {Object} db - Database connection
+ * @param {number} postId - Post ID
+ * @returns {string} Status
+ */
+const getRecordedStatus = (db, postId) =>
+  db.prepare(`
+    SELECT to_status FROM post_status_history WHERE post_id = ? ORDER BY id DESC LIMIT 1
+  `).get(postId)?.to_status || 'scheduled';
+
+/**
+ * Change the status of a post
+ * Only the transitions in STATUS_TRANSITIONS are allowed. publishing,
+ * published, partially_published and failed are set by claimPost and
+ * releasePost instead.
+ * @param {number} id - Post ID
+ * @param {string} status - New status
+ * @param {Object} options - Options
+ * @param {string} options.by - Who made the change
+ * @param {string} options.note - Reason for the change
+ * @returns {boolean} True if the status changed, false if the post already had it
+ * @throws {Error} If the post does not exist or the transition is not allowed
  * @example
- * const count = markAsPublished([1, 2, 3]);
+ * setPostStatus(1, 'cancelled', { note: 'Event was moved' });
  */
-export const markAsPublished = (ids) => {
+export const setPostStatus = (id, status, { by = null, note = null } = {}) => {
   const db = getDb();
-  
-  if (!Array.isArray(ids)) {
-    ids = [ids];
+
+  if (!USER_STATUSES.includes(status)) {
+    throw new Error(`Posts become ${describeStatus(status)} by publishing them`);
   }
-  
-  let totalChanges = 0;
-  
-  // Use a transaction for bulk updates
-  const updateStmt = db.prepare(`
-    UPDATE posts
-    SET published = 1, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
+
+  const change = db.transaction(() => {
+    const post = db.prepare('SELECT status FROM posts WHERE id = ?').get(id);
+    if (!post) throw new Error(`Post ${id} not found`);
+    if (post.status === status) return false;
+
+    if (!canTransition(post.status, status)) {
+      throw new Error(`Cannot change post ${id} from ${describeStatus(post.status)} to ${describeStatus(status)}`);
+    }
+
+    db.prepare('UPDATE posts SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+    addStatusHistory(db, id, post.status, status, by, note);
+    return true;
+  });
+
+  return change.immediate();
+};
+
+/**
+ * Get the status changes of a post, oldest first
+ * @param {number} postId - Post ID
+ * @returns {Array} History rows with from_status, to_status, changed_by, note and created_at
+ * @example
+ * const history = getStatusHistory(1);
+ */
+export const getStatusHistory = (postId) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_status_history WHERE post_id = ? ORDER BY id ASC').all(postId);
+};
+
+// Claims older than this are left over from a publisher that died mid-run
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+/**
+ * Get the name a process claims posts under
+ * @returns {string} Host name and process ID, e.g. 'laptop:4242'
+ */
+export const getClaimOwner = () => `${os.hostname()}:${process.pid}`;
+
+/**
+ * Claim a post for publishing
+ * The check and the claim happen in one immediate transaction, so of several
+ * publishers racing for the same post exactly one gets it. The post moves to
+ * publishing until releasePost. Claims that were never released expire after
+ * CLAIM_TIMEOUT_MINUTES.
+ * @param {number} id - Post ID
+ * @param {string} owner - Claim owner (default: this process)
+ * @returns {string|null} Status the post had before the claim, or null if it cannot be claimed
+ * @example
+ * const previousStatus = claimPost(post.id);
+ * if (previousStatus) {
+ *   try { await publish(post); } finally { releasePost(post.id, { status: 'published' }); }
+ * }
+ */
+export const claimPost = (id, owner = getClaimOwner()) => {
+  const db = getDb();
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - CLAIM_TIMEOUT_MINUTES * 60000).toISOString();
+
+  const claim = db.transaction(() => {
+    const post = db.prepare('SELECT status, publishing_at FROM posts WHERE id = ?').get(id);
+    if (!post) return null;
+
+    const stale = post.status === 'publishing' && (!post.publishing_at || post.publishing_at < staleBefore);
+    if (!stale && !canTransition(post.status, 'publishing')) return null;
+
+    db.prepare(`
+      UPDATE posts SET status = 'publishing', publishing_by = ?, publishing_at = ?
+      WHERE id = ?
+    `).run(owner, now.toISOString(), id);
+
+    return stale ? getRecordedStatus(db, id) : post.status;
+  });
+
+  return claim.immediate();
+};
+
+/**
+ * Release a post claimed with claimPost
+ * The post moves to the given status, or back to the one it had before the
+ * claim if none is given.
+ * @param {number} id - Post ID
+ * @param {Object} options - Options
+ * @param {string} options.status - Outcome: published, partially_published or failed
+ * @param {string} options.note - Reason for the change
+ * @param {string} options.owner - Claim owner (default: this process)
+ * @returns {boolean} True if a claim was released
+ * @example
+ * releasePost(post.id, { status: 'failed', note: 'Bluesky: rate limited' });
+ */
+export const releasePost = (id, { status = null, note = null, owner = getClaimOwner() } = {}) => {
+  const db = getDb();
+
+  const release = db.transaction(() => {
+    const post = db.prepare('SELECT id FROM posts WHERE id = ? AND publishing_by = ?').get(id, owner);
+    if (!post) return false;
+
+    const before = getRecordedStatus(db, id);
+    const after = status || before;
+
+    if (!canTransition('publishing', after)) {
+      throw new Error(`Cannot change post ${id} from publishing to ${describeStatus(after)}`);
+    }
+
+    db.prepare(`
+      UPDATE posts SET status = ?, publishing_by = NULL, publishing_at = NULL
+      WHERE id = ?
+    `).run(after, id);
+
+    if (after !== before) {
+      addStatusHistory(db, id, before, after, owner, note);
+    }
+    return true;
+  });
+
+  return release.immediate();
+};
+
+/**
+ * Get when a post last went out to any platform
+ * @returns {Date|null} Time of the latest delivery, or null if nothing was published yet
+ * @example
+ * const last = getLastPublishedAt();
+ */
+export const getLastPublishedAt = () => {
+  const db = getDb();
+  const { at } = db.prepare('SELECT MAX(published_at) AS at FROM post_deliveries').get();
+
+  // SQLite's CURRENT_TIMESTAMP is UTC without a zone designator
+  return at ? new Date(`${at.replace(' ', 'T')}Z`) : null;
+};
+
+// Retry defaults used when config.json has no retry section
+const DEFAULT_RETRY = { maxAttempts: 5, backoffMinutes: 5 };
+
+// Delivery statuses that mean the post exists on the platform
+const DELIVERED_STATUSES = ['published', 'partial'];
+
+/**
+ * Record the outcome of publishing a post to each platform
+ * Repeated attempts for the same platform update the existing record. Failures
+ * are scheduled for retry with exponential backoff until the configured maximum
+ * number of attempts is reached, after which they are marked permanently_failed.
+ * Results flagged `permanent` are marked permanently_failed straight away.
+ * @param {number} postId - Post ID
+ * @param {Object} results - Per-platform results as returned by SocialAPI.post
+ * @returns {number} Number of delivery records written
+ * @example
+ * const { results } = await socialAPI.post({ text, platforms });
+ * recordDeliveries(postId, results);
+ */
+export const recordDeliveries = (postId, results = {}) => {
+  const db = getDb();
+  const retry = { ...DEFAULT_RETRY, ...getConfig().retry };
+
+  const selectStmt = db.prepare('SELECT attempts FROM post_deliveries WHERE post_id = ? AND platform = ?');
+  const upsertStmt = db.prepare(`
+    INSERT INTO post_deliveries (
+      post_id, platform, remote_id, remote_uri, remote_cid, status, error, attempts,
+      next_attempt_at, published_at
+    )
+    VALUES (
+      @postId, @platform, @remoteId, @remoteUri, @remoteCid, @status, @error, @attempts,
+      @nextAttemptAt, CASE WHEN @status = 'published' THEN CURRENT_TIMESTAMP END
+    )
+    ON CONFLICT (post_id, platform) DO UPDATE SET
+      remote_id = COALESCE(excluded.remote_id, remote_id),
+      remote_uri = COALESCE(excluded.remote_uri, remote_uri),
+      remote_cid = COALESCE(excluded.remote_cid, remote_cid),
+      status = excluded.status,
+      error = excluded.error,
+      attempts = excluded.attempts,
+      next_attempt_at = excluded.next_attempt_at,
+      published_at = COALESCE(excluded.published_at, published_at),
+      updated_at = CURRENT_TIMESTAMP
   `);
-  
-  const transaction = db.transaction((postIds) => {
-    for (const id of postIds) {
-      const result = updateStmt.run(id);
-      totalChanges += result.changes;
+
+  const transaction = db.transaction((entries) => {
+    for (const [platform, result] of entries) {
+      const platformLower = platform.toLowerCase();
+      const attempts = (selectStmt.get(postId, platformLower)?.attempts || 0) + 1;
+
+      let status = 'failed';
+      let nextAttemptAt = null;
+
+      if (result.success) {
+        status = 'published';
+      } else if (result.partial) {
+        status = 'partial';
+      } else if (result.permanent || attempts >= retry.maxAttempts) {
+        // Permanent errors (e.g. media the platform rejects) fail the same way every time
+        status = 'permanently_failed';
+      } else {
+        const delayMinutes = retry.backoffMinutes * 2 ** (attempts - 1);
+        nextAttemptAt = new Date(Date.now() + delayMinutes * 60000).toISOString();
+      }
+
+      upsertStmt.run({
+        postId,
+        platform: platformLower,
+        remoteId: result.id ?? null,
+        remoteUri: result.uri ?? result.partial?.root ?? null,
+        remoteCid: result.cid ?? null,
+        status,
+        error: result.success ? null : result.error || null,
+        attempts,
+        nextAttemptAt,
+      });
     }
-    return totalChanges;
+    return entries.length;
   });
-  
-  return transaction(ids);
+
+  return transaction(Object.entries(results));
+};
+
+/**
+ * Get the platforms of a post that still need to be published to
+ * Platforms already delivered are skipped, as are permanently failed ones and
+ * failed ones still waiting out their backoff, unless `force` is set.
+ * @param {Object} post - Post object
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Include failed platforms regardless of backoff or attempt limit
+ * @returns {Array<string>} Platform names as stored on the post
+ * @example
+ * const platforms = getPendingPlatforms(post);
+ */
+export const getPendingPlatforms = (post, { force = false } = {}) => {
+  if (!post.platforms || post.platforms.trim() === '') {
+    return [];
+  }
+
+  const deliveries = new Map(getDeliveries(post.id).map((d) => [d.platform, d]));
+  const now = new Date().toISOString();
+
+  return post.platforms
+    .split(',')
+    .map((p) => p.trim())
+    .filter((platform) => {
+      const delivery = deliveries.get(platform.toLowerCase());
+
+      if (!delivery) return true;
+      if (DELIVERED_STATUSES.includes(delivery.status)) return false;
+      if (force) return true;
+      if (delivery.status === 'permanently_failed') return false;
+
+      return !delivery.next_attempt_at || delivery.next_attempt_at <= now;
+    });
+};
+
+/**
+ * Get IDs of posts with failed deliveries that are due for another attempt
+ * @returns {Array<number>} Post IDs
+ * @example
+ * const postIds = getRetryablePostIds();
+ */
+export const getRetryablePostIds = () => {
+  const db = getDb();
+  return db.prepare(`
+    SELECT DISTINCT post_id FROM post_deliveries
+    WHERE status = 'failed' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+    ORDER BY post_id ASC
+  `).all(new Date().toISOString()).map((row) => row.post_id);
+};
+
+/**
+ * Get delivery records for many posts at once
+ * @param {Array<number>} postIds - Post IDs
+ * @returns {Object} Map of post ID to its delivery records
+ * @example
+ * const deliveriesByPost = getDeliveriesForPosts(posts.map((p) => p.id));
+ */
+export const getDeliveriesForPosts = (postIds) => {
+  const byPost = {};
+
+  if (postIds.length === 0) {
+    return byPost;
+  }
+
+  const db = getDb();
+  const placeholders = postIds.map(() => '?').join(', ');
+  const rows = db.prepare(`
+    SELECT * FROM post_deliveries WHERE post_id IN (${placeholders}) ORDER BY platform ASC
+  `).all(...postIds);
+
+  for (const row of rows) {
+    (byPost[row.post_id] ||= []).push(row);
+  }
+
+  return byPost;
+};
+
+/**
+ * Get delivery records for a post
+ * @param {number} postId - Post ID
+ * @returns {Array} Delivery records, one per platform
+ * @example
+ * const deliveries = getDeliveries(1);
+ */
+export const getDeliveries = (postId) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_deliveries WHERE post_id = ? ORDER BY platform ASC').all(postId);
+};
+
+/**
+ * Get a single delivery record by ID
+ * @param {number} id - Delivery ID
+ * @returns {Object|null} Delivery record or null if not found
+ * @example
+ * const delivery = getDeliveryById(1);
+ */
+export const getDeliveryById = (id) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_deliveries WHERE id = ?').get(id);
+};
+
+/**
+ * Get the delivery record of a post on a platform by its remote URI
+ * @param {string} uri - Remote URI, e.g. an AT URI
+ * @returns {Object|undefined} Delivery record, or undefined if no post has it
+ * @example
+ * if (getDeliveryByRemoteUri(item.uri)) continue; // already known
+ */
+export const getDeliveryByRemoteUri = (uri) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_deliveries WHERE remote_uri = ?').get(uri);
+};
+
+/**
+ * Store a post that was published outside social-light
+ * The post is stored as published, with a delivery record holding its remote
+ * identifiers; both carry the time it was published.
+ * @param {Object} post - Post fields
+ * @param {string} post.content - Text of the post
+ * @param {string} post.platforms - Target it was published to, e.g. 'Bluesky' or 'bluesky:acme'
+ * @param {string} post.published_at - When it was published, as an ISO string
+ * @param {string} post.remote_uri - Remote URI
+ * @param {string} post.remote_cid - Remote content ID (optional)
+ * @param {Object} options - Options
+ * @param {string} options.by - Who imported the post, for created_by and the status history
+ * @returns {number} ID of the created post
+ * @example
+ * const postId = importPost({
+ *   content: 'Hello world!',
+ *   platforms: 'Bluesky',
+ *   published_at: '2025-03-01T09:00:00.000Z',
+ *   remote_uri: 'at://did:plc:abc/app.bsky.feed.post/3k...'
+ * });
+ */
+export const importPost = (post, { by = null } = {}) => {
+  const db = getDb();
+  const timezone = getDefaultTimeZone();
+  const publishedAt = new Date(post.published_at);
+
+  // SQLite timestamps are UTC without a zone designator
+  const timestamp = publishedAt.toISOString().slice(0, 19).replace('T', ' ');
+
+  const insert = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO posts (content, platforms, publish_date, timezone, publish_at, status, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'published', ?, ?, ?)
+    `).run(
+      post.content,
+      post.platforms,
+      formatInTimeZone(publishedAt, timezone),
+      timezone,
+      publishedAt.toISOString(),
+      by,
+      timestamp,
+      timestamp
+    );
+    const postId = result.lastInsertRowid;
+
+    db.prepare(`
+      INSERT INTO post_deliveries (post_id, platform, remote_uri, remote_cid, status, attempts, created_at, updated_at, published_at)
+      VALUES (?, ?, ?, ?, 'published', 1, ?, ?, ?)
+    `).run(postId, post.platforms.toLowerCase(), post.remote_uri, post.remote_cid ?? null, timestamp, timestamp, timestamp);
+
+    addStatusHistory(db, postId, null, 'published', by, 'Imported');
+    return postId;
+  });
+
+  return insert();
+};
+
+/**
+ * Update the status of a delivery record
+ * @param {number} id - Delivery ID
+ * @param {string} status - New status (e.g. 'deleted')
+ * @param {string|null} error - Error message, if any
+ * @returns {boolean} True if successful
+ * @example
+ * updateDeliveryStatus(1, 'deleted');
+ */
+export const updateDeliveryStatus = (id, status, error = null) => {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE post_deliveries
+    SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, error, id);
+  return result.changes > 0;
+};
+
+/**
+ * Record a stored media file
+ * @param {Object} media - Media fields (post_id, path, original_name, mime_type, size, alt, position)
+ * @returns {Object} Created media record
+ * @example
+ * const media = createMedia({ path, mime_type: 'image/png', size: 1024, alt: 'Chart' });
+ */
+export const createMedia = (media) => {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO media (post_id, path, original_name, mime_type, size, alt, position)
+    VALUES (@post_id, @path, @original_name, @mime_type, @size, @alt, @position)
+  `).run({ post_id: null, original_name: null, alt: null, position: 0, ...media });
+  return getMediaById(result.lastInsertRowid);
+};
+
+/**
+ * Get a media record by ID
+ * @param {number} id - Media ID
+ * @returns {Object|null} Media record or null if not found
+ * @example
+ * const media = getMediaById(1);
+ */
+export const getMediaById = (id) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM media WHERE id = ?').get(id);
+};
+
+/**
+ * Get the media attached to a post, in display order
+ * @param {number} postId - Post ID
+ * @returns {Array} Media records
+ * @example
+ * const media = getMediaForPost(1);
+ */
+export const getMediaForPost = (postId) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM media WHERE post_id = ? ORDER BY position ASC, id ASC').all(postId);
+};
+
+/**
+ * Replace the media attached to a post
+ * Media no longer in the list is deleted along with its file.
+ * @param {number} postId - Post ID
+ * @param {Array<Object>} items - Media to attach in order, each with id and optional alt
+ * @returns {Array} Media records now attached to the post
+ * @example
+ * setPostMedia(1, [{ id: 3, alt: 'Chart' }, { id: 4 }]);
+ */
+export const setPostMedia = (postId, items = []) => {
+  const db = getDb();
+  const keep = new Set(items.map((item) => Number(item.id)));
+  const removed = getMediaForPost(postId).filter((media) => !keep.has(media.id));
+
+  const attach = db.prepare(`
+    UPDATE media SET post_id = ?, position = ?, alt = COALESCE(?, alt)
+    WHERE id = ? AND (post_id IS NULL OR post_id = ?)
+  `);
+
+  db.transaction(() => {
+    items.forEach((item, position) => {
+      attach.run(postId, position, item.alt ?? null, Number(item.id), postId);
+    });
+    removed.forEach((media) => db.prepare('DELETE FROM media WHERE id = ?').run(media.id));
+  })();
+
+  removeMediaFiles(removed);
+  return getMediaForPost(postId);
+};
+
+/**
+ * Delete a media record and its file
+ * @param {number} id - Media ID
+ * @returns {boolean} True if successful
+ * @example
+ * deleteMedia(1);
+ */
+export const deleteMedia = (id) => {
+  const db = getDb();
+  const media = getMediaById(id);
+  if (!media) return false;
+
+  db.prepare('DELETE FROM media WHERE id = ?').run(id);
+  removeMediaFiles([media]);
+  return true;
+};
+
+/**
+ * Get the per-platform variants of a post
+ * @param {number} postId - Post ID
+ * @returns {Array} Variant records, with media_ids parsed into an array of media IDs (or null)
+ * @example
+ * const variants = getVariants(1);
+ */
+export const getVariants = (postId) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_variants WHERE post_id = ? ORDER BY platform ASC').all(postId)
+    .map((variant) => ({
+      ...variant,
+      media_ids: variant.media_ids ? JSON.parse(variant.media_ids) : null
+    }));
+};
+
+/**
+ * Replace the per-platform variants of a post
+ * @param {number} postId - Post ID
+ * @param {Array<Object>} variants - Variants with platform and content, hashtags,
+ * media_ids (array of media IDs), link_url, link_title and link_description
+ * @returns {Array} Variant records now stored
+ * @example
+ * setPostVariants(1, [{ platform: 'mastodon', content: 'Longer text for Mastodon' }]);
+ */
+export const setPostVariants = (postId, variants = []) => {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO post_variants (post_id, platform, content, hashtags, media_ids, link_url, link_title, link_description)
+    VALUES (@postId, @platform, @content, @hashtags, @mediaIds, @linkUrl, @linkTitle, @linkDescription)
+  `);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM post_variants WHERE post_id = ?').run(postId);
+    variants.forEach((variant) => {
+      insert.run({
+        postId,
+        platform: variant.platform,
+        content: variant.content ?? null,
+        hashtags: variant.hashtags ?? null,
+        mediaIds: Array.isArray(variant.media_ids) ? JSON.stringify(variant.media_ids) : null,
+        linkUrl: variant.link_url ?? null,
+        linkTitle: variant.link_title ?? null,
+        linkDescription: variant.link_description ?? null
+      });
+    });
+  })();
+
+  return getVariants(postId);
+};
+
+/**
+ * Remove the files of media records from disk
+ * @param {Array} mediaList - Media records
+ */
+const removeMediaFiles = (mediaList) => {
+  for (const media of mediaList) {
+    try {
+      fs.removeSync(media.path);
+    } catch (error) {
+      console.error(`Error removing media file ${media.path}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete the media records of the posts matched by a WHERE clause
+ * The files are left for the caller to remove with removeMediaFiles.
+ * @param {Object} db - Database connection
+ * @param {string} where - Condition on posts, e.g. 'id = ?'
+ * @param {Array} params - Parameters of the condition
+ * @returns {Array} Deleted media records
+ */
+const deleteMediaOfPosts = (db, where, params = []) => {
+  const condition = `post_id IN (SELECT id FROM posts WHERE ${where})`;
+  const mediaList = db.prepare(`SELECT * FROM media WHERE ${condition}`).all(...params);
+  db.prepare(`DELETE FROM media WHERE ${condition}`).run(...params);
+  return mediaList;
+};
+
+/**
+ * Store a new API token
+ * @param {string} name - Unique token name
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {number|null} userId - User the token acts as, or null for a token of its own
+ * @returns {Object} Created token record (without the hash)
+ * @example
+ * const token = createApiToken('deploy-script', hashToken(secret));
+ */
+export const createApiToken = (name, tokenHash, userId = null) => {
+  const db = getDb();
+  const result = db.prepare('INSERT INTO api_tokens (name, token_hash, user_id) VALUES (?, ?, ?)').run(name, tokenHash, userId);
+  return db.prepare('SELECT id, name, created_at, last_used_at FROM api_tokens WHERE id = ?').get(result.lastInsertRowid);
+};
+
+/**
+ * Get all API tokens
+ * @returns {Array} Token records (without hashes), with the name of the user they act as
+ * @example
+ * const tokens = getApiTokens();
+ */
+export const getApiTokens = () => {
+  const db = getDb();
+  return db.prepare(`
+    SELECT t.id, t.name, t.created_at, t.last_used_at, u.name AS user_name
+    FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+    ORDER BY t.id ASC
+  `).all();
+};
+
+/**
+ * Find the API token matching a hash and record that it was used
+ * @param {string} tokenHash - SHA-256 hash of the presented token
+ * @returns {Object|null} Token record (without the hash) with user_name and user_role, or null if unknown
+ * @example
+ * const token = useApiToken(hashToken(bearer));
+ */
+export const useApiToken = (tokenHash) => {
+  const db = getDb();
+  const token = db.prepare(`
+    SELECT t.id, t.name, t.created_at, u.name AS user_name, u.role AS user_role
+    FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ?
+  `).get(tokenHash);
+
+  if (!token) return null;
+
+  db.prepare('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(token.id);
+  return token;
+};
+
+/**
+ * Get an API token by ID
+ * @param {number} id - Token ID
+ * @returns {Object|null} Token record (without the hash) with user_name and user_role, or null if revoked
+ * @example
+ * const token = getApiTokenById(session.tokenId);
+ */
+export const getApiTokenById = (id) => {
+  const db = getDb();
+  return db.prepare(`
+    SELECT t.id, t.name, t.created_at, u.name AS user_name, u.role AS user_role
+    FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id
+    WHERE t.id = ?
+  `).get(id) || null;
+};
+
+/**
+ * Revoke an API token
+ * @param {number|string} idOrName - Token ID or name
+ * @returns {boolean} True if a token was revoked
+ * @example
+ * revokeApiToken('deploy-script');
+ */
+export const revokeApiToken = (idOrName) => {
+  const db = getDb();
+  const result = db.prepare('DELETE FROM api_tokens WHERE id = ? OR name = ?').run(Number(idOrName) || -1, String(idOrName));
+  return result.changes > 0;
+};
+
+/**
+ * Add a user of the web server
+ * @param {Object} user - User fields (name, password_hash, role)
+ * @returns {Object} Created user (without the password hash)
+ * @example
+ * const user = createUser({ name: 'sam', password_hash: hashPassword(secret), role: 'author' });
+ */
+export const createUser = (user) => {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO users (name, password_hash, role) VALUES (@name, @password_hash, @role)
+  `).run({ password_hash: null, role: 'author', ...user });
+  return db.prepare('SELECT id, name, role, created_at FROM users WHERE id = ?').get(result.lastInsertRowid);
+};
+
+/**
+ * Get all users of the web server
+ * @returns {Array} Users (without password hashes)
+ * @example
+ * const users = getUsers();
+ */
+export const getUsers = () => {
+  const db = getDb();
+  return db.prepare('SELECT id, name, role, created_at FROM users ORDER BY name ASC').all();
+};
+
+/**
+ * Get a user by name, including the password hash
+ * @param {string} name - User name
+ * @returns {Object|null} User or null if not found
+ * @example
+ * const user = getUserByName('sam');
+ */
+export const getUserByName = (name) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM users WHERE name = ?').get(name);
+};
+
+/**
+ * Change a user's password hash or role
+ * @param {string} name - User name
+ * @param {Object} updates - password_hash and/or role
+ * @returns {boolean} True if the user was updated
+ * @example
+ * updateUser('sam', { role: 'approver' });
+ */
+export const updateUser = (name, updates) => {
+  const db = getDb();
+  const fields = Object.keys(updates).filter((field) =>
+    ['password_hash', 'role'].includes(field) && updates[field] !== undefined
+  );
+
+  if (fields.length === 0) return false;
+
+  const result = db.prepare(`
+    UPDATE users SET ${fields.map((field) => `${field} = ?`).join(', ')} WHERE name = ?
+  `).run(...fields.map((field) => updates[field]), name);
+  return result.changes > 0;
+};
+
+/**
+ * Remove a user and the API tokens that act as them
+ * @param {string} name - User name
+ * @returns {boolean} True if a user was removed
+ * @example
+ * deleteUser('sam');
+ */
+export const deleteUser = (name) => {
+  const db = getDb();
+  const user = getUserByName(name);
+  if (!user) return false;
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(user.id);
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+  })();
+  return true;
+};
+
+/**
+ * Record a review action on a post
+ * @param {number} postId - Post ID
+ * @param {string} action - submitted, commented, approved or rejected
+ * @param {string|null} reviewer - Who acted
+ * @param {string|null} comment - Comment text
+ * @returns {Object} Created review record
+ * @example
+ * addReview(1, 'rejected', 'lead', 'Please add the event link');
+ */
+export const addReview = (postId, action, reviewer = null, comment = null) => {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO post_reviews (post_id, action, reviewer, comment) VALUES (?, ?, ?, ?)
+  `).run(postId, action, reviewer, comment);
+  return db.prepare('SELECT * FROM post_reviews WHERE id = ?').get(result.lastInsertRowid);
+};
+
+/**
+ * Get the review actions on a post, oldest first
+ * @param {number} postId - Post ID
+ * @returns {Array} Review records
+ * @example
+ * const reviews = getReviews(1);
+ */
+export const getReviews = (postId) => {
+  const db = getDb();
+  return db.prepare('SELECT * FROM post_reviews WHERE post_id = ? ORDER BY id ASC').all(postId);
 };
 
 /**
@@ -263,6 +1109,8 @@ export const logAction = (action, details = {}) => {
 
 /**
  * Delete posts by published status
+ * Partially published posts count as published. Posts being published are
+ * left alone, so the publisher can record their deliveries.
  * @param {Object} options - Options for deletion
  * @param {boolean} options.published - Whether to delete published posts
  * @param {boolean} options.unpublished - Whether to delete unpublished posts
@@ -276,30 +1124,50 @@ export const deletePosts = (options = { published: true }) => {
   const db = getDb();
   const result = { published: 0, unpublished: 0, total: 0 };
   
+  const unpublishedCondition = `NOT ${PUBLISHED_CONDITION} AND status != 'publishing'`;
+  const removedMedia = [];
+  
   try {
-    // Delete published posts if requested
-    if (options.published) {
-      // Get count of published posts
-      const publishedCountQuery = db.prepare("SELECT COUNT(*) as count FROM posts WHERE published = 1");
-      const publishedCountResult = publishedCountQuery.get();
-      result.published = publishedCountResult ? publishedCountResult.count : 0;
+    // Delete everything in one transaction, so a failure leaves no half-deleted posts
+    const clean = db.transaction(() => {
+      // Delete published posts if requested
+      if (options.published) {
+        // Get count of published posts
+        const publishedCountQuery = db.prepare(`SELECT COUNT(*) as count FROM posts WHERE ${PUBLISHED_CONDITION}`);
+        const publishedCountResult = publishedCountQuery.get();
+        result.published = publishedCountResult ? publishedCountResult.count : 0;
+        
+        // Delete published posts, their delivery records, status history, reviews, variants and media
+        db.prepare(`DELETE FROM post_deliveries WHERE post_id IN (SELECT id FROM posts WHERE ${PUBLISHED_CONDITION})`).run();
+        db.prepare(`DELETE FROM post_variants WHERE post_id IN (SELECT id FROM posts WHERE ${PUBLISHED_CONDITION})`).run();
+        db.prepare(`DELETE FROM post_status_history WHERE post_id IN (SELECT id FROM posts WHERE ${PUBLISHED_CONDITION})`).run();
+        db.prepare(`DELETE FROM post_reviews WHERE post_id IN (SELECT id FROM posts WHERE ${PUBLISHED_CONDITION})`).run();
+        removedMedia.push(...deleteMediaOfPosts(db, PUBLISHED_CONDITION));
+        const deletePublishedQuery = db.prepare(`DELETE FROM posts WHERE ${PUBLISHED_CONDITION}`);
+        deletePublishedQuery.run();
+      }
       
-      // Delete published posts
-      const deletePublishedQuery = db.prepare("DELETE FROM posts WHERE published = 1");
-      deletePublishedQuery.run();
-    }
+      // Delete unpublished posts if requested
+      if (options.unpublished) {
+        // Get count of unpublished posts
+        const unpublishedCountQuery = db.prepare(`SELECT COUNT(*) as count FROM posts WHERE ${unpublishedCondition}`);
+        const unpublishedCountResult = unpublishedCountQuery.get();
+        result.unpublished = unpublishedCountResult ? unpublishedCountResult.count : 0;
+        
+        // Delete unpublished posts, their delivery records, status history, reviews, variants and media
+        db.prepare(`DELETE FROM post_deliveries WHERE post_id IN (SELECT id FROM posts WHERE ${unpublishedCondition})`).run();
+        db.prepare(`DELETE FROM post_variants WHERE post_id IN (SELECT id FROM posts WHERE ${unpublishedCondition})`).run();
+        db.prepare(`DELETE FROM post_status_history WHERE post_id IN (SELECT id FROM posts WHERE ${unpublishedCondition})`).run();
+        db.prepare(`DELETE FROM post_reviews WHERE post_id IN (SELECT id FROM posts WHERE ${unpublishedCondition})`).run();
+        removedMedia.push(...deleteMediaOfPosts(db, unpublishedCondition));
+        const deleteUnpublishedQuery = db.prepare(`DELETE FROM posts WHERE ${unpublishedCondition}`);
+        deleteUnpublishedQuery.run();
+      }
+    });
+    clean.immediate();
     
-    // Delete unpublished posts if requested
-    if (options.unpublished) {
-      // Get count of unpublished posts
-      const unpublishedCountQuery = db.prepare("SELECT COUNT(*) as count FROM posts WHERE published = 0");
-      const unpublishedCountResult = unpublishedCountQuery.get();
-      result.unpublished = unpublishedCountResult ? unpublishedCountResult.count : 0;
-      
-      // Delete unpublished posts
-      const deleteUnpublishedQuery = db.prepare("DELETE FROM posts WHERE published = 0");
-      deleteUnpublishedQuery.run();
-    }
+    // Files go only once their records are gone for good
+    removeMediaFiles(removedMedia);
     
     // Calculate total
     result.total = result.published + result.unpublished;
@@ -333,14 +1201,19 @@ export const deletePost = (id) => {
     const post = getPostById(id);
     if (!post) return false;
     
-    // Delete the post
+    // Delete the post, its delivery records, status history, reviews, variants and media
+    db.prepare('DELETE FROM post_deliveries WHERE post_id = ?').run(id);
+    db.prepare('DELETE FROM post_variants WHERE post_id = ?').run(id);
+    db.prepare('DELETE FROM post_status_history WHERE post_id = ?').run(id);
+    db.prepare('DELETE FROM post_reviews WHERE post_id = ?').run(id);
+    removeMediaFiles(deleteMediaOfPosts(db, 'id = ?', [id]));
     const result = db.prepare('DELETE FROM posts WHERE id = ?').run(id);
     
     if (result.changes > 0) {
       // Log the action
       logAction('post_deleted', { 
         postId: id,
-        wasPublished: post.published === 1,
+        wasPublished: PUBLISHED_STATUSES.includes(post.status),
         title: post.title
       });
       
@@ -0,0 +1,103 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Publisher lock
+ * A continuous publisher (`publish --continuous` or `daemon start`) writes its
+ * PID to a lock file in ~/.social-light, so a second one refuses to start.
+ * Lock files of processes that are no longer running are taken over.
+ */
+
+/**
+ * Get the path of the publisher lock file
+ * @returns {string} Absolute path, e.g. ~/.social-light/publisher.pid
+ */
+export const getPublisherLockPath = () => path.join(os.homedir(), '.social-light', 'publisher.pid');
+
+/**
+ * Get the path of the log file written by the publisher daemon
+ * @returns {string} Absolute path, e.g. ~/.social-light/publisher.log
+ */
+export const getPublisherLogPath = () => path.join(os.homedir(), '.social-light', 'publisher.log');
+
+/**
+ * Check whether a process is running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+export const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Read the publisher lock file
+ * @returns {Object|null} Lock with pid, startedAt and running, or null if there is none
+ * @example
+ * const lock = readPublisherLock();
+ * if (lock?.running) console.log(`Publisher running as PID ${lock.pid}`);
+ */
+export const readPublisherLock = () => {
+  try {
+    const lock = fs.readJsonSync(getPublisherLockPath());
+    return { ...lock, running: isProcessRunning(lock.pid) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Take the publisher lock for this process
+ * The lock file is created exclusively, so two publishers starting at the same
+ * time cannot both get it.
+ * @throws {Error} If another publisher is running
+ * @example
+ * acquirePublisherLock();
+ * process.on('exit', releasePublisherLock);
+ */
+export const acquirePublisherLock = () => {
+  const lockPath = getPublisherLockPath();
+  fs.ensureDirSync(path.dirname(lockPath));
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(
+        lockPath,
+        JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }),
+        { flag: 'wx' }
+      );
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const lock = readPublisherLock();
+      if (lock?.running && lock.pid !== process.pid) {
+        throw new Error(`Another publisher is already running (PID ${lock.pid}, started ${lock.startedAt})`);
+      }
+
+      // Left behind by a publisher that did not exit cleanly
+      fs.removeSync(lockPath);
+    }
+  }
+
+  throw new Error(`Could not create the publisher lock file ${lockPath}`);
+};
+
+/**
+ * Remove the publisher lock if this process holds it
+ * @example
+ * releasePublisherLock();
+ */
+export const releasePublisherLock = () => {
+  const lock = readPublisherLock();
+
+  if (lock?.pid === process.pid) {
+    fs.removeSync(getPublisherLockPath());
+  }
+};
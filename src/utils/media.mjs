@@ -0,0 +1,95 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { createMedia } from './db.mjs';
+
+// MIME types of the file extensions we accept
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
+
+/**
+ * Get the directory media files are stored in
+ * @returns {string} Absolute path to the media directory
+ * @example
+ * const dir = getMediaDir(); // ~/.social-light/media
+ */
+export const getMediaDir = () => {
+  return path.join(os.homedir(), '.social-light', 'media');
+};
+
+/**
+ * Work out the MIME type of a file from its name
+ * @param {string} fileName - File name or path
+ * @returns {string|null} MIME type, or null if the extension is not supported
+ * @example
+ * detectMimeType('photo.JPG'); // 'image/jpeg'
+ */
+export const detectMimeType = (fileName) => {
+  return MIME_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+};
+
+/**
+ * Get the kind of a media record
+ * @param {Object} media - Media record
+ * @returns {string} 'image' or 'video'
+ */
+export const getMediaKind = (media) => {
+  return media.mime_type.startsWith('video/') ? 'video' : 'image';
+};
+
+/**
+ * Copy a file into the media directory and record it
+ * @param {Object} file - File to store
+ * @param {string} file.sourcePath - Path of a local file (or provide buffer)
+ * @param {Buffer} file.buffer - File contents (or provide sourcePath)
+ * @param {string} file.originalName - Original file name, used to detect the MIME type
+ * @param {string} file.mimeType - MIME type, if already known
+ * @param {string} file.alt - Alt text
+ * @param {number} file.postId - Post to attach the file to (optional)
+ * @param {number} file.position - Position among the post's media
+ * @returns {Object} Created media record
+ * @example
+ * const media = storeMedia({ sourcePath: './chart.png', alt: 'Sales chart', postId: 1 });
+ */
+export const storeMedia = ({ sourcePath, buffer, originalName, mimeType, alt = '', postId = null, position = 0 }) => {
+  const name = originalName || path.basename(sourcePath || '');
+  const type = mimeType || detectMimeType(name);
+
+  if (!type || !Object.values(MIME_TYPES).includes(type)) {
+    throw new Error(`Unsupported media type for "${name}". Supported: ${Object.keys(MIME_TYPES).join(', ')}`);
+  }
+
+  if (sourcePath && !fs.existsSync(sourcePath)) {
+    throw new Error(`File not found: ${sourcePath}`);
+  }
+
+  const extension = Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === type);
+  const fileName = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+  const target = path.join(getMediaDir(), fileName);
+
+  fs.ensureDirSync(getMediaDir());
+  if (sourcePath) {
+    fs.copyFileSync(sourcePath, target);
+  } else {
+    fs.writeFileSync(target, buffer);
+  }
+
+  return createMedia({
+    post_id: postId,
+    path: target,
+    original_name: name,
+    mime_type: type,
+    size: fs.statSync(target).size,
+    alt,
+    position
+  });
+};
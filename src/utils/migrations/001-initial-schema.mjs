@@ -0,0 +1,35 @@
+/**
+ * Initial schema: posts and logs
+ *
+ * Databases created before migrations existed already have these tables, so
+ * every statement is idempotent. Those created through the old initializeDb
+ * also carry an unused publish_time column, which is left in place.
+ */
+export const version = 1;
+export const name = "initial-schema";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS posts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT,
+      content TEXT NOT NULL,
+      platforms TEXT,
+      publish_date TEXT,
+      published INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action TEXT NOT NULL,
+      details TEXT,
+      timestamp TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
@@ -0,0 +1,34 @@
+/**
+ * Per-platform delivery records
+ *
+ * One row per (post, platform) holding the remote identifiers returned by the
+ * platform, so published posts can later be checked or deleted remotely.
+ */
+export const version = 2;
+export const name = "post-deliveries";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE post_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      platform TEXT NOT NULL,
+      remote_id TEXT,
+      remote_uri TEXT,
+      remote_cid TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      published_at TEXT,
+      UNIQUE (post_id, platform)
+    );
+
+    CREATE INDEX idx_post_deliveries_post_id ON post_deliveries (post_id);
+  `);
+};
@@ -0,0 +1,20 @@
+/**
+ * Retry scheduling for failed deliveries
+ *
+ * Failed deliveries are retried with exponential backoff; next_attempt_at
+ * holds the ISO timestamp before which no new attempt is made.
+ */
+export const version = 3;
+export const name = "delivery-retries";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE post_deliveries ADD COLUMN next_attempt_at TEXT;
+
+    CREATE INDEX idx_post_deliveries_retry ON post_deliveries (status, next_attempt_at);
+  `);
+};
@@ -0,0 +1,24 @@
+/**
+ * API tokens for the web server
+ *
+ * Only a SHA-256 hash of each token is stored; the token itself is shown
+ * once when it is created.
+ */
+export const version = 4;
+export const name = "api-tokens";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TEXT
+    );
+  `);
+};
@@ -0,0 +1,31 @@
+/**
+ * Media attachments
+ *
+ * Files live under ~/.social-light/media; rows link them to posts in
+ * display order. Uploads from the web editor have no post_id until the
+ * post is saved.
+ */
+export const version = 5;
+export const name = "media";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE media (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER REFERENCES posts (id),
+      path TEXT NOT NULL,
+      original_name TEXT,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      alt TEXT,
+      position INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_media_post ON media (post_id, position);
+  `);
+};
@@ -0,0 +1,23 @@
+/**
+ * Recurring posts
+ *
+ * A recurring post stores its RRULE. When an occurrence is published the
+ * next one is created as a new post pointing at the first post of the
+ * series, numbered so that COUNT can be enforced.
+ */
+export const version = 6;
+export const name = "recurrence";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN recurrence TEXT;
+    ALTER TABLE posts ADD COLUMN recurrence_parent_id INTEGER REFERENCES posts (id);
+    ALTER TABLE posts ADD COLUMN occurrence INTEGER DEFAULT 1;
+
+    CREATE INDEX idx_posts_recurrence_parent ON posts (recurrence_parent_id, occurrence);
+  `);
+};
@@ -0,0 +1,44 @@
+/**
+ * Time zones
+ *
+ * publish_date stays the wall-clock time the user picked; timezone records
+ * the IANA zone it is meant in and publish_at the matching UTC instant.
+ * Existing rows were read in the local zone of whichever machine ran the
+ * publisher, so they are migrated as times in this machine's zone.
+ */
+export const version = 7;
+export const name = "time-zones";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN timezone TEXT;
+    ALTER TABLE posts ADD COLUMN publish_at TEXT;
+
+    CREATE INDEX idx_posts_publish_at ON posts (publish_at);
+  `);
+
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  const update = db.prepare(
+    "UPDATE posts SET timezone = ?, publish_at = ? WHERE id = ?"
+  );
+
+  for (const post of db.prepare("SELECT id, publish_date FROM posts").all()) {
+    let publishAt = null;
+
+    if (post.publish_date) {
+      // The same reading the publisher used before: local time, midnight for date-only values
+      const [date, time = "00:00"] = post.publish_date.trim().split(/[T ]/);
+      const [year, month, day] = date.split("-").map(Number);
+      const [hours, minutes] = time.split(":").map(Number);
+      const local = new Date(year, month - 1, day, hours || 0, minutes || 0);
+
+      publishAt = Number.isNaN(local.getTime()) ? null : local.toISOString();
+    }
+
+    update.run(timeZone, publishAt, post.id);
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Posting queue
+ *
+ * Queued posts were given the next free slot of their platforms instead of
+ * a date picked by the user, and can be moved between slots by
+ * `social-light queue shuffle` and `reflow`.
+ */
+export const version = 8;
+export const name = "queue";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN queued INTEGER DEFAULT 0;
+  `);
+};
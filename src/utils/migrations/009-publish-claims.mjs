@@ -0,0 +1,21 @@
+/**
+ * Publish claims
+ *
+ * A publisher claims a post before sending it and releases it afterwards, so
+ * two publishers (e.g. `publish --continuous` and the web server's publish
+ * button) never send the same post at the same time. A post is in the
+ * publishing state while publishing_by is set.
+ */
+export const version = 9;
+export const name = "publish-claims";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN publishing_by TEXT;
+    ALTER TABLE posts ADD COLUMN publishing_at TEXT;
+  `);
+};
@@ -0,0 +1,20 @@
+/**
+ * Missed publish windows
+ *
+ * missed_policy overrides the global missed.policy for one post (publish,
+ * skip or confirm). missed_status records what the publisher did with a post
+ * that was overdue: missed (skipped), awaiting_confirmation or confirmed.
+ */
+export const version = 10;
+export const name = "missed-window";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN missed_policy TEXT;
+    ALTER TABLE posts ADD COLUMN missed_status TEXT;
+  `);
+};
@@ -0,0 +1,52 @@
+/**
+ * Post status lifecycle
+ *
+ * Replaces the published flag with a status column and records every status
+ * change in post_status_history. Existing posts are backfilled from the flag
+ * and their delivery records: published posts with undelivered platforms
+ * become partially_published, unpublished posts with failed deliveries become
+ * failed and the rest scheduled.
+ */
+export const version = 11;
+export const name = "post-status";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    ALTER TABLE posts ADD COLUMN status TEXT NOT NULL DEFAULT 'scheduled';
+
+    UPDATE posts SET status = CASE
+      WHEN published = 1 AND EXISTS (
+        SELECT 1 FROM post_deliveries d
+        WHERE d.post_id = posts.id AND d.status IN ('failed', 'permanently_failed')
+      ) THEN 'partially_published'
+      WHEN published = 1 THEN 'published'
+      WHEN EXISTS (
+        SELECT 1 FROM post_deliveries d
+        WHERE d.post_id = posts.id AND d.status IN ('failed', 'permanently_failed')
+      ) THEN 'failed'
+      ELSE 'scheduled'
+    END;
+
+    CREATE TABLE post_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_by TEXT,
+      note TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_post_status_history_post_id ON post_status_history (post_id);
+    CREATE INDEX idx_posts_status ON posts (status);
+
+    INSERT INTO post_status_history (post_id, from_status, to_status, note)
+    SELECT id, NULL, status, 'migrated from the published flag' FROM posts;
+
+    ALTER TABLE posts DROP COLUMN published;
+  `);
+};
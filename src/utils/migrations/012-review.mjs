@@ -0,0 +1,41 @@
+/**
+ * Review workflow and user identities
+ *
+ * users holds the people who log in to the web server, each an author or an
+ * approver. API tokens can belong to a user and then act as that user.
+ * post_reviews records submissions, comments, approvals and rejections, and
+ * posts.created_by who wrote each post.
+ */
+export const version = 12;
+export const name = "review";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      password_hash TEXT,
+      role TEXT NOT NULL DEFAULT 'author',
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE api_tokens ADD COLUMN user_id INTEGER REFERENCES users(id);
+
+    CREATE TABLE post_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      action TEXT NOT NULL,
+      reviewer TEXT,
+      comment TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_post_reviews_post_id ON post_reviews (post_id);
+
+    ALTER TABLE posts ADD COLUMN created_by TEXT;
+  `);
+};
@@ -0,0 +1,32 @@
+/**
+ * Per-platform content variants
+ *
+ * post_variants holds overrides of a post for one platform ("bluesky") or
+ * one account ("bluesky:acme"): its own text, hashtags, which of the post's
+ * attachments to send, and a link card. Columns left NULL fall back to the
+ * post itself.
+ */
+export const version = 13;
+export const name = "post-variants";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE TABLE post_variants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+      platform TEXT NOT NULL,
+      content TEXT,
+      hashtags TEXT,
+      media_ids TEXT,
+      link_url TEXT,
+      link_title TEXT,
+      link_description TEXT,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (post_id, platform)
+    );
+  `);
+};
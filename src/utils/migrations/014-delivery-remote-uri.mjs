@@ -0,0 +1,19 @@
+/**
+ * Lookup of deliveries by remote URI
+ *
+ * Importing a platform's post history checks each remote post against the
+ * deliveries already recorded, so posts are not imported twice and posts
+ * published by social-light are not imported at all.
+ */
+export const version = 14;
+export const name = "delivery-remote-uri";
+
+/**
+ * Apply the migration
+ * @param {Object} db - Database connection
+ */
+export const up = (db) => {
+  db.exec(`
+    CREATE INDEX idx_post_deliveries_remote_uri ON post_deliveries (remote_uri);
+  `);
+};
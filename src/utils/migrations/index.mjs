@@ -0,0 +1,181 @@
+import fs from "fs-extra";
+import path from "path";
+
+import * as initialSchema from "./001-initial-schema.mjs";
+import * as postDeliveries from "./002-post-deliveries.mjs";
+import * as deliveryRetries from "./003-delivery-retries.mjs";
+import * as apiTokens from "./004-api-tokens.mjs";
+import * as media from "./005-media.mjs";
+import * as recurrence from "./006-recurrence.mjs";
+import * as timeZones from "./007-time-zones.mjs";
+import * as queue from "./008-queue.mjs";
+import * as publishClaims from "./009-publish-claims.mjs";
+import * as missedWindow from "./010-missed-window.mjs";
+import * as postStatus from "./011-post-status.mjs";
+import * as review from "./012-review.mjs";
+import * as postVariants from "./013-post-variants.mjs";
+import * as deliveryRemoteUri from "./014-delivery-remote-uri.mjs";
+
+/**
+ * Ordered list of schema migrations
+ * Add new migrations as NNN-description.mjs files exporting version, name and up(db),
+ * then append them here. Never edit a migration once it has shipped.
+ */
+export const migrations = [
+  initialSchema,
+  postDeliveries,
+  deliveryRetries,
+  apiTokens,
+  media,
+  recurrence,
+  timeZones,
+  queue,
+  publishClaims,
+  missedWindow,
+  postStatus,
+  review,
+  postVariants,
+  deliveryRemoteUri,
+];
+
+/**
+ * Ensure the schema_version bookkeeping table exists
+ * @param {Object} db - Database connection
+ */
+const ensureVersionTable = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+/**
+ * Get the applied migrations
+ * @param {Object} db - Database connection
+ * @returns {Array} Rows of version, name and applied_at
+ */
+const getAppliedMigrations = (db) => {
+  const tableExists = db
+    .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='schema_version';")
+    .get();
+
+  if (!tableExists) {
+    return [];
+  }
+
+  return db.prepare("SELECT * FROM schema_version ORDER BY version ASC").all();
+};
+
+/**
+ * Get the current schema version
+ * @param {Object} db - Database connection
+ * @returns {number} Highest applied migration version (0 if none)
+ * @example
+ * const version = getSchemaVersion(db);
+ */
+export const getSchemaVersion = (db) => {
+  const applied = getAppliedMigrations(db);
+  return applied.length > 0 ? applied[applied.length - 1].version : 0;
+};
+
+/**
+ * Get the status of every known migration
+ * @param {Object} db - Database connection
+ * @returns {Array} Migrations with version, name, applied and appliedAt
+ * @example
+ * const pending = getMigrationStatus(db).filter((m) => !m.applied);
+ */
+export const getMigrationStatus = (db) => {
+  const applied = new Map(getAppliedMigrations(db).map((row) => [row.version, row]));
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.applied_at || null,
+  }));
+};
+
+/**
+ * Check whether the database holds any application tables
+ * @param {Object} db - Database connection
+ * @returns {boolean} True if the database is not empty
+ */
+const hasUserTables = (db) => {
+  const row = db
+    .prepare("SELECT COUNT(*) as count FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%';")
+    .get();
+  return row.count > 0;
+};
+
+/**
+ * Copy the database file aside before migrating it
+ * @param {string} dbPath - Path to the database file
+ * @param {number} fromVersion - Schema version being upgraded from
+ * @returns {string} Path of the backup file
+ */
+const backupDatabase = (dbPath, fromVersion) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupPath = path.join(
+    path.dirname(dbPath),
+    "backups",
+    `${path.basename(dbPath)}.v${fromVersion}.${stamp}.bak`
+  );
+
+  fs.ensureDirSync(path.dirname(backupPath));
+  fs.copyFileSync(dbPath, backupPath);
+
+  return backupPath;
+};
+
+/**
+ * Apply all pending migrations in order
+ * A backup of an existing database is taken before the first pending migration runs.
+ * @param {Object} db - Database connection
+ * @param {string} dbPath - Path to the database file (used for the backup)
+ * @returns {Object} Result with applied migrations, from/to versions and backup path
+ * @example
+ * const { applied, backupPath } = runMigrations(db, dbPath);
+ */
+export const runMigrations = (db, dbPath) => {
+  const fromVersion = getSchemaVersion(db);
+  const pending = getMigrationStatus(db).filter((m) => !m.applied);
+  const result = { applied: [], fromVersion, toVersion: fromVersion, backupPath: null };
+
+  if (pending.length === 0) {
+    return result;
+  }
+
+  if (dbPath && fs.existsSync(dbPath) && hasUserTables(db)) {
+    result.backupPath = backupDatabase(dbPath, fromVersion);
+  }
+
+  ensureVersionTable(db);
+
+  const isApplied = db.prepare("SELECT 1 FROM schema_version WHERE version = ?");
+  const record = db.prepare("INSERT INTO schema_version (version, name) VALUES (?, ?)");
+
+  for (const migration of migrations) {
+    // Each migration runs in its own write transaction so that concurrent
+    // processes cannot apply the same migration twice
+    const apply = db.transaction(() => {
+      if (isApplied.get(migration.version)) {
+        return false;
+      }
+
+      migration.up(db);
+      record.run(migration.version, migration.name);
+      return true;
+    });
+
+    if (apply.immediate()) {
+      result.applied.push({ version: migration.version, name: migration.name });
+    }
+  }
+
+  result.toVersion = getSchemaVersion(db);
+  return result;
+};
@@ -0,0 +1,123 @@
+import { getConfig } from './config.mjs';
+import { logAction, updatePost } from './db.mjs';
+import { spawnNextOccurrence } from './recurrence.mjs';
+import { getPublishTime } from './timezone.mjs';
+
+/**
+ * Missed publish windows
+ * A post is missed when the publisher gets to it more than
+ * missed.afterMinutes after its publish time, e.g. because the machine was
+ * asleep. What happens then is set by missed.policy in config, or per post:
+ *   publish - publish it late, spaced missed.spacingMinutes after the previous post
+ *   skip    - don't publish it, and mark it missed
+ *   confirm - hold it until it is confirmed with `publish --confirm <id>`
+ */
+
+export const MISSED_POLICIES = ['publish', 'skip', 'confirm'];
+
+// Defaults used when config.json has no missed section
+const DEFAULT_MISSED = { policy: 'publish', afterMinutes: 60, spacingMinutes: 5 };
+
+/**
+ * Get the missed-window settings from config
+ * @returns {Object} policy, afterMinutes and spacingMinutes
+ * @example
+ * const { afterMinutes } = getMissedSettings();
+ */
+export const getMissedSettings = () => {
+  const settings = { ...DEFAULT_MISSED, ...getConfig().missed };
+
+  if (!MISSED_POLICIES.includes(settings.policy)) {
+    settings.policy = DEFAULT_MISSED.policy;
+  }
+
+  return settings;
+};
+
+/**
+ * Validate a missed-window policy given by the user
+ * @param {string} policy - publish, skip, confirm, or default/empty for the global policy
+ * @returns {string|null} The policy, or null to use the global one
+ * @throws {Error} If the policy is unknown
+ */
+export const resolveMissedPolicy = (policy) => {
+  if (!policy || policy === 'default') return null;
+
+  if (!MISSED_POLICIES.includes(policy)) {
+    throw new Error(`Unknown missed-window policy "${policy}". Use ${MISSED_POLICIES.join(', ')} or default`);
+  }
+
+  return policy;
+};
+
+/**
+ * Get the policy that applies to a post
+ * @param {Object} post - Post row
+ * @returns {string} publish, skip or confirm
+ */
+export const getMissedPolicy = (post) =>
+  MISSED_POLICIES.includes(post.missed_policy) ? post.missed_policy : getMissedSettings().policy;
+
+/**
+ * Get how many minutes a post is past its publish time
+ * @param {Object} post - Post row
+ * @param {Date} now - Current time
+ * @returns {number} Minutes overdue, 0 if not yet due or without a date
+ */
+export const getOverdueMinutes = (post, now = new Date()) => {
+  const publishTime = getPublishTime(post);
+  if (!publishTime) return 0;
+
+  return Math.max(0, Math.floor((now - publishTime) / 60000));
+};
+
+/**
+ * Check whether a post has missed its publish window
+ * @param {Object} post - Post row
+ * @param {Date} now - Current time
+ * @returns {boolean} True if it is overdue by more than missed.afterMinutes
+ * @example
+ * if (isMissed(post) && getMissedPolicy(post) === 'skip') markMissed(post);
+ */
+export const isMissed = (post, now = new Date()) =>
+  getOverdueMinutes(post, now) > getMissedSettings().afterMinutes;
+
+/**
+ * Check whether the missed-window policy holds a post back
+ * @param {Object} post - Post row
+ * @returns {boolean} True if it was skipped as missed or waits for confirmation
+ */
+export const isHeld = (post) => ['missed', 'awaiting_confirmation'].includes(post.missed_status);
+
+/**
+ * Mark a post as missed, so it is not published
+ * A repeating post continues with its next occurrence.
+ * @param {Object} post - Post row
+ * @param {string} source - What skipped it: policy, cli or web
+ * @returns {number|null} ID of the next occurrence, if one was created
+ * @example
+ * markMissed(post, 'cli');
+ */
+export const markMissed = (post, source) => {
+  updatePost(post.id, { missed_status: 'missed' });
+  logAction('post_missed', {
+    postId: post.id,
+    title: post.title,
+    overdueMinutes: getOverdueMinutes(post),
+    source
+  });
+
+  return spawnNextOccurrence(post);
+};
+
+/**
+ * Allow an overdue post to be published late
+ * @param {Object} post - Post row
+ * @param {string} source - Who confirmed it: cli or web
+ * @example
+ * confirmLate(post, 'cli');
+ */
+export const confirmLate = (post, source) => {
+  updatePost(post.id, { missed_status: 'confirmed' });
+  logAction('post_confirmed_late', { postId: post.id, title: post.title, source });
+};
@@ -0,0 +1,96 @@
+import { PUBLISHED_STATUSES } from "./status.mjs";
+
+/**
+ * Machine-readable output helpers for the --json mode of CLI commands
+ */
+
+/**
+ * Process exit codes shared by commands
+ * SUCCESS: everything worked (or there was nothing to do)
+ * ERROR: the command failed, or no platform accepted a post
+ * PARTIAL: some platforms failed while others succeeded
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  PARTIAL: 2,
+};
+
+/**
+ * Print data as JSON to stdout
+ * @param {Object} data - Data to print
+ * @example
+ * printJson({ deleted: { total: 3 } });
+ */
+export const printJson = (data) => {
+  console.log(JSON.stringify(data, null, 2));
+};
+
+/**
+ * Print an error as JSON and set the process exit code
+ * @param {Error|string} error - Error to report
+ * @param {number} exitCode - Exit code to set (default: EXIT_CODES.ERROR)
+ * @example
+ * printJsonError(new Error('Database locked'));
+ */
+export const printJsonError = (error, exitCode = EXIT_CODES.ERROR) => {
+  printJson({ error: error?.message || String(error) });
+  process.exitCode = exitCode;
+};
+
+/**
+ * Convert a delivery record to its JSON representation
+ * @param {Object} delivery - Delivery record
+ * @returns {Object} Serialized delivery
+ */
+export const serializeDelivery = (delivery) => ({
+  platform: delivery.platform,
+  status: delivery.status,
+  remoteId: delivery.remote_id,
+  remoteUri: delivery.remote_uri,
+  remoteCid: delivery.remote_cid,
+  error: delivery.error,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.next_attempt_at,
+  publishedAt: delivery.published_at,
+});
+
+/**
+ * Convert a post row to its JSON representation
+ * @param {Object} post - Post row
+ * @param {Array} deliveries - Delivery records of the post
+ * @param {Array} media - Media records of the post
+ * @returns {Object} Serialized post
+ * @example
+ * const json = serializePost(post, getDeliveries(post.id));
+ */
+export const serializePost = (post, deliveries = [], media = []) => ({
+  id: post.id,
+  title: post.title,
+  content: post.content,
+  platforms: post.platforms
+    ? post.platforms.split(",").map((p) => p.trim()).filter(Boolean)
+    : [],
+  publishDate: post.publish_date || null,
+  timezone: post.timezone || null,
+  publishAt: post.publish_at || null,
+  queued: Boolean(post.queued),
+  status: post.status,
+  publishing: post.status === "publishing",
+  missedPolicy: post.missed_policy || null,
+  missedStatus: post.missed_status || null,
+  recurrence: post.recurrence || null,
+  recurrenceParentId: post.recurrence_parent_id || null,
+  occurrence: post.occurrence || 1,
+  published: PUBLISHED_STATUSES.includes(post.status),
+  createdAt: post.created_at,
+  updatedAt: post.updated_at,
+  deliveries: deliveries.map(serializeDelivery),
+  media: media.map((item) => ({
+    id: item.id,
+    path: item.path,
+    mimeType: item.mime_type,
+    size: item.size,
+    alt: item.alt,
+  })),
+});
@@ -0,0 +1,276 @@
+import { getConfig } from './config.mjs';
+import { getPosts, updatePost } from './db.mjs';
+import { getReadyStatuses } from './review.mjs';
+import { parseTarget } from './accounts.mjs';
+import { formatInTimeZone, getDefaultTimeZone, zonedTimeToUtc } from './timezone.mjs';
+
+/**
+ * Posting queues
+ * Each platform can have weekly time slots in config (queue.slots). Queued
+ * posts take the next slot of any of their platforms that none of their
+ * platforms has a post in yet. Slot times are in the default time zone.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Look this many days ahead for a free slot
+const MAX_SEARCH_DAYS = 366;
+
+/**
+ * Parse a day or day range such as mon, Tuesday or mon-fri
+ * @param {string} value - Day or range
+ * @returns {Array<number>} Day indexes (0 = Sunday)
+ */
+const parseDays = (value) => {
+  const dayIndex = (name) => {
+    const index = DAY_NAMES.indexOf(String(name).trim().slice(0, 3).toLowerCase());
+    if (index === -1) {
+      throw new Error(`Invalid day "${name}" in queue slots`);
+    }
+    return index;
+  };
+
+  const [first, last] = String(value).split('-');
+  if (!last) return [dayIndex(first)];
+
+  // Ranges may wrap around the weekend, e.g. fri-mon
+  const days = [];
+  for (let day = dayIndex(first); ; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === dayIndex(last)) return days;
+  }
+};
+
+/**
+ * Get the slot rules of a platform from config
+ * A named account ("bluesky:acme") uses its own slots if it has any, and
+ * otherwise those of its platform.
+ * @param {string} platform - Platform name, or a target like 'bluesky:acme'
+ * @returns {Array<Object>} Rules with days (day indexes) and times ("HH:MM")
+ * @example
+ * // config: { queue: { slots: { bluesky: [{ days: ['mon-fri'], times: ['09:00', '17:30'] }] } } }
+ * getSlotRules('Bluesky'); // [{ days: [1, 2, 3, 4, 5], times: ['09:00', '17:30'] }]
+ */
+export const getSlotRules = (platform) => {
+  const slots = getConfig().queue?.slots || {};
+  const rules = slots[platform.toLowerCase()] || slots[parseTarget(platform).platform] || [];
+
+  return rules.map((rule) => {
+    const times = (rule.times || []).map((time) => {
+      const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new Error(`Invalid time "${time}" in queue slots for ${platform}. Use HH:MM`);
+      }
+      return `${match[1].padStart(2, '0')}:${match[2]}`;
+    });
+
+    return { days: (rule.days || []).flatMap(parseDays), times };
+  });
+};
+
+/**
+ * Check whether queue slots are configured for some platforms
+ * @param {Array<string>} platforms - Platform names
+ * @returns {boolean} True if every platform has at least one slot
+ */
+export const hasQueueSlots = (platforms) =>
+  platforms.length > 0 &&
+  platforms.every((platform) => getSlotRules(platform).some((rule) => rule.days.length > 0 && rule.times.length > 0));
+
+/**
+ * Split a post's platforms into lower-case names
+ * @param {Object} post - Post row
+ * @returns {Array<string>} Platform names
+ */
+const getPostPlatforms = (post) =>
+  (post.platforms || '').split(',').map((p) => p.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Record which platforms already have a post at each instant
+ * Cancelled posts leave their slot free.
+ * @param {Array<Object>} posts - Post rows with publish_at
+ * @returns {Map<string, Set<string>>} Platforms by ISO instant
+ */
+const getOccupancy = (posts) => {
+  const occupied = new Map();
+
+  posts
+    .filter((post) => post.publish_at && post.status !== 'cancelled')
+    .forEach((post) => {
+      const platforms = occupied.get(post.publish_at) || new Set();
+      getPostPlatforms(post).forEach((platform) => platforms.add(platform));
+      occupied.set(post.publish_at, platforms);
+    });
+
+  return occupied;
+};
+
+/**
+ * List the slots of some platforms on one day
+ * @param {string} date - Day, "YYYY-MM-DD" in the default time zone
+ * @param {Array<string>} platforms - Lower-case platform names
+ * @param {string} timeZone - Time zone of the slots
+ * @returns {Array<Object>} Slots with date ("YYYY-MM-DD HH:MM"), publishAt (ISO) and platforms, in time order
+ */
+const getSlotsOnDay = (date, platforms, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const slots = new Map();
+
+  platforms.forEach((platform) => {
+    getSlotRules(platform)
+      .filter((rule) => rule.days.includes(weekday))
+      .forEach((rule) => {
+        rule.times.forEach((time) => {
+          const slot = slots.get(time) || { date: `${date} ${time}`, platforms: [] };
+          slot.platforms.push(platform);
+          slots.set(time, slot);
+        });
+      });
+  });
+
+  return [...slots.values()]
+    .map((slot) => ({ ...slot, publishAt: zonedTimeToUtc(slot.date, timeZone).toISOString() }))
+    .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+};
+
+/**
+ * Find the next slot that is free for all of a post's platforms
+ * @param {Array<string>} platforms - Platform names of the post
+ * @param {Map<string, Set<string>>} occupied - Platforms by ISO instant
+ * @param {Date} after - Only slots after this moment
+ * @returns {Object|null} Slot with date, timezone and publishAt, or null if none is free
+ */
+const findFreeSlot = (platforms, occupied, after = new Date()) => {
+  const timeZone = getDefaultTimeZone();
+  const names = platforms.map((platform) => platform.toLowerCase());
+  const [today] = formatInTimeZone(after, timeZone).split(' ');
+  const [year, month, day] = today.split('-').map(Number);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(year, month - 1, day + offset)).toISOString().split('T')[0];
+    const slot = getSlotsOnDay(date, names, timeZone).find((candidate) => {
+      const taken = occupied.get(candidate.publishAt);
+      return new Date(candidate.publishAt) > after &&
+        !names.some((platform) => taken?.has(platform));
+    });
+
+    if (slot) {
+      return { date: slot.date, timezone: timeZone, publishAt: slot.publishAt };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get the queued posts in queue order
+ * @returns {Array<Object>} Scheduled queued posts
+ * @example
+ * const queue = getQueue();
+ */
+export const getQueue = () =>
+  getPosts({ status: getReadyStatuses() }).filter((post) => post.queued);
+
+/**
+ * Find the next free queue slot for a new post
+ * @param {Array<string>} platforms - Platforms the post will go to
+ * @returns {Object} Slot with date ("YYYY-MM-DD HH:MM"), timezone and publishAt
+ * @throws {Error} If the platforms have no slots or no slot is free
+ * @example
+ * const slot = getNextQueueSlot(['Bluesky']);
+ * createPost({ ..., publish_date: slot.date, timezone: slot.timezone, queued: 1 });
+ */
+export const getNextQueueSlot = (platforms) => {
+  if (!hasQueueSlots(platforms)) {
+    throw new Error(
+      `No queue slots configured for ${platforms.join(', ') || 'the selected platforms'}. Add them under queue.slots in config.json`
+    );
+  }
+
+  const slot = findFreeSlot(platforms, getOccupancy(getPosts({ published: false })));
+  if (!slot) {
+    throw new Error(`No free queue slot in the next ${MAX_SEARCH_DAYS} days`);
+  }
+
+  return slot;
+};
+
+/**
+ * List the next free slots of a platform
+ * @param {string} platform - Platform name
+ * @param {number} count - Number of slots
+ * @returns {Array<Object>} Slots with date, timezone and publishAt
+ * @example
+ * const slots = getFreeSlots('Bluesky', 5);
+ */
+export const getFreeSlots = (platform, count = 5) => {
+  if (!hasQueueSlots([platform])) return [];
+
+  const occupied = getOccupancy(getPosts({ published: false }));
+  const slots = [];
+  let after = new Date();
+
+  while (slots.length < count) {
+    const slot = findFreeSlot([platform], occupied, after);
+    if (!slot) break;
+
+    slots.push(slot);
+    after = new Date(slot.publishAt);
+  }
+
+  return slots;
+};
+
+/**
+ * Move queued posts into the earliest free slots, keeping the given order
+ * Gaps left by deleted or published posts are closed, and posts whose slot
+ * has passed move to the next free one. Posts with a fixed date are left alone.
+ * @param {Array<Object>} order - Queued posts in the order they should go out (default: current order)
+ * @returns {Array<Object>} Posts with postId, title, from and to dates, and timezone
+ * @example
+ * const moves = reflowQueue();
+ */
+export const reflowQueue = (order = getQueue()) => {
+  const queuedIds = new Set(order.map((post) => post.id));
+  const fixed = getPosts({ published: false }).filter((post) => !queuedIds.has(post.id));
+  const occupied = getOccupancy(fixed);
+
+  return order.map((post) => {
+    const platforms = getPostPlatforms(post);
+    const slot = hasQueueSlots(platforms) ? findFreeSlot(platforms, occupied) : null;
+
+    // Posts whose platforms lost their slots keep their date
+    if (!slot) {
+      return { postId: post.id, title: post.title, from: post.publish_date, to: post.publish_date, timezone: post.timezone };
+    }
+
+    const platformsAtSlot = occupied.get(slot.publishAt) || new Set();
+    platforms.forEach((platform) => platformsAtSlot.add(platform));
+    occupied.set(slot.publishAt, platformsAtSlot);
+
+    if (slot.publishAt !== post.publish_at) {
+      updatePost(post.id, { publish_date: slot.date, timezone: slot.timezone });
+    }
+
+    return { postId: post.id, title: post.title, from: post.publish_date, to: slot.date, timezone: slot.timezone };
+  });
+};
+
+/**
+ * Put the queued posts in random order, then reflow them into the slots
+ * @returns {Array<Object>} Posts with postId, title, from and to dates, and timezone
+ * @example
+ * const moves = shuffleQueue();
+ */
+export const shuffleQueue = () => {
+  const posts = getQueue();
+
+  // Fisher-Yates shuffle
+  for (let i = posts.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [posts[i], posts[j]] = [posts[j], posts[i]];
+  }
+
+  return reflowQueue(posts);
+};
@@ -0,0 +1,398 @@
+import { createOccurrence, getMediaForPost, getDb, getVariants, logAction, setPostVariants } from './db.mjs';
+import { storeMedia } from './media.mjs';
+import { isReviewRequired } from './review.mjs';
+import { getDefaultTimeZone, zonedTimeToUtc } from './timezone.mjs';
+
+/**
+ * Recurrence rules
+ * A subset of RFC 5545 RRULE: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL,
+ * BYDAY, BYMONTHDAY, UNTIL and COUNT. Occurrences keep the time of day of the
+ * first post and are computed on wall-clock time in the post's time zone, so a
+ * 9:00 post stays at 9:00 across DST changes. Dates are held in UTC fields of
+ * Date objects purely as a zone-free calendar.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Stop searching for the next occurrence after this many days
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse a weekday given as MO, mon or monday
+ * @param {string} value - Weekday
+ * @returns {number} Day index (0 = Sunday)
+ */
+const parseWeekday = (value) => {
+  const index = WEEKDAYS.indexOf(String(value).trim().slice(0, 2).toUpperCase());
+  if (index === -1) {
+    throw new Error(`Invalid weekday "${value}"`);
+  }
+  return index;
+};
+
+/**
+ * Parse an UNTIL value (20251231, 20251231T235959Z or 2025-12-31)
+ * Date-only values include the whole day. Times are read as wall-clock time
+ * in the post's time zone, like every other date here.
+ * @param {string} value - UNTIL value
+ * @returns {Date} Last moment an occurrence may fall on
+ */
+const parseUntil = (value) => {
+  const match = String(value).match(/^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid UNTIL "${value}". Use YYYY-MM-DD`);
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  if (!hours) {
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), 23, 59, 59));
+  }
+
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)));
+};
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - RRULE, with or without the "RRULE:" prefix
+ * @returns {Object} Rule with freq, interval, byDay, byMonthDay, until and count
+ * @example
+ * parseRecurrence('FREQ=WEEKLY;BYDAY=FR;COUNT=10');
+ */
+export const parseRecurrence = (rule) => {
+  const parts = String(rule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+
+  for (const part of parts) {
+    const [key, value = ''] = part.split('=');
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        parsed.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value, 10);
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map(parseWeekday);
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map((day) => parseInt(day, 10));
+        break;
+      case 'UNTIL':
+        parsed.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        parsed.count = parseInt(value, 10);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part "${key}"`);
+    }
+  }
+
+  if (!FREQUENCIES.includes(parsed.freq)) {
+    throw new Error(`Recurrence needs FREQ=${FREQUENCIES.join('|')}`);
+  }
+  if (!(parsed.interval >= 1)) {
+    throw new Error('INTERVAL must be a positive number');
+  }
+  if (parsed.count !== null && !(parsed.count >= 1)) {
+    throw new Error('COUNT must be a positive number');
+  }
+  if (parsed.count !== null && parsed.until) {
+    throw new Error('Use either UNTIL or COUNT, not both');
+  }
+  if (parsed.byMonthDay.some((day) => !(day >= 1 && day <= 31))) {
+    throw new Error('BYMONTHDAY must be between 1 and 31');
+  }
+
+  return parsed;
+};
+
+/**
+ * Build a recurrence rule from its parts
+ * @param {Object} options - Rule parts
+ * @param {string} options.freq - daily, weekly or monthly; a full RRULE is passed through
+ * @param {number} options.interval - Repeat every N periods (default: 1)
+ * @param {Array<string>} options.byDay - Weekdays, e.g. ['mon', 'fri']
+ * @param {string} options.until - Last date, YYYY-MM-DD
+ * @param {number} options.count - Total number of occurrences
+ * @returns {string|null} RRULE, or null for "none"
+ * @example
+ * buildRecurrence({ freq: 'weekly', byDay: ['fri'], count: 10 }); // 'FREQ=WEEKLY;BYDAY=FR;COUNT=10'
+ */
+export const buildRecurrence = ({ freq, interval, byDay = [], until, count } = {}) => {
+  if (!freq || String(freq).toLowerCase() === 'none') {
+    return null;
+  }
+
+  const value = String(freq).trim();
+  const parts = value.includes('=')
+    ? [value.replace(/^RRULE:/i, '')]
+    : [`FREQ=${value.toUpperCase()}`];
+
+  if (interval && Number(interval) !== 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  const days = byDay.flatMap((day) => String(day).split(',')).filter(Boolean);
+  if (days.length > 0) {
+    parts.push(`BYDAY=${days.map((day) => WEEKDAYS[parseWeekday(day)]).join(',')}`);
+  }
+  if (until) {
+    parts.push(`UNTIL=${String(until).replace(/-/g, '')}`);
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  const rule = parts.join(';');
+
+  // Validate before handing it back
+  parseRecurrence(rule);
+  return rule;
+};
+
+/**
+ * Describe a recurrence rule for humans
+ * @param {string} rule - RRULE
+ * @returns {string} Description
+ * @example
+ * describeRecurrence('FREQ=WEEKLY;BYDAY=FR;COUNT=10'); // 'weekly on Fri, 10 times'
+ */
+export const describeRecurrence = (rule) => {
+  const { freq, interval, byDay, byMonthDay, until, count } = parseRecurrence(rule);
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+
+  let text = interval === 1 ? freq.toLowerCase() : `every ${interval} ${unit}s`;
+  if (byDay.length > 0) {
+    text += ` on ${byDay.map((day) => WEEKDAY_NAMES[day]).join(', ')}`;
+  }
+  if (byMonthDay.length > 0) {
+    text += ` on day ${byMonthDay.join(', ')}`;
+  }
+  if (until) {
+    text += ` until ${formatWallClock(until).split(' ')[0]}`;
+  }
+  if (count) {
+    text += `, ${count} times`;
+  }
+
+  return text;
+};
+
+/**
+ * Parse a stored publish date as wall-clock time
+ * @param {string} value - "YYYY-MM-DD HH:MM", "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD"
+ * @returns {Date} Date
+ */
+const parseWallClock = (value) => {
+  const [date, time = '00:00'] = String(value).split(/[T ]/);
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours || 0, minutes || 0));
+};
+
+/**
+ * Format a date the way publish dates are stored
+ * @param {Date} date - Date
+ * @returns {string} "YYYY-MM-DD HH:MM"
+ */
+const formatWallClock = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+/**
+ * Count calendar days between two dates, ignoring DST shifts
+ * @param {Date} a - Earlier date
+ * @param {Date} b - Later date
+ * @returns {number} Whole days
+ */
+const daysBetween = (a, b) =>
+  Math.round(
+    (Date.UTC(b.getUTCFullYear(), b.getUTCMonth(), b.getUTCDate()) -
+      Date.UTC(a.getUTCFullYear(), a.getUTCMonth(), a.getUTCDate())) / 86400000
+  );
+
+/**
+ * Check whether a day matches the rule
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First occurrence
+ * @param {Date} day - Candidate day
+ * @returns {boolean} True if an occurrence falls on the day
+ */
+const matchesDay = (rule, start, day) => {
+  switch (rule.freq) {
+    case 'DAILY':
+      return daysBetween(start, day) % rule.interval === 0 &&
+        (rule.byDay.length === 0 || rule.byDay.includes(day.getUTCDay()));
+
+    case 'WEEKLY': {
+      // Weeks start on Monday, as RRULE's default WKST
+      const weekStart = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+      const weeks = Math.round(daysBetween(weekStart(start), weekStart(day)) / 7);
+      const days = rule.byDay.length > 0 ? rule.byDay : [start.getUTCDay()];
+      return weeks % rule.interval === 0 && days.includes(day.getUTCDay());
+    }
+
+    case 'MONTHLY': {
+      const months = (day.getUTCFullYear() - start.getUTCFullYear()) * 12 + day.getUTCMonth() - start.getUTCMonth();
+      if (months % rule.interval !== 0) return false;
+
+      // BYDAY alone means every such weekday of the month
+      if (rule.byDay.length > 0 && rule.byMonthDay.length === 0) {
+        return rule.byDay.includes(day.getUTCDay());
+      }
+
+      const monthDays = rule.byMonthDay.length > 0 ? rule.byMonthDay : [start.getUTCDate()];
+      return monthDays.includes(day.getUTCDate()) &&
+        (rule.byDay.length === 0 || rule.byDay.includes(day.getUTCDay()));
+    }
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find occurrences of a rule after a given moment
+ * @param {string} rule - RRULE
+ * @param {string|Date} start - First occurrence (the series' original publish date)
+ * @param {Object} options - Options
+ * @param {string|Date} options.after - Only occurrences strictly after this moment
+ * @param {string|Date} options.before - Only occurrences up to this moment
+ * @param {number} options.occurrence - Number of the occurrence at `after` (for COUNT)
+ * @param {number} options.limit - Maximum number of occurrences to return
+ * @returns {Array<Object>} Occurrences with date ("YYYY-MM-DD HH:MM") and occurrence number
+ * @example
+ * projectOccurrences('FREQ=WEEKLY;BYDAY=FR', '2025-01-03 09:00', { after: '2025-01-03 09:00', limit: 4 });
+ */
+export const projectOccurrences = (rule, start, { after = start, before = null, occurrence = 1, limit = 1 } = {}) => {
+  const parsed = parseRecurrence(rule);
+  const startDate = start instanceof Date ? start : parseWallClock(start);
+  const afterDate = after instanceof Date ? after : parseWallClock(after);
+  const beforeDate = before ? (before instanceof Date ? before : parseWallClock(before)) : null;
+  const results = [];
+  let number = occurrence;
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS && results.length < limit; offset++) {
+    const day = new Date(Date.UTC(afterDate.getUTCFullYear(), afterDate.getUTCMonth(), afterDate.getUTCDate() + offset,
+      startDate.getUTCHours(), startDate.getUTCMinutes()));
+
+    if (day <= afterDate || day < startDate || !matchesDay(parsed, startDate, day)) {
+      continue;
+    }
+    if ((parsed.until && day > parsed.until) || (beforeDate && day > beforeDate)) {
+      break;
+    }
+
+    number++;
+    if (parsed.count !== null && number > parsed.count) {
+      break;
+    }
+
+    results.push({ date: formatWallClock(day), occurrence: number });
+  }
+
+  return results;
+};
+
+/**
+ * Get the first occurrence of a recurring post's series
+ * @param {Object} post - Post row
+ * @returns {string} Publish date of the series' first post
+ */
+const getSeriesStart = (post) => {
+  if (!post.recurrence_parent_id) {
+    return post.publish_date;
+  }
+
+  const db = getDb();
+  const root = db.prepare('SELECT publish_date FROM posts WHERE id = ?').get(post.recurrence_parent_id);
+  return root?.publish_date || post.publish_date;
+};
+
+/**
+ * Create the next occurrence of a recurring post once the current one is published
+ * Occurrences that are already in the past are skipped, but still count towards COUNT.
+ * @param {Object} post - Published post row
+ * @returns {number|null} ID of the new post, or null if the series has ended
+ * @example
+ * const nextId = spawnNextOccurrence(post);
+ */
+export const spawnNextOccurrence = (post) => {
+  if (!post.recurrence || !post.publish_date) {
+    return null;
+  }
+
+  const rootId = post.recurrence_parent_id || post.id;
+  const current = post.occurrence || 1;
+  const timeZone = post.timezone || getDefaultTimeZone();
+  const now = new Date();
+  const candidates = projectOccurrences(post.recurrence, getSeriesStart(post), {
+    after: post.publish_date,
+    occurrence: current,
+    limit: 1000
+  });
+  const next = candidates.find((candidate) => zonedTimeToUtc(candidate.date, timeZone) > now);
+
+  if (!next) {
+    return null;
+  }
+
+  const nextId = createOccurrence({
+    title: post.title,
+    content: post.content,
+    platforms: post.platforms,
+    publish_date: next.date,
+    timezone: timeZone,
+    recurrence: post.recurrence,
+    recurrence_parent_id: rootId,
+    occurrence: next.occurrence,
+    queued: post.queued,
+    missed_policy: post.missed_policy,
+    // The series was approved once; its occurrences need no new review
+    status: isReviewRequired() ? 'approved' : 'scheduled',
+    created_by: post.created_by
+  }, current);
+
+  // Another publisher may already have spawned it
+  if (!nextId) {
+    return null;
+  }
+
+  // Each occurrence owns copies of the attachments
+  const mediaIds = new Map();
+  getMediaForPost(post.id).forEach((media, position) => {
+    const copy = storeMedia({
+      sourcePath: media.path,
+      originalName: media.original_name,
+      mimeType: media.mime_type,
+      alt: media.alt,
+      postId: nextId,
+      position
+    });
+    mediaIds.set(media.id, copy.id);
+  });
+
+  // and of the per-platform variants, pointing at the copied media
+  setPostVariants(
+    nextId,
+    getVariants(post.id).map((variant) => ({
+      ...variant,
+      media_ids: variant.media_ids && variant.media_ids.map((id) => mediaIds.get(id)).filter(Boolean)
+    }))
+  );
+
+  logAction('post_recurred', {
+    postId: nextId,
+    previousPostId: post.id,
+    seriesId: rootId,
+    occurrence: next.occurrence,
+    publishDate: next.date
+  });
+
+  return nextId;
+};
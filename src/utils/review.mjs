@@ -0,0 +1,167 @@
+import os from 'os';
+import { getConfig } from './config.mjs';
+import { addReview, getPostById, getPosts, getReviews, logAction, setPostStatus } from './db.mjs';
+import { READY_STATUSES, USER_STATUSES, describeStatus } from './status.mjs';
+
+/**
+ * Review workflow
+ * Authors submit posts for review (draft → needs_review). Approvers comment,
+ * approve (→ approved) or reject (→ draft, with a reason). With
+ * review.required in config, new posts start as drafts and the publisher only
+ * sends approved posts.
+ */
+
+export const USER_ROLES = ['author', 'approver'];
+
+export const REVIEW_ACTIONS = ['submit', 'comment', 'approve', 'reject'];
+
+// Review actions only approvers may take
+export const APPROVER_ACTIONS = ['approve', 'reject'];
+
+// How each action is recorded in post_reviews
+const RECORDED_ACTIONS = {
+  submit: 'submitted',
+  comment: 'commented',
+  approve: 'approved',
+  reject: 'rejected'
+};
+
+// Status each action moves the post to
+const ACTION_STATUSES = {
+  submit: 'needs_review',
+  approve: 'approved',
+  reject: 'draft'
+};
+
+/**
+ * Check whether posts need approval before they are published
+ * @returns {boolean} True if review.required is set in config
+ */
+export const isReviewRequired = () => Boolean(getConfig().review?.required);
+
+/**
+ * Get the statuses the publisher picks up once a post is due
+ * @returns {Array<string>} Only approved with review.required, otherwise scheduled and approved
+ * @example
+ * const posts = getPosts({ status: getReadyStatuses() });
+ */
+export const getReadyStatuses = () => (isReviewRequired() ? ['approved'] : READY_STATUSES);
+
+/**
+ * Get the status new posts start in
+ * @returns {string} draft with review.required, otherwise scheduled
+ */
+export const getDefaultStatus = () => (isReviewRequired() ? 'draft' : 'scheduled');
+
+/**
+ * Get the name CLI actions are attributed to
+ * @returns {string} Name of the logged in OS user
+ */
+export const getLocalUser = () => {
+  try {
+    return os.userInfo().username;
+  } catch {
+    return 'cli';
+  }
+};
+
+/**
+ * Get the statuses users may set by hand rather than through a review action
+ * @returns {Array<string>} draft and cancelled, plus scheduled without review.required
+ */
+export const getManualStatuses = () =>
+  USER_STATUSES.filter((status) => !['needs_review', 'approved'].includes(status))
+    .filter((status) => status !== 'scheduled' || !isReviewRequired());
+
+/**
+ * Check a status change made by hand rather than through a review action
+ * @param {string} status - New status
+ * @throws {Error} If the status is reached through the review workflow instead
+ * @example
+ * checkStatusChange('cancelled'); // fine
+ * checkStatusChange('approved'); // throws
+ */
+export const checkStatusChange = (status) => {
+  if (status === 'needs_review' || status === 'approved') {
+    throw new Error(`Use the review workflow to ${status === 'approved' ? 'approve' : 'submit'} posts`);
+  }
+
+  if (status === 'scheduled' && isReviewRequired()) {
+    throw new Error('Posts need approval before they are published; submit them for review instead');
+  }
+};
+
+/**
+ * Submit, comment on, approve or reject a post
+ * @param {number} postId - Post ID
+ * @param {string} action - submit, comment, approve or reject
+ * @param {Object} options - Options
+ * @param {string} options.by - Who acts
+ * @param {string} options.role - Their role: author or approver
+ * @param {string} options.comment - Comment; required to comment or reject
+ * @returns {Object} The review record
+ * @throws {Error} If the action is not allowed for the user or the post
+ * @example
+ * reviewPost(3, 'reject', { by: 'lead', role: 'approver', comment: 'Needs the event link' });
+ */
+export const reviewPost = (postId, action, { by = null, role = 'author', comment = null } = {}) => {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error(`Unknown review action "${action}". Use ${REVIEW_ACTIONS.join(', ')}`);
+  }
+
+  const post = getPostById(postId);
+  if (!post) {
+    throw new Error(`Post ${postId} not found`);
+  }
+
+  if (APPROVER_ACTIONS.includes(action) && role !== 'approver') {
+    throw new Error('Only approvers can approve or reject posts');
+  }
+
+  const text = comment?.trim() || null;
+  if (action === 'comment' && !text) {
+    throw new Error('A comment is required');
+  }
+  if (action === 'reject' && !text) {
+    throw new Error('Give a reason when rejecting a post');
+  }
+
+  if (action === 'submit' && post.status === 'needs_review') {
+    throw new Error(`Post ${postId} is already waiting for review`);
+  }
+  if (APPROVER_ACTIONS.includes(action) && post.status !== 'needs_review') {
+    throw new Error(`Post ${postId} is ${describeStatus(post.status)}, not waiting for review`);
+  }
+
+  if (ACTION_STATUSES[action]) {
+    setPostStatus(postId, ACTION_STATUSES[action], { by, note: text });
+  }
+
+  const review = addReview(postId, RECORDED_ACTIONS[action], by, text);
+  logAction(`post_${RECORDED_ACTIONS[action]}`, { postId, by });
+
+  return review;
+};
+
+/**
+ * Send an approved post back for review after its content changed
+ * Only applies with review.required, so approvers see what they approve.
+ * @param {Object} post - Post row as it was before the change
+ * @param {string} by - Who changed it
+ * @returns {boolean} True if the post needs review again
+ */
+export const resubmitIfApproved = (post, by = null) => {
+  if (!isReviewRequired() || post.status !== 'approved') return false;
+
+  reviewPost(post.id, 'submit', { by, comment: 'Changed after approval' });
+  return true;
+};
+
+/**
+ * Get the posts waiting for review with their review history
+ * @returns {Array<Object>} Posts, each with a reviews array
+ * @example
+ * const queue = getReviewQueue();
+ */
+export const getReviewQueue = () =>
+  getPosts({ status: 'needs_review' }).map((post) => ({ ...post, reviews: getReviews(post.id) }));
@@ -3,6 +3,30 @@
  * All platform-specific API implementations should extend this class
  */
 export class SocialPlatform {
+  /**
+   * What the platform accepts, checked before anything is sent
+   * maxGraphemes: longest post in user-perceived characters (null for no limit)
+   * urlLength: characters every link counts as, whatever its length (null to count them as written)
+   * maxImages, maxVideos: attachments per post; mixedMedia: images and video together
+   * image, video: accepted MIME types and the largest file in bytes
+   * linkCards: link previews; linkCardWithMedia: a link card next to attachments
+   * threads: longer text can be split into a reply thread
+   * altTextRequired: every attachment needs alt text
+   */
+  static capabilities = {
+    maxGraphemes: null,
+    urlLength: null,
+    maxImages: 0,
+    maxVideos: 0,
+    mixedMedia: false,
+    image: { mimeTypes: [], maxBytes: 0 },
+    video: { mimeTypes: [], maxBytes: 0 },
+    linkCards: false,
+    linkCardWithMedia: false,
+    threads: false,
+    altTextRequired: false,
+  };
+
   /**
    * Constructor for the base social platform
    * @param {Object} config - Platform-specific configuration
@@ -21,6 +45,14 @@ export class SocialPlatform {
     return false;
   }
 
+  /**
+   * Get what the platform accepts
+   * @returns {Object} The class's capabilities descriptor
+   */
+  get capabilities() {
+    return this.constructor.capabilities;
+  }
+
   /**
    * Authenticate with the platform API
    * @returns {Promise<boolean>} True if authentication successful
@@ -60,6 +92,15 @@ export class SocialPlatform {
   async deletePost(postId) {
     throw new Error("Method not implemented");
   }
+
+  /**
+   * Get the identifier getPostStatus and deletePost expect for a stored delivery
+   * @param {Object} delivery - Delivery record with remote_id and remote_uri
+   * @returns {string} Remote post identifier
+   */
+  getRemoteId(delivery) {
+    return delivery.remote_id;
+  }
 }
 
 /**
@@ -125,7 +166,7 @@ class UnsupportedPlatform extends SocialPlatform {
 export const PlatformFactory = {
   /**
    * Create a new platform instance
-   * @param {string} platform - Platform name (only 'bluesky' is supported)
+   * @param {string} platform - Platform name ('bluesky' or 'mastodon')
    * @param {Object} config - Platform-specific configuration
    * @returns {SocialPlatform} Platform instance
    */
@@ -135,6 +176,10 @@ export const PlatformFactory = {
         return import("./bluesky.mjs").then(
           (module) => new module.BlueskyPlatform(config)
         );
+      case "mastodon":
+        return import("./mastodon.mjs").then(
+          (module) => new module.MastodonPlatform(config)
+        );
       default:
         throw new Error(`Unsupported platform: ${platform}`);
     }
@@ -1,17 +1,39 @@
 import { SocialPlatform } from './base.mjs';
 import fetch from 'node-fetch';
+import fs from 'fs-extra';
+import { detectFacets } from './richtext.mjs';
+import { countGraphemes, splitIntoThread } from './thread.mjs';
+
+// Maximum length of a single Bluesky post, in graphemes
+const MAX_GRAPHEMES = 300;
 
 /**
  * Bluesky Platform API Implementation
  * Uses Bluesky's AT Protocol for posting and managing content
  */
 export class BlueskyPlatform extends SocialPlatform {
+  static capabilities = {
+    maxGraphemes: MAX_GRAPHEMES,
+    urlLength: null,
+    maxImages: 4,
+    maxVideos: 1,
+    mixedMedia: false,
+    image: { mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], maxBytes: 1000000 },
+    video: { mimeTypes: ['video/mp4'], maxBytes: 50 * 1024 * 1024 },
+    linkCards: true,
+    // A post has one embed, so a link card replaces images or video
+    linkCardWithMedia: false,
+    threads: true,
+    altTextRequired: false
+  };
+
   /**
    * Constructor for Bluesky platform
    * @param {Object} config - Platform-specific configuration
    * @param {string} config.handle - Bluesky handle (username)
    * @param {string} config.password - Bluesky app password
    * @param {string} config.service - Bluesky service URL (default: https://bsky.social)
+   * @param {string} config.account - Named account, or null for the default account
    */
   constructor(config = {}) {
     super(config);
@@ -19,6 +41,10 @@ export class BlueskyPlatform extends SocialPlatform {
     this.service = config.service || 'https://bsky.social';
     this.authenticated = false;
     this.session = null;
+    this.handleCache = new Map();
+
+    // Environment credentials belong to the default account; named accounts are set in config only
+    this.env = config.account ? {} : process.env;
   }
 
   /**
@@ -34,8 +60,8 @@ export class BlueskyPlatform extends SocialPlatform {
 
     // Also check environment variables
     const hasEnvCreds = Boolean(
-      process.env.BLUESKY_HANDLE &&
-      process.env.BLUESKY_APP_PASSWORD
+      this.env.BLUESKY_HANDLE &&
+      this.env.BLUESKY_APP_PASSWORD
     );
 
     return hasConfigCreds || hasEnvCreds;
@@ -51,9 +77,9 @@ export class BlueskyPlatform extends SocialPlatform {
     }
 
     // Get credentials from config or environment variables
-    const handle = this.config.handle || process.env.BLUESKY_HANDLE;
-    const password = this.config.password || process.env.BLUESKY_APP_PASSWORD;
-    const service = this.config.service || process.env.BLUESKY_SERVICE || this.service;
+    const handle = this.config.handle || this.env.BLUESKY_HANDLE;
+    const password = this.config.password || this.env.BLUESKY_APP_PASSWORD;
+    const service = this.config.service || this.env.BLUESKY_SERVICE || this.service;
 
     try {
       const response = await fetch(`${service}/xrpc/com.atproto.server.createSession`, {
@@ -84,11 +110,15 @@ export class BlueskyPlatform extends SocialPlatform {
 
   /**
    * Post content to Bluesky
+   * Text over the grapheme limit is posted as a reply chain when thread mode is enabled
    * @param {Object} post - Post content and metadata
    * @param {string} post.text - Text content of the post (required)
    * @param {Array<string>} post.mediaUrls - URLs of media to attach (optional)
+   * @param {Array<Object>} post.media - Local files to attach ({ path, mimeType, alt }) (optional)
    * @param {Object} post.options - Bluesky-specific options
-   * @returns {Promise<Object>} Response including post URI and CID
+   * @param {boolean} post.options.richText - Set to false to skip link, mention and hashtag detection
+   * @param {Object} post.options.thread - Thread mode settings ({ enabled, numbered })
+   * @returns {Promise<Object>} Response including root post URI and CID, plus every part of a thread
    */
   async post(post) {
     if (!this.authenticated && !await this.authenticate()) {
@@ -99,82 +129,251 @@ export class BlueskyPlatform extends SocialPlatform {
       throw new Error('Post text is required');
     }
 
+    const thread = { enabled: true, numbered: true, ...post.options?.thread };
+    const length = countGraphemes(post.text);
+
+    if (length > MAX_GRAPHEMES && !thread.enabled) {
+      throw new Error(`Post is ${length} characters long; Bluesky allows ${MAX_GRAPHEMES}. Shorten it or enable thread mode.`);
+    }
+
+    const parts = thread.enabled
+      ? splitIntoThread(post.text, { limit: MAX_GRAPHEMES, numbered: thread.numbered })
+      : [post.text];
+
     try {
-      // Create basic post record
-      const record = {
-        $type: 'app.bsky.feed.post',
-        text: post.text,
-        createdAt: new Date().toISOString()
+      // Media and link cards are attached to the first post only
+      const root = await this._createRecord(parts[0], post);
+      const posted = [root];
+
+      for (let i = 1; i < parts.length; i++) {
+        try {
+          const reply = {
+            root: { uri: root.uri, cid: root.cid },
+            parent: { uri: posted[i - 1].uri, cid: posted[i - 1].cid }
+          };
+          posted.push(await this._createRecord(parts[i], { options: post.options }, reply));
+        } catch (error) {
+          const threadError = new Error(
+            `Thread partially published: ${posted.length} of ${parts.length} parts posted (root ${root.uri}). Part ${i + 1} failed: ${error.message}`
+          );
+          threadError.partial = {
+            root: root.uri,
+            posted: posted.map(({ uri, cid }) => ({ uri, cid })),
+            total: parts.length
+          };
+          throw threadError;
+        }
+      }
+
+      const result = {
+        id: root.uri.split('/').pop(),
+        uri: root.uri,
+        cid: root.cid
       };
 
-      // Handle languages if specified
-      if (post.options && post.options.langs) {
-        record.langs = Array.isArray(post.options.langs) ? post.options.langs : [post.options.langs];
+      if (posted.length > 1) {
+        result.thread = posted.map(({ uri, cid }) => ({ uri, cid }));
       }
 
-      // Handle media attachments if provided
-      if (post.mediaUrls && post.mediaUrls.length > 0) {
-        const images = await Promise.all(
-          post.mediaUrls.map(url => this._uploadImage(url))
-        );
-
-        if (images.length > 0) {
-          record.embed = {
-            $type: 'app.bsky.embed.images',
-            images: images.map(img => ({
-              alt: post.options?.imageAlt || 'Image',
-              image: img
-            }))
-          };
-        }
+      return result;
+    } catch (error) {
+      console.error('Bluesky post error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a single app.bsky.feed.post record
+   * @param {string} text - Text of this record
+   * @param {Object} post - Original post (media, link card and options)
+   * @param {Object} reply - Reply refs ({ root, parent }) when part of a thread
+   * @returns {Promise<Object>} Created record URI and CID
+   * @private
+   */
+  async _createRecord(text, post, reply = null) {
+    // Create basic post record
+    const record = {
+      $type: 'app.bsky.feed.post',
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    if (reply) {
+      record.reply = reply;
+    }
+
+    // Turn links, mentions and hashtags into rich text facets
+    if (post.options?.richText !== false) {
+      const facets = await detectFacets(text, (handle) => this.resolveHandle(handle));
+      if (facets.length > 0) {
+        record.facets = facets;
       }
+    }
+
+    // Handle languages if specified
+    if (post.options && post.options.langs) {
+      record.langs = Array.isArray(post.options.langs) ? post.options.langs : [post.options.langs];
+    }
 
-      // Handle external link embedding if provided
-      if (post.options && post.options.externalLink) {
+    // Handle local media files if provided; a video replaces any images
+    if (post.media && post.media.length > 0) {
+      const video = post.media.find(item => item.mimeType.startsWith('video/'));
+
+      if (video) {
         record.embed = {
-          $type: 'app.bsky.embed.external',
-          external: {
-            uri: post.options.externalLink.uri,
-            title: post.options.externalLink.title || '',
-            description: post.options.externalLink.description || ''
-          }
+          $type: 'app.bsky.embed.video',
+          video: await this._uploadFile(video.path, video.mimeType),
+          alt: video.alt || ''
         };
-
-        if (post.options.externalLink.thumbnailUrl) {
-          const thumb = await this._uploadImage(post.options.externalLink.thumbnailUrl);
-          record.embed.external.thumb = thumb;
+      } else {
+        const images = [];
+        for (const item of post.media) {
+          images.push({
+            alt: item.alt || '',
+            image: await this._uploadFile(item.path, item.mimeType)
+          });
         }
+        record.embed = { $type: 'app.bsky.embed.images', images };
       }
+    }
 
-      // Create the post
-      const response = await fetch(`${this.service}/xrpc/com.atproto.repo.createRecord`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.session.accessJwt}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          repo: this.config.handle,
-          collection: 'app.bsky.feed.post',
-          record: record
-        })
-      });
+    // Handle media attachments if provided
+    if (post.mediaUrls && post.mediaUrls.length > 0) {
+      const images = await Promise.all(
+        post.mediaUrls.map(url => this._uploadImage(url))
+      );
 
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`Bluesky post failed: ${JSON.stringify(error)}`);
+      if (images.length > 0) {
+        record.embed = {
+          $type: 'app.bsky.embed.images',
+          images: images.map(img => ({
+            alt: post.options?.imageAlt || 'Image',
+            image: img
+          }))
+        };
       }
+    }
 
-      const result = await response.json();
-      return {
-        id: result.uri.split('/').pop(),
-        uri: result.uri,
-        cid: result.cid
+    // Handle external link embedding if provided
+    if (!reply && post.options && post.options.externalLink) {
+      record.embed = {
+        $type: 'app.bsky.embed.external',
+        external: {
+          uri: post.options.externalLink.uri,
+          title: post.options.externalLink.title || '',
+          description: post.options.externalLink.description || ''
+        }
       };
+
+      if (post.options.externalLink.thumbnailUrl) {
+        const thumb = await this._uploadImage(post.options.externalLink.thumbnailUrl);
+        record.embed.external.thumb = thumb;
+      }
+    }
+
+    // Create the post
+    const response = await fetch(`${this.service}/xrpc/com.atproto.repo.createRecord`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.session.accessJwt}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        repo: this.config.handle,
+        collection: 'app.bsky.feed.post',
+        record: record
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`Bluesky post failed: ${JSON.stringify(error)}`);
+    }
+
+    const result = await response.json();
+    return {
+      uri: result.uri,
+      cid: result.cid
+    };
+  }
+
+  /**
+   * Resolve a handle to a DID
+   * @param {string} handle - Bluesky handle (e.g. alice.bsky.social)
+   * @returns {Promise<string|null>} DID or null if the handle cannot be resolved
+   */
+  async resolveHandle(handle) {
+    if (this.handleCache.has(handle)) {
+      return this.handleCache.get(handle);
+    }
+
+    let did = null;
+
+    try {
+      const response = await fetch(`${this.service}/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(handle)}`);
+
+      if (response.ok) {
+        const result = await response.json();
+        did = result.did || null;
+      }
     } catch (error) {
-      console.error('Bluesky post error:', error);
-      throw error;
+      console.warn(`Unable to resolve Bluesky handle @${handle}:`, error.message);
+    }
+
+    this.handleCache.set(handle, did);
+    return did;
+  }
+
+  /**
+   * Get a page of the account's own posts, newest first
+   * Replies and reposts are left out, so the parts of a thread after the
+   * first are too.
+   * @param {Object} options - Options
+   * @param {string} options.cursor - Cursor returned with the previous page (optional)
+   * @param {number} options.limit - Number of feed items to request, up to 100
+   * @returns {Promise<Object>} posts ({ uri, cid, text, createdAt }) and the cursor of the next page, if any
+   * @example
+   * let page = await bluesky.getAuthorFeed();
+   * page = await bluesky.getAuthorFeed({ cursor: page.cursor });
+   */
+  async getAuthorFeed({ cursor = null, limit = 100 } = {}) {
+    if (!this.authenticated && !await this.authenticate()) {
+      throw new Error('Bluesky authentication required');
+    }
+
+    const params = new URLSearchParams({
+      actor: this.session.did,
+      limit: String(Math.min(limit, 100)),
+      filter: 'posts_no_replies'
+    });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+
+    const response = await fetch(`${this.service}/xrpc/app.bsky.feed.getAuthorFeed?${params}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${this.session.accessJwt}`
+      }
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(`Failed to get author feed: ${JSON.stringify(error)}`);
     }
+
+    const result = await response.json();
+    return {
+      posts: (result.feed || [])
+        .filter((item) => !item.reason && item.post.author?.did === this.session.did)
+        .map(({ post }) => ({
+          uri: post.uri,
+          cid: post.cid,
+          text: post.record?.text || '',
+          createdAt: post.record?.createdAt || post.indexedAt
+        })),
+      cursor: result.feed?.length > 0 ? result.cursor || null : null
+    };
   }
 
   /**
@@ -260,6 +459,15 @@ export class BlueskyPlatform extends SocialPlatform {
     }
   }
 
+  /**
+   * Get the identifier getPostStatus and deletePost expect for a stored delivery
+   * @param {Object} delivery - Delivery record with remote_id and remote_uri
+   * @returns {string} AT URI of the post
+   */
+  getRemoteId(delivery) {
+    return delivery.remote_uri;
+  }
+
   /**
    * Upload an image to Bluesky
    * @param {string} imageUrl - URL of the image to upload
@@ -277,26 +485,52 @@ export class BlueskyPlatform extends SocialPlatform {
       const imageBuffer = await imageResponse.buffer();
       const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
 
-      // Upload the image blob
-      const uploadResponse = await fetch(`${this.service}/xrpc/com.atproto.repo.uploadBlob`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.session.accessJwt}`,
-          'Content-Type': contentType
-        },
-        body: imageBuffer
-      });
-
-      if (!uploadResponse.ok) {
-        const error = await uploadResponse.json();
-        throw new Error(`Failed to upload image: ${JSON.stringify(error)}`);
-      }
-
-      const result = await uploadResponse.json();
-      return result.blob;
+      return await this._uploadBlob(imageBuffer, contentType);
     } catch (error) {
       console.error('Bluesky image upload error:', error);
       throw error;
     }
   }
+
+  /**
+   * Upload a local file to Bluesky
+   * @param {string} filePath - Path of the file
+   * @param {string} contentType - MIME type of the file
+   * @returns {Promise<Object>} Blob reference
+   * @private
+   */
+  async _uploadFile(filePath, contentType) {
+    try {
+      return await this._uploadBlob(await fs.readFile(filePath), contentType);
+    } catch (error) {
+      console.error('Bluesky media upload error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload binary data as a blob
+   * @param {Buffer} data - Blob contents
+   * @param {string} contentType - MIME type of the data
+   * @returns {Promise<Object>} Blob reference
+   * @private
+   */
+  async _uploadBlob(data, contentType) {
+    const uploadResponse = await fetch(`${this.service}/xrpc/com.atproto.repo.uploadBlob`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.session.accessJwt}`,
+        'Content-Type': contentType
+      },
+      body: data
+    });
+
+    if (!uploadResponse.ok) {
+      const error = await uploadResponse.json();
+      throw new Error(`Failed to upload blob: ${JSON.stringify(error)}`);
+    }
+
+    const result = await uploadResponse.json();
+    return result.blob;
+  }
 }
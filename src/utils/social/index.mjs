@@ -1,6 +1,8 @@
 import { PlatformFactory } from "./base.mjs";
 import { getConfig, getCredentials } from "../config.mjs";
 import { logAction } from "../db.mjs";
+import { validateContent } from "../validation.mjs";
+import { checkTargets, parseTarget } from "../accounts.mjs";
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -8,6 +10,8 @@ dotenv.config();
 
 /**
  * Social API manager for handling multiple platforms
+ * Platform instances are kept per target, so each account of a platform
+ * ("bluesky", "bluesky:acme") has its own session.
  */
 export class SocialAPI {
   /**
@@ -22,26 +26,29 @@ export class SocialAPI {
 
   /**
    * Initialize a specific platform
-   * @param {string} platform - Platform name
+   * @param {string} target - Platform name, optionally followed by :account
    * @param {Object} config - Platform-specific configuration
    * @returns {Promise<boolean>} True if initialization successful
    */
-  async initPlatform(platform, config = {}) {
+  async initPlatform(target, config = {}) {
+    const { platform, account } = parseTarget(target);
+
     try {
-      // Get credentials from config.json
-      const platformCredentials = getCredentials(platform);
+      // Get the account's credentials from config.json
+      const platformCredentials = getCredentials(platform, account);
       
       // Merge provided config and stored credentials
       const mergedConfig = {
         ...platformCredentials,
-        ...config
+        ...config,
+        account,
       };
       
       // Get platform instance from factory
       const platformInstance = await PlatformFactory.create(platform, mergedConfig);
 
       // Store the platform instance
-      this.platforms.set(platform.toLowerCase(), platformInstance);
+      this.platforms.set(target.toLowerCase(), platformInstance);
 
       // Attempt authentication if configured
       if (platformInstance.isConfigured()) {
@@ -50,23 +57,53 @@ export class SocialAPI {
 
       return true;
     } catch (error) {
-      console.error(`Failed to initialize ${platform}:`, error);
+      console.error(`Failed to initialize ${target}:`, error);
       return false;
     }
   }
 
   /**
    * Get a platform instance by name
-   * @param {string} platform - Platform name
+   * @param {string} target - Platform name, optionally followed by :account
    * @returns {SocialPlatform|null} Platform instance or null if not found
    */
-  getPlatform(platform) {
-    return this.platforms.get(platform.toLowerCase()) || null;
+  getPlatform(target) {
+    return this.platforms.get(target.toLowerCase()) || null;
+  }
+
+  /**
+   * Get a platform instance by name, initializing it on first use
+   * @param {string} target - Platform name, optionally followed by :account
+   * @returns {Promise<SocialPlatform>} Platform instance
+   * @throws {Error} If the account is not configured (marked permanent)
+   */
+  async ensurePlatform(target) {
+    const targetLower = target.toLowerCase();
+    let platformInstance = this.getPlatform(targetLower);
+
+    if (!platformInstance) {
+      // An account missing from config fails the same way on every attempt
+      const targetErrors = checkTargets([targetLower]);
+      if (targetErrors.length > 0) {
+        const targetError = new Error(targetErrors.join("; "));
+        targetError.permanent = true;
+        throw targetError;
+      }
+
+      await this.initPlatform(targetLower);
+      platformInstance = this.getPlatform(targetLower);
+    }
+
+    if (!platformInstance) {
+      throw new Error(`Platform ${target} not initialized`);
+    }
+
+    return platformInstance;
   }
 
   /**
    * Check if a platform is initialized and authenticated
-   * @param {string} platform - Platform name
+   * @param {string} platform - Platform name, optionally followed by :account
    * @returns {boolean} True if platform is ready
    */
   isPlatformReady(platform) {
@@ -80,9 +117,12 @@ export class SocialAPI {
    * @param {string} post.text - Text content of the post
    * @param {string} post.title - Title/caption of the post (optional)
    * @param {Array<string>} post.mediaUrls - Media URLs to attach (optional)
-   * @param {Array<string>} post.platforms - Platforms to post to
-   * @param {Object} post.options - Platform-specific options
-   * @returns {Promise<Object>} Results for each platform
+   * @param {Array<Object>} post.media - Media records of local files to attach (optional)
+   * @param {Array<string>} post.platforms - Platforms to post to, e.g. 'bluesky' or 'bluesky:acme'
+   * @param {Object} post.options - Platform-specific options, keyed by platform or target
+   * @param {Object} post.variants - What to send to each target instead of text and media,
+   *   keyed by lower-case target: text, media and link (optional, see getPostVariants)
+   * @returns {Promise<Object>} Results for each target
    */
   async post(post) {
     if (!post.platforms || post.platforms.length === 0) {
@@ -96,32 +136,47 @@ export class SocialAPI {
     for (const platform of post.platforms) {
       try {
         const platformLower = platform.toLowerCase();
-        let platformInstance = this.getPlatform(platformLower);
-
-        if (!platformInstance) {
-          await this.initPlatform(platformLower);
-          platformInstance = this.getPlatform(platformLower);
+        const platformName = parseTarget(platformLower).platform;
+        const variant = post.variants?.[platformLower] || post.variants?.[platformName] || {};
+        const text = variant.text ?? post.text;
+        const media = variant.media ?? post.media;
+
+        // Content the platform would reject fails the same way on every attempt
+        const { errors: contentErrors } = validateContent(
+          { text, media, link: variant.link },
+          platformLower,
+          { thread: this.config.thread }
+        );
+        if (contentErrors.length > 0) {
+          const contentError = new Error(contentErrors.join("; "));
+          contentError.permanent = true;
+          throw contentError;
         }
 
-        if (!platformInstance) {
-          throw new Error(`Platform ${platform} not initialized`);
-        }
+        const platformInstance = await this.ensurePlatform(platformLower);
 
         if (!platformInstance.authenticated) {
           await platformInstance.authenticate();
         }
 
-        // Get platform-specific options if provided
-        const platformOptions =
-          post.options && post.options[platformLower]
-            ? post.options[platformLower]
-            : {};
+        // Get platform-specific options if provided, on top of global thread settings
+        const platformOptions = {
+          thread: this.config.thread,
+          ...(post.options?.[platformName] || {}),
+          ...(post.options?.[platformLower] || {}),
+          ...(variant.link ? { externalLink: variant.link } : {}),
+        };
 
         // Create platform-specific post object
         const platformPost = {
-          text: post.text,
+          text,
           title: post.title,
           mediaUrls: post.mediaUrls,
+          media: (media || []).map((media) => ({
+            path: media.path,
+            mimeType: media.mime_type,
+            alt: media.alt,
+          })),
           options: platformOptions,
         };
 
@@ -139,15 +194,17 @@ export class SocialAPI {
         logAction("post_created", {
           platform: platformLower,
           postId: result.id || result.uri || result.publishId,
-          content: post.text?.substring(0, 100),
+          content: text?.substring(0, 100),
         });
       } catch (error) {
         console.error(`Error posting to ${platform}:`, error);
 
-        // Store error
+        // Store error, keeping what was posted when a thread only partially went out
         results[platform.toLowerCase()] = {
           success: false,
           error: error.message,
+          ...(error.partial ? { partial: error.partial } : {}),
+          ...(error.permanent ? { permanent: true } : {}),
         };
 
         errors.push({
@@ -159,6 +216,7 @@ export class SocialAPI {
         logAction("post_error", {
           platform: platform.toLowerCase(),
           error: error.message,
+          partial: error.partial,
           content: post.text?.substring(0, 100),
         });
       }
@@ -173,7 +231,7 @@ export class SocialAPI {
 
   /**
    * Get status of posts across platforms
-   * @param {Object} postIds - Map of platform to post ID
+   * @param {Object} postIds - Map of target (platform or platform:account) to post ID
    * @returns {Promise<Object>} Status for each platform
    */
   async getPostStatus(postIds) {
@@ -183,11 +241,7 @@ export class SocialAPI {
     for (const [platform, postId] of Object.entries(postIds)) {
       try {
         const platformLower = platform.toLowerCase();
-        const platformInstance = this.getPlatform(platformLower);
-
-        if (!platformInstance) {
-          throw new Error(`Platform ${platform} not initialized`);
-        }
+        const platformInstance = await this.ensurePlatform(platformLower);
 
         if (!platformInstance.authenticated) {
           await platformInstance.authenticate();
@@ -223,7 +277,7 @@ export class SocialAPI {
 
   /**
    * Delete posts across platforms
-   * @param {Object} postIds - Map of platform to post ID
+   * @param {Object} postIds - Map of target (platform or platform:account) to post ID
    * @returns {Promise<Object>} Results for each platform
    */
   async deletePosts(postIds) {
@@ -233,11 +287,7 @@ export class SocialAPI {
     for (const [platform, postId] of Object.entries(postIds)) {
       try {
         const platformLower = platform.toLowerCase();
-        const platformInstance = this.getPlatform(platformLower);
-
-        if (!platformInstance) {
-          throw new Error(`Platform ${platform} not initialized`);
-        }
+        const platformInstance = await this.ensurePlatform(platformLower);
 
         if (!platformInstance.authenticated) {
           await platformInstance.authenticate();
@@ -282,6 +332,30 @@ export class SocialAPI {
       errors,
     };
   }
+
+  /**
+   * Get the remote status of a recorded delivery
+   * @param {Object} delivery - Delivery record from the post_deliveries table
+   * @returns {Promise<Object>} Status result for the delivery's target
+   */
+  async getDeliveryStatus(delivery) {
+    const platformInstance = await this.ensurePlatform(delivery.platform);
+    return this.getPostStatus({
+      [delivery.platform]: platformInstance.getRemoteId(delivery),
+    });
+  }
+
+  /**
+   * Delete the remote post behind a recorded delivery
+   * @param {Object} delivery - Delivery record from the post_deliveries table
+   * @returns {Promise<Object>} Deletion result for the delivery's target
+   */
+  async deleteDelivery(delivery) {
+    const platformInstance = await this.ensurePlatform(delivery.platform);
+    return this.deletePosts({
+      [delivery.platform]: platformInstance.getRemoteId(delivery),
+    });
+  }
 }
 
 // Export a singleton instance
@@ -0,0 +1,353 @@
+import { SocialPlatform } from './base.mjs';
+import fetch, { FormData, Blob } from 'node-fetch';
+import fs from 'fs-extra';
+import path from 'path';
+
+// Visibility levels accepted by the Mastodon statuses API
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+
+// Maximum length of a status on a default Mastodon instance
+const MAX_CHARACTERS = 500;
+
+// Characters every link counts as towards MAX_CHARACTERS, however long it is
+const URL_LENGTH = 23;
+
+/**
+ * Mastodon Platform API Implementation
+ * Uses the Mastodon REST API of the configured instance
+ */
+export class MastodonPlatform extends SocialPlatform {
+  static capabilities = {
+    maxGraphemes: MAX_CHARACTERS,
+    urlLength: URL_LENGTH,
+    maxImages: 4,
+    maxVideos: 1,
+    mixedMedia: false,
+    image: { mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], maxBytes: 16 * 1024 * 1024 },
+    video: { mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'], maxBytes: 99 * 1024 * 1024 },
+    // Cards are built from the first link in the text, and not shown on posts with media
+    linkCards: true,
+    linkCardWithMedia: false,
+    threads: false,
+    altTextRequired: false
+  };
+
+  /**
+   * Constructor for Mastodon platform
+   * @param {Object} config - Platform-specific configuration
+   * @param {string} config.instance - Mastodon instance URL (e.g. https://mastodon.social)
+   * @param {string} config.accessToken - Access token of an application registered on the instance
+   * @param {string} config.visibility - Default visibility (public, unlisted, private or direct)
+   * @param {string} config.account - Named account, or null for the default account
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mastodon';
+
+    // Environment credentials belong to the default account; named accounts are set in config only
+    const env = config.account ? {} : process.env;
+    this.instance = (config.instance || env.MASTODON_INSTANCE || '').replace(/\/+$/, '');
+    this.accessToken = config.accessToken || env.MASTODON_ACCESS_TOKEN || '';
+    this.authenticated = false;
+    this.account = null;
+  }
+
+  /**
+   * Check if platform is properly configured
+   * @returns {boolean} True if platform is configured
+   */
+  isConfigured() {
+    return Boolean(this.instance && this.accessToken);
+  }
+
+  /**
+   * Authenticate with the Mastodon API by verifying the access token
+   * @returns {Promise<boolean>} True if authentication successful
+   */
+  async authenticate() {
+    if (!this.isConfigured()) {
+      throw new Error('Mastodon API not properly configured');
+    }
+
+    try {
+      const response = await fetch(`${this.instance}/api/v1/accounts/verify_credentials`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(`Mastodon authentication failed: ${JSON.stringify(error)}`);
+      }
+
+      this.account = await response.json();
+      this.authenticated = true;
+      return true;
+    } catch (error) {
+      console.error('Mastodon authentication error:', error);
+      this.authenticated = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Post content to Mastodon
+   * @param {Object} post - Post content and metadata
+   * @param {string} post.text - Text content of the post (required)
+   * @param {Array<string>} post.mediaUrls - URLs of media to attach (optional)
+   * @param {Array<Object>} post.media - Local files to attach ({ path, mimeType, alt }) (optional)
+   * @param {Object} post.options - Mastodon-specific options
+   * @param {string} post.options.visibility - public, unlisted, private or direct
+   * @param {string} post.options.spoilerText - Content warning shown before the post
+   * @param {string} post.options.language - ISO 639 language code of the post
+   * @param {boolean} post.options.sensitive - Mark attached media as sensitive
+   * @param {string} post.options.imageAlt - Description for attached media
+   * @param {Object} post.options.externalLink - Link card ({ uri }); Mastodon builds
+   *   cards from the first link in the text, so the URL is appended if it is missing
+   * @returns {Promise<Object>} Response including status ID, URI and URL
+   */
+  async post(post) {
+    if (!this.authenticated && !await this.authenticate()) {
+      throw new Error('Mastodon authentication required');
+    }
+
+    if (!post.text) {
+      throw new Error('Post text is required');
+    }
+
+    const options = post.options || {};
+    const visibility = options.visibility || this.config.visibility || 'public';
+
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Invalid Mastodon visibility: ${visibility}`);
+    }
+
+    try {
+      const link = options.externalLink?.uri;
+      const status = {
+        status: link && !post.text.includes(link) ? `${post.text}\n\n${link}` : post.text,
+        visibility
+      };
+
+      // Content warning
+      if (options.spoilerText) {
+        status.spoiler_text = options.spoilerText;
+      }
+
+      // Handle language if specified
+      if (options.language) {
+        status.language = options.language;
+      }
+
+      if (options.sensitive) {
+        status.sensitive = true;
+      }
+
+      // Handle media attachments if provided
+      if (post.mediaUrls && post.mediaUrls.length > 0) {
+        const media = await Promise.all(
+          post.mediaUrls.map(url => this._uploadMedia(url, options.imageAlt))
+        );
+        status.media_ids = media.map(item => item.id);
+      }
+
+      // Handle local media files, keeping their order
+      if (post.media && post.media.length > 0) {
+        status.media_ids = status.media_ids || [];
+        for (const item of post.media) {
+          const data = await fs.readFile(item.path);
+          const media = await this._uploadData(data, item.mimeType, path.basename(item.path), item.alt);
+          status.media_ids.push(media.id);
+        }
+      }
+
+      const response = await fetch(`${this.instance}/api/v1/statuses`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(status)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(`Mastodon post failed: ${JSON.stringify(error)}`);
+      }
+
+      const result = await response.json();
+      return {
+        id: result.id,
+        uri: result.uri,
+        url: result.url
+      };
+    } catch (error) {
+      console.error('Mastodon post error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get status of a post
+   * @param {string} statusId - ID of the status to check
+   * @returns {Promise<Object>} Post status information
+   */
+  async getPostStatus(statusId) {
+    if (!this.authenticated && !await this.authenticate()) {
+      throw new Error('Mastodon authentication required');
+    }
+
+    try {
+      const response = await fetch(`${this.instance}/api/v1/statuses/${statusId}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(`Failed to get post status: ${JSON.stringify(error)}`);
+      }
+
+      const result = await response.json();
+      return {
+        id: result.id,
+        uri: result.uri,
+        url: result.url,
+        record: result
+      };
+    } catch (error) {
+      console.error('Mastodon get status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a post from Mastodon
+   * @param {string} statusId - ID of the status to delete
+   * @returns {Promise<boolean>} True if deletion successful
+   */
+  async deletePost(statusId) {
+    if (!this.authenticated && !await this.authenticate()) {
+      throw new Error('Mastodon authentication required');
+    }
+
+    try {
+      const response = await fetch(`${this.instance}/api/v1/statuses/${statusId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(`Failed to delete post: ${JSON.stringify(error)}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Mastodon delete error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload media to Mastodon
+   * @param {string} mediaUrl - URL of the media to upload
+   * @param {string} description - Alt text for the media
+   * @returns {Promise<Object>} Media attachment
+   * @private
+   */
+  async _uploadMedia(mediaUrl, description) {
+    try {
+      // Fetch the media data
+      const mediaResponse = await fetch(mediaUrl);
+      if (!mediaResponse.ok) {
+        throw new Error(`Failed to fetch media: ${mediaResponse.statusText}`);
+      }
+
+      const mediaBuffer = await mediaResponse.arrayBuffer();
+      const contentType = mediaResponse.headers.get('content-type') || 'image/jpeg';
+      const fileName = new URL(mediaUrl).pathname.split('/').pop() || 'media';
+
+      return await this._uploadData(mediaBuffer, contentType, fileName, description);
+    } catch (error) {
+      console.error('Mastodon media upload error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload binary data as a media attachment
+   * @param {ArrayBuffer|Buffer} data - File contents
+   * @param {string} contentType - MIME type of the data
+   * @param {string} fileName - File name sent to the instance
+   * @param {string} description - Alt text for the media
+   * @returns {Promise<Object>} Processed media attachment
+   * @private
+   */
+  async _uploadData(data, contentType, fileName, description) {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type: contentType }), fileName);
+    if (description) {
+      form.append('description', description);
+    }
+
+    const uploadResponse = await fetch(`${this.instance}/api/v2/media`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`
+      },
+      body: form
+    });
+
+    if (!uploadResponse.ok) {
+      const error = await uploadResponse.json();
+      throw new Error(`Failed to upload media: ${JSON.stringify(error)}`);
+    }
+
+    const media = await uploadResponse.json();
+
+    // A 202 response means the instance is still processing the file
+    if (uploadResponse.status === 202) {
+      return this._waitForMedia(media.id);
+    }
+
+    return media;
+  }
+
+  /**
+   * Poll an uploaded media attachment until the instance has processed it
+   * @param {string} mediaId - ID of the media attachment
+   * @param {number} attempts - Maximum number of polls
+   * @returns {Promise<Object>} Processed media attachment
+   * @private
+   */
+  async _waitForMedia(mediaId, attempts = 10) {
+    for (let i = 0; i < attempts; i++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const response = await fetch(`${this.instance}/api/v1/media/${mediaId}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`
+        }
+      });
+
+      if (response.status === 200) {
+        return response.json();
+      }
+
+      if (response.status !== 206) {
+        const error = await response.json();
+        throw new Error(`Failed to process media: ${JSON.stringify(error)}`);
+      }
+    }
+
+    throw new Error(`Mastodon media ${mediaId} was not processed in time`);
+  }
+}
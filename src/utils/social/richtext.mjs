@@ -0,0 +1,140 @@
+/**
+ * Rich text helpers for AT Protocol posts
+ * Detects links, mentions and hashtags and converts them into
+ * app.bsky.richtext.facet entries with UTF-8 byte offsets
+ */
+
+const encoder = new TextEncoder();
+
+// Patterns follow the reference implementation in @atproto/api
+const MENTION_REGEX = /(^|\s|\()(@)([a-zA-Z0-9.-]+)(\b)/g;
+const URL_REGEX = /(^|\s|\()(https?:\/\/[\S]+)/gim;
+const TAG_REGEX =
+  /(^|\s)[#\uFF03]((?!\ufe0f)[^\s\u00AD\u2060\u200A\u200B\u200C\u200D\u20e2]*[^\d\s\p{P}\u00AD\u2060\u200A\u200B\u200C\u200D\u20e2]+[^\s\u00AD\u2060\u200A\u200B\u200C\u200D\u20e2]*)?/gu;
+
+// Trailing characters that are almost never part of a link or tag
+const TRAILING_PUNCTUATION = /[.,;:!?)'"]+$/;
+
+// Maximum length of a hashtag, excluding the leading '#'
+const MAX_TAG_LENGTH = 64;
+
+/**
+ * Get the UTF-8 byte length of a string
+ * @param {string} str - Input string
+ * @returns {number} Byte length
+ */
+const byteLength = (str) => encoder.encode(str).length;
+
+/**
+ * Convert a UTF-16 character range into a UTF-8 byte range
+ * @param {string} text - Full text
+ * @param {number} start - Start character index
+ * @param {number} end - End character index
+ * @returns {Object} Byte slice with byteStart and byteEnd
+ */
+const toByteSlice = (text, start, end) => {
+  const byteStart = byteLength(text.slice(0, start));
+  return {
+    byteStart,
+    byteEnd: byteStart + byteLength(text.slice(start, end)),
+  };
+};
+
+/**
+ * Detect links, mentions and hashtags in text
+ * @param {string} text - Post text
+ * @returns {Array<Object>} Segments with type, value, start, end, byteStart and byteEnd
+ * @example
+ * const segments = detectSegments('Hi @alice.bsky.social, see https://example.com #news');
+ */
+export const detectSegments = (text) => {
+  const segments = [];
+
+  if (!text) {
+    return segments;
+  }
+
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const handle = match[3].replace(/[.]+$/, "");
+
+    // Handles must contain a domain
+    if (!handle.includes(".")) {
+      continue;
+    }
+
+    const start = match.index + match[1].length;
+    const end = start + handle.length + 1;
+    segments.push({ type: "mention", value: handle, start, end, ...toByteSlice(text, start, end) });
+  }
+
+  for (const match of text.matchAll(URL_REGEX)) {
+    let uri = match[2];
+    // Keep a closing parenthesis that belongs to the URL itself
+    if (!(uri.endsWith(")") && uri.includes("("))) {
+      uri = uri.replace(TRAILING_PUNCTUATION, "");
+    }
+
+    const start = match.index + match[1].length;
+    const end = start + uri.length;
+    segments.push({ type: "link", value: uri, start, end, ...toByteSlice(text, start, end) });
+  }
+
+  for (const match of text.matchAll(TAG_REGEX)) {
+    if (!match[2]) {
+      continue;
+    }
+
+    const tag = match[2].trim().replace(TRAILING_PUNCTUATION, "");
+    if (!tag || tag.length > MAX_TAG_LENGTH) {
+      continue;
+    }
+
+    const start = match.index + match[1].length;
+    const end = start + tag.length + 1;
+    segments.push({ type: "tag", value: tag, start, end, ...toByteSlice(text, start, end) });
+  }
+
+  return segments.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Build app.bsky.richtext.facet entries for text
+ * @param {string} text - Post text
+ * @param {Function} resolveHandle - Async function resolving a handle to a DID (or null)
+ * @returns {Promise<Array<Object>>} Facets ready to attach to a post record
+ * @example
+ * const facets = await detectFacets(text, (handle) => platform.resolveHandle(handle));
+ */
+export const detectFacets = async (text, resolveHandle) => {
+  const facets = [];
+
+  for (const segment of detectSegments(text)) {
+    const index = { byteStart: segment.byteStart, byteEnd: segment.byteEnd };
+
+    if (segment.type === "mention") {
+      const did = resolveHandle ? await resolveHandle(segment.value) : null;
+
+      // Unknown handles stay plain text
+      if (!did) {
+        continue;
+      }
+
+      facets.push({
+        index,
+        features: [{ $type: "app.bsky.richtext.facet#mention", did }],
+      });
+    } else if (segment.type === "link") {
+      facets.push({
+        index,
+        features: [{ $type: "app.bsky.richtext.facet#link", uri: segment.value }],
+      });
+    } else if (segment.type === "tag") {
+      facets.push({
+        index,
+        features: [{ $type: "app.bsky.richtext.facet#tag", tag: segment.value }],
+      });
+    }
+  }
+
+  return facets;
+};
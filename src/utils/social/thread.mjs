@@ -0,0 +1,143 @@
+/**
+ * Thread helpers
+ * Splits long text into a series of posts that each fit a grapheme limit,
+ * preferring paragraph and sentence boundaries over hard cuts
+ */
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+const sentenceSegmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+
+/**
+ * Count user-perceived characters (graphemes) in a string
+ * @param {string} text - Input text
+ * @returns {number} Grapheme count
+ * @example
+ * countGraphemes('👋🏽 hi'); // 4
+ */
+export const countGraphemes = (text) => {
+  if (!text) return 0;
+  let count = 0;
+  for (const _ of graphemeSegmenter.segment(text)) count++;
+  return count;
+};
+
+/**
+ * Split a string into slices of at most `max` graphemes
+ * @param {string} text - Input text
+ * @param {number} max - Maximum graphemes per slice
+ * @returns {Array<string>} Slices
+ */
+const sliceGraphemes = (text, max) => {
+  const graphemes = Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+  const slices = [];
+  for (let i = 0; i < graphemes.length; i += max) {
+    slices.push(graphemes.slice(i, i + max).join(""));
+  }
+  return slices;
+};
+
+/**
+ * Break text into pieces that each fit `max`, remembering how to rejoin them
+ * @param {string} text - Input text
+ * @param {number} max - Maximum graphemes per piece
+ * @returns {Array<Object>} Pieces with text and the joiner that precedes them
+ */
+const toPieces = (text, max) => {
+  const pieces = [];
+  const paragraphs = text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+  paragraphs.forEach((paragraph, pi) => {
+    const paragraphJoiner = pi === 0 ? "" : "\n\n";
+
+    if (countGraphemes(paragraph) <= max) {
+      pieces.push({ text: paragraph, joiner: paragraphJoiner });
+      return;
+    }
+
+    const sentences = Array.from(sentenceSegmenter.segment(paragraph), (s) => s.segment.trim()).filter(Boolean);
+
+    sentences.forEach((sentence, si) => {
+      const sentenceJoiner = si === 0 ? paragraphJoiner : " ";
+
+      if (countGraphemes(sentence) <= max) {
+        pieces.push({ text: sentence, joiner: sentenceJoiner });
+        return;
+      }
+
+      sentence.split(/\s+/).forEach((word, wi) => {
+        const wordJoiner = wi === 0 ? sentenceJoiner : " ";
+
+        if (countGraphemes(word) <= max) {
+          pieces.push({ text: word, joiner: wordJoiner });
+          return;
+        }
+
+        // A single word longer than the limit has to be cut
+        sliceGraphemes(word, max).forEach((slice, ci) => {
+          pieces.push({ text: slice, joiner: ci === 0 ? wordJoiner : "" });
+        });
+      });
+    });
+  });
+
+  return pieces;
+};
+
+/**
+ * Greedily pack text into chunks of at most `max` graphemes
+ * @param {string} text - Input text
+ * @param {number} max - Maximum graphemes per chunk
+ * @returns {Array<string>} Chunks
+ */
+const chunkText = (text, max) => {
+  const chunks = [];
+  let current = "";
+
+  for (const { text: piece, joiner } of toPieces(text, max)) {
+    if (!current) {
+      current = piece;
+      continue;
+    }
+
+    const candidate = current + joiner + piece;
+    if (countGraphemes(candidate) <= max) {
+      current = candidate;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Split text into thread parts that each fit the platform limit
+ * @param {string} text - Full post text
+ * @param {Object} options - Split options
+ * @param {number} options.limit - Maximum graphemes per part (default: 300)
+ * @param {boolean} options.numbered - Append "1/4" style counters to each part (default: true)
+ * @returns {Array<string>} Thread parts; a single element when the text already fits
+ * @example
+ * const parts = splitIntoThread(longText, { limit: 300, numbered: true });
+ */
+export const splitIntoThread = (text, { limit = 300, numbered = true } = {}) => {
+  if (countGraphemes(text) <= limit) {
+    return [text];
+  }
+
+  if (!numbered) {
+    return chunkText(text, limit);
+  }
+
+  // Reserve room for the counter, growing it if the thread needs more digits
+  for (let maxParts = 9; ; maxParts = maxParts * 10 + 9) {
+    const reserve = ` ${maxParts}/${maxParts}`.length;
+    const parts = chunkText(text, limit - reserve);
+
+    if (parts.length <= maxParts) {
+      return parts.map((part, i) => `${part} ${i + 1}/${parts.length}`);
+    }
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * Post status lifecycle
+ * Every post has one status, and posts move between statuses only along the
+ * transitions listed here. The publisher sets publishing, published,
+ * partially_published and failed; the other statuses are set by the user.
+ */
+
+export const POST_STATUSES = [
+  'draft',
+  'needs_review',
+  'approved',
+  'scheduled',
+  'publishing',
+  'partially_published',
+  'published',
+  'failed',
+  'cancelled'
+];
+
+// Statuses each status may move to
+export const STATUS_TRANSITIONS = {
+  draft: ['needs_review', 'approved', 'scheduled', 'cancelled'],
+  needs_review: ['draft', 'approved', 'cancelled'],
+  approved: ['draft', 'needs_review', 'scheduled', 'publishing', 'cancelled'],
+  scheduled: ['draft', 'needs_review', 'publishing', 'cancelled'],
+  publishing: ['scheduled', 'approved', 'published', 'partially_published', 'failed'],
+  partially_published: ['publishing'],
+  published: [],
+  failed: ['publishing', 'scheduled', 'draft', 'cancelled'],
+  cancelled: ['draft', 'scheduled']
+};
+
+// Statuses users may set; the others are set by the publisher
+export const USER_STATUSES = ['draft', 'needs_review', 'approved', 'scheduled', 'cancelled'];
+
+// Statuses of posts that are out on at least one platform
+export const PUBLISHED_STATUSES = ['published', 'partially_published'];
+
+// Statuses the publisher picks up once the publish date has come; with
+// review.required only approved posts are (see getReadyStatuses in review.mjs)
+export const READY_STATUSES = ['scheduled', 'approved'];
+
+// Statuses of posts with platforms left to retry
+export const RETRY_STATUSES = ['failed', 'partially_published'];
+
+// Delivery statuses that mean the post exists on the platform
+const DELIVERED = ['published', 'partial'];
+
+/**
+ * Describe a status for messages
+ * @param {string} status - Post status
+ * @returns {string} Status with spaces, e.g. 'partially published'
+ */
+export const describeStatus = (status) => String(status || 'unknown').replace(/_/g, ' ');
+
+/**
+ * Check whether a post may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} True if the transition is allowed
+ * @example
+ * canTransition('draft', 'scheduled'); // true
+ * canTransition('published', 'draft'); // false
+ */
+export const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Validate a status given by the user
+ * @param {string} status - Status name, with underscores, dashes or spaces
+ * @returns {string} The status as stored
+ * @throws {Error} If the status is unknown
+ * @example
+ * resolveStatus('needs-review'); // 'needs_review'
+ */
+export const resolveStatus = (status) => {
+  const name = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+  if (!POST_STATUSES.includes(name)) {
+    throw new Error(`Unknown status "${status}". Use one of: ${POST_STATUSES.join(', ')}`);
+  }
+
+  return name;
+};
+
+/**
+ * Parse a status filter given as a list or comma-separated string
+ * @param {string|Array<string>} value - Status names
+ * @returns {Array<string>|null} Statuses, or null if no filter is given
+ * @throws {Error} If a status is unknown
+ * @example
+ * parseStatusFilter('failed,partially-published'); // ['failed', 'partially_published']
+ */
+export const parseStatusFilter = (value) => {
+  const names = [value]
+    .flat()
+    .filter((name) => name !== undefined && name !== null)
+    .flatMap((name) => String(name).split(','))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  return names.length > 0 ? [...new Set(names.map(resolveStatus))] : null;
+};
+
+/**
+ * Work out the status a publishing run leaves a post in
+ * @param {Object} post - Post row with platforms
+ * @param {Array<Object>} deliveries - Delivery records of the post
+ * @returns {string} published, partially_published or failed
+ * @example
+ * const status = getDeliveredStatus(post, getDeliveries(post.id));
+ */
+export const getDeliveredStatus = (post, deliveries) => {
+  const platforms = (post.platforms || '')
+    .split(',')
+    .map((p) => p.trim().toLowerCase())
+    .filter(Boolean);
+  const delivered = new Set(
+    deliveries.filter((d) => DELIVERED.includes(d.status)).map((d) => d.platform)
+  );
+  const count = platforms.filter((platform) => delivered.has(platform)).length;
+
+  if (count === 0) return 'failed';
+  return count === platforms.length ? 'published' : 'partially_published';
+};
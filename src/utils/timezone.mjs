@@ -0,0 +1,157 @@
+import { getConfig } from './config.mjs';
+
+/**
+ * Time zones
+ * Publish dates are stored as the wall-clock time the user chose
+ * ("YYYY-MM-DD HH:MM") together with the IANA zone it is meant in. The
+ * matching UTC instant is stored alongside for eligibility checks, so the
+ * result does not depend on the zone of the machine running the publisher.
+ */
+
+/**
+ * Get the time zone of this machine
+ * @returns {string} IANA time zone, e.g. 'Europe/Berlin'
+ */
+export const getSystemTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Check whether a string is a known IANA time zone
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the zone can be used
+ * @example
+ * isValidTimeZone('America/New_York'); // true
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the default time zone for new posts
+ * Uses the timezone setting from config, falling back to this machine's zone.
+ * @returns {string} IANA time zone
+ * @example
+ * const timeZone = getDefaultTimeZone();
+ */
+export const getDefaultTimeZone = () => {
+  const { timezone } = getConfig();
+  return isValidTimeZone(timezone) ? timezone : getSystemTimeZone();
+};
+
+/**
+ * Validate a time zone given by the user
+ * @param {string} timeZone - Time zone name, or empty for the default
+ * @returns {string} The time zone, or the default one
+ * @throws {Error} If the zone is unknown
+ */
+export const resolveTimeZone = (timeZone) => {
+  if (!timeZone) return getDefaultTimeZone();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA name such as Europe/London`);
+  }
+
+  return timeZone;
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} year, month (1-12), day, hour and minute
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute')
+  };
+};
+
+/**
+ * Format an instant as wall-clock time in a time zone
+ * @param {Date|string} date - Instant, or an ISO string
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} "YYYY-MM-DD HH:MM"
+ * @example
+ * formatInTimeZone(new Date('2025-06-01T07:00:00Z'), 'Europe/Berlin'); // '2025-06-01 09:00'
+ */
+export const formatInTimeZone = (date, timeZone) => {
+  const { year, month, day, hour, minute } = getZonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC instant
+ * Times skipped when DST starts move forward by the size of the gap.
+ * @param {string} dateTime - "YYYY-MM-DD HH:MM", "YYYY-MM-DDTHH:MM" or "YYYY-MM-DD" (midnight)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date|null} Instant, or null if no date is given
+ * @example
+ * zonedTimeToUtc('2025-06-01 09:00', 'Europe/Berlin').toISOString(); // '2025-06-01T07:00:00.000Z'
+ */
+export const zonedTimeToUtc = (dateTime, timeZone) => {
+  if (!dateTime) return null;
+
+  const [date, time = '00:00'] = String(dateTime).trim().split(/[T ]/);
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+
+  if (Number.isNaN(wallClock)) {
+    throw new Error(`Invalid publish date "${dateTime}"`);
+  }
+
+  // Offset of the zone at a given instant, in milliseconds
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) -
+      Math.floor(instant / 60000) * 60000;
+  };
+
+  // Try the zone's offsets from a day either side of the time. A time that
+  // happens twice (DST ends) takes the earlier instant; a time skipped when DST
+  // starts is read with the offset before the gap, which lands after it.
+  const offsets = [offsetAt(wallClock - 86400000), offsetAt(wallClock + 86400000)];
+  const valid = offsets.filter((offset) => offsetAt(wallClock - offset) === offset);
+  const instant = valid.length > 0
+    ? wallClock - Math.max(...valid)
+    : wallClock - Math.min(...offsets);
+
+  return new Date(instant);
+};
+
+/**
+ * Get the moment a post is due
+ * @param {Object} post - Post row with publish_date, timezone and publish_at
+ * @returns {Date|null} Instant, or null if the post has no publish date
+ * @example
+ * const due = getPublishTime(post);
+ * if (!due || due <= new Date()) publish(post);
+ */
+export const getPublishTime = (post) => {
+  if (!post.publish_date) return null;
+  if (post.publish_at) return new Date(post.publish_at);
+
+  return zonedTimeToUtc(post.publish_date, post.timezone || getDefaultTimeZone());
+};
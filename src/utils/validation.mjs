@@ -0,0 +1,253 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getConfig } from './config.mjs';
+import { describeTarget, parseTarget } from './accounts.mjs';
+import { getMediaKind } from './media.mjs';
+import { resolveVariants } from './variants.mjs';
+import { BlueskyPlatform } from './social/bluesky.mjs';
+import { MastodonPlatform } from './social/mastodon.mjs';
+import { countGraphemes, splitIntoThread } from './social/thread.mjs';
+import { detectSegments } from './social/richtext.mjs';
+
+/**
+ * Pre-publish validation
+ * Checks posts against the capabilities each platform class declares, so
+ * content a platform would reject is caught when the post is written, and
+ * again before it is sent. Errors block a post; warnings are worth a look.
+ */
+
+// Platform classes by platform name
+const PLATFORM_CLASSES = {
+  bluesky: BlueskyPlatform,
+  mastodon: MastodonPlatform
+};
+
+/**
+ * Get what a platform accepts
+ * @param {string} target - Platform name, optionally followed by :account
+ * @returns {Object|null} Capabilities descriptor, or null for an unknown platform
+ * @example
+ * getCapabilities('bluesky:acme').maxGraphemes; // 300
+ */
+export const getCapabilities = (target) => PLATFORM_CLASSES[parseTarget(target).platform]?.capabilities || null;
+
+/**
+ * Count the characters of a text the way a platform does
+ * @param {string} text - Text
+ * @param {Object} capabilities - Capabilities descriptor of the platform
+ * @returns {number} Graphemes, with every link counted as capabilities.urlLength if set
+ * @example
+ * countCharacters('See https://example.com/a/very/long/path', getCapabilities('mastodon')); // 27
+ */
+export const countCharacters = (text, capabilities) => {
+  const length = countGraphemes(text);
+
+  if (!capabilities?.urlLength) {
+    return length;
+  }
+
+  return detectSegments(text)
+    .filter((segment) => segment.type === 'link')
+    .reduce((total, link) => total - countGraphemes(link.value) + capabilities.urlLength, length);
+};
+
+/**
+ * Format a byte count for messages
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size
+ */
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+/**
+ * Check media against a platform's limits
+ * @param {Array<Object>} media - Media records
+ * @param {string} platform - Platform name, or a target like 'bluesky:acme'
+ * @returns {Array<string>} Problems found; empty when the media can be posted
+ * @example
+ * const errors = validateMedia(getMediaForPost(1), 'bluesky');
+ */
+export const validateMedia = (media = [], platform) => {
+  const capabilities = getCapabilities(platform);
+
+  if (!capabilities || media.length === 0) {
+    return [];
+  }
+
+  const label = describeTarget(platform);
+  const errors = [];
+  const images = media.filter((m) => getMediaKind(m) === 'image');
+  const videos = media.filter((m) => getMediaKind(m) === 'video');
+
+  if (images.length > capabilities.maxImages) {
+    errors.push(`${label} allows at most ${capabilities.maxImages} images per post (got ${images.length})`);
+  }
+  if (videos.length > capabilities.maxVideos) {
+    errors.push(`${label} allows at most ${capabilities.maxVideos} video per post (got ${videos.length})`);
+  }
+  if (!capabilities.mixedMedia && images.length > 0 && videos.length > 0) {
+    errors.push(`${label} does not allow images and video on the same post`);
+  }
+
+  for (const item of media) {
+    const kind = getMediaKind(item);
+    const { mimeTypes, maxBytes } = capabilities[kind];
+    const name = item.original_name || path.basename(item.path);
+
+    if (!mimeTypes.includes(item.mime_type)) {
+      errors.push(`${label} does not accept ${item.mime_type} (${name})`);
+    }
+    if (item.size > maxBytes) {
+      errors.push(`${name} is ${formatBytes(item.size)}; ${label} allows ${formatBytes(maxBytes)} per ${kind}`);
+    }
+    if (capabilities.altTextRequired && !item.alt?.trim()) {
+      errors.push(`${label} requires alt text (${name})`);
+    }
+    if (!fs.existsSync(item.path)) {
+      errors.push(`Media file is missing: ${item.path}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check what is sent to one target against its platform's capabilities
+ * @param {Object} content - What the target gets
+ * @param {string} content.text - Text
+ * @param {Array<Object>} content.media - Media records
+ * @param {Object} content.link - Link card ({ uri, title, description }) or null
+ * @param {string} target - Platform name, optionally followed by :account
+ * @param {Object} options - Options
+ * @param {Object} options.thread - Thread settings (default: thread in config)
+ * @returns {Object} errors and warnings, as arrays of messages
+ * @example
+ * const { errors, warnings } = validateContent({ text, media: [] }, 'mastodon');
+ */
+export const validateContent = ({ text, media = [], link = null }, target, { thread = getConfig().thread } = {}) => {
+  const capabilities = getCapabilities(target);
+  const errors = [];
+  const warnings = [];
+
+  if (!capabilities) {
+    return { errors, warnings };
+  }
+
+  const label = describeTarget(target);
+  const length = countCharacters(text, capabilities);
+  const max = capabilities.maxGraphemes;
+
+  if (max && length > max) {
+    if (capabilities.threads && thread?.enabled !== false) {
+      const parts = splitIntoThread(text, { limit: max, numbered: thread?.numbered !== false }).length;
+      warnings.push(`${label} allows ${max} characters per post; this ${length}-character post goes out as a thread of ${parts}`);
+    } else {
+      errors.push(`${label} allows ${max} characters per post (got ${length}); shorten it or write a shorter ${label} variant`);
+    }
+  }
+
+  errors.push(...validateMedia(media, target));
+
+  // Missing alt text is the same for every target, so the message leaves the target out
+  if (!capabilities.altTextRequired) {
+    media
+      .filter((item) => !item.alt?.trim())
+      .forEach((item) => warnings.push(`${item.original_name || path.basename(item.path)} has no alt text`));
+  }
+
+  if (link && !capabilities.linkCards) {
+    warnings.push(`${label} does not show link cards; the card for ${link.uri} is left out`);
+  } else if (link && media.length > 0 && !capabilities.linkCardWithMedia) {
+    warnings.push(`${label} cannot show media and a link card on the same post (${link.uri})`);
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Split targets given as a list or comma-separated string
+ * @param {string|Array<string>} targets - Targets
+ * @returns {Array<string>} Targets without blanks
+ */
+const toTargetList = (targets) =>
+  (Array.isArray(targets) ? targets : String(targets || '').split(','))
+    .map((target) => target.trim())
+    .filter(Boolean);
+
+/**
+ * Check a post, with its variants, against every platform it goes to
+ * @param {Object} post - The post's content, media records and variants
+ * @param {string} post.content - Canonical text
+ * @param {Array<Object>} post.media - Media records of the post
+ * @param {Array<Object>} post.variants - Variants of the post
+ * @param {string|Array<string>} targets - Comma-separated string or list of targets
+ * @returns {Object} errors and warnings, as arrays of messages without duplicates
+ * @example
+ * const { errors } = validatePost({ content, media, variants }, 'Bluesky,mastodon');
+ * if (errors.length > 0) throw new Error(errors.join('; '));
+ */
+export const validatePost = (post, targets) => {
+  const targetList = toTargetList(targets);
+  const resolved = resolveVariants(post, targetList);
+  const errors = new Set();
+  const warnings = new Set();
+
+  targetList.forEach((target) => {
+    const result = validateContent(resolved[target.toLowerCase()], target);
+    result.errors.forEach((error) => errors.add(error));
+    result.warnings.forEach((warning) => warnings.add(warning));
+  });
+
+  return { errors: [...errors], warnings: [...warnings] };
+};
+
+/**
+ * Show how a post comes out on each platform it goes to
+ * Used by the web editor's preview, so it agrees with what is checked on save.
+ * @param {Object} post - The post's content, media records and variants
+ * @param {string|Array<string>} targets - Comma-separated string or list of targets
+ * @param {Object} options - Options
+ * @param {Object} options.thread - Thread settings (default: thread in config)
+ * @returns {Object} errors and warnings of the whole post, and for each target
+ *   its character count and limit, thread parts with their link, mention and
+ *   hashtag segments, media IDs, the link card if shown, errors and warnings
+ * @example
+ * const { targets } = previewPost({ content, media, variants }, ['Bluesky', 'Mastodon']);
+ * targets[0].parts.length; // 2 when the text becomes a thread
+ */
+export const previewPost = (post, targets, { thread = getConfig().thread } = {}) => {
+  const targetList = toTargetList(targets);
+  const resolved = resolveVariants(post, targetList);
+
+  return {
+    ...validatePost(post, targetList),
+    targets: targetList.map((target) => {
+      const { text, media, link } = resolved[target.toLowerCase()];
+      const capabilities = getCapabilities(target);
+      const max = capabilities?.maxGraphemes || null;
+      const graphemes = countCharacters(text, capabilities);
+      const threaded = Boolean(max && graphemes > max && capabilities.threads && thread?.enabled !== false);
+      const parts = threaded ? splitIntoThread(text, { limit: max, numbered: thread?.numbered !== false }) : [text];
+
+      return {
+        target,
+        label: describeTarget(target),
+        platform: parseTarget(target).platform,
+        graphemes,
+        maxGraphemes: max,
+        overLimit: Boolean(max && graphemes > max && !threaded),
+        parts: parts.map((part) => ({
+          text: part,
+          graphemes: countCharacters(part, capabilities),
+          segments: detectSegments(part).map(({ type, value, start, end }) => ({ type, value, start, end }))
+        })),
+        media: media.map((item) => item.id),
+        // The link card as shown; platforms leave it out rather than fail
+        link: link && capabilities?.linkCards && (media.length === 0 || capabilities.linkCardWithMedia) ? link : null,
+        ...validateContent({ text, media, link }, target, { thread })
+      };
+    })
+  };
+};
@@ -0,0 +1,148 @@
+import { getMediaForPost, getVariants } from './db.mjs';
+import { parseTarget, resolveTarget } from './accounts.mjs';
+
+/**
+ * Per-platform content variants
+ * A post has one canonical message; variants override it for a platform
+ * ("bluesky") or a single account ("bluesky:acme"). Fields an account's
+ * variant leaves empty come from its platform's variant, then from the post.
+ */
+
+// Variant fields that override the post
+export const VARIANT_FIELDS = ['content', 'hashtags', 'media_ids', 'link_url', 'link_title', 'link_description'];
+
+/**
+ * Normalize hashtags given as text
+ * @param {string} value - Hashtags separated by spaces or commas, with or without #
+ * @returns {string|null} Hashtags like '#launch #news', or null if there are none
+ * @example
+ * formatHashtags('launch, #news'); // '#launch #news'
+ */
+export const formatHashtags = (value) => {
+  const tags = String(value || '')
+    .split(/[\s,]+/)
+    .map((tag) => tag.replace(/^#+/, ''))
+    .filter(Boolean);
+
+  return tags.length > 0 ? tags.map((tag) => `#${tag}`).join(' ') : null;
+};
+
+/**
+ * Append hashtags to a text, leaving out those it already contains
+ * @param {string} text - Post text
+ * @param {string} hashtags - Hashtags like '#launch #news'
+ * @returns {string} Text with the hashtags on a new paragraph
+ */
+export const appendHashtags = (text, hashtags) => {
+  const missing = (hashtags || '')
+    .split(' ')
+    .filter((tag) => tag && !new RegExp(`${tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\w)`, 'i').test(text));
+
+  return missing.length > 0 ? `${text}\n\n${missing.join(' ')}` : text;
+};
+
+/**
+ * Clean up variants given by a client or the CLI
+ * Empty fields become null, and variants without any override are dropped.
+ * @param {Array<Object>} variants - Variants with platform and any of VARIANT_FIELDS
+ * @param {Array<number>} mediaIds - IDs of the post's media, which variants pick from
+ * @returns {Array<Object>} Variants ready for setPostVariants
+ * @throws {Error} If a platform or account is unknown, a link card has no URL,
+ *   or a variant picks media the post does not have
+ * @example
+ * normalizeVariants([{ platform: 'Mastodon', content: '', hashtags: 'news' }]);
+ * // [{ platform: 'mastodon', content: null, hashtags: '#news', ... }]
+ */
+export const normalizeVariants = (variants = [], mediaIds = []) =>
+  variants
+    .map((variant) => {
+      const { platform, account } = parseTarget(resolveTarget(variant.platform));
+      const text = (field) => (typeof variant[field] === 'string' ? variant[field].trim() : variant[field]) || null;
+
+      if (!text('link_url') && (text('link_title') || text('link_description'))) {
+        throw new Error(`The ${variant.platform} link card needs a URL`);
+      }
+
+      const media = Array.isArray(variant.media_ids) ? variant.media_ids.map(Number) : null;
+      if (media?.some((id) => !mediaIds.includes(id))) {
+        throw new Error(`The ${variant.platform} variant picks media the post does not have`);
+      }
+
+      return {
+        platform: account ? `${platform}:${account}` : platform,
+        content: text('content'),
+        hashtags: formatHashtags(variant.hashtags),
+        media_ids: media,
+        link_url: text('link_url'),
+        link_title: text('link_title'),
+        link_description: text('link_description')
+      };
+    })
+    .filter((variant) => VARIANT_FIELDS.some((field) => variant[field] !== null));
+
+/**
+ * Merge the variants that apply to a target
+ * @param {Array<Object>} variants - Variants of the post
+ * @param {string} target - Platform or platform:account
+ * @returns {Object} Fields of VARIANT_FIELDS, null where the post applies
+ */
+export const findVariant = (variants, target) => {
+  const { platform, account } = parseTarget(target);
+  const platformVariant = variants.find((variant) => variant.platform === platform);
+  const accountVariant = account && variants.find((variant) => variant.platform === `${platform}:${account}`);
+
+  return Object.fromEntries(
+    VARIANT_FIELDS.map((field) => [field, accountVariant?.[field] ?? platformVariant?.[field] ?? null])
+  );
+};
+
+/**
+ * Work out what a post sends to each of its targets
+ * @param {Object} post - The post's content, media records and variants
+ * @param {string} post.content - Canonical text
+ * @param {Array<Object>} post.media - Media records of the post
+ * @param {Array<Object>} post.variants - Variants of the post
+ * @param {Array<string>} targets - Targets to resolve, e.g. ['bluesky', 'bluesky:acme']
+ * @returns {Object} For each lower-case target: text, media (media records) and link (or null)
+ * @example
+ * const resolved = resolveVariants({ content, media, variants }, ['Bluesky', 'Mastodon']);
+ * resolved['mastodon'].text;
+ */
+export const resolveVariants = ({ content, media = [], variants = [] }, targets) =>
+  Object.fromEntries(
+    targets.map((target) => {
+      const variant = findVariant(variants, target);
+
+      return [
+        target.toLowerCase(),
+        {
+          text: appendHashtags(variant.content || content, variant.hashtags),
+          media: variant.media_ids
+            ? variant.media_ids.map((id) => media.find((item) => item.id === id)).filter(Boolean)
+            : media,
+          link: variant.link_url
+            ? {
+                uri: variant.link_url,
+                title: variant.link_title || '',
+                description: variant.link_description || ''
+              }
+            : null
+        }
+      ];
+    })
+  );
+
+/**
+ * Work out what a stored post sends to each of its targets
+ * @param {Object} post - Post row
+ * @param {Array<string>} targets - Targets to resolve, e.g. ['bluesky', 'bluesky:acme']
+ * @returns {Object} For each lower-case target: text, media (media records) and link (or null)
+ * @example
+ * const variants = getPostVariants(post, getPendingPlatforms(post));
+ * variants['mastodon'].text;
+ */
+export const getPostVariants = (post, targets) =>
+  resolveVariants(
+    { content: post.content, media: getMediaForPost(post.id), variants: getVariants(post.id) },
+    targets
+  );
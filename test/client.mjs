@@ -0,0 +1,50 @@
+import fs from "fs";
+import vm from "vm";
+
+const source = fs.readFileSync(
+  new URL("../src/server/client/main.mjs", import.meta.url),
+  "utf8"
+);
+
+// An element that keeps its markup and has no children to wire up
+const createElement = () => ({
+  innerHTML: "",
+  addEventListener: () => {},
+  querySelector: () => null,
+  querySelectorAll: () => [],
+});
+
+/**
+ * Load the web client into a sandbox with a stubbed DOM and API
+ * @param {Object} responses - JSON bodies by API path
+ * @returns {Object} run(code) to evaluate code in the client's scope, and mainContent
+ */
+export const loadClient = (responses = {}) => {
+  const mainContent = createElement();
+  const context = vm.createContext({
+    console,
+    document: {
+      addEventListener: () => {},
+      getElementById: () => createElement(),
+      querySelector: () => createElement(),
+      querySelectorAll: () => [],
+    },
+    alert: (message) => {
+      throw new Error(`Unexpected alert: ${message}`);
+    },
+    fetch: async (url) => ({
+      ok: url in responses,
+      status: url in responses ? 200 : 404,
+      json: async () => responses[url],
+    }),
+  });
+
+  vm.runInContext(source, context);
+  context.mainContent = mainContent;
+  vm.runInContext("mainContent = globalThis.mainContent;", context);
+
+  return {
+    run: (code) => vm.runInContext(code, context),
+    mainContent,
+  };
+};
@@ -0,0 +1,17 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createPost, deletePosts, getDb, getPostById } from "../src/utils/db.mjs";
+
+test("cleaning unpublished posts leaves posts being published alone", () => {
+  const draft = createPost({ content: "Draft", platforms: "Bluesky", status: "draft" });
+  const sending = createPost({ content: "Sending", platforms: "Bluesky" });
+  getDb().prepare("UPDATE posts SET status = 'publishing' WHERE id = ?").run(sending);
+
+  const result = deletePosts({ unpublished: true });
+
+  assert.equal(result.unpublished, 1);
+  assert.equal(getPostById(draft), undefined);
+  assert.equal(getPostById(sending).status, "publishing");
+});
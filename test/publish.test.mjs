@@ -0,0 +1,48 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { publishEligiblePosts } from "../src/commands/publish.mjs";
+import { createPost, getDb, getPostById } from "../src/utils/db.mjs";
+import { getSocialAPI } from "../src/utils/social/index.mjs";
+
+// Publish date in UTC the given number of minutes ago, as stored on posts
+const minutesAgo = (minutes) =>
+  new Date(Date.now() - minutes * 60000).toISOString().slice(0, 16).replace("T", " ");
+
+test("a failed post retried after its window is not treated as missed", async () => {
+  const attempts = [];
+  getSocialAPI().platforms.set("bluesky", {
+    authenticated: true,
+    post: async (post) => {
+      attempts.push(post.text);
+      throw new Error("Service unavailable");
+    },
+  });
+
+  const id = createPost({
+    content: "Retry me",
+    platforms: "Bluesky",
+    publish_date: minutesAgo(180),
+    timezone: "UTC",
+    missed_policy: "skip",
+  });
+  const db = getDb();
+  db.prepare("UPDATE posts SET status = 'failed' WHERE id = ?").run(id);
+  db.prepare(`
+    INSERT INTO post_deliveries (post_id, platform, status, error, attempts, next_attempt_at)
+    VALUES (?, 'bluesky', 'failed', 'Service unavailable', 1, ?)
+  `).run(id, new Date(Date.now() - 60000).toISOString());
+
+  await publishEligiblePosts({ quiet: true });
+  await publishEligiblePosts({ quiet: true });
+
+  // Retried once; the failed retry waits out its backoff instead of coming back every tick
+  assert.deepEqual(attempts, ["Retry me"]);
+  assert.equal(getPostById(id).missed_status, null);
+  assert.equal(getPostById(id).status, "failed");
+  assert.equal(
+    db.prepare("SELECT COUNT(*) AS count FROM logs WHERE action = 'post_missed'").get().count,
+    0
+  );
+});
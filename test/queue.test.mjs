@@ -0,0 +1,62 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { updateConfig } from "../src/utils/config.mjs";
+import { createPost, getPostById } from "../src/utils/db.mjs";
+import { getFreeSlots, getSlotRules, reflowQueue } from "../src/utils/queue.mjs";
+
+updateConfig({
+  timezone: "UTC",
+  queue: { slots: { bluesky: [{ days: ["fri-mon"], times: ["09:00", "17:30"] }] } },
+});
+
+// Weekday of a slot date, 0 = Sunday
+const weekday = (date) => new Date(`${date.split(" ")[0]}T00:00:00Z`).getUTCDay();
+
+test("day ranges wrap around the weekend", () => {
+  assert.deepEqual(getSlotRules("Bluesky"), [{ days: [5, 6, 0, 1], times: ["09:00", "17:30"] }]);
+  assert.deepEqual(getSlotRules("bluesky:acme"), getSlotRules("bluesky"));
+});
+
+test("free slots fall only on the days of the range, in time order", () => {
+  const slots = getFreeSlots("Bluesky", 10);
+
+  assert.equal(slots.length, 10);
+  slots.forEach((slot) => assert.ok([5, 6, 0, 1].includes(weekday(slot.date)), slot.date));
+  slots.forEach((slot) => assert.ok(["09:00", "17:30"].includes(slot.date.split(" ")[1])));
+  assert.deepEqual(
+    slots.map((slot) => slot.publishAt),
+    [...slots.map((slot) => slot.publishAt)].sort()
+  );
+  assert.ok(new Date(slots[0].publishAt) > new Date());
+});
+
+test("reflow moves queued posts around posts with a fixed date", () => {
+  const [first, second, third] = getFreeSlots("Bluesky", 3);
+  const fixed = createPost({
+    content: "Fixed",
+    platforms: "Bluesky",
+    publish_date: second.date,
+    timezone: "UTC",
+  });
+  const queued = [third, first].map((slot, index) =>
+    createPost({
+      content: `Queued ${index}`,
+      platforms: "Bluesky",
+      publish_date: slot.date,
+      timezone: "UTC",
+      queued: 1,
+    })
+  );
+
+  const moves = reflowQueue(queued.map((id) => getPostById(id)));
+
+  assert.deepEqual(
+    moves.map((move) => move.to),
+    [first.date, third.date]
+  );
+  assert.equal(getPostById(fixed).publish_date, second.date);
+  assert.equal(getPostById(queued[0]).publish_date, first.date);
+  assert.equal(getPostById(queued[1]).publish_date, third.date);
+});
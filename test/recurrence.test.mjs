@@ -0,0 +1,67 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { projectOccurrences, spawnNextOccurrence } from "../src/utils/recurrence.mjs";
+import { createPost, getPostById } from "../src/utils/db.mjs";
+
+test("weekly rules with several days step through each of them", () => {
+  assert.deepEqual(projectOccurrences("FREQ=WEEKLY;BYDAY=MO,FR", "2025-01-03 09:00", { limit: 3 }), [
+    { date: "2025-01-06 09:00", occurrence: 2 },
+    { date: "2025-01-10 09:00", occurrence: 3 },
+    { date: "2025-01-13 09:00", occurrence: 4 },
+  ]);
+});
+
+test("monthly rules skip months without the day", () => {
+  assert.deepEqual(
+    projectOccurrences("FREQ=MONTHLY;BYMONTHDAY=31", "2025-01-31 09:00", { limit: 2 }).map((o) => o.date),
+    ["2025-03-31 09:00", "2025-05-31 09:00"]
+  );
+});
+
+test("COUNT and UNTIL end the series", () => {
+  assert.deepEqual(
+    projectOccurrences("FREQ=DAILY;COUNT=3", "2025-01-01 09:00", {
+      after: "2025-01-02 09:00",
+      occurrence: 2,
+      limit: 10,
+    }),
+    [{ date: "2025-01-03 09:00", occurrence: 3 }]
+  );
+  assert.deepEqual(
+    projectOccurrences("FREQ=DAILY;INTERVAL=2;UNTIL=20250107", "2025-01-01 09:00", { limit: 10 }).map(
+      (o) => o.date
+    ),
+    ["2025-01-03 09:00", "2025-01-05 09:00", "2025-01-07 09:00"]
+  );
+});
+
+test("occurrences keep their wall-clock time across a DST change", () => {
+  assert.deepEqual(
+    projectOccurrences("FREQ=DAILY", "2025-03-08 09:00", { limit: 2 }).map((o) => o.date),
+    ["2025-03-09 09:00", "2025-03-10 09:00"]
+  );
+});
+
+test("the next occurrence keeps the post's settings and is spawned only once", () => {
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const id = createPost({
+    content: "Daily tip",
+    platforms: "Bluesky",
+    publish_date: `${yesterday} 09:00`,
+    timezone: "UTC",
+    recurrence: "FREQ=DAILY",
+    queued: 1,
+    missed_policy: "skip",
+  });
+  const post = getPostById(id);
+
+  const nextId = spawnNextOccurrence(post);
+  const next = getPostById(nextId);
+
+  assert.equal(next.recurrence_parent_id, id);
+  assert.equal(next.missed_policy, "skip");
+  assert.equal(next.queued, 1);
+  assert.equal(spawnNextOccurrence(post), null);
+});
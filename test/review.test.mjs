@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadClient } from "./client.mjs";
+
+test("the review queue shows post and review text as text, not markup", async () => {
+  const { run, mainContent } = loadClient({
+    "/api/reviews": [
+      {
+        id: 1,
+        title: "<img src=x onerror=alert(1)>",
+        content: "<script>steal()</script>",
+        platforms: "Bluesky",
+        status: "needs_review",
+        publish_date: null,
+        reviews: [
+          {
+            action: "commented",
+            reviewer: "<b>author</b>",
+            comment: '<img src=x onerror="alert(2)">',
+            created_at: "2025-06-01 09:00:00",
+          },
+        ],
+      },
+    ],
+  });
+
+  await run(`
+    state.currentView = "review";
+    state.config = {};
+    state.user = { name: "lead", role: "approver" };
+    renderReviewQueue();
+  `);
+
+  assert.doesNotMatch(mainContent.innerHTML, /<img|<script|<b>/);
+  assert.match(mainContent.innerHTML, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(mainContent.innerHTML, /&lt;script&gt;steal\(\)&lt;\/script&gt;/);
+  assert.match(mainContent.innerHTML, /by &lt;b&gt;author&lt;\/b&gt;/);
+  assert.match(mainContent.innerHTML, /&lt;img src=x onerror=&quot;alert\(2\)&quot;&gt;/);
+});
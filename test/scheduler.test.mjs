@@ -0,0 +1,27 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getSchedulerStatus } from "../src/server/scheduler.mjs";
+import { createPost, updatePost } from "../src/utils/db.mjs";
+
+test("the next due post leaves out held posts and puts dateless ones last", () => {
+  createPost({ title: "Whenever", content: "No date", platforms: "Bluesky" });
+  const missed = createPost({
+    title: "Missed",
+    content: "Too late",
+    platforms: "Bluesky",
+    publish_date: "2025-01-01 09:00",
+    timezone: "UTC",
+  });
+  updatePost(missed, { missed_status: "missed" });
+  createPost({
+    title: "Launch",
+    content: "We are live",
+    platforms: "Bluesky",
+    publish_date: "2030-01-01 09:00",
+    timezone: "UTC",
+  });
+
+  assert.equal(getSchedulerStatus().nextDue.title, "Launch");
+});
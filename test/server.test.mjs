@@ -0,0 +1,105 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import { setupApiRoutes } from "../src/server/index.mjs";
+import { generateToken, hashToken, requireAuth, setupAuthRoutes } from "../src/server/auth.mjs";
+import {
+  createApiToken,
+  createPost,
+  getDb,
+  getPostById,
+  revokeApiToken,
+} from "../src/utils/db.mjs";
+
+// Serve an app on a free port
+const listen = async (app) => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Serve the API routes on a free port, as a user with the given role
+const startApi = async (role = "approver") => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", (req, res, next) => {
+    req.user = { name: role === "approver" ? "lead" : "sam", role };
+    next();
+  });
+  setupApiRoutes(app);
+
+  return listen(app);
+};
+
+test("a post that is being published cannot be edited", async () => {
+  const id = createPost({
+    title: "Launch",
+    content: "We are live",
+    platforms: "Bluesky",
+    publish_date: "2025-06-01 09:00",
+  });
+  getDb().prepare("UPDATE posts SET status = 'publishing' WHERE id = ?").run(id);
+
+  const { server, url } = await startApi();
+  try {
+    const response = await fetch(`${url}/api/posts/${id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ content: "Changed while sending" }),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(getPostById(id).content, "We are live");
+  } finally {
+    server.close();
+  }
+});
+
+test("authors cannot delete posts or their remote copies", async () => {
+  const id = createPost({ content: "Keep me", platforms: "Bluesky", publish_date: "2025-06-01 09:00" });
+
+  const { server, url } = await startApi("author");
+  try {
+    const post = await fetch(`${url}/api/posts/${id}/delete`, { method: "POST" });
+    const delivery = await fetch(`${url}/api/deliveries/1/delete`, { method: "POST" });
+
+    assert.equal(post.status, 403);
+    assert.equal(delivery.status, 403);
+    assert.ok(getPostById(id));
+  } finally {
+    server.close();
+  }
+});
+
+test("revoking a token ends the browser sessions started with it", async () => {
+  const token = generateToken();
+  createApiToken("browser", hashToken(token));
+
+  const app = express();
+  app.use(express.json());
+  setupAuthRoutes(app);
+  app.use("/api", requireAuth);
+  app.get("/api/ping", (req, res) => res.json({ user: req.user.name }));
+
+  const { server, url } = await listen(app);
+  try {
+    const login = await fetch(`${url}/api/auth/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    });
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+
+    assert.equal((await fetch(`${url}/api/ping`, { headers: { cookie } })).status, 200);
+
+    revokeApiToken("browser");
+
+    assert.equal((await fetch(`${url}/api/ping`, { headers: { cookie } })).status, 401);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,11 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Config and database live under the home directory; tests get their own
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), "social-light-test-"));
+
+// Credentials from the environment would otherwise stand in for missing config
+for (const name of Object.keys(process.env)) {
+  if (/^(BLUESKY|MASTODON)_/.test(name)) delete process.env[name];
+}
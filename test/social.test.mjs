@@ -0,0 +1,60 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SocialAPI } from "../src/utils/social/index.mjs";
+import { BlueskyPlatform } from "../src/utils/social/bluesky.mjs";
+import { MastodonPlatform } from "../src/utils/social/mastodon.mjs";
+
+// A platform that answers without calling out
+const fakePlatform = () => ({
+  authenticated: true,
+  getPostStatus: async (postId) => ({ uri: postId }),
+  deletePost: async () => true,
+});
+
+test("getPostStatus asks each target for the status of its post", async () => {
+  const api = new SocialAPI();
+  api.platforms.set("bluesky", fakePlatform());
+
+  const { success, results } = await api.getPostStatus({ Bluesky: "at://did/post/1" });
+
+  assert.equal(success, true);
+  assert.deepEqual(results.bluesky, { success: true, status: { uri: "at://did/post/1" } });
+});
+
+test("deletePosts deletes the post on each target", async () => {
+  const api = new SocialAPI();
+  api.platforms.set("bluesky", fakePlatform());
+
+  const { success, results } = await api.deletePosts({ Bluesky: "at://did/post/1" });
+
+  assert.equal(success, true);
+  assert.deepEqual(results.bluesky, { success: true });
+});
+
+test("named accounts do not fall back to the default account's environment credentials", async (t) => {
+  Object.assign(process.env, {
+    BLUESKY_HANDLE: "default.test",
+    BLUESKY_APP_PASSWORD: "secret",
+    MASTODON_INSTANCE: "https://mastodon.test",
+    MASTODON_ACCESS_TOKEN: "token",
+  });
+  t.after(() => {
+    for (const name of ["BLUESKY_HANDLE", "BLUESKY_APP_PASSWORD", "MASTODON_INSTANCE", "MASTODON_ACCESS_TOKEN"]) {
+      delete process.env[name];
+    }
+  });
+
+  const api = new SocialAPI();
+  await api.initPlatform("bluesky:acme");
+  await api.initPlatform("mastodon:acme");
+
+  assert.equal(api.getPlatform("bluesky:acme").isConfigured(), false);
+  await assert.rejects(api.getPlatform("bluesky:acme").authenticate(), /not properly configured/);
+  assert.equal(api.getPlatform("mastodon:acme").isConfigured(), false);
+
+  // The default account still uses them
+  assert.equal(new BlueskyPlatform().isConfigured(), true);
+  assert.equal(new MastodonPlatform().isConfigured(), true);
+});
@@ -0,0 +1,36 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatInTimeZone, getPublishTime, zonedTimeToUtc } from "../src/utils/timezone.mjs";
+
+test("wall-clock times convert with the zone's offset on that day", () => {
+  assert.equal(zonedTimeToUtc("2025-01-15 09:00", "Europe/Berlin").toISOString(), "2025-01-15T08:00:00.000Z");
+  assert.equal(zonedTimeToUtc("2025-06-01 09:00", "Europe/Berlin").toISOString(), "2025-06-01T07:00:00.000Z");
+  assert.equal(zonedTimeToUtc("2025-06-01", "America/New_York").toISOString(), "2025-06-01T04:00:00.000Z");
+});
+
+test("times skipped when DST starts move forward by the gap", () => {
+  const berlin = zonedTimeToUtc("2025-03-30 02:30", "Europe/Berlin");
+  assert.equal(berlin.toISOString(), "2025-03-30T01:30:00.000Z");
+  assert.equal(formatInTimeZone(berlin, "Europe/Berlin"), "2025-03-30 03:30");
+
+  assert.equal(zonedTimeToUtc("2025-03-09 02:30", "America/New_York").toISOString(), "2025-03-09T07:30:00.000Z");
+});
+
+test("times that happen twice when DST ends take the earlier instant", () => {
+  assert.equal(zonedTimeToUtc("2025-10-26 02:30", "Europe/Berlin").toISOString(), "2025-10-26T00:30:00.000Z");
+  assert.equal(zonedTimeToUtc("2025-11-02 01:30", "America/New_York").toISOString(), "2025-11-02T05:30:00.000Z");
+});
+
+test("formatInTimeZone shows both sides of the DST overlap as the same wall-clock time", () => {
+  assert.equal(formatInTimeZone("2025-10-26T00:30:00Z", "Europe/Berlin"), "2025-10-26 02:30");
+  assert.equal(formatInTimeZone("2025-10-26T01:30:00Z", "Europe/Berlin"), "2025-10-26 02:30");
+  assert.equal(formatInTimeZone("2025-06-01T07:00:00Z", "Asia/Kolkata"), "2025-06-01 12:30");
+});
+
+test("invalid dates are rejected and missing dates have no publish time", () => {
+  assert.throws(() => zonedTimeToUtc("someday", "UTC"), /Invalid publish date/);
+  assert.equal(zonedTimeToUtc("", "UTC"), null);
+  assert.equal(getPublishTime({ publish_date: null }), null);
+});
@@ -0,0 +1,27 @@
+import "./setup.mjs";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { countCharacters, getCapabilities, previewPost, validateContent } from "../src/utils/validation.mjs";
+
+const LONG_URL = `https://example.com/${"a".repeat(100)}`;
+
+test("Mastodon counts every link as 23 characters", () => {
+  const text = `${"x".repeat(470)} ${LONG_URL}`;
+
+  assert.equal(countCharacters(text, getCapabilities("mastodon")), 494);
+  assert.deepEqual(validateContent({ text }, "Mastodon").errors, []);
+});
+
+test("Bluesky counts links as written", () => {
+  assert.equal(countCharacters(`See ${LONG_URL}`, getCapabilities("bluesky")), 4 + LONG_URL.length);
+});
+
+test("previewPost reports the Mastodon count with links weighted", () => {
+  const { errors, targets } = previewPost({ content: `See ${LONG_URL} and https://a.io` }, ["Mastodon"]);
+
+  assert.deepEqual(errors, []);
+  assert.equal(targets[0].graphemes, 4 + 23 + 5 + 23);
+  assert.equal(targets[0].parts[0].graphemes, 4 + 23 + 5 + 23);
+  assert.equal(targets[0].overLimit, false);
+});